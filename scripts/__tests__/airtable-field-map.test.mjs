@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { loadFieldMap, fieldNames, applyTransform, checkFieldMap, DEFAULT_FIELD_MAP } = await import(join(SCRIPTS_DIR, 'lib/airtable-field-map.mjs'));
+const { transformRecord, validateRecord, fetchBaseTables } = await import(join(SCRIPTS_DIR, 'fetch-airtable.mjs'));
+const { startMockServers } = await import(join(SCRIPTS_DIR, 'lib/mock-servers.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-field-map');
+
+const record = {
+  id: 'recCLIENT000001',
+  fields: {
+    'Company name': 'SA Plumbing',
+    'Phone number sent to leads': '021 555 0100',
+    'Business owner name': '  Thabo ',
+    'City Based In': ['recAREA0000001'],
+    'Niche your business covers': ['recNICHE000001'],
+    'Service': ['recSERVICE00001', 'Geysers'],
+    'What areas does your company service?': ['recAREA0000001', 'Bellville'],
+    'Choose features that match your business': 'Same-day callouts',
+    'Year Started': 2009,
+    'Partner About': 'Family-run since 2009.',
+    'Partner Logo': [{ url: 'https://example.com/logo.png' }],
+  },
+};
+const lookup = { recAREA0000001: 'Cape Town', recNICHE000001: 'Plumbing', recSERVICE00001: 'Leak Detection' };
+
+describe('airtable-field-map.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+  });
+
+  after(() => {
+    delete process.env.AIRTABLE_FIELD_MAP;
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should transform a record with the default map, using fallbacks and linked names', () => {
+    const config = transformRecord(record, lookup);
+    assert.equal(config.recordId, 'recCLIENT000001');
+    assert.equal(config.companyName, 'SA Plumbing');
+    assert.equal(config.whatsapp, '021 555 0100', 'falls back to the leads phone');
+    assert.equal(config.ownerFirstName, 'Thabo');
+    assert.equal(config.primaryCity, 'Cape Town');
+    assert.equal(config.niche, 'Plumbing');
+    assert.deepEqual(config.services, ['Leak Detection', 'Geysers']);
+    assert.equal(config.serviceAreas, 'Cape Town, Bellville');
+    assert.deepEqual(config.differentiators, ['Same-day callouts']);
+    assert.equal(config.yearStarted, 2009);
+    assert.equal(config.aboutText, 'Family-run since 2009.');
+    assert.deepEqual(config.logo, [{ url: 'https://example.com/logo.png' }]);
+    assert.equal(config.headshot, null);
+    assert.equal(config.email, '');
+
+    const validation = validateRecord(config);
+    assert.equal(validation.valid, true);
+    assert.deepEqual(validation.warnings, ['email']);
+  });
+
+  it('should follow a renamed field and its flags from an alternative map', () => {
+    const map = JSON.parse(readFileSync(DEFAULT_FIELD_MAP, 'utf-8'));
+    map.fields.companyName = { field: 'Trading name', fallbacks: ['Company name'], required: true };
+    map.fields.logo = { field: 'Partner Logo', transform: 'attachment-url' };
+    map.fields.email.required = true;
+    const file = join(TMP, 'map.json');
+    writeFileSync(file, JSON.stringify(map));
+    process.env.AIRTABLE_FIELD_MAP = file;
+
+    const config = transformRecord({ id: 'rec1', fields: { ...record.fields, 'Trading name': 'SAP' } }, lookup);
+    assert.equal(config.companyName, 'SAP');
+    assert.equal(config.logo, 'https://example.com/logo.png');
+    assert.deepEqual(validateRecord(config).missing, ['email']);
+    delete process.env.AIRTABLE_FIELD_MAP;
+
+    assert.equal(applyTransform('attachment-list', [{ url: 'a' }, 'b', {}]).length, 2);
+    writeFileSync(file, JSON.stringify({ ...map, fields: { x: { field: 'X', transform: 'upper' } } }));
+    assert.throws(() => loadFieldMap(file), /fields\.x\.transform/);
+    writeFileSync(file, JSON.stringify({ ...map, fields: { x: { field: 'X', linkedTable: 'tblNOPE' } } }));
+    assert.throws(() => loadFieldMap(file), /tblNOPE is not listed in linkedTables/);
+  });
+
+  it('should never push client edits into fields content generation reads', () => {
+    const fieldMap = loadFieldMap();
+    const generationFields = ['aboutText', 'servicesText', 'headshot'].flatMap(key => fieldNames(fieldMap.fields[key]));
+    for (const [editKey, spec] of Object.entries(fieldMap.edits)) {
+      assert.ok(!generationFields.includes(spec.field), `${editKey} writes ${spec.field}`);
+    }
+  });
+
+  it('should report mapped fields missing from the base', async () => {
+    const mocks = await startMockServers({
+      airtable: {
+        tblUrtOlK3majSIFi: [{ id: 'rec1', fields: { ...record.fields, 'Business owners email': 'a@b.co' } }],
+        tblwAjBgE4hJVuZ7d: [{ id: 'recAREA0000001', fields: { Name: 'Cape Town' } }],
+        tblLaLhGdM8YT10wc: [{ id: 'recNICHE000001', fields: { Name: 'Plumbing' } }],
+        tblXRupREOoPrXKyV: [{ id: 'recSERVICE00001', fields: { Title: 'Leak Detection' } }],
+      },
+    }, { services: ['airtable'] });
+    process.env.AIRTABLE_API_URL = mocks.env.AIRTABLE_API_URL;
+    try {
+      const tables = await fetchBaseTables('token');
+      const report = checkFieldMap(loadFieldMap(), tables, 'tblUrtOlK3majSIFi');
+      assert.equal(report.ok, false);
+
+      const broken = report.broken.map(b => b.key);
+      assert.ok(broken.includes('website'));
+      assert.ok(!broken.includes('companyName'));
+      assert.ok(!broken.includes('yearStarted'), 'fallback "Year Started" still exists');
+      assert.ok(report.stale.some(s => s.key === 'yearStarted' && s.missing[0] === 'LLP - Year business started'));
+      assert.deepEqual(report.linked, ['Linked table tblXRupREOoPrXKyV (Service Selections) has no "Service Name" field']);
+    } finally {
+      delete process.env.AIRTABLE_API_URL;
+      await mocks.close();
+    }
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { planPush, recordPush, refreshSnapshot, matchEditKey, SNAPSHOT_FILE } = await import(join(SCRIPTS_DIR, 'lib/airtable-sync.mjs'));
+const { loadFieldMap } = await import(join(SCRIPTS_DIR, 'lib/airtable-field-map.mjs'));
+const { startMockServers } = await import(join(SCRIPTS_DIR, 'lib/mock-servers.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-airtable-sync');
+const FIELD_MAP = join(TMP, 'field-map.json');
+
+// The shipped map leaves hero and about edits unmapped until the base has
+// fields for them — map them to dedicated fields here
+const fieldMap = {
+  ...loadFieldMap(),
+  edits: {
+    ...loadFieldMap().edits,
+    'homepage.heroTitle': { field: 'Website Hero Title', kind: 'text' },
+    'about.paragraphs.*': { field: 'Website About', kind: 'paragraph' },
+  },
+};
+const siteUrl = 'https://sa-plumbing.netlify.app';
+
+const snapshot = {
+  recordId: 'recCLIENT000001',
+  fields: {
+    'Website Hero Title': 'Plumbers You Can Trust',
+    'Website Service Titles': 'Leak Detection\nGeysers',
+    'Website About': 'We started in 2009.\n\nWe cover the Cape.',
+    'Gallery': [{ id: 'att1', url: 'https://dl.airtable.com/a?sig=1' }, { id: 'att2', url: 'https://dl.airtable.com/b?sig=1' }],
+  },
+  pushed: {},
+};
+
+describe('airtable-sync.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+    writeFileSync(FIELD_MAP, JSON.stringify(fieldMap));
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should map edit keys, including indexed ones, to Airtable fields', () => {
+    assert.deepEqual(matchEditKey(fieldMap.edits, 'homepage.heroTitle'), { field: 'Website Hero Title', kind: 'text', index: null });
+    assert.equal(matchEditKey(fieldMap.edits, 'services.1.title').index, 1);
+    assert.equal(matchEditKey(fieldMap.edits, 'services.x.title'), null);
+    assert.equal(matchEditKey(fieldMap.edits, 'services.1.description'), null);
+  });
+
+  it('should plan pushes, detect conflicts against the snapshot and skip pushed edits', () => {
+    const edits = {
+      'homepage.heroTitle': 'Cape Town Plumbers',
+      'services.1.title': 'Geyser Repairs',
+      'about.paragraphs.1': 'We cover all of the Western Cape.',
+      'gallery.1': '/images/client-uploads/gallery-1.jpg',
+      'homepage.heroSubtitle': 'Fast callouts',
+    };
+    // Airtable: hero title untouched, service titles already match, about text changed by the team
+    const current = {
+      ...snapshot.fields,
+      'Website Service Titles': 'Leak Detection\nGeyser Repairs',
+      'Website About': 'Family-run since 2009.\n\nWe cover the Cape.',
+      'Gallery': [{ id: 'att1', url: 'https://dl.airtable.com/a?sig=2' }, { id: 'att2', url: 'https://dl.airtable.com/b?sig=2' }],
+    };
+
+    const plan = planPush(edits, snapshot, current, { fieldMap, siteUrl });
+    assert.deepEqual(plan.updates.map(u => u.field), ['Website Hero Title', 'Gallery']);
+    assert.deepEqual(plan.updates[1].value, [{ id: 'att1' }, { url: `${siteUrl}/images/client-uploads/gallery-1.jpg` }]);
+    assert.deepEqual(plan.unchanged, [{ field: 'Website Service Titles', keys: ['services.1.title'] }]);
+    assert.equal(plan.conflicts.length, 1);
+    assert.equal(plan.conflicts[0].field, 'Website About');
+    assert.equal(plan.conflicts[0].value, 'We started in 2009.\n\nWe cover all of the Western Cape.');
+    assert.deepEqual(plan.unmapped, ['homepage.heroSubtitle']);
+
+    const after = recordPush(snapshot, edits, [...plan.updates, ...plan.unchanged], { ...current, 'Website Hero Title': 'Cape Town Plumbers' });
+    assert.equal(after.pushed['homepage.heroTitle'], 'Cape Town Plumbers');
+    assert.equal(after.pushed['about.paragraphs.1'], undefined, 'conflicts stay pending');
+    const again = planPush(edits, after, { ...current, 'Website Hero Title': 'Cape Town Plumbers' }, { fieldMap, siteUrl });
+    assert.deepEqual(again.updates, []);
+    assert.equal(again.conflicts.length, 1);
+  });
+
+  it('should keep the old baseline for fields with pending edits when refreshing after a pull', () => {
+    const record = { id: 'recCLIENT000001', fields: { ...snapshot.fields, 'Website Hero Title': 'Changed in Airtable', 'Website About': 'New about' } };
+    const next = refreshSnapshot(snapshot, record, { 'homepage.heroTitle': 'Site title' }, fieldMap);
+    assert.equal(next.fields['Website Hero Title'], 'Plumbers You Can Trust');
+    assert.equal(next.fields['Website About'], 'New about');
+  });
+
+  it('should push edits with sync --push and leave conflicts for review', async () => {
+    const projectPath = join(TMP, 'project');
+    mkdirSync(join(projectPath, 'src'), { recursive: true });
+    writeFileSync(join(projectPath, 'client-config.json'), JSON.stringify({ recordId: snapshot.recordId, companyName: 'SA Plumbing' }));
+    writeFileSync(join(projectPath, 'src/site.config.ts'), `export const site = {\n  url: "${siteUrl}",\n};\n`);
+    writeFileSync(join(projectPath, SNAPSHOT_FILE), JSON.stringify(snapshot));
+    writeFileSync(join(projectPath, 'client-edits.json'), JSON.stringify({
+      'homepage.heroTitle': 'Cape Town Plumbers',
+      'about.paragraphs.0': 'Since 2009.',
+    }));
+
+    const mocks = await startMockServers({
+      airtable: { tblUrtOlK3majSIFi: [{ id: snapshot.recordId, fields: { ...snapshot.fields, 'Website About': 'Edited in Airtable' } }] },
+    }, { services: ['airtable'] });
+    try {
+      const run = (...extra) => promisify(execFile)(process.execPath, [join(SCRIPTS_DIR, 'sync.mjs'), '--project', projectPath, '--push', ...extra], {
+        env: { ...process.env, ...mocks.env, AIRTABLE_TOKEN: 'token', AIRTABLE_FIELD_MAP: FIELD_MAP },
+      });
+
+      const err = await run().catch(e => e);
+      assert.equal(err.code, 1, 'conflict exits 1');
+      assert.match(err.stdout, /Website About .* changed in Airtable/);
+
+      assert.equal(mocks.requests.filter(r => r.method === 'PATCH').length, 1);
+      const saved = JSON.parse(readFileSync(join(projectPath, SNAPSHOT_FILE), 'utf-8'));
+      assert.equal(saved.fields['Website Hero Title'], 'Cape Town Plumbers');
+      assert.deepEqual(Object.keys(saved.pushed), ['homepage.heroTitle']);
+
+      await run('--force');
+      const patches = mocks.requests.filter(r => r.method === 'PATCH');
+      assert.equal(patches.length, 2);
+      assert.deepEqual(patches[1].body.fields, { 'Website About': 'Since 2009.\n\nWe cover the Cape.' });
+    } finally {
+      await mocks.close();
+    }
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-artifact-migrations');
+
+const { migrateArtifact, migrateProject, withSchemaVersion, ARTIFACTS } = await import(join(SCRIPTS_DIR, 'lib/artifact-migrations.mjs'));
+
+// client-config.json as written before the Airtable field map
+const LEGACY_CONFIG = {
+  'Company name': 'SA Plumbing Pros',
+  'Phone number sent to leads': '082 555 1234',
+  Email: 'info@saplumbing.co.za',
+  'City Based In': 'Durban',
+  Services: 'Geysers, Leak Detection, Drain Unblocking',
+  'What areas does your company service?': ['Umhlanga', 'Ballito'],
+  recordId: 'recPLUMB',
+};
+
+const read = (file) => JSON.parse(readFileSync(join(TMP, file), 'utf-8'));
+
+describe('artifact-migrations.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should copy legacy Airtable labels to config keys and stamp the version', () => {
+    const result = migrateArtifact('client-config', LEGACY_CONFIG);
+    assert.equal(result.from, 0);
+    assert.equal(result.migrated, true);
+    assert.equal(result.data.schemaVersion, ARTIFACTS['client-config'].version);
+    assert.equal(result.data.companyName, 'SA Plumbing Pros');
+    assert.equal(result.data.phone, '082 555 1234');
+    assert.equal(result.data.email, 'info@saplumbing.co.za');
+    assert.equal(result.data.primaryCity, 'Durban');
+    assert.deepEqual(result.data.services, ['Geysers', 'Leak Detection', 'Drain Unblocking']);
+    assert.equal(result.data.serviceAreas, 'Umhlanga, Ballito');
+    assert.equal(result.data['Company name'], 'SA Plumbing Pros', 'legacy labels stay');
+
+    const current = migrateArtifact('client-config', result.data);
+    assert.equal(current.migrated, false);
+    assert.deepEqual(current.data, result.data, 'current data passes through unchanged');
+  });
+
+  it('should upgrade old design tokens and client-mapped files', () => {
+    const tokens = migrateArtifact('design-tokens', {
+      direction: 'Industrial',
+      theme: { primary: '#1a2b3c', displayFont: 'Oswald', bodyFont: 'Inter' },
+      colors: { secondary: '#f59e0b' },
+    }).data;
+    assert.deepEqual(tokens.fonts, { display: 'Oswald', body: 'Inter' });
+    assert.deepEqual(tokens.colors, { secondary: '#f59e0b', primary: '#1a2b3c', accent: '#f59e0b' });
+
+    const mapped = migrateArtifact('client-mapped', {
+      name: 'SA Plumbing Pros',
+      serviceAreas: ['Helderberg (Somerset West, Strand)', 'Stellenbosch'],
+      address: { street: '', city: 'Johannesburg', coords: { lat: -26.2041, lng: 28.0473 } },
+    }).data;
+    assert.equal(mapped.serviceAreas, 'Helderberg (Somerset West, Strand) | Stellenbosch');
+    assert.equal(mapped.address.coords, null, 'placeholder coords dropped');
+    assert.equal(mapped.address.resolution, null);
+  });
+
+  it('should refuse artifacts written by a newer template', () => {
+    const newer = ARTIFACTS['design-tokens'].version + 1;
+    assert.throws(() => migrateArtifact('design-tokens', { schemaVersion: newer }), /newer than this template supports/);
+    assert.deepEqual(Object.keys(withSchemaVersion('design-tokens', { fonts: {}, schemaVersion: 0 })), ['schemaVersion', 'fonts']);
+  });
+
+  it('should migrate a project in place and report what it could not', () => {
+    writeFileSync(join(TMP, 'client-config.json'), JSON.stringify(LEGACY_CONFIG));
+    writeFileSync(join(TMP, 'design-tokens.json'), JSON.stringify({ schemaVersion: 99 }));
+
+    const dry = migrateProject(TMP, { dryRun: true });
+    assert.deepEqual(dry.migrated, [{ file: 'client-config.json', from: 0, to: 1 }]);
+    assert.equal(read('client-config.json').schemaVersion, undefined, 'dry run writes nothing');
+
+    const result = migrateProject(TMP);
+    assert.deepEqual(result.migrated, dry.migrated);
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0], /^design-tokens\.json: .*schemaVersion 99/);
+    assert.equal(read('client-config.json').companyName, 'SA Plumbing Pros');
+    assert.deepEqual(migrateProject(TMP).migrated, [], 'second run is a no-op');
+  });
+});
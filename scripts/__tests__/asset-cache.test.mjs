@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync, existsSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-asset-cache');
+
+const {
+  planAssets, summarizeAssetPlan, pendingAssetSlots, attachmentsOf, readAssetCache, ASSET_CACHE_FILE,
+} = await import(join(SCRIPTS_DIR, 'lib/asset-cache.mjs'));
+
+const IMAGES = { 'a.jpg': 'image-a', 'b.jpg': 'image-b', 'c.png': 'image-c', 'logo.svg': '<svg/>' };
+
+describe('asset-cache.mjs', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+    server = createServer((req, res) => {
+      requests.push(req.url);
+      const name = req.url.split('?')[0].slice(1);
+      if (!IMAGES[name]) { res.writeHead(410); res.end(); return; }
+      res.writeHead(200);
+      res.end(IMAGES[name]);
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(r => server.close(r));
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  const attachment = (id, name) => ({ id, url: `${baseUrl}/${name}?expires=${Date.now()}`, filename: name, size: IMAGES[name]?.length ?? 1 });
+
+  it('should key attachments by ID, or by URL without its query string', () => {
+    assert.deepEqual(attachmentsOf([{ id: 'att1', url: 'https://x/1.jpg', filename: '1.jpg', size: 10 }]),
+      [{ id: 'att1', url: 'https://x/1.jpg', filename: '1.jpg', size: 10 }]);
+    const [first] = attachmentsOf('https://cdn.example.com/logo.png?sig=1');
+    const [again] = attachmentsOf(['https://cdn.example.com/logo.png?sig=2']);
+    assert.match(first.id, /^url:/);
+    assert.equal(first.id, again.id, 're-signed URLs are the same attachment');
+  });
+
+  it('should plan fetches, moves and removals against the cache', () => {
+    const cache = {
+      assets: {
+        logo: { attL: { path: 'logo/logo.png', hash: 'h', size: 5, filename: 'logo.png' } },
+        headshot: {},
+        gallery: {
+          attA: { path: 'gallery/01-gallery.jpg', hash: 'h', size: 7, filename: 'a.jpg' },
+          attB: { path: 'gallery/02-gallery.jpg', hash: 'h', size: 7, filename: 'b.jpg' },
+        },
+      },
+    };
+    const data = {
+      logo: [{ id: 'attL', url: 'https://x/l', filename: 'logo.png', size: 6 }],
+      gallery: [{ id: 'attB', url: 'https://x/b', filename: 'b.jpg', size: 7 }, { id: 'attC', url: 'https://x/c', filename: 'c.png', size: 7 }],
+    };
+    const plan = planAssets(cache, data);
+    assert.equal(plan.logo.items[0].reason, 'changed', 'size differs');
+    assert.deepEqual(plan.gallery.items.map(i => [i.action, i.path]), [['move', 'gallery/01-gallery.jpg'], ['fetch', 'gallery/02-gallery.png']]);
+    assert.deepEqual(plan.gallery.remove, [{ id: 'attA', path: 'gallery/01-gallery.jpg' }]);
+    assert.deepEqual(summarizeAssetPlan(plan).gallery, { fetch: 1, move: 1, keep: 0, remove: 1 });
+    assert.deepEqual(pendingAssetSlots(plan), ['logo', 'gallery']);
+  });
+
+  it('should only download new attachments and prune removed gallery images', async () => {
+    const configPath = join(TMP, 'client-config.json');
+    const run = async (config) => {
+      writeFileSync(configPath, JSON.stringify(config));
+      requests.length = 0;
+      return promisify(execFile)(process.execPath, [join(SCRIPTS_DIR, 'populate-images.mjs'), '--project', TMP, '--data', configPath]);
+    };
+    const gallery = () => readdirSync(join(TMP, 'src/assets/images/gallery')).sort();
+
+    await run({ logo: [attachment('attL', 'logo.svg')], gallery: [attachment('attA', 'a.jpg'), attachment('attB', 'b.jpg')] });
+    assert.equal(requests.length, 3);
+    assert.deepEqual(gallery(), ['01-gallery.jpg', '02-gallery.jpg']);
+    assert.ok(existsSync(join(TMP, 'src/assets/images/home-hero/home-hero.jpg')));
+    assert.equal(Object.keys(readAssetCache(TMP).assets.gallery).length, 2);
+
+    // Same attachments with freshly signed URLs — nothing to download
+    await run({ logo: [attachment('attL', 'logo.svg')], gallery: [attachment('attA', 'a.jpg'), attachment('attB', 'b.jpg')] });
+    assert.deepEqual(requests, []);
+
+    // A removed, B moves up, C is new
+    const { stdout } = await run({ logo: [attachment('attL', 'logo.svg')], gallery: [attachment('attB', 'b.jpg'), attachment('attC', 'c.png')] });
+    assert.deepEqual(requests.map(u => u.split('?')[0]), ['/c.png']);
+    assert.deepEqual(gallery(), ['01-gallery.jpg', '02-gallery.png']);
+    assert.equal(readFileSync(join(TMP, 'src/assets/images/gallery/01-gallery.jpg'), 'utf-8'), 'image-b');
+    assert.equal(readFileSync(join(TMP, 'src/assets/images/home-hero/home-hero.jpg'), 'utf-8'), 'image-b', 'hero follows the first image');
+    assert.match(stdout, /a\.jpg removed/);
+
+    // A file deleted by hand is fetched again; an expired URL says so
+    rmSync(join(TMP, 'src/assets/images/gallery/02-gallery.png'));
+    const expired = await run({ logo: [attachment('attL', 'logo.svg')], gallery: [attachment('attB', 'b.jpg'), attachment('attC', 'gone.png')] });
+    assert.match(expired.stderr, /probably expired/);
+    assert.deepEqual(Object.keys(JSON.parse(readFileSync(join(TMP, ASSET_CACHE_FILE), 'utf-8')).assets.gallery), ['attB'], 'failed download not cached');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, readdirSync, existsSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { writeFileAtomic, writeViaTemp, removePartialFiles } = await import(join(SCRIPTS_DIR, 'lib/atomic-write.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-atomic');
+
+describe('atomic-write.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should replace a file without leaving a temp file behind', () => {
+    const file = join(TMP, 'site.config.ts');
+    writeFileSync(file, 'old');
+    writeFileAtomic(file, 'new', 'utf-8');
+    assert.equal(readFileSync(file, 'utf-8'), 'new');
+    assert.deepEqual(readdirSync(TMP), ['site.config.ts']);
+  });
+
+  it('should keep the old file when an async writer fails', async () => {
+    const file = join(TMP, 'hero.jpg');
+    writeFileSync(file, 'old image');
+    await assert.rejects(
+      writeViaTemp(file, async (tmp) => {
+        writeFileSync(tmp, 'half an ima');
+        throw new Error('ECONNRESET');
+      }),
+      /ECONNRESET/
+    );
+    assert.equal(readFileSync(file, 'utf-8'), 'old image');
+    assert.ok(!readdirSync(TMP).some(name => name.endsWith('.partial')));
+  });
+
+  it('should sweep partial files left by a killed process', () => {
+    const project = join(TMP, 'project');
+    mkdirSync(join(project, 'public/images'), { recursive: true });
+    mkdirSync(join(project, 'node_modules/pkg'), { recursive: true });
+    writeFileSync(join(project, 'public/images/gallery-1.jpg.4242.partial'), '');
+    writeFileSync(join(project, 'public/images/gallery-2.jpg'), '');
+    writeFileSync(join(project, 'node_modules/pkg/index.js.4242.partial'), '');
+
+    const removed = removePartialFiles(project);
+    assert.deepEqual(removed, [join(project, 'public/images/gallery-1.jpg.4242.partial')]);
+    assert.ok(existsSync(join(project, 'public/images/gallery-2.jpg')));
+    assert.ok(existsSync(join(project, 'node_modules/pkg/index.js.4242.partial')));
+  });
+});
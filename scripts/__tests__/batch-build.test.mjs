@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { mapWithConcurrency } = await import(join(SCRIPTS_DIR, 'lib/runner-utils.mjs'));
+const { startMockServers } = await import(join(SCRIPTS_DIR, 'lib/mock-servers.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+// Where batch-build.mjs puts projects and logs (see DEFAULT_DEST there)
+const DEST = resolve(TEMPLATE_ROOT, '..');
+
+const client = (id, name) => ({ id, fields: name ? { 'Company name': name } : {} });
+
+describe('batch-build.mjs', () => {
+  it('should run at most the concurrency limit at once and keep result order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(r => setTimeout(r, ms));
+      running--;
+      return i;
+    });
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+
+  it('should plan at most --max clients on --dry-run without starting builds', async () => {
+    const mocks = await startMockServers({
+      airtable: {
+        tblUrtOlK3majSIFi: [
+          client('recBATCH0000001', 'Batch Test Plumbing Zq'),
+          client('recBATCH0000002', ''),
+          client('recBATCH0000003', 'Batch Test Plumbing Zq '),
+          client('recBATCH0000004', 'Batch Test Roofing Zq'),
+          client('recBATCH0000005', 'Batch Test Paving Zq'),
+        ],
+      },
+    }, { services: ['airtable'] });
+    try {
+      const { stdout } = await promisify(execFile)(process.execPath, [
+        join(SCRIPTS_DIR, 'batch-build.mjs'), '--view', 'viwBATCH', '--max', '4', '--concurrency', '3', '--dry-run',
+      ], { env: { ...process.env, ...mocks.env, AIRTABLE_TOKEN: 'token' } });
+
+      assert.deepEqual(mocks.requests.map(r => [r.query.view, r.query.maxRecords]), [['viwBATCH', '4']]);
+      assert.match(stdout, /Skipping recBATCH0000002 — no company name/);
+      assert.match(stdout, /Skipping recBATCH0000003 — duplicate project slug "batch-test-plumbing-zq"/);
+      assert.match(stdout, /2 client\(s\) to build, 3 at a time/);
+      assert.match(stdout, /Batch Test Plumbing Zq \(recBATCH0000001\) → build/);
+      assert.match(stdout, /Batch Test Roofing Zq \(recBATCH0000004\) → build/);
+      assert.doesNotMatch(stdout, /Paving/, '--max leaves the fifth record out');
+      assert.match(stdout, /--dry-run: No builds started/);
+      assert.ok(!existsSync(join(DEST, 'batch-test-plumbing-zq')));
+    } finally {
+      await mocks.close();
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFileSync } from 'node:child_process';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { openEventStream, emitEvent } = await import(join(SCRIPTS_DIR, 'lib/build-events.mjs'));
+const { runScriptAsync } = await import(join(SCRIPTS_DIR, 'lib/runner-utils.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-events');
+
+const readEvents = (file) => readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+// Child script that prints human output and emits one event
+const CHILD = `
+  import { emitEvent } from ${JSON.stringify(join(SCRIPTS_DIR, 'lib/build-events.mjs'))};
+  console.log('human output');
+  emitEvent('child:done', { n: 1 });
+`;
+
+describe('build-events.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+    writeFileSync(join(TMP, 'child.mjs'), CHILD);
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.BUILD_EVENTS;
+  });
+
+  it('should do nothing without an open stream', () => {
+    assert.doesNotThrow(() => emitEvent('phase:start', { phase: 'phase-0' }));
+  });
+
+  it('should write NDJSON to a file, including events from child scripts', async () => {
+    const file = join(TMP, 'events.ndjson');
+    openEventStream(file);
+    emitEvent('phase:start', { phase: 'phase-1' });
+    await runScriptAsync(join(TMP, 'child.mjs'), []);
+
+    const events = readEvents(file);
+    assert.deepEqual(events.map(e => e.type), ['phase:start', 'child:done']);
+    assert.equal(events[0].phase, 'phase-1');
+    assert.equal(events[1].script, 'child');
+    assert.ok(!Number.isNaN(Date.parse(events[0].ts)));
+  });
+
+  it('should keep stdout free of human output in stdout mode', () => {
+    writeFileSync(join(TMP, 'parent.mjs'), `
+      import { openEventStream, emitEvent } from ${JSON.stringify(join(SCRIPTS_DIR, 'lib/build-events.mjs'))};
+      import { runScriptAsync, runScript } from ${JSON.stringify(join(SCRIPTS_DIR, 'lib/runner-utils.mjs'))};
+      openEventStream('-');
+      emitEvent('build:start');
+      await runScriptAsync(${JSON.stringify(join(TMP, 'child.mjs'))}, []);
+      runScript(${JSON.stringify(join(TMP, 'child.mjs'))}, []);
+      emitEvent('build:complete');
+    `);
+
+    const stdout = execFileSync('node', [join(TMP, 'parent.mjs')], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+    const types = stdout.trim().split('\n').map(line => JSON.parse(line).type);
+    assert.deepEqual(types, ['build:start', 'child:done', 'child:done', 'build:complete']);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { checkClientInputs, planWrites } = await import(join(SCRIPTS_DIR, 'lib/build-plan.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-plan');
+
+describe('build-plan.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(join(TMP, 'project/src/styles'), { recursive: true });
+    mkdirSync(join(TMP, 'project/src/content/locations'), { recursive: true });
+    writeFileSync(join(TMP, 'project/src/styles/global.css'), '');
+    writeFileSync(join(TMP, 'project/src/content/locations/cape-town.json'), '{}');
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should flag missing optional inputs and required fields', () => {
+    const { blockers, warnings } = checkClientInputs({
+      companyName: 'Acme',
+      phone: '',
+      primaryCity: 'Cape Town',
+      niche: 'Plumbing',
+      logo: [{ url: 'https://example.com/logo.png' }],
+      gallery: [],
+      googleMapsUrl: '',
+      serviceAreas: 'Bellville, Durbanville',
+    });
+    assert.deepEqual(blockers, ['phone is required']);
+    assert.deepEqual(warnings.map(w => w.key), ['gallery', 'googleMapsUrl']);
+  });
+
+  it('should classify writes as create or overwrite', () => {
+    const phases = [
+      { id: 'phase-1', writes: ['client-config.json'] },
+      { id: 'phase-3', writes: ['./', 'client-config.json'] },
+      { id: 'phase-5', writes: ['src/styles/global.css', 'src/content/locations/*.json', 'dist/'] },
+      { id: 'phase-7', writes: ['dist/'] },
+    ];
+    const writes = planWrites(phases, { projectPath: join(TMP, 'project'), tmpPath: join(TMP, 'tmp') });
+
+    assert.deepEqual(writes.map(w => [w.phase, w.path.replace(TMP, ''), w.action]), [
+      ['phase-1', '/tmp/client-config.json', 'create'],
+      ['phase-3', '/project', 'overwrite'],
+      ['phase-3', '/project/client-config.json', 'create'],
+      ['phase-5', '/project/src/styles/global.css', 'overwrite'],
+      ['phase-5', '/project/src/content/locations/*.json', 'overwrite'],
+      ['phase-5', '/project/dist/', 'create'],
+      ['phase-7', '/project/dist/', 'overwrite'],
+    ]);
+  });
+});
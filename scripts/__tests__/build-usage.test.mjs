@@ -0,0 +1,76 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { openUsageLedger, withPhase, recordCall, recordRetry, summarizeUsage, CALL_COSTS } = await import(join(SCRIPTS_DIR, 'lib/build-usage.mjs'));
+const { runScriptAsync } = await import(join(SCRIPTS_DIR, 'lib/runner-utils.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-usage');
+
+describe('build-usage.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.BUILD_USAGE_FILE;
+    delete process.env.BUILD_COST_FAL_IMAGE;
+  });
+
+  it('should total calls, cost and retries per phase', async () => {
+    openUsageLedger(join(TMP, 'totals.ndjson'));
+
+    await Promise.all([
+      withPhase('phase-6', async () => {
+        recordCall('fal-image');
+        await new Promise(r => setTimeout(r, 5));
+        recordCall('fal-image', 2);
+        recordRetry('Gallery image 1');
+      }),
+      withPhase('phase-4', async () => {
+        recordCall('claude');
+      }),
+    ]);
+
+    const totals = summarizeUsage();
+    assert.deepEqual(totals['phase-6'].calls, { 'fal-image': 3 });
+    assert.equal(totals['phase-6'].costUsd, Math.round(CALL_COSTS['fal-image'] * 3 * 10000) / 10000);
+    assert.equal(totals['phase-6'].retries, 1);
+    assert.deepEqual(totals['phase-4'], { calls: { claude: 1 }, costUsd: CALL_COSTS.claude, retries: 0 });
+  });
+
+  it('should apply BUILD_COST_* overrides', () => {
+    openUsageLedger(join(TMP, 'override.ndjson'));
+    process.env.BUILD_COST_FAL_IMAGE = '0.5';
+    withPhase('phase-6', () => recordCall('fal-image', 2));
+    assert.equal(summarizeUsage()['phase-6'].costUsd, 1);
+  });
+
+  it('should attribute calls from child scripts to the spawning phase', async () => {
+    openUsageLedger(join(TMP, 'child.ndjson'));
+    const child = join(TMP, 'child.mjs');
+    writeFileSync(child, `
+      import { recordCall } from ${JSON.stringify(join(SCRIPTS_DIR, 'lib/build-usage.mjs'))};
+      recordCall('dataforseo-task');
+    `);
+
+    await withPhase('phase-1', () => runScriptAsync(child, []));
+    assert.deepEqual(summarizeUsage()['phase-1'].calls, { 'dataforseo-task': 1 });
+  });
+
+  it('should return no totals without a ledger', () => {
+    assert.deepEqual(summarizeUsage(), {});
+    assert.doesNotThrow(() => recordCall('claude'));
+  });
+});
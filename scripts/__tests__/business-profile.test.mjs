@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { parseHours, tradingHoursFrom, normalizeUrl, socialProfileUrl, socialLinksFrom } = await import(join(SCRIPTS_DIR, 'lib/business-profile.mjs'));
+
+describe('business-profile.mjs', () => {
+  it('should read the ways hours are written into 24-hour times', () => {
+    const office = { opens: '07:30', closes: '17:00' };
+    for (const text of ['07:30-17:00', '7:30am - 5pm', '07h30 – 17h00', '0730-1700', '7:30 to 17:00']) {
+      assert.deepEqual(parseHours(text), office, text);
+    }
+    assert.deepEqual(parseHours('8-5pm'), { opens: '08:00', closes: '17:00' });
+    assert.deepEqual(parseHours('1-5pm'), { opens: '13:00', closes: '17:00' });
+    assert.deepEqual(parseHours('7-5'), { opens: '07:00', closes: '17:00' }, 'closing before opening is the afternoon');
+    assert.deepEqual(parseHours('24 hours'), { opens: '00:00', closes: '23:59' });
+    assert.equal(parseHours('Closed'), 'closed');
+    assert.equal(parseHours('17:00-08:00'), null, 'overnight ranges are not guessed');
+    assert.equal(parseHours('by appointment'), null);
+  });
+
+  it('should build a week of trading hours and report what it could not read', () => {
+    const { tradingHours, issues } = tradingHoursFrom({
+      hoursMonday: '08:00-17:00',
+      hoursTuesday: '08:00-17:00',
+      hoursWednesday: 'by appointment',
+      hoursSaturday: '8am-12pm',
+      hoursSunday: 'Closed',
+      publicHolidayHours: 'Closed',
+    });
+    assert.deepEqual(tradingHours.week.Monday, { opens: '08:00', closes: '17:00' });
+    assert.deepEqual(tradingHours.week.Saturday, { opens: '08:00', closes: '12:00' });
+    assert.equal(tradingHours.week.Sunday, null);
+    assert.equal(tradingHours.week.Wednesday, null, 'unreadable days are not published');
+    assert.equal(tradingHours.publicHolidays, null);
+    assert.deepEqual(issues, [
+      'Wednesday: can\'t read "by appointment" — shown as closed',
+      'Thursday: no hours given — shown as closed',
+      'Friday: no hours given — shown as closed',
+    ]);
+
+    assert.deepEqual(tradingHoursFrom({ companyName: 'x' }), { tradingHours: null, issues: [] });
+    assert.equal('publicHolidays' in tradingHoursFrom({ hoursMonday: '9-5' }).tradingHours, false, 'holidays unset when not given');
+  });
+
+  it('should give the website a scheme and trim it', () => {
+    assert.equal(normalizeUrl(' acmeplumbing.co.za '), 'https://acmeplumbing.co.za');
+    assert.equal(normalizeUrl('http://acmeplumbing.co.za'), 'http://acmeplumbing.co.za');
+    assert.equal(normalizeUrl('  '), '');
+    assert.equal(normalizeUrl(undefined), '');
+  });
+
+  it('should normalise social profiles and drop links to the wrong platform', () => {
+    assert.equal(socialProfileUrl('instagram', '@acme.plumbing'), 'https://www.instagram.com/acme.plumbing');
+    assert.equal(socialProfileUrl('facebook', 'facebook.com/AcmePlumbing/'), 'https://facebook.com/AcmePlumbing');
+    assert.equal(socialProfileUrl('tiktok', 'acme'), 'https://www.tiktok.com/@acme');
+    assert.equal(socialProfileUrl('instagram', 'https://www.instagram.com/acme/?igsh=abc'), 'https://www.instagram.com/acme');
+    assert.equal(socialProfileUrl('youtube', 'https://youtube.com'), null, 'a bare domain is not a profile');
+
+    const { social, issues } = socialLinksFrom({
+      facebook: 'https://www.instagram.com/acme',
+      linkedin: 'https://za.linkedin.com/company/acme',
+    });
+    assert.deepEqual(social, { linkedin: 'https://za.linkedin.com/company/acme' });
+    assert.match(issues[0], /^facebook: .* not a facebook profile/);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+
+const { valueText, stamp, originOf, checkOverwrite, carryOver } = await import(join(SCRIPTS_DIR, 'lib/config-provenance.mjs'));
+const { replaceKeyValue, replaceSection, readSection } = await import(join(SCRIPTS_DIR, 'lib/config-writer.mjs'));
+
+const template = readFileSync(join(TEMPLATE_ROOT, 'src/site.config.ts'), 'utf-8');
+
+describe('config-provenance.mjs', () => {
+  it('should read sections from the site object, not the SiteConfig interface', () => {
+    assert.match(readSection(template, 'homepage'), /^\{\n    title:/);
+    const updated = replaceSection(template, 'homepage', { title: 'Home' });
+    assert.ok(updated.includes('export interface SiteConfig'));
+    assert.ok(updated.includes('export const site'));
+    assert.equal(readSection(updated, 'homepage'), '{\n    title: "Home"\n  }');
+    assert.match(valueText(template, 'heroBadges'), /^\[.*\]$/);
+  });
+
+  it('should notice hand edits and client edits after a value was stamped', () => {
+    const provenance = { fields: {} };
+    let config = replaceKeyValue(template, 'founder', 'Sipho Dlamini');
+    stamp(provenance, config, 'founder', 'airtable', 'ownerFirstName + ownerLastName');
+    assert.equal(originOf(provenance, config, 'founder'), 'airtable');
+    assert.equal(originOf(provenance, config, 'founder', { edits: { 'founder': 'S. Dlamini' } }), 'client-edit');
+
+    config = replaceKeyValue(config, 'founder', 'Sipho M. Dlamini');
+    assert.equal(originOf(provenance, config, 'founder'), 'manual');
+    assert.deepEqual(checkOverwrite(provenance, config, 'founder', 'airtable'), { ok: false, origin: 'manual' });
+
+    // Entries without a hash fall back to the previous Airtable value
+    const legacy = { fields: { founder: { source: 'airtable', field: 'ownerFirstName + ownerLastName' } } };
+    assert.equal(originOf(legacy, config, 'founder', { previous: 'Sipho M. Dlamini' }), 'airtable');
+    assert.equal(originOf(legacy, config, 'founder', { previous: 'Sipho Dlamini' }), 'manual');
+    assert.deepEqual(checkOverwrite({ fields: {} }, config, 'services', 'ai'), { ok: true, origin: null });
+
+    const services = { fields: {} };
+    stamp(services, config, 'services', 'ai');
+    assert.equal(checkOverwrite(services, config, 'services', 'ai', { edits: { 'services.0.title': 'Leaks' } }).origin, 'client-edit');
+  });
+
+  it('should carry AI content and hand edits into an upgraded config, not Airtable values', () => {
+    let oldConfig = replaceSection(template, 'servicesPage', { metaTitle: 'Our Services', heading: 'What we do' });
+    oldConfig = replaceKeyValue(oldConfig, 'name', 'Old Name');
+    oldConfig = replaceKeyValue(oldConfig, 'founder', 'Hand Edited');
+    const provenance = { fields: {} };
+    stamp(provenance, oldConfig, 'name', 'airtable', 'companyName');
+    stamp(provenance, replaceKeyValue(oldConfig, 'founder', 'From Airtable'), 'founder', 'airtable');
+    stamp(provenance, oldConfig, 'legacyBanner', 'manual');
+
+    const newConfig = replaceKeyValue(template, 'name', 'New Name');
+    const result = carryOver(oldConfig, newConfig, provenance);
+
+    assert.equal(readSection(result.config, 'servicesPage'), readSection(oldConfig, 'servicesPage'));
+    assert.equal(valueText(result.config, 'founder'), 'Hand Edited');
+    assert.equal(valueText(result.config, 'name'), 'New Name', 'Airtable values come from the re-applied client data');
+    assert.ok(result.carried.some(c => c.key === 'servicesPage' && c.origin === 'ai'));
+    assert.ok(result.carried.some(c => c.key === 'founder' && c.origin === 'manual'));
+    assert.deepEqual(result.conflicts, []);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { loadClientData, parseYaml, parseCsv } = await import(join(SCRIPTS_DIR, 'lib/data-sources.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-sources');
+
+const BRIEF_YAML = `# Client brief
+companyName: SA Plumbing Solutions
+phone: "082 123 4567"
+email: info@saplumbing.co.za
+niche: Plumber
+city: Cape Town
+yearStarted: 2012
+website: saplumbing.co.za
+services:
+  - Geyser installation
+  - Leak detection
+serviceAreas: [Bellville, "Helderberg (Somerset West, Strand)"]
+address:
+  street: 12 Main Road
+  postalCode: "7530"
+about: |
+  Family-run plumbers.
+  Available 24/7.
+`;
+
+const CLIENTS_CSV = [
+  'Company Name,Phone,City,Trade,Services,Notes',
+  'Acme Electrical,0111234567,Johannesburg,Electrician,"Rewiring; DB boards",',
+  '"Bright ""Sparks"" Co",0219876543,Durban,Electrician,"COC certificates",call after 5',
+].join('\r\n');
+
+describe('data-sources.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+    writeFileSync(join(TMP, 'brief.yaml'), BRIEF_YAML);
+    writeFileSync(join(TMP, 'clients.csv'), CLIENTS_CSV);
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should parse YAML briefs, reading scalars as text', () => {
+    const data = parseYaml(BRIEF_YAML);
+    assert.equal(data.phone, '082 123 4567');
+    assert.equal(data.yearStarted, '2012');
+    assert.deepEqual(data.services, ['Geyser installation', 'Leak detection']);
+    assert.equal(data.address.postalCode, '7530');
+    assert.equal(data.about, 'Family-run plumbers.\nAvailable 24/7.\n');
+    assert.deepEqual(parseYaml('- name: A\n  phone: 0821234567\n- name: B\n'), [{ name: 'A', phone: '0821234567' }, { name: 'B' }]);
+    assert.deepEqual(parseYaml('base: &area Bellville\nareas: [*area, "a: b"]\n').areas, ['Bellville', 'a: b'], 'anchors and quoting');
+    assert.throws(() => parseYaml('companyName: "SA Plumbing\n'), /Invalid YAML/);
+  });
+
+  it('should map a YAML brief to a schema-valid client config', () => {
+    const { config, validation, source } = loadClientData(join(TMP, 'brief.yaml'));
+    assert.equal(source, 'yaml');
+    assert.ok(validation.valid, validation.errors.join('; '));
+    assert.equal(config.companyName, 'SA Plumbing Solutions');
+    assert.equal(config.primaryCity, 'Cape Town');
+    assert.equal(config.whatsapp, '082 123 4567');
+    assert.equal(config.website, 'https://saplumbing.co.za');
+    assert.equal(config.serviceAreas, 'Bellville | Helderberg (Somerset West, Strand)');
+    assert.deepEqual(config.address, { street: '12 Main Road', city: 'Cape Town', postalCode: '7530' });
+    assert.ok(!('logo' in config), 'empty fields are omitted');
+  });
+
+  it('should pick CSV rows by number or company name', () => {
+    const rows = parseCsv(CLIENTS_CSV);
+    assert.equal(rows[2][0], 'Bright "Sparks" Co');
+
+    assert.throws(() => loadClientData(join(TMP, 'clients.csv')), /--row or --company/);
+
+    const byRow = loadClientData(join(TMP, 'clients.csv'), { row: 1 });
+    assert.deepEqual(byRow.config.services, ['Rewiring', 'DB boards']);
+    assert.deepEqual(byRow.config.source, { type: 'csv', file: join(TMP, 'clients.csv'), row: 1 });
+
+    const byName = loadClientData(join(TMP, 'clients.csv'), { company: 'bright "sparks" co' });
+    assert.equal(byName.config.primaryCity, 'Durban');
+    assert.deepEqual(byName.unmapped, ['Notes']);
+  });
+
+  it('should read a Sheets values export and report schema errors', () => {
+    const file = join(TMP, 'sheet.json');
+    writeFileSync(file, JSON.stringify({
+      range: 'Clients!A1:E2',
+      majorDimension: 'ROWS',
+      values: [['Business name', 'Phone number', 'City', 'Niche', 'Email'], ['Cool Air', '0310001111', 'Durban', 'HVAC', 'not-an-email']],
+    }));
+
+    const { source, validation } = loadClientData(file);
+    assert.equal(source, 'sheets');
+    assert.equal(validation.valid, false);
+    assert.deepEqual(validation.missing, []);
+    assert.match(validation.errors[0], /^email:/);
+  });
+});
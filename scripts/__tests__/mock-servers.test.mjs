@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { startMockServers, API_URL_ENV } = await import(join(SCRIPTS_DIR, 'lib/mock-servers.mjs'));
+const { listRecords } = await import(join(SCRIPTS_DIR, 'fetch-airtable.mjs'));
+const { generateMissingImages } = await import(join(SCRIPTS_DIR, 'lib/fal-api.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-mocks');
+
+const CLIENTS_TABLE = 'tblUrtOlK3majSIFi';
+const clients = Array.from({ length: 150 }, (_, i) => ({
+  id: `rec${String(i).padStart(14, '0')}`,
+  fields: { 'Company name': `Client ${i}`, 'Build Status': i % 3 === 0 ? 'Ready' : 'Live' },
+}));
+
+describe('mock-servers.mjs', () => {
+  let mocks;
+
+  before(async () => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+    mocks = await startMockServers({
+      airtable: { [CLIENTS_TABLE]: clients },
+      fal: { sync: true },
+      dataforseo: { result: { title: 'SA Plumbing', rating: { value: 4.8 }, reviews_count: 1, items: [{ type: 'google_reviews_search', review_text: 'Great' }] } },
+    });
+    Object.assign(process.env, mocks.env, { FAL_KEY: 'mock' });
+  });
+
+  after(async () => {
+    await mocks.close();
+    for (const name of [...Object.values(API_URL_ENV), 'FAL_KEY']) delete process.env[name];
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should page and filter Airtable records for fetch-airtable', async () => {
+    const all = await listRecords({}, 'token');
+    assert.equal(all.length, 150);
+    assert.equal(mocks.requests.filter(r => r.service === 'airtable').length, 2, 'followed one offset');
+
+    const ready = await listRecords({ formula: "{Build Status}='Ready'" }, 'token');
+    assert.equal(ready.length, 50);
+
+    await assert.rejects(listRecords({ formula: 'NOT({Build Status})' }, 'token'), /422/);
+  });
+
+  it('should serve FAL generations that fal-api downloads', async () => {
+    const projectPath = join(TMP, 'project');
+    mkdirSync(projectPath, { recursive: true });
+    writeFileSync(join(projectPath, 'IMAGE-PROMPTS.md'), '### home-hero (hero, 1920x823)\n```\nA plumber at work\n```\n');
+
+    const result = await generateMissingImages({ projectPath, contentGenerated: { services: [] } });
+    assert.equal(result.generated, 1);
+    const image = readFileSync(join(projectPath, 'src/assets/images/home-hero/home-hero.jpg'));
+    assert.equal(image.subarray(1, 4).toString(), 'PNG');
+
+    const submit = mocks.requests.find(r => r.service === 'fal' && r.method === 'POST');
+    assert.equal(submit.path, '/fal-ai/nano-banana-pro');
+    assert.deepEqual(submit.body.image_size, { width: 1920, height: 823 });
+  });
+
+  it('should run the DataForSEO task_post/task_get flow', async () => {
+    const headers = { Authorization: 'Basic bW9jazptb2Nr', 'Content-Type': 'application/json' };
+    const base = `${process.env.DATAFORSEO_API_URL}/v3/business_data/google/reviews`;
+
+    const post = await (await fetch(`${base}/task_post`, { method: 'POST', headers, body: JSON.stringify([{ keyword: 'SA Plumbing' }]) })).json();
+    const taskId = post.tasks[0].id;
+    assert.equal(post.status_code, 20000);
+
+    const pending = await (await fetch(`${base}/task_get/${taskId}`, { headers })).json();
+    assert.equal(pending.tasks[0].status_code, 40602);
+
+    const done = await (await fetch(`${base}/task_get/${taskId}`, { headers })).json();
+    assert.equal(done.tasks[0].status_code, 20000);
+    assert.equal(done.tasks[0].result[0].title, 'SA Plumbing');
+  });
+
+  it('should create, update and deploy a Netlify site', async () => {
+    const api = `${process.env.NETLIFY_API_URL}/api/v1`;
+    const headers = { Authorization: 'Bearer mock', 'Content-Type': 'application/json' };
+    const call = async (method, path, body) => {
+      const res = await fetch(`${api}${path}`, { method, headers, body: body && JSON.stringify(body) });
+      return { status: res.status, data: await res.json() };
+    };
+
+    const created = await call('POST', '/localbizonline/sites', { name: 'sa-plumbing' });
+    assert.equal(created.status, 201);
+    assert.equal((await call('POST', '/localbizonline/sites', { name: 'sa-plumbing' })).status, 422);
+
+    const site = await call('GET', '/sites/sa-plumbing.netlify.app');
+    assert.equal(site.data.id, created.data.id);
+    await call('PATCH', `/sites/${site.data.id}`, { build_settings: { repo_url: 'https://github.com/x/sa-plumbing' } });
+    assert.equal((await call('GET', `/sites/${site.data.id}`)).data.build_settings.repo_url, 'https://github.com/x/sa-plumbing');
+
+    const deploy = await call('POST', `/sites/${site.data.id}/deploys`, { files: { '/index.html': 'abc123' } });
+    assert.deepEqual(deploy.data.required, ['abc123']);
+    await fetch(`${api}/deploys/${deploy.data.id}/files/index.html`, { method: 'PUT', headers, body: '<html>' });
+    assert.equal((await call('GET', `/deploys/${deploy.data.id}`)).data.state, 'ready');
+  });
+});
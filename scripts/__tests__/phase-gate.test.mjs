@@ -13,10 +13,14 @@ const {
   startPhase,
   completePhase,
   failPhase,
+  interruptPhase,
   resetPhase,
   resetPhasesFrom,
   checkGate,
   updateMetadata,
+  recordHook,
+  recordPhaseMetrics,
+  totalMetrics,
 } = await import(join(SCRIPTS_DIR, 'lib/phase-gate.mjs'));
 
 const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
@@ -146,6 +150,52 @@ describe('phase-gate.mjs', () => {
     assert.equal(gate.passed, true);
   });
 
+  it('should record hook status alongside phases', () => {
+    initBuildState(TMP, 'test-hooks', 'template');
+    const hookId = 'hook:after:phase-4:analytics';
+    recordHook(TMP, hookId, 'in_progress', { phase: 'phase-4', when: 'after' });
+    recordHook(TMP, hookId, 'failed', { phase: 'phase-4', when: 'after', error: 'exit 1' });
+
+    const { state, valid } = getBuildState(TMP);
+    assert.equal(valid, true);
+    assert.equal(state.hooks[hookId].status, 'failed');
+    assert.equal(state.hooks[hookId].error, 'exit 1');
+    assert.equal(state.phases['phase-4'].status, 'pending');
+  });
+
+  it('should keep timing and usage when a phase completes', () => {
+    initBuildState(TMP, 'test-metrics', 'template');
+    startPhase(TMP, 'phase-4');
+    recordPhaseMetrics(TMP, 'phase-4', { calls: { claude: 1 }, costUsd: 0.1, retries: 1 });
+    completePhase(TMP, 'phase-4', {}, { skipArtifactCheck: true });
+    recordPhaseMetrics(TMP, 'phase-6', { durationMs: 5000, calls: { 'fal-image': 4, claude: 1 }, costUsd: 0.6 });
+
+    const { state } = getBuildState(TMP);
+    const phase4 = state.phases['phase-4'];
+    assert.equal(phase4.status, 'completed');
+    assert.ok(phase4.startedAt);
+    assert.equal(typeof phase4.durationMs, 'number');
+    assert.deepEqual(phase4.calls, { claude: 1 });
+    assert.equal(state.phases['phase-6'].status, 'pending');
+
+    const totals = totalMetrics(state);
+    assert.deepEqual(totals.calls, { claude: 2, 'fal-image': 4 });
+    assert.equal(totals.costUsd, 0.7);
+    assert.equal(totals.retries, 1);
+  });
+
+  it('should mark a running phase as interrupted and pass schema validation', () => {
+    initBuildState(TMP, 'test-interrupt', 'template');
+    startPhase(TMP, 'phase-6');
+    interruptPhase(TMP, 'phase-6', 'Interrupted by SIGINT');
+
+    const result = getBuildState(TMP);
+    assert.ok(result.valid, result.error);
+    assert.equal(result.state.phases['phase-6'].status, 'interrupted');
+    assert.equal(result.state.phases['phase-6'].error, 'Interrupted by SIGINT');
+    assert.ok(!existsSync(join(TMP, 'build-state.json.' + process.pid + '.partial')));
+  });
+
   it('should report error when build-state.json is missing', () => {
     const emptyDir = join(TMP, 'empty');
     mkdirSync(emptyDir, { recursive: true });
@@ -0,0 +1,114 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { loadHooks, attachHooks, runHook, hookStateId } = await import(join(SCRIPTS_DIR, 'lib/phase-hooks.mjs'));
+const { buildPhaseGraph } = await import(join(SCRIPTS_DIR, 'lib/phase-scheduler.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-hooks');
+const NO_USER_FILE = join(TMP, 'no-user-hooks.json');
+
+const PHASES = [
+  { id: 'content', inputs: ['project'], outputs: ['site-config'] },
+  { id: 'theme', inputs: ['site-config'], outputs: ['theme'] },
+  { id: 'deploy', inputs: ['theme'], outputs: [] },
+];
+
+function writeHooks(dir, hooks) {
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, 'build-hooks.json'), JSON.stringify({ hooks }));
+}
+
+describe('phase-hooks.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should load user hooks before project hooks', () => {
+    const projectDir = join(TMP, 'load');
+    writeHooks(projectDir, [{ id: 'analytics', phase: 'content', when: 'after', run: 'true' }]);
+    const userFile = join(TMP, 'user-hooks.json');
+    writeFileSync(userFile, JSON.stringify({ hooks: [{ id: 'notify', phase: 'deploy', when: 'after', module: './notify.mjs', optional: true }] }));
+
+    const hooks = loadHooks({ projectRoot: projectDir, userFile, phaseIds: PHASES.map(p => p.id) });
+    assert.deepEqual(hooks.map(h => [h.id, h.source]), [['notify', 'user'], ['analytics', 'project']]);
+    assert.equal(hooks[0].module, join(TMP, 'notify.mjs'));
+    assert.equal(hooks[0].optional, true);
+    assert.equal(hooks[1].timeout, 120_000);
+  });
+
+  it('should reject hooks for unknown phases', () => {
+    const projectDir = join(TMP, 'unknown');
+    writeHooks(projectDir, [{ id: 'x', phase: 'phase-99', when: 'before', run: 'true' }]);
+    assert.throws(
+      () => loadHooks({ projectRoot: projectDir, userFile: NO_USER_FILE, phaseIds: PHASES.map(p => p.id) }),
+      /unknown phase "phase-99"/
+    );
+  });
+
+  it('should require exactly one of run or module', () => {
+    const projectDir = join(TMP, 'both');
+    writeHooks(projectDir, [{ id: 'x', phase: 'content', when: 'before', run: 'true', module: './x.mjs' }]);
+    assert.throws(() => loadHooks({ projectRoot: projectDir, userFile: NO_USER_FILE }), /exactly one of "run" or "module"/);
+  });
+
+  it('should schedule before-hooks ahead of their phase and after-hooks ahead of dependents', () => {
+    const hooks = [
+      { id: 'lint', phase: 'theme', when: 'before', inputs: [], outputs: [] },
+      { id: 'analytics', phase: 'content', when: 'after', inputs: [], outputs: [] },
+    ];
+    const nodes = attachHooks(PHASES, hooks);
+    const graph = buildPhaseGraph(nodes);
+    const before = hookStateId(hooks[0]);
+    const afterHook = hookStateId(hooks[1]);
+
+    assert.deepEqual(nodes.map(n => n.id), ['content', afterHook, before, 'theme', 'deploy']);
+    assert.ok(graph.get(afterHook).includes('content'));
+    assert.ok(graph.get(before).includes(afterHook), 'before-hook reads what the after-hook rewrote');
+    assert.ok(graph.get('theme').includes(before));
+  });
+
+  it('should order an after-hook on a phase with no outputs', () => {
+    const hook = { id: 'notify', phase: 'deploy', when: 'after', inputs: [], outputs: [] };
+    const graph = buildPhaseGraph(attachHooks(PHASES, [hook]));
+    assert.deepEqual(graph.get(hookStateId(hook)), ['deploy']);
+  });
+
+  it('should run module hooks with the build context', async () => {
+    const projectDir = join(TMP, 'module');
+    mkdirSync(projectDir, { recursive: true });
+    writeFileSync(join(projectDir, 'hook.mjs'), `
+      import { writeFileSync } from 'node:fs';
+      import { join } from 'node:path';
+      export default async ({ projectPath, phase, hook, companyName }) => {
+        writeFileSync(join(projectPath, 'out.txt'), [phase, hook, companyName].join(','));
+      };
+    `);
+    writeHooks(projectDir, [{ id: 'stamp', phase: 'content', when: 'after', module: './hook.mjs' }]);
+
+    const [hook] = loadHooks({ projectRoot: projectDir, userFile: NO_USER_FILE });
+    await runHook(hook, { projectPath: projectDir, companyName: 'Acme' });
+    assert.equal(readFileSync(join(projectDir, 'out.txt'), 'utf-8'), 'content,stamp,Acme');
+  });
+
+  it('should time out slow module hooks', async () => {
+    const projectDir = join(TMP, 'slow');
+    mkdirSync(projectDir, { recursive: true });
+    writeFileSync(join(projectDir, 'slow.mjs'), 'export default () => new Promise(() => {});');
+    writeHooks(projectDir, [{ id: 'slow', phase: 'content', when: 'before', module: './slow.mjs', timeout: 0.05 }]);
+
+    const [hook] = loadHooks({ projectRoot: projectDir, userFile: NO_USER_FILE });
+    await assert.rejects(runHook(hook, { projectPath: projectDir }), /timed out/);
+  });
+});
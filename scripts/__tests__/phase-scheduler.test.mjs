@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { buildPhaseGraph, planPhaseWaves, runPhaseGraph } = await import(join(SCRIPTS_DIR, 'lib/phase-scheduler.mjs'));
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('phase-scheduler.mjs', () => {
+  it('should derive dependencies from inputs and outputs', () => {
+    const graph = buildPhaseGraph([
+      { id: 'fetch', inputs: [], outputs: ['config'] },
+      { id: 'reviews', inputs: ['config'], outputs: ['reviews'] },
+      { id: 'design', inputs: ['config'], outputs: ['tokens'] },
+      { id: 'clone', inputs: ['reviews', 'tokens'], outputs: ['project'] },
+    ]);
+
+    assert.deepEqual(graph.get('fetch'), []);
+    assert.deepEqual(graph.get('reviews'), ['fetch']);
+    assert.deepEqual(graph.get('design'), ['fetch']);
+    assert.deepEqual(graph.get('clone'), ['reviews', 'design']);
+  });
+
+  it('should order a writer after earlier readers of the same artifact', () => {
+    const graph = buildPhaseGraph([
+      { id: 'build', inputs: ['images'], outputs: ['dist'] },
+      { id: 'generate', inputs: [], outputs: ['images'] },
+    ]);
+    assert.deepEqual(graph.get('generate'), ['build']);
+  });
+
+  it('should reject duplicate phase ids', () => {
+    assert.throws(() => buildPhaseGraph([{ id: 'a' }, { id: 'a' }]), /Duplicate phase id: a/);
+  });
+
+  it('should group independent phases into the same wave', () => {
+    const waves = planPhaseWaves([
+      { id: 'fetch', outputs: ['config'] },
+      { id: 'reviews', inputs: ['config'], outputs: ['reviews'] },
+      { id: 'design', inputs: ['config'], outputs: ['tokens'] },
+      { id: 'clone', inputs: ['reviews', 'tokens'], outputs: ['project'] },
+    ]);
+    assert.deepEqual(waves, [['fetch'], ['reviews', 'design'], ['clone']]);
+  });
+
+  it('should run independent phases concurrently and respect dependencies', async () => {
+    const events = [];
+    const phase = (id, inputs, outputs, ms) => ({
+      id, inputs, outputs,
+      fn: async () => {
+        events.push(`start:${id}`);
+        await sleep(ms);
+        events.push(`end:${id}`);
+      },
+    });
+
+    const { completed } = await runPhaseGraph([
+      phase('fetch', [], ['config'], 5),
+      phase('reviews', ['config'], ['reviews'], 30),
+      phase('design', ['config'], ['tokens'], 10),
+      phase('clone', ['reviews', 'tokens'], ['project'], 5),
+    ]);
+
+    // reviews and design both start before either finishes
+    assert.ok(events.indexOf('start:design') < events.indexOf('end:reviews'));
+    assert.ok(events.indexOf('start:reviews') < events.indexOf('end:design'));
+    // clone waits for both
+    assert.ok(events.indexOf('start:clone') > events.indexOf('end:reviews'));
+    assert.deepEqual(completed, ['fetch', 'design', 'reviews', 'clone']);
+  });
+
+  it('should run strictly in order with concurrency 1', async () => {
+    const order = [];
+    await runPhaseGraph(
+      ['a', 'b', 'c'].map(id => ({ id, fn: async () => { order.push(id); await sleep(1); } })),
+      { concurrency: 1 }
+    );
+    assert.deepEqual(order, ['a', 'b', 'c']);
+  });
+
+  it('should treat skipped phases as satisfied', async () => {
+    const ran = [];
+    await runPhaseGraph([
+      { id: 'fetch', outputs: ['config'], fn: () => ran.push('fetch') },
+      { id: 'design', inputs: ['config'], outputs: ['tokens'], fn: () => ran.push('design') },
+    ], { skip: ['fetch'] });
+    assert.deepEqual(ran, ['design']);
+  });
+
+  it('should stop scheduling after a failure and report the failed phase', async () => {
+    const ran = [];
+    const failed = [];
+    await assert.rejects(
+      runPhaseGraph([
+        { id: 'fetch', outputs: ['config'], fn: async () => { throw new Error('Airtable down'); } },
+        { id: 'design', inputs: ['config'], fn: () => ran.push('design') },
+      ], { onFail: (phase) => failed.push(phase.id) }),
+      (err) => err.message === 'Airtable down' && err.phase.id === 'fetch'
+    );
+    assert.deepEqual(ran, []);
+    assert.deepEqual(failed, ['fetch']);
+  });
+});
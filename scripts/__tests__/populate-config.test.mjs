@@ -123,6 +123,40 @@ describe('populate-config.mjs', () => {
     assert.equal(provenance.fields.name.source, 'airtable', 'Name source should be airtable');
   });
 
+  it('should write social links and Airtable trading hours', () => {
+    const withProfile = {
+      ...clientData,
+      facebook: 'facebook.com/testplumbing',
+      instagram: '@testplumbing',
+      hoursMonday: '08:00-17:00',
+      hoursTuesday: '08:00-17:00',
+      hoursWednesday: '08:00-17:00',
+      hoursThursday: '08:00-17:00',
+      hoursFriday: '8am - 4pm',
+      hoursSaturday: 'Closed',
+      hoursSunday: 'Closed',
+      publicHolidayHours: 'Closed',
+    };
+    writeFileSync(join(TMP, 'client-config.json'), JSON.stringify(withProfile, null, 2), 'utf-8');
+    runPopulateConfig();
+    const config = readFileSync(join(TMP, 'src/site.config.ts'), 'utf-8');
+
+    assert.match(config, /social: \{\n    facebook: "https:\/\/facebook\.com\/testplumbing",\n    instagram: "https:\/\/www\.instagram\.com\/testplumbing"/);
+    assert.match(config, /Friday: \{\n        opens: "08:00",\n        closes: "16:00"/);
+    assert.match(config, /Saturday: null/);
+    assert.match(config, /publicHolidays: null/);
+    const provenance = JSON.parse(readFileSync(join(TMP, 'src/config-provenance.json'), 'utf-8'));
+    assert.equal(provenance.fields.tradingHours.source, 'airtable');
+  });
+
+  it('should publish no trading hours without them in the client data', () => {
+    writeFileSync(join(TMP, 'client-config.json'), JSON.stringify(clientData, null, 2), 'utf-8');
+    runPopulateConfig();
+    const config = readFileSync(join(TMP, 'src/site.config.ts'), 'utf-8');
+    assert.match(config, /^  tradingHours: null,$/m, 'hours from an earlier run are cleared, template hours never used');
+    assert.ok(!config.includes('"07:30"'));
+  });
+
   it('should create client-mapped.json', () => {
     assert.ok(existsSync(join(TMP, 'client-mapped.json')), 'Mapped data file should exist');
     const mapped = JSON.parse(readFileSync(join(TMP, 'client-mapped.json'), 'utf-8'));
@@ -0,0 +1,68 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync, existsSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { spawnSync } from 'node:child_process';
+import { hostname } from 'node:os';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { acquireLock, releaseLock, readLock, isLockStale, LOCK_FILE, STALE_AFTER_MS } = await import(join(SCRIPTS_DIR, 'lib/project-lock.mjs'));
+
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-lock');
+
+const writeLock = (lock) => writeFileSync(join(TMP, LOCK_FILE), JSON.stringify(lock));
+
+describe('project-lock.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    rmSync(join(TMP, LOCK_FILE), { force: true });
+    delete process.env.BUILD_LOCK_PID;
+  });
+
+  it('should write the owner to the lock file and remove it on release', () => {
+    acquireLock(TMP, 'sync');
+    const lock = readLock(TMP);
+    assert.equal(lock.pid, process.pid);
+    assert.equal(lock.command, 'sync');
+    assert.doesNotThrow(() => acquireLock(TMP, 'sync'), 're-acquiring an own lock is allowed');
+
+    releaseLock(TMP);
+    assert.ok(!existsSync(join(TMP, LOCK_FILE)));
+  });
+
+  it('should refuse a lock held by another live process', () => {
+    writeLock({ pid: process.ppid, host: hostname(), command: 'refresh-reviews', startedAt: new Date().toISOString() });
+    assert.throws(
+      () => acquireLock(TMP, 'sync'),
+      (err) => err.code === 'ELOCKED' && err.lock.command === 'refresh-reviews' && /refresh-reviews/.test(err.message)
+    );
+  });
+
+  it('should replace a lock whose process has exited', () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    writeLock({ pid: deadPid, host: hostname(), command: 'build-runner', startedAt: new Date().toISOString() });
+
+    acquireLock(TMP, 'template-upgrade');
+    assert.equal(readLock(TMP).command, 'template-upgrade');
+    releaseLock(TMP);
+  });
+
+  it('should treat locks from another host as stale only after the timeout', () => {
+    const now = Date.now();
+    const lock = { pid: 1, host: 'other-machine', command: 'sync', startedAt: new Date(now).toISOString() };
+    assert.equal(isLockStale(lock, now + 60_000), false);
+    assert.equal(isLockStale(lock, now + STALE_AFTER_MS + 1), true);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-review-curation');
+
+const {
+  tagReviews, scoreReview, curateReviews, configItems, contentReviews, curateProjectReviews, loadCurationContext, CURATED_REVIEWS_FILE,
+} = await import(join(SCRIPTS_DIR, 'lib/review-curation.mjs'));
+
+const SERVICES = [
+  { slug: 'building-construction', title: 'Building & Construction in Durban, Umhlanga & Hillcrest', whatWeCover: [{ title: 'New Builds' }, { title: 'Retaining Walls' }, { title: 'Roofing & Painting' }] },
+  { slug: 'nutec-wendy-houses', title: 'Nutec & Wendy Houses in Durban, Pinetown & Ballito', whatWeCover: [{ title: 'Nutec Houses' }, { title: 'Wendy & Wood Houses' }] },
+  { slug: 'paving-landscaping', title: 'Paving & Landscaping in Durban', whatWeCover: [{ title: 'Driveway Paving' }, { title: 'Garden Landscaping' }] },
+];
+const LOCATIONS = [
+  { slug: 'builders-durban-north', city: 'Durban North (Umhlanga – Ballito)', cityGroup: 'Durban North (Umhlanga – Ballito)', suburbs: 'Umhlanga, Ballito, La Lucia' },
+  { slug: 'builders-south-coast', city: 'South Coast – KZN', cityGroup: 'South Coast – KZN', suburbs: 'Amanzimtoti, Scottburgh' },
+];
+
+const review = (reviewerName, text, extra = {}) => ({ reviewerName, text, rating: 5, date: '2026-08-01', platform: 'google', ...extra });
+
+describe('review-curation.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(join(TMP, 'src/content/locations'), { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should tag reviews with the service and area they mention', () => {
+    const tags = tagReviews([
+      review('Ann', 'They built a two-bedroom nutec house in our garden in Amanzimtoti within three weeks.'),
+      review('Ben', 'New driveway paving looks fantastic, the team in La Lucia were tidy and quick.'),
+      review('Cas', 'Friendly people and fair prices, would use again for anything.'),
+      review('Dee', 'Great paving and a great retaining wall too.'),
+    ], { services: SERVICES, locations: LOCATIONS });
+
+    assert.deepEqual(tags[0], { service: 'nutec-wendy-houses', serviceTitle: 'Nutec & Wendy Houses', location: 'builders-south-coast', place: 'South Coast – KZN' });
+    assert.deepEqual([tags[1].service, tags[1].location], ['paving-landscaping', 'builders-durban-north']);
+    assert.deepEqual(tags[2], { service: null, serviceTitle: null, location: null, place: null });
+    assert.equal(tags[3].service, null, 'two services mentioned equally — left untagged');
+  });
+
+  it('should score length, recency and specificity', () => {
+    const now = new Date('2026-10-01');
+    const specific = review('Ann', 'They built a two-bedroom nutec house in our garden in Amanzimtoti within three weeks, on budget.');
+    const vague = review('Ben', 'Very happy with the service, thank you!', { date: '2021-01-01' });
+    const a = scoreReview(specific, { service: 'nutec-wendy-houses', location: 'builders-south-coast' }, { now });
+    const b = scoreReview(vague, { service: null, location: null }, { now });
+    assert.equal(b.recency, 0, 'over four years old');
+    assert.ok(a.score > b.score);
+    assert.ok(scoreReview({ ...specific, rating: 4 }, { service: 'x', location: 'y' }, { now }).score < a.score, 'a 4-star review ranks below the same 5-star one');
+  });
+
+  it('should feature at most two reviews per service and fill the rest by score', () => {
+    const names = ['Ann', 'Ben', 'Cas', 'Dee', 'Eve', 'Fay'];
+    const reviews = [
+      ...names.map(name => review(name, `Our new nutec house went up quickly and the finish is excellent — thank you ${name}.`)),
+      review('Gus', 'Friendly people and fair prices, would use them again.'),
+      review('Hal', 'Too short'),
+      review('Ivy', 'Terrible experience, would not recommend to anyone at all.', { rating: 2 }),
+    ];
+    const { curated, featured } = curateReviews(reviews, { services: SERVICES });
+    assert.equal(curated.length, 7, 'short and low-rated reviews are left out');
+    assert.equal(curated.at(-1).reviewerName, 'Gus', 'a review naming no service ranks last');
+    assert.equal(featured.length, 6);
+    assert.ok(featured.some(r => r.reviewerName === 'Gus'), 'variety over a sixth review of the same service');
+
+    const items = configItems(featured.map(r => ({ quote: r.text, author: r.reviewerName, rating: r.rating, platform: r.platform, date: r.date, service: r.serviceTitle })));
+    assert.equal(items[0].service, 'Nutec & Wendy Houses');
+    assert.equal(items.find(i => i.name === 'Gus').service, undefined);
+  });
+
+  it('should re-tag a project once its services and location pages exist', () => {
+    const reviewsJson = {
+      testimonials: [],
+      curated: [review('Ann', 'They built a two-bedroom nutec house in our garden in Amanzimtoti within three weeks.')],
+    };
+    writeFileSync(join(TMP, 'reviews.json'), JSON.stringify(reviewsJson));
+    curateProjectReviews(TMP);
+    assert.equal(JSON.parse(readFileSync(join(TMP, CURATED_REVIEWS_FILE), 'utf-8'))[0].serviceSlug, undefined, 'nothing to tag against yet');
+
+    writeFileSync(join(TMP, 'content-generated.json'), JSON.stringify({ services: SERVICES }));
+    writeFileSync(join(TMP, 'src/content/locations/south-coast.json'), JSON.stringify(LOCATIONS[1]));
+    assert.equal(loadCurationContext(TMP).locations.length, 1);
+
+    const { testimonials } = curateProjectReviews(TMP);
+    assert.equal(testimonials[0].serviceSlug, 'nutec-wendy-houses');
+    const [content] = JSON.parse(readFileSync(join(TMP, CURATED_REVIEWS_FILE), 'utf-8'));
+    assert.deepEqual(
+      [content.service, content.serviceSlug, content.locationSlug, content.place],
+      ['Nutec & Wendy Houses', 'nutec-wendy-houses', 'builders-south-coast', 'South Coast – KZN'],
+    );
+    assert.equal(content.date, '2026-08-01');
+
+    // After site.config.ts reviews.items is written, only the tags move
+    const before = JSON.parse(readFileSync(join(TMP, 'reviews.json'), 'utf-8')).testimonials;
+    writeFileSync(join(TMP, 'reviews.json'), JSON.stringify({ ...reviewsJson, testimonials: [{ ...before[0], author: 'Ann (featured)' }] }));
+    const kept = curateProjectReviews(TMP, { keepFeatured: true });
+    assert.equal(kept.testimonials[0].author, 'Ann (featured)');
+    assert.equal(kept.curated[0].location, 'builders-south-coast');
+    assert.equal('date' in contentReviews([review('Ann', 'Lovely work', { date: '2 years ago' })])[0], false, 'no made-up date');
+  });
+
+  it('should keep the reviews of a reviews.json written before curation', () => {
+    const legacy = {
+      testimonials: [{ quote: 'Our new driveway paving looks fantastic and the team were tidy.', author: 'Ben', rating: 5, platform: 'google', date: '2024-03-16' }],
+      allReviews: [],
+    };
+    writeFileSync(join(TMP, 'reviews.json'), JSON.stringify(legacy));
+    const { testimonials } = curateProjectReviews(TMP);
+    assert.deepEqual([testimonials[0].author, testimonials[0].serviceSlug], ['Ben', 'paving-landscaping']);
+    assert.equal(JSON.parse(readFileSync(join(TMP, 'reviews.json'), 'utf-8')).curated.length, 1);
+
+    writeFileSync(join(TMP, 'reviews.json'), JSON.stringify({ ...legacy, allReviews: [review('Ann', 'They built a two-bedroom nutec house in our garden in Amanzimtoti.')] }));
+    assert.equal(curateProjectReviews(TMP).testimonials[0].author, 'Ann', 'allReviews preferred over the old testimonials');
+  });
+});
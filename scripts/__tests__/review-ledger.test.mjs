@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-review-ledger');
+
+const {
+  emptyReviewLedger, mergeIntoLedger, summarizeLedgerChanges, ledgerResults, reviewKey, reviewDay, REVIEW_LEDGER_FILE,
+} = await import(join(SCRIPTS_DIR, 'lib/review-ledger.mjs'));
+
+const review = (id, date, extra = {}) => ({
+  id, text: `Review ${id} — great work`, rating: 5, reviewerName: `Customer ${id}`, date, platform: 'google', ...extra,
+});
+const google = (reviews, totalReviews = 40) => ({ id: 'google', data: { business: { rating: 4.8, totalReviews }, reviews } });
+
+describe('review-ledger.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should key reviews by platform ID, else by reviewer and day', () => {
+    assert.equal(reviewKey('google', { id: 'abc' }), 'google:abc');
+    assert.equal(
+      reviewKey('hellopeter', { reviewerName: 'Thandi  M', date: '2024-05-02 10:11:12 +00:00' }),
+      reviewKey('hellopeter', { reviewerName: 'thandi m', date: '2024-05-02' }),
+    );
+    assert.equal(reviewDay('12 March 2024'), '2024-03-12');
+    assert.equal(reviewDay('2y'), '');
+    assert.notEqual(
+      reviewKey('facebook', { reviewerName: 'Jo', date: '2y', text: 'One' }),
+      reviewKey('facebook', { reviewerName: 'Jo', date: '2y', text: 'Two' }),
+      'no absolute date — the text tells them apart',
+    );
+  });
+
+  it('should keep reviews that scroll out of the fetch window and track edits, responses and deletions', () => {
+    const ledger = emptyReviewLedger();
+    const first = mergeIntoLedger(ledger, [google([review('a', '2024-05-01'), review('b', '2024-04-01'), review('c', '2024-03-01'), review('e', '2024-02-01')])], { now: new Date('2024-06-01') });
+    assert.equal(first.added.length, 4);
+
+    // a edited and answered, b deleted (newer than the oldest fetched), e scrolled out
+    const second = mergeIntoLedger(ledger, [google([
+      review('d', '2024-06-10'),
+      review('a', '2024-05-01', { rating: 4, ownerResponse: 'Thank you!' }),
+      review('c', '2024-03-01'),
+    ])], { now: new Date('2024-07-01') });
+    assert.deepEqual(second, { added: ['google:d'], edited: ['google:a'], responded: ['google:a'], deleted: ['google:b'], restored: [] });
+    assert.equal(summarizeLedgerChanges(second), '1 new, 1 edited, 1 responded, 1 deleted');
+
+    const a = ledger.reviews['google:a'];
+    assert.deepEqual([a.rating, a.firstSeen, a.lastSeen, a.ownerResponse], [4, '2024-06-01', '2024-07-01', 'Thank you!']);
+    assert.deepEqual(a.history.map(h => h.event), ['edited', 'response']);
+    assert.equal(a.history[0].previous.rating, 5);
+    assert.equal(ledger.reviews['google:b'].deletedAt, '2024-07-01');
+    assert.equal(ledger.reviews['google:e'].deletedAt, null, 'older than the window — kept');
+
+    // A failed fetch changes nothing; b coming back is restored
+    assert.equal(summarizeLedgerChanges(mergeIntoLedger(ledger, [{ id: 'google', data: null }])), 'no changes');
+    const third = mergeIntoLedger(ledger, [google([
+      review('d', '2024-06-10'),
+      review('a', '2024-05-01', { rating: 4, ownerResponse: 'Thank you!' }),
+      review('b', '2024-04-01'),
+    ])], { now: new Date('2024-08-01') });
+    assert.equal(summarizeLedgerChanges(third), '1 restored');
+
+    const [{ data }] = ledgerResults(ledger, ['google']);
+    assert.deepEqual(data.reviews.map(r => r.reviewerName), ['Customer d', 'Customer a', 'Customer b', 'Customer c', 'Customer e'], 'newest first');
+    assert.equal(data.business.rating, 4.8);
+  });
+
+  it('should treat a source that returned everything as covering every review', () => {
+    const ledger = emptyReviewLedger();
+    mergeIntoLedger(ledger, [google([review('a', ''), review('b', '')], 2)]);
+    const changes = mergeIntoLedger(ledger, [google([review('a', '')], 1)]);
+    assert.deepEqual(changes.deleted, ['google:b'], 'undated, but the source sent all its reviews');
+  });
+
+  it('should merge fetch-reviews runs into the ledger instead of replacing it', async () => {
+    const run = async (rows) => {
+      writeFileSync(join(TMP, 'reviews-import.json'), JSON.stringify(rows));
+      return promisify(execFile)(process.execPath, [join(SCRIPTS_DIR, 'fetch-reviews.mjs'), '--project', TMP, '--sources', 'import']);
+    };
+    writeFileSync(join(TMP, 'client-config.json'), JSON.stringify({ companyName: 'SA Plumbing' }));
+    const lerato = { name: 'Lerato', rating: 5, review: 'Professional, on time and fairly priced.', date: '2024-02-01' };
+    const ben = { name: 'Ben', rating: 4, review: 'Good job on the geyser, would use again.', date: '2024-03-01' };
+
+    await run([lerato, ben]);
+    const { stdout } = await run([{ ...ben, review: 'Good job on the geyser, will use again!' }]);
+    assert.match(stdout, /Review ledger: 1 edited, 1 deleted \(2 reviews on record, 0 cross-posted\)/);
+
+    const ledger = JSON.parse(readFileSync(join(TMP, REVIEW_LEDGER_FILE), 'utf-8'));
+    const entries = Object.values(ledger.reviews);
+    assert.deepEqual(entries.map(e => [e.reviewerName, Boolean(e.deletedAt)]), [['Lerato', true], ['Ben', false]]);
+
+    const json = JSON.parse(readFileSync(join(TMP, 'reviews.json'), 'utf-8'));
+    assert.deepEqual(json.allReviews.map(r => r.text), ['Good job on the geyser, will use again!']);
+  });
+});
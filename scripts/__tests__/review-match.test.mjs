@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const {
+  matchReviews, deduplicateReviews, nameSimilarity, textSimilarity,
+} = await import(join(SCRIPTS_DIR, 'lib/review-match.mjs'));
+
+const GEYSER = 'Replaced our geyser the same day and left the roof space spotless. Highly recommended.';
+
+describe('review-match.mjs', () => {
+  it('should compare names by first name and surname or initial', () => {
+    assert.equal(nameSimilarity('John S.', 'John Smith'), 0.85);
+    assert.equal(nameSimilarity('John', 'John Smith'), 0.7);
+    assert.equal(nameSimilarity('John Smith', 'John Dube'), 0);
+    assert.equal(nameSimilarity('Customer', 'John Smith'), null, 'generic names are unknown');
+    assert.equal(textSimilarity('Great service!', 'Great service!'), null, 'too short to tell apart');
+    assert.ok(textSimilarity(GEYSER, GEYSER.slice(0, 60)) > 0.8, 'a truncated copy still matches');
+  });
+
+  it('should score cross-posts with a confidence and keep apart people who share a first name', () => {
+    const google = { text: GEYSER, reviewerName: 'John Smith', rating: 5, date: '2024-05-02 10:11:12 +00:00' };
+    const facebook = { text: `${GEYSER} Thanks John!`, reviewerName: 'John S.', rating: 5, date: '3 May 2024' };
+    const crossPost = matchReviews(google, facebook);
+    assert.equal(crossPost.duplicate, true);
+    assert.ok(crossPost.confidence >= 0.9, `confidence ${crossPost.confidence}`);
+
+    const namesake = { text: 'Fixed a leaking tap and a blocked drain, friendly and fairly priced.', reviewerName: 'John', rating: 5, date: '2024-05-02' };
+    assert.equal(matchReviews(google, namesake).duplicate, false);
+    assert.equal(matchReviews({ ...google, reviewerName: 'Customer' }, { ...facebook, reviewerName: 'Anonymous' }).duplicate, true, 'generic names fall back to the text');
+  });
+
+  it('should keep the earliest source and link every platform the review is on', () => {
+    const kept = deduplicateReviews([
+      { source: 'localpros', platform: 'localpros', text: GEYSER, reviewerName: 'John Smith', rating: 5, date: '2024-05-01' },
+      { source: 'localpros', platform: 'localpros', text: GEYSER, reviewerName: 'John Smith', rating: 5, date: '2024-05-01' },
+      { source: 'google', platform: 'google', url: 'https://maps.example/r/1', text: GEYSER, reviewerName: 'John S.', rating: 5, date: '2024-05-02' },
+      { source: 'facebook', platform: 'facebook', text: 'Great service!', reviewerName: 'John Smith', rating: 5, date: '2y' },
+    ]);
+    assert.equal(kept.length, 3, 'same-source reviews and short texts are never merged');
+    assert.deepEqual(kept[0].foundOn.map(f => [f.platform, f.url, f.confidence]), [['localpros', null, 1], ['google', 'https://maps.example/r/1', kept[0].foundOn[1].confidence]]);
+    assert.ok(kept[0].foundOn[1].confidence >= 0.75);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { reviewSchemaProblems, jsonLdNodes, visibleText } = await import(join(SCRIPTS_DIR, 'lib/review-schema.mjs'));
+const { runStaticQA } = await import(join(SCRIPTS_DIR, 'lib/qa.mjs'));
+
+const TMP = join(resolve(SCRIPTS_DIR, '..'), '.test-tmp-review-schema');
+
+const ANN = 'They built a two-bedroom nutec house in our garden in Amanzimtoti within three weeks — on budget & tidy.';
+const BEN = 'New driveway paving looks fantastic, the team were quick and cleaned up after themselves.';
+
+const review = (name, text, rating = 5) => ({
+  '@type': 'Review',
+  author: { '@type': 'Person', name },
+  reviewRating: { '@type': 'Rating', ratingValue: String(rating), bestRating: '5' },
+  reviewBody: text,
+});
+
+const service = (reviews, rating) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Service',
+  name: 'Nutec & Wendy Houses',
+  ...(reviews.length ? { review: reviews } : {}),
+  ...(rating ? { aggregateRating: { '@type': 'AggregateRating', bestRating: '5', ...rating } } : {}),
+});
+
+const page = (nodes, body) => `<html><head>${nodes.map(n => `<script type="application/ld+json">${JSON.stringify(n)}</script>`).join('')}</head>`
+  + `<body><blockquote>"${body.replace(/&/g, '&amp;')}"</blockquote></body></html>`;
+
+describe('review-schema.mjs', () => {
+  after(() => rmSync(TMP, { recursive: true, force: true }));
+
+  it('should find nodes in @graph and nested values, and strip markup from the visible text', () => {
+    const html = page([{ '@graph': [service([review('Ann', ANN)])] }], ANN);
+    assert.deepEqual(jsonLdNodes(html).nodes.map(n => n['@type']), ['Service', 'Review', 'Person', 'Rating']);
+    assert.ok(visibleText(html).includes('on budget tidy'));
+    assert.ok(!visibleText(html).includes('reviewbody'), 'JSON-LD is not visible text');
+  });
+
+  it('should pass a service rating built from the reviews shown on the page', () => {
+    const html = page([service([review('Ann', ANN), review('Ben', BEN, 4)], { ratingValue: '4.5', reviewCount: '2' })], `${ANN} ${BEN}`);
+    assert.deepEqual(reviewSchemaProblems(html), []);
+  });
+
+  it('should refuse reviews and ratings the page does not show', () => {
+    const hidden = page([service([review('Ann', ANN), review('Ben', BEN)], { ratingValue: '5', reviewCount: '2' })], ANN);
+    assert.deepEqual(reviewSchemaProblems(hidden), ['Review by Ben is not visible on the page']);
+
+    const bare = page([service([], { ratingValue: '4.9', reviewCount: '127' })], ANN);
+    assert.deepEqual(reviewSchemaProblems(bare), ['Nutec & Wendy Houses: aggregateRating without Review objects']);
+
+    const inflated = page([service([review('Ann', ANN, 4)], { ratingValue: '4.9', reviewCount: '127' })], ANN);
+    assert.deepEqual(reviewSchemaProblems(inflated), [
+      'Nutec & Wendy Houses: aggregateRating counts 127 reviews, page marks up 1',
+      "Nutec & Wendy Houses: aggregateRating 4.9 doesn't match its reviews' average 4",
+    ]);
+  });
+
+  it('should leave the site-wide business rating to the fake-schema check', () => {
+    const business = { '@type': 'ProfessionalService', name: 'Plan Elite', aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.9', reviewCount: '127' } };
+    assert.deepEqual(reviewSchemaProblems(page([business], 'Welcome')), []);
+    assert.deepEqual(reviewSchemaProblems('<script type="application/ld+json">{oops</script>'), ['1 JSON-LD block(s) failed to parse']);
+  });
+
+  it('should fail the post-build QA on unbacked markup, before any deploy', () => {
+    const dist = join(TMP, 'dist/services/nutec');
+    mkdirSync(dist, { recursive: true });
+    writeFileSync(join(TMP, 'reviews.json'), '{}');
+    const html = page([service([review('Ann', ANN), review('Ben', BEN)], { ratingValue: '5', reviewCount: '2' })], ANN)
+      .replace('<head>', '<head><title>Nutec</title><meta name="description" content="Nutec">');
+    writeFileSync(join(dist, 'index.html'), html);
+
+    const qa = runStaticQA(TMP);
+    assert.equal(qa.passed, false);
+    assert.deepEqual(qa.errors, [`${join('services/nutec', 'index.html')}: Review by Ben is not visible on the page`]);
+  });
+});
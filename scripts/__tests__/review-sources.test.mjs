@@ -0,0 +1,173 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-review-sources');
+
+const {
+  buildReviewsJson, buildReviewsMd, getReviewSource, listReviewSources, registerReviewSource,
+} = await import(join(SCRIPTS_DIR, 'lib/review-sources.mjs'));
+const { openUsageLedger, summarizeUsage } = await import(join(SCRIPTS_DIR, 'lib/build-usage.mjs'));
+
+const TRUSTPILOT_URL = 'https://www.trustpilot.com/review/saplumbing.co.za';
+
+const TRUSTPILOT_PAGE = `<html><head>
+<script type="application/ld+json">${JSON.stringify({
+  '@context': 'https://schema.org',
+  '@graph': [
+    { '@type': 'LocalBusiness', name: 'SA Plumbing', aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.6', reviewCount: '38' } },
+    { '@type': 'Review', author: { '@type': 'Person', name: 'Thandi M' }, reviewBody: 'Fixed our geyser the same afternoon, very tidy work.', reviewRating: { ratingValue: '5' }, headline: 'Quick and tidy', datePublished: '2024-05-02' },
+  ],
+})}</script></head><body></body></html>`;
+
+const FACEBOOK_MD = `# SA Plumbing — Reviews
+
+Rating · 4.9 (12 Reviews)
+
+**Pieter Botha** recommends **SA Plumbing**.
+
+3 March 2024 ·
+
+Sorted out a burst pipe on a Sunday without charging a fortune.
+
+**Jo Smith** doesn't recommend **SA Plumbing**.
+
+2y
+
+Arrived late.
+`;
+
+describe('review-sources.mjs', () => {
+  let server;
+  let baseUrl;
+  let trustpilotHits = 0;
+  const envBefore = { ...process.env };
+
+  before(async () => {
+    rmSync(TMP, { recursive: true, force: true });
+    mkdirSync(TMP, { recursive: true });
+    server = createServer((req, res) => {
+      if (req.url === '/review/saplumbing.co.za') {
+        trustpilotHits++;
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(TRUSTPILOT_PAGE);
+        return;
+      }
+      if (req.url === '/v1/scrape') {
+        let body = '';
+        req.on('data', c => { body += c; });
+        req.on('end', () => {
+          const { url } = JSON.parse(body);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(url === 'https://www.facebook.com/saplumbing/reviews'
+            ? { success: true, data: { markdown: FACEBOOK_MD } }
+            : { success: false, error: `unexpected ${url}` }));
+        });
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.FIRECRAWL_API_URL = baseUrl;
+    process.env.FIRECRAWL_API_KEY = 'test-key';
+    process.env.TRUSTPILOT_API_URL = baseUrl;
+  });
+
+  after(async () => {
+    process.env = envBefore;
+    await new Promise(r => server.close(r));
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should key ratings, counts and links by source and prefer earlier sources when de-duplicating', () => {
+    const results = [
+      { id: 'localpros', data: { business: { rating: 5, totalReviews: 2 }, reviews: [{ text: 'Brilliant service from start to finish, would recommend', rating: 5, reviewerName: 'Sam Naidoo', platform: 'localpros' }] } },
+      { id: 'google', data: { url: 'https://maps.example/p', business: { rating: 4, totalReviews: 8 }, reviews: [{ text: 'Brilliant service from start to finish — would recommend!', rating: 5, reviewerName: 'Sam N.' }] } },
+      { id: 'hellopeter', data: null },
+      { id: 'yelp', data: { business: { rating: 3, totalReviews: 10 }, reviews: [] } },
+    ];
+    const json = buildReviewsJson(results, 'SA Plumbing');
+    assert.deepEqual(json.aggregateRating, { localpros: 5, google: 4, hellopeter: null, yelp: 3, combined: 3.6 });
+    assert.deepEqual(json.reviewCounts, { localpros: 2, google: 8, hellopeter: 0, yelp: 10, total: 20 });
+    assert.deepEqual(json.links, { localpros: null, google: 'https://maps.example/p', hellopeter: null, yelp: null });
+    assert.deepEqual(json.allReviews.map(r => r.platform), ['localpros'], 'first source wins');
+    assert.deepEqual(json.allReviews[0].foundOn.map(f => [f.platform, f.url]), [['localpros', null], ['google', 'https://maps.example/p']]);
+    assert.equal(json.crossPosted, 1);
+  });
+
+  it('should import client-supplied reviews from CSV and skip unusable rows', async () => {
+    writeFileSync(join(TMP, 'reviews-import.csv'), [
+      'Customer Name,Stars,Testimonial,Date,Source',
+      'Lerato,5,"Professional, on time and fairly priced.",2024-02-01,WhatsApp',
+      'Ben,9,Out of range rating,2024-02-02,',
+      'Anna,4,,2024-02-03,',
+    ].join('\n'));
+    const source = getReviewSource('import');
+    assert.equal(source.check({}, { projectPath: TMP }).ready, true);
+
+    const data = await source.fetch({ clientConfig: {}, companyName: 'SA Plumbing', projectPath: TMP });
+    assert.deepEqual(data.business, { name: 'SA Plumbing', rating: 5, totalReviews: 1 });
+    assert.deepEqual(data.reviews[0], {
+      text: 'Professional, on time and fairly priced.', rating: 5, reviewerName: 'Lerato', title: '', date: '2024-02-01', platform: 'whatsapp',
+    });
+  });
+
+  it('should read Trustpilot JSON-LD and Facebook recommendations', async () => {
+    openUsageLedger(join(TMP, 'usage.ndjson'));
+    const trustpilot = await getReviewSource('trustpilot').fetch({ clientConfig: { trustpilotUrl: TRUSTPILOT_URL }, companyName: 'SA Plumbing' });
+    assert.deepEqual(trustpilot.business, { name: 'SA Plumbing', rating: 4.6, totalReviews: 38 });
+    assert.equal(trustpilot.url, TRUSTPILOT_URL, 'links to the real page, not the mock');
+    assert.equal(summarizeUsage().unattributed.calls['trustpilot-page'], 1);
+    assert.equal(trustpilot.reviews[0].reviewerName, 'Thandi M');
+    assert.equal(trustpilot.reviews[0].title, 'Quick and tidy');
+
+    const facebook = await getReviewSource('facebook').fetch({ clientConfig: { facebook: '@saplumbing' }, companyName: 'SA Plumbing' });
+    assert.equal(facebook.business.rating, 4.9);
+    assert.equal(facebook.business.totalReviews, 12);
+    assert.deepEqual(facebook.reviews.map(r => [r.reviewerName, r.rating, r.date]), [['Pieter Botha', 5, '3 March 2024'], ['Jo Smith', 1, '2y']]);
+    assert.match(facebook.reviews[0].text, /^Sorted out a burst pipe/);
+
+    const md = buildReviewsMd([{ id: 'trustpilot', data: trustpilot }, { id: 'google', data: null }], 'SA Plumbing');
+    assert.match(md, /## Trustpilot Reviews\n\n\*\*Rating:\*\* 4\.6\/5 \(38 reviews\)/);
+    assert.match(md, /\*No Google reviews found\.\*/);
+    assert.match(md, /\| Trustpilot \| 4\.6\/5 \| 38 \|/);
+  });
+
+  it('should take new sources without touching the merge', async () => {
+    assert.throws(() => registerReviewSource('broken', { label: 'Broken' }), /needs check/);
+    registerReviewSource('yelp', {
+      label: 'Yelp',
+      check: () => ({ ready: true, detail: 'test' }),
+      fetch: async () => ({ business: { rating: 4, totalReviews: 1 }, reviews: [] }),
+    });
+    assert.equal(listReviewSources().at(-1), 'yelp');
+    assert.equal(listReviewSources()[0], 'localpros');
+
+    // fetch-reviews.mjs runs only the sources asked for
+    writeFileSync(join(TMP, 'client-config.json'), JSON.stringify({ companyName: 'SA Plumbing', trustpilotUrl: TRUSTPILOT_URL }));
+    const fetchReviews = (env = {}) => promisify(execFile)(process.execPath, [join(SCRIPTS_DIR, 'fetch-reviews.mjs'), '--project', TMP, '--sources', 'import,trustpilot'], {
+      env: { ...process.env, ...env },
+    });
+    await fetchReviews({ BUILD_RECORD_DIR: join(TMP, 'fixtures') });
+    const json = JSON.parse(readFileSync(join(TMP, 'reviews.json'), 'utf-8'));
+    assert.deepEqual(json.reviewCounts, { import: 1, trustpilot: 38, total: 39 });
+    assert.deepEqual(json.testimonials.map(t => t.platform).sort(), ['trustpilot', 'whatsapp']);
+
+    // Trustpilot replays from the recorded page like the other sources
+    const hits = trustpilotHits;
+    rmSync(join(TMP, 'reviews.json'));
+    await fetchReviews({ BUILD_REPLAY_DIR: join(TMP, 'fixtures') });
+    assert.equal(trustpilotHits, hits, 'replay stays off the network');
+    assert.deepEqual(JSON.parse(readFileSync(join(TMP, 'reviews.json'), 'utf-8')).reviewCounts, json.reviewCounts);
+  });
+});
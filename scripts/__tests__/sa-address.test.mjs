@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { resolveAddress, parseAddress, loadGazetteer, DEFAULT_GAZETTEER } = await import(join(SCRIPTS_DIR, 'lib/sa-address.mjs'));
+const { SaGazetteer } = await import(join(SCRIPTS_DIR, 'schemas/sa-gazetteer.schema.mjs'));
+
+describe('sa-address.mjs', () => {
+  it('should ship a valid gazetteer with unique place names per province', () => {
+    const raw = JSON.parse(readFileSync(DEFAULT_GAZETTEER, 'utf-8'));
+    assert.ok(SaGazetteer.safeParse(raw).success);
+    const keys = raw.places.map(p => `${p.name}|${p.province}`);
+    assert.equal(new Set(keys).size, keys.length);
+    assert.ok(loadGazetteer().byName.get('port elizabeth'), 'aliases are indexed');
+  });
+
+  it('should split street, postal code, province and country off an SA address', () => {
+    const parsed = parseAddress('Unit 12, 58 Inanda Rd, Waterfall, Durban KZN 3610, South Africa');
+    assert.deepEqual(parsed, { parts: ['Unit 12', '58 Inanda Rd', 'Waterfall', 'Durban'], postalCode: '3610', province: 'KZN', poBox: false });
+    assert.equal(parseAddress('Erf 2201, Langebaan').postalCode, null, 'erf numbers are not postal codes');
+  });
+
+  it('should place suburbs within their city and fill coords and postal code', () => {
+    const waterfall = resolveAddress('58 Inanda Rd, Waterfall, Durban');
+    assert.equal(waterfall.street, '58 Inanda Rd');
+    assert.equal(waterfall.suburb, 'Waterfall');
+    assert.equal(waterfall.city, 'Durban');
+    assert.equal(waterfall.region, 'KwaZulu-Natal');
+    assert.equal(waterfall.postalCode, '3610', 'postal code filled from the gazetteer');
+    assert.equal(waterfall.resolution, 'address');
+    assert.deepEqual(waterfall.issues, []);
+    assert.ok(waterfall.coords.lat < -29 && waterfall.coords.lng > 30);
+
+    // Morningside exists in Durban and Sandton — the city hint decides
+    assert.equal(resolveAddress('Shop 3, Morningside', { city: 'Durban' }).region, 'KwaZulu-Natal');
+    assert.equal(resolveAddress('Shop 3, Morningside', { city: 'Sandton' }).region, 'Gauteng');
+
+    const structured = resolveAddress({ street: '10 Long Street', city: 'Cape Town', region: 'Western Cape', postalCode: '8001' });
+    assert.equal(structured.street, '10 Long Street');
+    assert.equal(structured.city, 'Cape Town');
+    assert.equal(structured.postalCode, '8001');
+  });
+
+  it('should fall back to postal code or primary city and flag what it could not resolve', () => {
+    const byPostal = resolveAddress('44 Nowhere Lane, Smallville, 0699');
+    assert.equal(byPostal.resolution, 'postal');
+    assert.equal(byPostal.city, 'Polokwane');
+    assert.match(byPostal.issues[0], /postal code 0699/);
+
+    const byCity = resolveAddress('Plot 7, Kleinfontein', { city: 'Gqeberha' });
+    assert.equal(byCity.resolution, 'city');
+    assert.equal(byCity.region, 'Eastern Cape');
+
+    const unresolved = resolveAddress('Plot 7, Kleinfontein');
+    assert.equal(unresolved.coords, null, 'no default coords');
+    assert.equal(unresolved.resolution, null);
+    assert.match(unresolved.issues[0], /could not place/);
+
+    assert.match(resolveAddress('Main St, Pinetown, Western Cape').issues[0], /Pinetown is in KwaZulu-Natal/);
+    assert.ok(resolveAddress('PO Box 12, Hillcrest').issues.some(i => /PO Box/.test(i)));
+  });
+});
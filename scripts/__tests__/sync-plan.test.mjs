@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+
+const { diffServices, planContentChanges, serviceStub, navEntries, MAX_SERVICES } = await import(join(SCRIPTS_DIR, 'lib/sync-plan.mjs'));
+
+const entries = [
+  { title: 'Leak Detection in Cape Town', slug: 'leak-detection', features: ['Leak Detection'] },
+  { title: 'Geysers & Hot Water', slug: 'geysers-hot-water', features: ['Geyser Installation', 'Geyser Repairs'] },
+  { title: 'Drain Cleaning', slug: 'drain-cleaning', features: [] },
+];
+
+describe('sync-plan.mjs', () => {
+  it('should only remove service pages whose services are all gone', () => {
+    const diff = diffServices(
+      entries,
+      ['Leak Detection', 'Geyser Installation', 'Geyser Repairs', 'Drain Cleaning'],
+      ['Leak Detection', 'Geyser Installation', 'Bathroom Renovations'],
+    );
+    assert.deepEqual(diff.added, ['Bathroom Renovations']);
+    assert.deepEqual(diff.removed, ['Geyser Repairs', 'Drain Cleaning']);
+    assert.deepEqual(diff.remove.map(e => e.slug), ['drain-cleaning'], 'geyser page still covers Geyser Installation');
+    assert.deepEqual(diff.add, ['Bathroom Renovations']);
+    assert.deepEqual(diff.overflow, []);
+  });
+
+  it('should cap service pages and not add pages for services already covered', () => {
+    const full = Array.from({ length: MAX_SERVICES }, (_, i) => ({ title: `Service ${i}`, slug: `service-${i}`, features: [] }));
+    const diff = diffServices(full, ['Service 0'], ['Service 0', 'Service 1', 'Roofing']);
+    assert.deepEqual(diff.add, []);
+    assert.deepEqual(diff.overflow, ['Roofing']);
+
+    const stub = serviceStub('Roof Repairs', { niche: 'Roofing', city: 'Durban' });
+    assert.equal(stub.slug, 'roof-repairs');
+    assert.match(stub.description, /roof repairs in Durban/);
+    assert.deepEqual(stub.faqs, []);
+    assert.equal(navEntries([stub])[2].href, '/services/roof-repairs/');
+  });
+
+  it('should plan one action per regenerated area', () => {
+    const changes = [
+      { field: 'services', old: ['Drain Cleaning'], new: [] },
+      { field: 'serviceAreas', old: 'Cape Town', new: 'Cape Town, Bellville' },
+      { field: 'differentiators', old: [], new: ['Free Quotes'] },
+      { field: 'gallery', old: [{ id: 'att1' }], new: [{ id: 'att1' }, { id: 'att2' }] },
+      { field: 'logo', old: null, new: [{ id: 'att3' }] },
+    ];
+    const newConfig = { gallery: [{ id: 'att1' }, { id: 'att2' }], logo: [{ id: 'att3' }] };
+    const actions = planContentChanges(changes, { services: entries, newConfig });
+
+    assert.deepEqual(actions.map(a => a.kind), ['services', 'locations', 'badges', 'images']);
+    assert.deepEqual(actions[0].services.remove.map(e => e.slug), ['drain-cleaning']);
+    assert.match(actions[0].steps[0], /remove service page "Drain Cleaning"/);
+    assert.deepEqual(actions[3].fields, ['logo', 'gallery']);
+    assert.ok(actions[3].steps.includes('gallery: 1 → 2 file(s)'));
+
+    const noContent = planContentChanges(changes.slice(0, 1), { services: null, newConfig });
+    assert.equal(noContent[0].services, null);
+    assert.match(noContent[0].steps[0], /no content-generated\.json/);
+  });
+});
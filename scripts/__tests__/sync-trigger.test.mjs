@@ -0,0 +1,163 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = resolve(__dirname, '..');
+const TEMPLATE_ROOT = resolve(SCRIPTS_DIR, '..');
+const TMP = join(TEMPLATE_ROOT, '.test-tmp-sync-trigger');
+
+const {
+  findProjects, recordIdsFromPayload, verifySignature, signPayload, startWebhookListener,
+  changedRecords, createDebouncer, drainWebhookPayloads, readWebhookCursors, writeWebhookCursor,
+  LAST_MODIFIED_FIELD, WEBHOOK_PATH,
+} = await import(join(SCRIPTS_DIR, 'lib/sync-trigger.mjs'));
+const { sendAirtableWebhook, sendAirtableNotification, startMockServers } = await import(join(SCRIPTS_DIR, 'lib/mock-servers.mjs'));
+const { fetchWebhookPayloads } = await import(join(SCRIPTS_DIR, 'fetch-airtable.mjs'));
+
+const SECRET = Buffer.from('webhook-secret').toString('base64');
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('sync-trigger.mjs', () => {
+  before(() => {
+    rmSync(TMP, { recursive: true, force: true });
+    for (const [name, recordId] of [['sa-plumbing', 'recPLUMB'], ['cape-roofing', 'recROOF'], ['no-record', null]]) {
+      mkdirSync(join(TMP, name), { recursive: true });
+      writeFileSync(join(TMP, name, 'client-config.json'), JSON.stringify({ companyName: name, ...(recordId && { recordId }) }));
+    }
+  });
+
+  after(() => {
+    rmSync(TMP, { recursive: true, force: true });
+  });
+
+  it('should map record IDs to project folders', () => {
+    const projects = findProjects(TMP);
+    assert.deepEqual([...projects.keys()].sort(), ['recPLUMB', 'recROOF']);
+    assert.equal(projects.get('recPLUMB'), join(TMP, 'sa-plumbing'));
+  });
+
+  it('should read record IDs from webhook payloads and check signatures', () => {
+    assert.deepEqual(recordIdsFromPayload({ recordId: 'recA' }), ['recA']);
+    assert.deepEqual(recordIdsFromPayload({ recordIds: ['recA', 'recB', 'recA'] }), ['recA', 'recB']);
+    assert.deepEqual(recordIdsFromPayload({
+      payloads: [
+        { changedTablesById: { tbl1: { changedRecordsById: { recA: {} }, destroyedRecordIds: ['recGONE'] } } },
+        { changedTablesById: { tbl1: { createdRecordsById: { recNEW: {} } } } },
+      ],
+    }), ['recA', 'recNEW']);
+    assert.deepEqual(recordIdsFromPayload({ base: { id: 'app1' }, webhook: { id: 'ach1' } }), [], 'bare notification');
+    assert.deepEqual(recordIdsFromPayload({ changedTablesById: { tbl1: null, tbl2: { changedRecordsById: { recA: {} } } } }), ['recA']);
+
+    const raw = Buffer.from('{"recordId":"recA"}');
+    assert.ok(verifySignature(raw, signPayload(raw, SECRET), SECRET));
+    assert.ok(!verifySignature(raw, signPayload(Buffer.from('{}'), SECRET), SECRET));
+    assert.ok(!verifySignature(raw, undefined, SECRET));
+  });
+
+  it('should run once per burst and once more for changes during a run', async () => {
+    const runs = [];
+    let release;
+    const debouncer = createDebouncer(async (key, reasons) => {
+      runs.push({ key, reasons });
+      if (runs.length === 2) await new Promise(r => { release = r; });
+    }, { delayMs: 20 });
+
+    debouncer.trigger('recA', 'webhook');
+    debouncer.trigger('recA', 'poll');
+    debouncer.trigger('recB', 'webhook');
+    await sleep(60);
+    assert.deepEqual(runs.map(r => r.key).sort(), ['recA', 'recB']);
+    assert.deepEqual(runs.find(r => r.key === 'recA').reasons, ['webhook', 'poll']);
+
+    // recB is still running — two more triggers queue a single rerun
+    const running = runs[1].key;
+    debouncer.trigger(running, 'webhook');
+    debouncer.trigger(running, 'webhook');
+    await sleep(40);
+    assert.equal(runs.length, 2);
+    release();
+    await debouncer.idle();
+    assert.equal(runs.length, 3);
+    assert.equal(runs[2].key, running);
+  });
+
+  it('should pass signed webhook payloads from the mock sender to the debouncer', async () => {
+    const triggered = [];
+    const listener = await startWebhookListener({ secret: SECRET, onRecords: (ids) => triggered.push(...ids) });
+    try {
+      const url = `${listener.url}${WEBHOOK_PATH}`;
+      const unsigned = await sendAirtableWebhook(url, ['recPLUMB']);
+      assert.equal(unsigned.status, 401);
+
+      const signed = await sendAirtableWebhook(url, ['recPLUMB', 'recROOF'], { secret: SECRET });
+      assert.equal(signed.status, 200);
+      assert.deepEqual(signed.body, { received: 2 });
+      assert.deepEqual(triggered, ['recPLUMB', 'recROOF']);
+    } finally {
+      await listener.close();
+    }
+  });
+
+  it('should fetch the changes behind an Airtable notification from the stored cursor', async () => {
+    const changed = (id) => ({ changedTablesById: { tblUrtOlK3majSIFi: { changedRecordsById: { [id]: {} } } } });
+    const payloads = [changed('recPLUMB'), ...Array.from({ length: 50 }, () => changed('recROOF')), changed('recPLUMB')];
+    const mocks = await startMockServers({ airtable: { webhooks: { achWATCH: payloads } } }, { services: ['airtable'] });
+    process.env.AIRTABLE_API_URL = mocks.env.AIRTABLE_API_URL;
+
+    const notified = [];
+    const listener = await startWebhookListener({ secret: SECRET, onRecords: () => {}, onNotification: (n) => notified.push(n) });
+    try {
+      const sent = await sendAirtableNotification(`${listener.url}${WEBHOOK_PATH}`, { webhookId: 'achWATCH', secret: SECRET });
+      assert.deepEqual(sent.body, { received: 0, notification: true });
+      assert.deepEqual(notified, [{ baseId: 'app7AZ1zHElQfR4EH', webhookId: 'achWATCH' }]);
+
+      const fetchPage = (cursor) => fetchWebhookPayloads({ webhookId: 'achWATCH', cursor }, 'token');
+      const first = await drainWebhookPayloads(fetchPage, readWebhookCursors(TMP).achWATCH);
+      assert.deepEqual(first, { recordIds: ['recPLUMB', 'recROOF'], cursor: 53 }, 'two pages, one list');
+      writeWebhookCursor(TMP, 'achWATCH', first.cursor);
+
+      payloads.push(changed('recNEW'));
+      assert.deepEqual(await drainWebhookPayloads(fetchPage, readWebhookCursors(TMP).achWATCH), { recordIds: ['recNEW'], cursor: 54 }, 'only what came since');
+    } finally {
+      delete process.env.AIRTABLE_API_URL;
+      await listener.close();
+      await mocks.close();
+    }
+  });
+
+  it('should only listen beyond loopback with a secret', async () => {
+    await assert.rejects(startWebhookListener({ host: '0.0.0.0', onRecords: () => {} }), /without a webhook secret/);
+    const listener = await startWebhookListener({ host: '0.0.0.0', secret: SECRET, onRecords: () => {} });
+    await listener.close();
+  });
+
+  it('should survive malformed payloads and a failing callback', async () => {
+    const listener = await startWebhookListener({ onRecords: () => { throw new Error('unexpected'); } });
+    try {
+      const post = (body) => fetch(`${listener.url}${WEBHOOK_PATH}`, { method: 'POST', body });
+      assert.equal((await post('{"recordId":')).status, 400);
+      assert.equal((await post('{"payloads":[null,{"changedTablesById":{"tbl1":null}}]}')).status, 200);
+      assert.equal((await post('{"recordId":"recA"}')).status, 200, 'answered before the callback threw');
+      assert.equal((await fetch(`${listener.url}/health`)).status, 200);
+    } finally {
+      await listener.close();
+    }
+  });
+
+  it('should report records modified since the last sync when polling', () => {
+    const seen = new Map();
+    const records = (time) => [
+      { id: 'recPLUMB', fields: { [LAST_MODIFIED_FIELD]: time } },
+      { id: 'recROOF', fields: { [LAST_MODIFIED_FIELD]: '2026-03-01T10:00:00.000Z' } },
+      { id: 'recEMPTY', fields: {} },
+    ];
+    const syncedAt = (id) => (id === 'recPLUMB' ? '2026-03-01T09:00:00.000Z' : null);
+
+    assert.deepEqual(changedRecords(records('2026-03-01T09:30:00.000Z'), seen, syncedAt), ['recPLUMB']);
+    assert.deepEqual(changedRecords(records('2026-03-01T09:30:00.000Z'), seen, syncedAt), [], 'nothing new');
+    assert.deepEqual(changedRecords(records('2026-03-01T11:00:00.000Z'), seen, syncedAt), ['recPLUMB']);
+  });
+});
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// ============================================================================
+// batch-build.mjs
+// ============================================================================
+// Builds a site for every client in an Airtable view (or filter formula).
+// Each client runs through build-runner.mjs as its own child process, into
+// its own project folder, with a limit on how many build at once. A failed
+// build is logged and the batch carries on with the rest.
+//
+// Re-running the same batch is safe: projects that already finished are
+// skipped, and projects that stopped part-way are resumed.
+//
+// Usage:
+//   node scripts/batch-build.mjs --view viwXXXXXXXX
+//   node scripts/batch-build.mjs --formula "{Build Status}='Ready'" --concurrency 3
+//   node scripts/batch-build.mjs --view viwXXXXXXXX --max 5 --dry-run
+//
+// Output:
+//   <dest>/.batch-logs/<batch-id>/<slug>.log     Full build-runner output per client
+//   <dest>/.batch-logs/<batch-id>/summary.json   Deploy URL, QA and failed phases per client
+//
+// Requires: AIRTABLE_TOKEN env var
+// ============================================================================
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { resolve, join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCliArgs, runScriptAsync, mapWithConcurrency, slugify } from './lib/runner-utils.mjs';
+import { getBuildState } from './lib/phase-gate.mjs';
+import { PHASE_IDS } from './schemas/build-state.schema.mjs';
+import { getToken, listRecords } from './fetch-airtable.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_ROOT = resolve(__dirname, '..');
+// Must match where build-runner.mjs clones projects
+const DEFAULT_DEST = resolve(TEMPLATE_ROOT, '..');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_TIMEOUT_MINUTES = 90;
+
+// ---------------------------------------------------------------------------
+// Per-client build
+// ---------------------------------------------------------------------------
+
+/**
+ * Decide how to run a client: fresh build, resume, or skip.
+ * @returns {{ action: 'build'|'resume'|'skip', reason?: string }}
+ */
+function planClient(projectPath) {
+  if (!existsSync(projectPath)) return { action: 'build' };
+
+  const result = getBuildState(projectPath);
+  if (!result.exists || !result.valid) {
+    return { action: 'skip', reason: `project folder exists without a usable build-state.json` };
+  }
+
+  const allDone = PHASE_IDS.every(id => result.state.phases[id]?.status === 'completed');
+  return allDone ? { action: 'skip', reason: 'already built' } : { action: 'resume' };
+}
+
+/**
+ * Collect deploy URL, QA result and failed phases for a finished build.
+ */
+function collectOutcome(projectPath, logFile) {
+  const outcome = { deployUrl: null, qa: null, failedPhases: [] };
+
+  const result = existsSync(projectPath) ? getBuildState(projectPath) : { exists: false };
+  if (result.exists && result.valid) {
+    const { state } = result;
+    outcome.deployUrl = state.metadata.deployUrl || null;
+    outcome.qa = state.metadata.qaVerdict || null;
+    outcome.failedPhases = PHASE_IDS.filter(id => state.phases[id]?.status === 'failed');
+  }
+
+  // Merged QA results (validate-qa.mjs) take precedence over the runner's verdict
+  const qaPath = join(projectPath, 'qa-results.json');
+  if (existsSync(qaPath)) {
+    try {
+      const qa = JSON.parse(readFileSync(qaPath, 'utf-8'));
+      if (typeof qa.passed === 'boolean') outcome.qa = qa.passed ? 'pass' : 'fail';
+    } catch { /* fall back to the runner's verdict */ }
+  }
+
+  // Failures before phase-3 only exist in the temp build dir — read them from the log
+  if (outcome.failedPhases.length === 0 && existsSync(logFile)) {
+    const match = readFileSync(logFile, 'utf-8').match(/BUILD FAILED at (\S+):/);
+    if (match) outcome.failedPhases = [match[1]];
+  }
+
+  return outcome;
+}
+
+async function buildClient(client, { logsDir, timeoutMs }) {
+  const projectPath = join(DEFAULT_DEST, client.slug);
+  const logFile = join(logsDir, `${client.slug}.log`);
+  const plan = planClient(projectPath);
+  const started = Date.now();
+
+  if (plan.action === 'skip') {
+    console.log(`  ⏭  ${client.companyName} — skipped (${plan.reason})`);
+    return { ...client, status: 'skipped', reason: plan.reason, ...collectOutcome(projectPath, logFile), durationSec: 0 };
+  }
+
+  const args = plan.action === 'resume'
+    ? ['--resume', projectPath]
+    : ['--company', client.companyName, '--record-id', client.recordId];
+
+  console.log(`  →  ${client.companyName} — ${plan.action === 'resume' ? 'resuming' : 'building'} (log: ${logFile})`);
+
+  let status = 'success';
+  let error = null;
+  try {
+    await runScriptAsync(join(__dirname, 'build-runner.mjs'), args, { timeout: timeoutMs, logFile });
+  } catch (err) {
+    status = 'failed';
+    error = err.message;
+  }
+
+  const durationSec = Math.round((Date.now() - started) / 1000);
+  const outcome = collectOutcome(projectPath, logFile);
+  const icon = status === 'success' ? '✓' : '✗';
+  console.log(`  ${icon}  ${client.companyName} — ${status} in ${durationSec}s${outcome.deployUrl ? ` (${outcome.deployUrl})` : ''}`);
+
+  return { ...client, status, error, ...outcome, durationSec };
+}
+
+// ---------------------------------------------------------------------------
+// Summary
+// ---------------------------------------------------------------------------
+
+function printSummary(results) {
+  const rows = results.map(r => [
+    r.companyName,
+    r.status,
+    r.deployUrl || '—',
+    r.qa || '—',
+    r.failedPhases.length > 0 ? r.failedPhases.join(', ') : '—',
+  ]);
+  const header = ['Company', 'Status', 'Deploy URL', 'QA', 'Failed phases'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => '  ' + cells.map((c, i) => c.padEnd(widths[i])).join('  ');
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('  BATCH SUMMARY');
+  console.log(`${'='.repeat(60)}\n`);
+  console.log(line(header));
+  console.log(line(widths.map(w => '-'.repeat(w))));
+  for (const row of rows) console.log(line(row));
+
+  const count = (s) => results.filter(r => r.status === s).length;
+  console.log(`\n  ${count('success')} succeeded, ${count('failed')} failed, ${count('skipped')} skipped (${results.length} total)`);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const args = parseCliArgs();
+
+  if (!args.view && !args.formula) {
+    console.error('Usage:');
+    console.error('  node scripts/batch-build.mjs --view viwXXXXXXXX [--concurrency 2] [--max N] [--dry-run]');
+    console.error('  node scripts/batch-build.mjs --formula "{Build Status}=\'Ready\'" [--view viwXXXXXXXX]');
+    process.exit(1);
+  }
+
+  const concurrency = Math.max(1, parseInt(args.concurrency, 10) || DEFAULT_CONCURRENCY);
+  const timeoutMs = (parseInt(args.timeout, 10) || DEFAULT_TIMEOUT_MINUTES) * 60_000;
+  const token = getToken();
+
+  console.log('Fetching batch from Airtable...');
+  const records = await listRecords({
+    view: args.view === true ? undefined : args.view,
+    formula: args.formula === true ? undefined : args.formula,
+    maxRecords: args.max ? parseInt(args.max, 10) : undefined,
+  }, token);
+
+  const clients = [];
+  const seen = new Set();
+  for (const record of records) {
+    const companyName = (record.fields['Company name'] || '').trim();
+    if (!companyName) {
+      console.log(`  Skipping ${record.id} — no company name`);
+      continue;
+    }
+    const slug = slugify(companyName);
+    if (seen.has(slug)) {
+      console.log(`  Skipping ${record.id} — duplicate project slug "${slug}"`);
+      continue;
+    }
+    seen.add(slug);
+    clients.push({ companyName, recordId: record.id, slug });
+  }
+
+  console.log(`  ${clients.length} client(s) to build, ${concurrency} at a time`);
+
+  if (args['dry-run'] === true) {
+    for (const client of clients) {
+      const plan = planClient(join(DEFAULT_DEST, client.slug));
+      console.log(`    ${client.companyName} (${client.recordId}) → ${plan.action}${plan.reason ? ` — ${plan.reason}` : ''}`);
+    }
+    console.log('\n--dry-run: No builds started.');
+    process.exit(0);
+  }
+
+  const batchId = `batch-${Date.now()}-${process.pid}`;
+  const logsDir = join(DEFAULT_DEST, '.batch-logs', batchId);
+  mkdirSync(logsDir, { recursive: true });
+
+  const startTime = Date.now();
+  console.log(`\nBatch ${batchId} started — logs in ${logsDir}\n`);
+
+  const results = await mapWithConcurrency(clients, concurrency, (client) =>
+    buildClient(client, { logsDir, timeoutMs })
+  );
+
+  printSummary(results);
+
+  const summaryPath = join(logsDir, 'summary.json');
+  writeFileSync(summaryPath, JSON.stringify({
+    batchId,
+    view: args.view || null,
+    formula: args.formula || null,
+    startedAt: new Date(startTime).toISOString(),
+    durationSec: Math.round((Date.now() - startTime) / 1000),
+    results,
+  }, null, 2), 'utf-8');
+  console.log(`  Summary written to: ${summaryPath}\n`);
+
+  process.exit(results.some(r => r.status === 'failed') ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(`Batch build failed: ${err.message}`);
+  process.exit(1);
+});
@@ -12,19 +12,64 @@
 //   node scripts/build-runner.mjs --resume /path/to/project
 //   node scripts/build-runner.mjs --resume /path/to/project --from phase-4
 //   node scripts/build-runner.mjs --status /path/to/project
+//   node scripts/build-runner.mjs --company "SA Plumbing" --plan
+//   node scripts/build-runner.mjs --resume /path/to/project --from phase-4 --plan
+//   node scripts/build-runner.mjs --company "SA Plumbing" --concurrency 1   (sequential)
+//   node scripts/build-runner.mjs --company "SA Plumbing" --record fixtures/sa-plumbing
+//   node scripts/build-runner.mjs --company "SA Plumbing" --replay fixtures/sa-plumbing
+//   node scripts/build-runner.mjs --company "SA Plumbing" --no-hooks
+//   node scripts/build-runner.mjs --company "SA Plumbing" --events build.ndjson
+//   node scripts/build-runner.mjs --company "SA Plumbing" --events - > build.ndjson
+//   node scripts/build-runner.mjs --brief brief.yaml
+//   node scripts/build-runner.mjs --brief clients.csv --row 3
+//
+// Independent phases run concurrently (see lib/phase-scheduler.mjs).
+// --record captures every external call; --replay re-runs the build from
+// those fixtures with no credentials or network (see lib/replay.mjs).
+// before/after hooks from build-hooks.json and ~/.config/build-runner/hooks.json
+// run as extra nodes in the phase graph (see lib/phase-hooks.mjs).
+// --events writes an NDJSON progress stream to a file, or to stdout with
+// "-" (human output then goes to stderr) — see lib/build-events.mjs.
+// --plan resolves the Airtable record and prints the phases that would run,
+// the files they would write and any missing client inputs, then exits.
+// Each phase's duration, external calls, estimated spend and retries are
+// recorded in build-state.json (see lib/build-usage.mjs).
+// --brief takes client data from a JSON/YAML brief, CSV or Sheets export
+// instead of Airtable (see lib/data-sources.mjs; --source, --row, --company
+// pick the adapter and the record).
+// Artifacts are written via temp file + rename (lib/atomic-write.mjs).
+// Ctrl-C marks running phases "interrupted"; --resume resets them to
+// pending and deletes any half-written temp files before continuing.
+// The project is locked while the runner works on it (lib/project-lock.mjs).
 // ============================================================================
 
-import { existsSync, readFileSync, writeFileSync, copyFileSync, mkdirSync } from 'node:fs';
+import { existsSync, readFileSync, mkdirSync } from 'node:fs';
 import { resolve, join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { execSync } from 'node:child_process';
-import { parseCliArgs, runScript, runCommand, slugify, validateEnvVars, printPhase } from './lib/runner-utils.mjs';
-import { initBuildState, startPhase, completePhase, failPhase, printStatus, getBuildState, updateMetadata } from './lib/phase-gate.mjs';
+import { parseCliArgs, runScript, runScriptAsync, runCommandAsync, terminateChildren, slugify, validateEnvVars, printPhase } from './lib/runner-utils.mjs';
+import { initBuildState, startPhase, completePhase, failPhase, interruptPhase, resetPhase, recordHook, recordPhaseMetrics, printStatus, getBuildState, updateMetadata } from './lib/phase-gate.mjs';
 import { buildLog } from './lib/build-logger.mjs';
 import { generateDesignDirection, generateContent, analyzeQAResults } from './lib/claude-api.mjs';
 import { generateMissingImages, ensureServiceImageFolders } from './lib/fal-api.mjs';
 import { deployToNetlify } from './lib/deploy.mjs';
 import { replaceSection, serializeToTS } from './lib/config-writer.mjs';
+import { runPhaseGraph, planPhaseWaves } from './lib/phase-scheduler.mjs';
+import { enableReplayMode, installFetchReplay, isReplaying } from './lib/replay.mjs';
+import { loadHooks, attachHooks, runHook, hookStateId } from './lib/phase-hooks.mjs';
+import { openEventStream, emitEvent, emitArtifact } from './lib/build-events.mjs';
+import { openUsageLedger, withPhase, summarizeUsage } from './lib/build-usage.mjs';
+import { checkClientInputs, planWrites } from './lib/build-plan.mjs';
+import { getToken, fetchClientConfig } from './fetch-airtable.mjs';
+import { writeFileAtomic, copyFileAtomic, removePartialFiles } from './lib/atomic-write.mjs';
+import { acquireLock } from './lib/project-lock.mjs';
+import { loadClientData } from './lib/data-sources.mjs';
+import { SNAPSHOT_FILE } from './lib/airtable-sync.mjs';
+import { navEntries } from './lib/sync-plan.mjs';
+import { readProvenance, writeProvenance, stamp, CONTENT_KEYS } from './lib/config-provenance.mjs';
+import { withSchemaVersion } from './lib/artifact-migrations.mjs';
+import { REVIEW_LEDGER_FILE } from './lib/review-ledger.mjs';
+import { curateProjectReviews, configItems, CURATED_REVIEWS_FILE } from './lib/review-curation.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const SCRIPTS_DIR = __dirname;
@@ -40,6 +85,7 @@ const DEFAULT_DEST = resolve(TEMPLATE_ROOT, '..');
  * @property {string|null} projectPath
  * @property {string} companyName
  * @property {string|null} recordId
+ * @property {{ file: string, source?: string, row: string }|null} brief - Local client data instead of Airtable
  * @property {Object|null} clientConfig
  * @property {Object|null} designTokens
  * @property {Object|null} contentGenerated
@@ -57,10 +103,7 @@ async function phase0_HealthCheck(ctx) {
   // Validate environment variables
   // Note: ANTHROPIC_API_KEY not needed - we use Claude Code CLI instead
   // Note: NETLIFY_AUTH_TOKEN not needed - we use Netlify CLI (already authenticated)
-  const { valid, missing } = validateEnvVars([
-    'FAL_KEY',
-    'AIRTABLE_TOKEN',
-  ]);
+  const { valid, missing } = validateEnvVars(ctx.brief ? ['FAL_KEY'] : ['FAL_KEY', 'AIRTABLE_TOKEN']);
 
   if (!valid) {
     console.log('\nMissing environment variables:');
@@ -92,19 +135,26 @@ async function phase0_HealthCheck(ctx) {
 }
 
 async function phase1_FetchData(ctx) {
-  printPhase('phase-1', 'Airtable Data Fetch');
+  printPhase('phase-1', ctx.brief ? 'Client Data (local brief)' : 'Airtable Data Fetch');
 
   const outputPath = join(ctx.tmpPath, 'client-config.json');
   const args = ['--output', outputPath];
 
-  if (ctx.recordId) {
-    args.push('--record-id', ctx.recordId);
+  if (ctx.brief) {
+    args.push('--file', ctx.brief.file, '--row', ctx.brief.row);
+    if (ctx.brief.source) args.push('--source', ctx.brief.source);
+    await runScriptAsync(join(SCRIPTS_DIR, 'load-client-data.mjs'), args);
   } else {
-    args.push('--company', ctx.companyName);
+    if (ctx.recordId) {
+      args.push('--record-id', ctx.recordId);
+    } else {
+      args.push('--company', ctx.companyName);
+    }
+    // Baseline for sync --push conflict detection
+    args.push('--snapshot', join(ctx.tmpPath, SNAPSHOT_FILE));
+    await runScriptAsync(join(SCRIPTS_DIR, 'fetch-airtable.mjs'), args);
   }
 
-  runScript(join(SCRIPTS_DIR, 'fetch-airtable.mjs'), args);
-
   // Load the fetched config
   ctx.clientConfig = JSON.parse(readFileSync(outputPath, 'utf-8'));
 
@@ -120,7 +170,7 @@ async function phase1_5_Reviews(ctx) {
   const log = buildLog(ctx.tmpPath);
 
   try {
-    runScript(join(SCRIPTS_DIR, 'fetch-reviews.mjs'), [
+    await runScriptAsync(join(SCRIPTS_DIR, 'fetch-reviews.mjs'), [
       '--project', ctx.tmpPath,
       '--data', join(ctx.tmpPath, 'client-config.json'),
     ], { timeout: 180_000 });
@@ -133,7 +183,7 @@ async function phase1_5_Reviews(ctx) {
 
     // Create empty REVIEWS.md so downstream doesn't break
     if (!existsSync(join(ctx.tmpPath, 'REVIEWS.md'))) {
-      writeFileSync(
+      writeFileAtomic(
         join(ctx.tmpPath, 'REVIEWS.md'),
         `# Reviews\n\nNo reviews found online. Review collection encountered an error.\n`,
         'utf-8'
@@ -150,7 +200,8 @@ async function phase2_DesignDirection(ctx) {
 
   // Write design-tokens.json
   const tokensPath = join(ctx.tmpPath, 'design-tokens.json');
-  writeFileSync(tokensPath, JSON.stringify(designTokens, null, 2), 'utf-8');
+  writeFileAtomic(tokensPath, JSON.stringify(withSchemaVersion('design-tokens', designTokens), null, 2), 'utf-8');
+  emitArtifact(tokensPath, 'design-tokens');
 
   const log = buildLog(ctx.tmpPath);
   log.info('build-runner', `Design direction: ${designTokens.direction} — ${designTokens.fonts.display}/${designTokens.fonts.body}`);
@@ -164,25 +215,28 @@ async function phase3_CloneTemplate(ctx) {
   const projectPath = join(DEFAULT_DEST, slug);
 
   // Clone
-  runScript(join(SCRIPTS_DIR, 'clone-template.mjs'), [
+  await runScriptAsync(join(SCRIPTS_DIR, 'clone-template.mjs'), [
     '--name', slug,
     '--dest', DEFAULT_DEST,
   ]);
 
   ctx.projectPath = projectPath;
+  acquireLock(projectPath, 'build-runner');
 
   // Copy artifacts from tmp to project
   const filesToCopy = [
     'client-config.json',
+    SNAPSHOT_FILE,
     'design-tokens.json',
     'reviews.json',
+    REVIEW_LEDGER_FILE,
     'REVIEWS.md',
   ];
 
   for (const file of filesToCopy) {
     const src = join(ctx.tmpPath, file);
     if (existsSync(src)) {
-      copyFileSync(src, join(projectPath, file));
+      copyFileAtomic(src, join(projectPath, file));
       console.log(`  Copied: ${file}`);
     }
   }
@@ -192,25 +246,37 @@ async function phase3_CloneTemplate(ctx) {
   if (existsSync(srcContentReviews)) {
     const destContentDir = join(projectPath, 'src/content');
     mkdirSync(destContentDir, { recursive: true });
-    copyFileSync(srcContentReviews, join(destContentDir, 'reviews.json'));
+    copyFileAtomic(srcContentReviews, join(destContentDir, 'reviews.json'));
     console.log(`  Copied: src/content/reviews.json`);
   }
 
   // Re-initialize build state in the actual project
+  const tmpState = getBuildState(ctx.tmpPath);
   const buildId = `build-${Date.now()}`;
   initBuildState(projectPath, buildId, 'template', {
     companyName: ctx.companyName,
     niche: ctx.clientConfig?.niche || '',
   });
 
+  // Carry over hooks that already ran against the temp build dir
+  for (const [hookId, entry] of Object.entries(tmpState.state?.hooks || {})) {
+    if (entry.status === 'completed') recordHook(projectPath, hookId, 'completed', entry);
+  }
+
   // Mark phases 0-3 as completed (they're done by this point)
   completePhase(projectPath, 'phase-0');
   completePhase(projectPath, 'phase-1', { clientConfig: 'client-config.json' });
   completePhase(projectPath, 'phase-2', { designTokens: 'design-tokens.json' });
 
-  // npm install
+  // Timing and usage for those phases were recorded against the temp build dir
+  for (const id of ['phase-0', 'phase-1', 'phase-2']) {
+    const entry = tmpState.state?.phases[id];
+    if (entry) recordPhaseMetrics(projectPath, id, entry);
+  }
+
+  // npm install — replays resolve from the local npm cache only
   console.log('\n  Running npm install...');
-  runCommand('npm install', { cwd: projectPath, timeout: 180_000 });
+  await runCommandAsync(isReplaying() ? 'npm install --offline' : 'npm install', { cwd: projectPath, timeout: 180_000 });
   console.log('  npm install complete');
 }
 
@@ -224,7 +290,7 @@ async function phase4_ContentGeneration(ctx) {
   ctx.contentGenerated = content;
 
   // Write content JSON for reference
-  writeFileSync(
+  writeFileAtomic(
     join(ctx.projectPath, 'content-generated.json'),
     JSON.stringify(content, null, 2),
     'utf-8'
@@ -232,7 +298,7 @@ async function phase4_ContentGeneration(ctx) {
   log.info('build-runner', `Content generated: ${content.services.length} services, homepage, about, contact`);
 
   // Step 2: Run populate-config (identity + contact + design tokens)
-  runScript(join(SCRIPTS_DIR, 'populate-config.mjs'), [
+  await runScriptAsync(join(SCRIPTS_DIR, 'populate-config.mjs'), [
     '--project', ctx.projectPath,
     '--data', join(ctx.projectPath, 'client-config.json'),
     '--design', join(ctx.projectPath, 'design-tokens.json'),
@@ -245,18 +311,24 @@ async function phase4_ContentGeneration(ctx) {
 
   try {
     const updated = injectContent(backup, content, ctx.clientConfig);
-    writeFileSync(configPath, updated, 'utf-8');
+    writeFileAtomic(configPath, updated, 'utf-8');
     log.info('build-runner', 'Content injected into site.config.ts');
     console.log('  Content injected successfully');
   } catch (err) {
     // Restore backup on failure
-    writeFileSync(configPath, backup, 'utf-8');
+    writeFileAtomic(configPath, backup, 'utf-8');
     throw new Error(`Content injection failed: ${err.message}`);
   }
 
   // Step 4: Inject reviews from reviews.json
   injectReviews(ctx.projectPath, log);
 
+  // Record the generated sections' origin so sync/template-upgrade keep them
+  const injected = readFileSync(configPath, 'utf-8');
+  const provenance = readProvenance(ctx.projectPath);
+  for (const key of CONTENT_KEYS) stamp(provenance, injected, key, 'ai', 'content-generated.json');
+  writeProvenance(ctx.projectPath, provenance);
+
   // Step 5: Ensure service image folders exist for actual service slugs
   console.log('\n  Setting up service image folders...');
   ensureServiceImageFolders(ctx.projectPath, content.services || []);
@@ -265,7 +337,7 @@ async function phase4_ContentGeneration(ctx) {
 async function phase4_5_Fonts(ctx) {
   printPhase('phase-4.5', 'Download Fonts');
 
-  runScript(join(SCRIPTS_DIR, 'download-fonts.mjs'), [
+  await runScriptAsync(join(SCRIPTS_DIR, 'download-fonts.mjs'), [
     '--project', ctx.projectPath,
   ]);
 }
@@ -274,15 +346,25 @@ async function phase5_ThemeLocations(ctx) {
   printPhase('phase-5', 'Theme & Locations');
 
   // Generate CSS theme
-  runScript(join(SCRIPTS_DIR, 'generate-theme.mjs'), [
+  await runScriptAsync(join(SCRIPTS_DIR, 'generate-theme.mjs'), [
     '--project', ctx.projectPath,
   ]);
 
   // Generate location files
-  runScript(join(SCRIPTS_DIR, 'populate-locations.mjs'), [
+  await runScriptAsync(join(SCRIPTS_DIR, 'populate-locations.mjs'), [
     '--project', ctx.projectPath,
     '--data', join(ctx.projectPath, 'client-mapped.json'),
   ]);
+
+  // Location pages exist now — tag reviews with the areas they mention. The
+  // featured testimonials stay as phase 4 injected them into site.config.ts.
+  try {
+    if (curateProjectReviews(ctx.projectPath, { keepFeatured: true })) {
+      console.log(`  Reviews tagged by location (${CURATED_REVIEWS_FILE})`);
+    }
+  } catch (err) {
+    buildLog(ctx.projectPath).warning('build-runner', `Review location tagging failed: ${err.message}`);
+  }
 }
 
 async function phase6_DownloadImages(ctx) {
@@ -291,7 +373,7 @@ async function phase6_DownloadImages(ctx) {
   // Step 1: Download images from Airtable (before fast build)
   console.log('  Downloading Airtable images...');
   try {
-    runScript(join(SCRIPTS_DIR, 'populate-images.mjs'), [
+    await runScriptAsync(join(SCRIPTS_DIR, 'populate-images.mjs'), [
       '--project', ctx.projectPath,
       '--data', join(ctx.projectPath, 'client-config.json'),
     ]);
@@ -304,7 +386,7 @@ async function phase7a_FastBuild(ctx) {
   printPhase('phase-7a', 'Fast Build (pre-images)');
 
   console.log('  Running fast build with Airtable images + placeholders...');
-  runCommand('npm run build', {
+  await runCommandAsync('npm run build', {
     cwd: ctx.projectPath,
     timeout: 300_000,
   });
@@ -341,7 +423,7 @@ async function phase7_Build(ctx) {
   printPhase('phase-7', 'Full Build (with images)');
 
   console.log('  Running: npm run build');
-  runCommand('npm run build', {
+  await runCommandAsync('npm run build', {
     cwd: ctx.projectPath,
     timeout: 300_000,
   });
@@ -377,6 +459,7 @@ async function phase9_QA(ctx) {
 
   const result = await analyzeQAResults(qaOutput, buildLogContent);
   const log = buildLog(ctx.projectPath);
+  updateMetadata(ctx.projectPath, { qaVerdict: result.verdict });
 
   if (result.verdict === 'pass') {
     log.info('build-runner', `QA passed: ${result.summary}`);
@@ -413,7 +496,7 @@ async function phase9_QA(ctx) {
       let fileContent = readFileSync(fullPath, 'utf-8');
       if (fileContent.includes(issue.searchText)) {
         fileContent = fileContent.replace(issue.searchText, issue.replaceText);
-        writeFileSync(fullPath, fileContent, 'utf-8');
+        writeFileAtomic(fullPath, fileContent, 'utf-8');
         log.fix('build-runner', `QA fix applied: ${issue.fixDescription || issue.description}`);
         fixesApplied++;
       }
@@ -427,7 +510,7 @@ async function phase9_QA(ctx) {
     log.info('build-runner', `Rebuilding after ${fixesApplied} QA fixes`);
 
     // Re-run build + deploy (once only)
-    runCommand('npm run build', { cwd: ctx.projectPath, timeout: 300_000 });
+    await runCommandAsync('npm run build', { cwd: ctx.projectPath, timeout: 300_000 });
     const newUrl = await deployToNetlify(ctx.projectPath, ctx.companyName);
     ctx.deployUrl = newUrl;
     updateMetadata(ctx.projectPath, { deployUrl: newUrl });
@@ -505,13 +588,7 @@ function injectContent(configContent, content, clientConfig) {
     ...content.homepage,
   });
   config = replaceSection(config, 'about', content.about);
-  config = replaceSection(config, 'contact', {
-    ...content.contact,
-    hours: {
-      standard: { label: 'Standard Hours', days: 'Monday – Saturday', hours: '7:00 AM – 6:00 PM' },
-      emergency: { label: 'Emergency Service', days: 'Available Every Day', hours: '24/7 — Call Anytime' },
-    },
-  });
+  config = replaceSection(config, 'contact', content.contact);
   config = replaceSection(config, 'reviews', {
     ...content.reviews,
     averageRating: 5,
@@ -533,19 +610,7 @@ function injectContent(configContent, content, clientConfig) {
   }
 
   // Update nav with service slugs
-  // Note: No /areas/ page exists — location pages live at /{slug} (root level).
-  // Location pages are linked from within page content, not the main nav.
-  const navEntries = [
-    { label: 'Home', href: '/' },
-    { label: 'Services', href: '/services/' },
-    ...content.services.slice(0, 4).map(s => ({
-      label: s.title, href: `/services/${s.slug}/`,
-    })),
-    { label: 'About Us', href: '/about-us/' },
-    { label: 'Reviews', href: '/reviews/' },
-    { label: 'Contact', href: '/contact/' },
-  ];
-  config = replaceSection(config, 'nav', navEntries);
+  config = replaceSection(config, 'nav', navEntries(content.services));
 
   return config;
 }
@@ -563,6 +628,10 @@ function injectReviews(projectPath, log) {
   }
 
   try {
+    // Phase 1.5 fetched before there were services to tag reviews with —
+    // re-curate now that content-generated.json exists. This also writes
+    // src/content/reviews.json, which tmpPath had no src/content/ for.
+    curateProjectReviews(projectPath);
     const reviews = JSON.parse(readFileSync(reviewsPath, 'utf-8'));
     const configPath = join(projectPath, 'src/site.config.ts');
     let config = readFileSync(configPath, 'utf-8');
@@ -583,41 +652,15 @@ function injectReviews(projectPath, log) {
 
     // Inject testimonials as items
     if (reviews.testimonials?.length > 0) {
-      // SiteConfig interface uses: name, text, rating, date?, service?, source?
-      const items = reviews.testimonials.slice(0, 6).map(t => ({
-        name: t.author || 'Customer',
-        text: (t.quote || '').slice(0, 300),
-        rating: t.rating || 5,
-        source: t.platform || 'google',
-        date: t.date || undefined,
-      }));
-      const serialized = serializeToTS(items, 4);
+      const serialized = serializeToTS(configItems(reviews.testimonials), 4);
       config = config.replace(/items:\s*\[\]/, `items: ${serialized}`);
     }
 
-    writeFileSync(configPath, config, 'utf-8');
+    writeFileAtomic(configPath, config, 'utf-8');
     log.info('build-runner', `Reviews injected: rating=${reviews.aggregateRating?.combined || 'N/A'}, count=${reviews.reviewCounts?.total || 0}, testimonials=${reviews.testimonials?.length || 0}`);
     console.log('  Reviews injected into site.config.ts');
-
-    // Also create src/content/reviews.json for schema.org components.
-    // This must happen here (not in fetch-reviews.mjs) because during phase 1.5
-    // the project hasn't been cloned yet — tmpPath has no src/content/ directory.
-    const contentDir = join(projectPath, 'src/content');
-    if (existsSync(contentDir)) {
-      const contentReviews = (reviews.testimonials || []).map(t => ({
-        name: t.author || 'Customer',
-        text: (t.quote || '').slice(0, 300),
-        rating: t.rating || 5,
-        date: t.date || new Date().toISOString().split('T')[0],
-        source: t.platform || 'google',
-      }));
-      writeFileSync(
-        join(contentDir, 'reviews.json'),
-        JSON.stringify(contentReviews, null, 2),
-        'utf-8'
-      );
-      log.info('build-runner', `src/content/reviews.json created (${contentReviews.length} reviews)`);
-      console.log(`  src/content/reviews.json created (${contentReviews.length} reviews)`);
+    if (existsSync(join(projectPath, CURATED_REVIEWS_FILE))) {
+      console.log(`  ${CURATED_REVIEWS_FILE} created (${reviews.curated?.length || 0} reviews)`);
     }
   } catch (err) {
     log.warning('build-runner', `Review injection failed: ${err.message}`);
@@ -675,6 +718,145 @@ function loadContextFromProject(projectPath, ctx) {
   ctx.projectPath = projectPath;
 }
 
+/**
+ * Undo the traces of a killed build before resuming: phases left
+ * in_progress or interrupted go back to pending, and temp files from
+ * half-finished atomic writes are deleted.
+ */
+function recoverInterruptedBuild(projectPath) {
+  const result = getBuildState(projectPath);
+  if (!result.exists || !result.valid) return; // determineResumePoint reports this
+
+  const stuck = Object.entries(result.state.phases)
+    .filter(([, p]) => p.status === 'in_progress' || p.status === 'interrupted')
+    .map(([id]) => id);
+  const removed = removePartialFiles(projectPath);
+  if (stuck.length === 0 && removed.length === 0) return;
+
+  for (const id of stuck) resetPhase(projectPath, id);
+
+  const log = buildLog(projectPath);
+  if (stuck.length > 0) {
+    console.log(`  Recovered interrupted phase(s): ${stuck.join(', ')} → pending`);
+    log.fix('build-runner', `Interrupted phase(s) reset to pending on resume: ${stuck.join(', ')}`);
+  }
+  if (removed.length > 0) {
+    console.log(`  Removed ${removed.length} partial file(s) left by the interrupted build`);
+    log.fix('build-runner', `Removed ${removed.length} partial file(s) from interrupted writes`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Hooks
+// ---------------------------------------------------------------------------
+
+/** Record a hook in build-state.json and BUILD-LOG.md */
+function trackHook(targetPath, hook, status, { error, durationMs } = {}) {
+  const hookId = hookStateId(hook);
+  if (existsSync(join(targetPath, 'build-state.json'))) {
+    try { recordHook(targetPath, hookId, status, { phase: hook.phase, when: hook.when, error, durationMs }); } catch { /* ignore */ }
+  }
+  const log = buildLog(targetPath);
+  if (status === 'completed') log.info('hook', `${hookId} completed`);
+  if (status === 'failed') log.error('hook', `${hookId} failed: ${error}`);
+  if (status === 'interrupted') log.warning('hook', `${hookId} interrupted`);
+}
+
+async function runHookNode(hook, ctx) {
+  const projectPath = ctx.projectPath || ctx.tmpPath;
+  try {
+    await runHook(hook, {
+      projectPath,
+      companyName: ctx.companyName,
+      clientConfig: ctx.clientConfig,
+      deployUrl: ctx.deployUrl,
+      log: buildLog(projectPath),
+    });
+  } catch (err) {
+    if (!hook.optional) throw err;
+    console.log(`  ⚠ Optional hook ${hook.id} failed: ${err.message}`);
+    buildLog(projectPath).warning('hook', `Optional hook ${hookStateId(hook)} failed: ${err.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Plan (dry run)
+// ---------------------------------------------------------------------------
+
+/**
+ * Print what a build would do — phases, files written, missing inputs —
+ * without running anything. Only the Airtable lookup touches the network.
+ * @returns {Promise<boolean>} false when the build would not get through
+ */
+async function printBuildPlan(ctx, { nodes, startIdx, resumePath }) {
+  const blockers = [];
+
+  let clientConfig = ctx.clientConfig;
+  if (!resumePath && ctx.brief) {
+    const { config, validation } = loadClientData(ctx.brief.file, { source: ctx.brief.source, row: ctx.brief.row });
+    clientConfig = config;
+    if (!validation.valid) {
+      blockers.push(...validation.missing.map(k => `Brief is missing required field: ${k}`));
+      blockers.push(...validation.errors.map(e => `Brief fails client-config schema: ${e}`));
+    }
+  } else if (!resumePath) {
+    console.log('Resolving Airtable record...');
+    const { config, validation } = await fetchClientConfig({ recordId: ctx.recordId, company: ctx.companyName }, getToken());
+    clientConfig = config;
+    if (!validation.valid) blockers.push(`Airtable record is missing required fields: ${validation.missing.join(', ')}`);
+  } else if (!clientConfig) {
+    blockers.push(`No client-config.json in ${resumePath}`);
+  }
+
+  const projectPath = resumePath || join(DEFAULT_DEST, slugify(ctx.companyName));
+  const toRun = nodes.slice(startIdx);
+  if (!resumePath && existsSync(projectPath) && toRun.some(n => n.id === 'phase-3')) {
+    blockers.push(`Project folder already exists: ${projectPath} — clone-template will refuse to overwrite it (use --resume)`);
+  }
+
+  const inputs = checkClientInputs(clientConfig);
+  if (!resumePath) blockers.push(...inputs.blockers);
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('  BUILD PLAN (dry run — nothing will be executed)');
+  console.log(`${'='.repeat(60)}`);
+  console.log(`  Company: ${clientConfig?.companyName || ctx.companyName}`);
+  if (clientConfig?.recordId) console.log(`  Record:  ${clientConfig.recordId}`);
+  console.log(`  Project: ${projectPath}${existsSync(projectPath) ? '' : ' (new)'}`);
+
+  if (startIdx > 0) {
+    console.log(`\n  Already completed (skipped): ${nodes.slice(0, startIdx).map(n => n.id).join(', ')}`);
+  }
+
+  console.log('\n  Phases to run (each line can run in parallel):');
+  const labels = new Map(toRun.map(n => [n.id, n.label]));
+  planPhaseWaves(toRun).forEach((wave, i) => {
+    console.log(`    ${String(i + 1).padStart(2)}. ${wave.map(id => `${id} (${labels.get(id)})`).join('  ∥  ')}`);
+  });
+
+  console.log('\n  Files:');
+  for (const write of planWrites(toRun, { projectPath, tmpPath: ctx.tmpPath })) {
+    const marker = write.action === 'overwrite' ? '~ overwrite' : '+ create   ';
+    console.log(`    ${marker} ${write.path}  [${write.phase}]`);
+  }
+
+  console.log('\n  Client inputs:');
+  if (inputs.warnings.length === 0) {
+    console.log('    ✓ logo, gallery, Google Maps URL and service areas all present');
+  }
+  for (const missing of inputs.warnings) {
+    console.log(`    ⚠ ${missing.label} missing — ${missing.effect}`);
+  }
+
+  if (blockers.length > 0) {
+    console.log('\n  Blockers:');
+    for (const blocker of blockers) console.log(`    ✗ ${blocker}`);
+  }
+
+  console.log(`\n--plan: No phases were run.${blockers.length > 0 ? ' Fix the blockers above before building.' : ''}`);
+  return blockers.length === 0;
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
@@ -689,123 +871,346 @@ async function main() {
   }
 
   // Validate input
-  if (!args.company && !args.resume) {
+  if (!args.company && !args.resume && !args.brief) {
     console.log('Usage:');
     console.log('  node scripts/build-runner.mjs --company "SA Plumbing Solutions"');
     console.log('  node scripts/build-runner.mjs --company "Name" --record-id recXXXXXX');
     console.log('  node scripts/build-runner.mjs --resume /path/to/project');
     console.log('  node scripts/build-runner.mjs --resume /path/to/project --from phase-4');
     console.log('  node scripts/build-runner.mjs --status /path/to/project');
+    console.log('  node scripts/build-runner.mjs --company "Name" --plan   (dry run — nothing is executed)');
+    console.log('  node scripts/build-runner.mjs --company "Name" --record ./fixtures/name');
+    console.log('  node scripts/build-runner.mjs --company "Name" --replay ./fixtures/name');
+    console.log('  node scripts/build-runner.mjs --company "Name" --no-hooks');
+    console.log('  node scripts/build-runner.mjs --company "Name" --events build.ndjson   (or --events - for stdout)');
+    console.log('  node scripts/build-runner.mjs --brief brief.yaml   (or clients.csv --row 3, sheet.json --source sheets)');
+    process.exit(1);
+  }
+
+  // NDJSON event stream — stdout mode keeps stdout for events only
+  if (args.events) {
+    if (openEventStream(args.events) === 'stdout') {
+      console.log = console.error;
+      console.info = console.error;
+    }
+  }
+
+  // Record/replay external calls — set via env so child scripts inherit it
+  if (args.replay && args.record) {
+    console.error('--replay and --record cannot be combined');
     process.exit(1);
   }
+  if (args.replay || args.record) {
+    try {
+      enableReplayMode(args.replay ? 'replay' : 'record', args.replay || args.record);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+  }
+  installFetchReplay();
 
   // Build context
   const ctx = {
     projectPath: null,
     companyName: args.company || '',
     recordId: args['record-id'] || null,
+    brief: null,
     clientConfig: null,
     designTokens: null,
     contentGenerated: null,
     deployUrl: null,
-    tmpPath: join(DEFAULT_DEST, `.tmp-build-${Date.now()}`),
+    // pid too: batch-build starts several runners in the same millisecond
+    tmpPath: join(DEFAULT_DEST, `.tmp-build-${Date.now()}-${process.pid}`),
   };
 
+  // Local client data — pin the record now so the company name (and the
+  // project folder) is known before phase-1 runs
+  if (args.brief && !args.resume) {
+    const brief = { file: resolve(args.brief), source: typeof args.source === 'string' ? args.source : undefined };
+    try {
+      const { config } = loadClientData(brief.file, { source: brief.source, row: args.row, company: args.company || undefined });
+      brief.row = String(config.source.row);
+      ctx.companyName = config.companyName || ctx.companyName;
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    if (!ctx.companyName) {
+      console.error(`No company name in ${brief.file} — add one or pass --company`);
+      process.exit(1);
+    }
+    ctx.brief = brief;
+  }
+
   // Phase definitions
   // Sub-phases (1.5, 4.5) are treated as part of their parent for phase-gate
   // Progressive deploy: 6a → 7a → 7b (live URL fast) → 6b → 7 → 8 (final)
+  //
+  // inputs/outputs are logical artifact names. The scheduler derives ordering
+  // from them (see lib/phase-scheduler.mjs): a phase waits for any earlier
+  // phase that writes what it reads, reads what it writes, or writes the same
+  // artifact. Everything else overlaps — e.g. reviews ∥ design direction,
+  // content generation ∥ Airtable image download.
   const phases = [
-    { id: 'phase-0',   gateId: 'phase-0',  label: 'Health Check',              fn: phase0_HealthCheck },
-    { id: 'phase-1',   gateId: 'phase-1',  label: 'Airtable Data Fetch',       fn: phase1_FetchData },
-    { id: 'phase-1.5', gateId: null,        label: 'Review Collection',         fn: phase1_5_Reviews },
-    { id: 'phase-2',   gateId: 'phase-2',  label: 'Design Direction',          fn: phase2_DesignDirection },
-    { id: 'phase-3',   gateId: 'phase-3',  label: 'Clone Template',            fn: phase3_CloneTemplate },
-    { id: 'phase-4',   gateId: 'phase-4',  label: 'Content Generation',        fn: phase4_ContentGeneration },
-    { id: 'phase-4.5', gateId: null,        label: 'Download Fonts',            fn: phase4_5_Fonts },
-    { id: 'phase-5',   gateId: 'phase-5',  label: 'Theme & Locations',         fn: phase5_ThemeLocations },
-    { id: 'phase-6a',  gateId: null,        label: 'Download Airtable Images',  fn: phase6_DownloadImages },
-    { id: 'phase-7a',  gateId: 'phase-7a', label: 'Fast Build',                fn: phase7a_FastBuild },
-    { id: 'phase-7b',  gateId: 'phase-7b', label: 'Fast Deploy',               fn: phase7b_FastDeploy },
-    { id: 'phase-6b',  gateId: 'phase-6',  label: 'Generate FAL Images',       fn: phase6_GenerateImages },
-    { id: 'phase-7',   gateId: 'phase-7',  label: 'Full Build',                fn: phase7_Build },
-    { id: 'phase-8',   gateId: 'phase-8',  label: 'Deploy (final)',            fn: phase8_Deploy },
-    { id: 'phase-9',   gateId: 'phase-9',  label: 'QA Analysis',               fn: phase9_QA },
-    { id: 'phase-10',  gateId: 'phase-10', label: 'Learn',                     fn: phase10_Learn },
+    { id: 'phase-0',   gateId: 'phase-0',  label: 'Health Check',              fn: phase0_HealthCheck,
+      inputs: [],                                         outputs: ['workspace'],
+      writes: ['build-state.json', 'BUILD-LOG.md'] },
+    { id: 'phase-1',   gateId: 'phase-1',  label: 'Airtable Data Fetch',       fn: phase1_FetchData,
+      inputs: ['workspace'],                              outputs: ['client-config'],
+      writes: ['client-config.json', '.airtable-snapshot.json'] },
+    { id: 'phase-1.5', gateId: null,        label: 'Review Collection',         fn: phase1_5_Reviews,
+      inputs: ['client-config'],                          outputs: ['reviews'],
+      writes: ['reviews.json', 'reviews-ledger.json', 'REVIEWS.md'] },
+    { id: 'phase-2',   gateId: 'phase-2',  label: 'Design Direction',          fn: phase2_DesignDirection,
+      inputs: ['client-config'],                          outputs: ['design-tokens'],
+      writes: ['design-tokens.json'] },
+    { id: 'phase-3',   gateId: 'phase-3',  label: 'Clone Template',            fn: phase3_CloneTemplate,
+      inputs: ['client-config', 'design-tokens', 'reviews'], outputs: ['project'],
+      writes: ['./', 'client-config.json', '.airtable-snapshot.json', 'design-tokens.json', 'reviews.json', 'reviews-ledger.json', 'REVIEWS.md', 'build-state.json', 'node_modules/'] },
+    { id: 'phase-4',   gateId: 'phase-4',  label: 'Content Generation',        fn: phase4_ContentGeneration,
+      inputs: ['project'],                                outputs: ['site-config', 'content', 'service-folders', 'reviews'],
+      writes: ['content-generated.json', 'src/site.config.ts', 'client-mapped.json', 'src/config-provenance.json', 'reviews.json', 'src/content/reviews.json', 'src/assets/images/services/*/'] },
+    { id: 'phase-4.5', gateId: null,        label: 'Download Fonts',            fn: phase4_5_Fonts,
+      inputs: ['site-config'],                            outputs: ['fonts'],
+      writes: ['public/fonts/*.woff2', 'scripts/generate-theme.mjs'] },
+    { id: 'phase-5',   gateId: 'phase-5',  label: 'Theme & Locations',         fn: phase5_ThemeLocations,
+      inputs: ['site-config', 'fonts'],                   outputs: ['theme', 'locations', 'reviews'],
+      writes: ['src/styles/global.css', 'src/content/locations/*.json', 'reviews.json', 'src/content/reviews.json'] },
+    { id: 'phase-6a',  gateId: null,        label: 'Download Airtable Images',  fn: phase6_DownloadImages,
+      inputs: ['project'],                                outputs: ['images'],
+      writes: ['src/assets/images/logo/*', 'src/assets/images/headshot/*', 'src/assets/images/gallery/*', 'src/assets/images/home-hero/*', '.asset-cache.json'] },
+    { id: 'phase-7a',  gateId: 'phase-7a', label: 'Fast Build',                fn: phase7a_FastBuild,
+      inputs: ['site-config', 'theme', 'locations', 'reviews', 'images', 'service-folders'], outputs: ['dist'],
+      writes: ['dist/'] },
+    { id: 'phase-7b',  gateId: 'phase-7b', label: 'Fast Deploy',               fn: phase7b_FastDeploy,
+      inputs: ['dist', 'images'],                         outputs: ['deploy'],
+      writes: ['.git/'] },
+    { id: 'phase-6b',  gateId: 'phase-6',  label: 'Generate FAL Images',       fn: phase6_GenerateImages,
+      inputs: ['content'],                                outputs: ['images', 'service-folders'],
+      writes: ['src/assets/images/*', 'public/og-image.jpg', 'generated-images-manifest.json'] },
+    { id: 'phase-7',   gateId: 'phase-7',  label: 'Full Build',                fn: phase7_Build,
+      inputs: ['site-config', 'theme', 'locations', 'reviews', 'images', 'service-folders'], outputs: ['dist'],
+      writes: ['dist/'] },
+    { id: 'phase-8',   gateId: 'phase-8',  label: 'Deploy (final)',            fn: phase8_Deploy,
+      inputs: ['dist', 'images'],                         outputs: ['deploy'],
+      writes: ['.git/'] },
+    { id: 'phase-9',   gateId: 'phase-9',  label: 'QA Analysis',               fn: phase9_QA,
+      inputs: ['deploy'],                                 outputs: ['qa', 'dist', 'deploy'],
+      writes: ['dist/'] },
+    { id: 'phase-10',  gateId: 'phase-10', label: 'Learn',                     fn: phase10_Learn,
+      inputs: ['qa', 'design-tokens'],                    outputs: [],
+      writes: ['BUILD-LOG.md'] },
   ];
 
   // Determine start point
   let startId = 'phase-0';
-  if (args.resume) {
-    const resumePath = resolve(args.resume);
+  const resumePath = args.resume ? resolve(args.resume) : null;
+  if (resumePath) {
     if (!existsSync(resumePath)) {
       console.error(`Resume path not found: ${resumePath}`);
       process.exit(1);
     }
     loadContextFromProject(resumePath, ctx);
+    if (!args.plan) {
+      // Fails fast if sync/refresh-reviews/another runner is on this project
+      acquireLock(resumePath, 'build-runner --resume');
+      recoverInterruptedBuild(resumePath);
+    }
     startId = determineResumePoint(resumePath, args.from || null);
     console.log(`\nResuming build from ${startId} at ${resumePath}`);
   }
 
-  const startIdx = phases.findIndex(p => p.id === startId);
-  if (startIdx === -1) {
+  // build-state tracks gate ids — phase-6 is run by the phase-6b entry
+  startId = phases.find(p => p.id === startId || p.gateId === startId)?.id || startId;
+  if (!phases.some(p => p.id === startId)) {
     console.error(`Unknown phase: ${startId}`);
     process.exit(1);
   }
 
+  // Hooks — a resumed project uses its own build-hooks.json, fresh builds the template's
+  let hooks = [];
+  if (args['no-hooks'] !== true) {
+    try {
+      hooks = loadHooks({ projectRoot: resumePath || TEMPLATE_ROOT, phaseIds: phases.map(p => p.id) });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+  }
+  const nodes = attachHooks(phases, hooks);
+  // The start phase's before-hooks run again on resume
+  let startIdx = nodes.findIndex(n => (n.hook ? n.hook.phase : n.id) === startId);
+
+  // A hook that failed after its phase completed moves the resume point back to it
+  if (resumePath && !args.from) {
+    const hookState = getBuildState(resumePath).state?.hooks || {};
+    const retryIdx = nodes.findIndex(n => n.hookId && ['failed', 'in_progress', 'interrupted'].includes(hookState[n.hookId]?.status));
+    if (retryIdx !== -1 && retryIdx < startIdx) startIdx = retryIdx;
+  }
+
+  if (args.plan) {
+    const ok = await printBuildPlan(ctx, { nodes, startIdx, resumePath });
+    process.exit(ok ? 0 : 1);
+  }
+
+  // --concurrency 1 restores the strictly sequential behaviour
+  const concurrency = Math.max(1, parseInt(args.concurrency, 10) || 4);
+
   // Print banner
   console.log('\n╔════════════════════════════════════════════════════════════╗');
   console.log('║              BUILD RUNNER — Local Service Site            ║');
   console.log('╚════════════════════════════════════════════════════════════╝');
   console.log(`  Company: ${ctx.companyName}`);
   console.log(`  Start:   ${startId}`);
+  console.log(`  Phases:  up to ${concurrency} in parallel`);
+  if (args.replay) console.log(`  Replay:  ${resolve(args.replay)}`);
+  if (args.record) console.log(`  Record:  ${resolve(args.record)}`);
+  if (hooks.length > 0) console.log(`  Hooks:   ${hooks.map(h => `${h.id} (${h.when} ${h.phase})`).join(', ')}`);
   console.log(`  Time:    ${new Date().toISOString()}`);
 
   const startTime = Date.now();
+  const phaseStarted = new Map();
+
+  // Per-phase accounting. Sub-phases (1.5, 4.5, 6a) count towards their
+  // parent gate, so phase-6 covers both Airtable downloads and FAL generation.
+  // A resumed build keeps its ledger in the project; only a fresh build's
+  // phase 1 runs in the temp folder.
+  openUsageLedger(join(ctx.projectPath || ctx.tmpPath, 'build-usage.ndjson'));
+  const accountId = (phase) => phase.hook ? phase.id : (phase.gateId || phase.id.match(/^phase-\d+/)[0]);
+  const accountTiming = new Map();
+  const recordMetrics = (phase, targetPath) => {
+    const id = accountId(phase);
+    const timing = accountTiming.get(id) || { startedAt: new Date(phaseStarted.get(phase.id)).toISOString(), durationMs: 0 };
+    timing.durationMs += Date.now() - phaseStarted.get(phase.id);
+    accountTiming.set(id, timing);
+    if (phase.hook || !existsSync(join(targetPath, 'build-state.json'))) return timing;
+
+    const usage = summarizeUsage()[id] || { calls: {}, costUsd: 0, retries: 0 };
+    try { recordPhaseMetrics(targetPath, id, { ...timing, ...usage }); } catch { /* ignore */ }
+    return timing;
+  };
+  const phaseEvent = (phase) => ({
+    phase: phase.id,
+    label: phase.label,
+    ...(phase.hook ? { hook: true } : {}),
+  });
+  // Ctrl-C / kill: stop child scripts, mark whatever was running as
+  // interrupted so --resume can clean up, and exit
+  const running = new Map();
+  let stopping = false;
+  const onSignal = (signal) => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.error(`\n  ${signal} received — stopping build...`);
+    terminateChildren('SIGTERM');
 
-  // Execute phases
-  for (let i = startIdx; i < phases.length; i++) {
-    const phase = phases[i];
     const targetPath = ctx.projectPath || ctx.tmpPath;
+    const hasState = existsSync(join(targetPath, 'build-state.json'));
+    for (const node of running.values()) {
+      const reason = `Interrupted by ${signal}`;
+      if (node.hook) {
+        trackHook(targetPath, node.hook, 'interrupted', { error: reason });
+        continue;
+      }
+      if (node.gateId && hasState) {
+        try { interruptPhase(targetPath, node.gateId, reason); } catch { /* ignore */ }
+      }
+      if (hasState) buildLog(targetPath).warning('build-runner', `${node.id} (${node.label}) interrupted by ${signal}`);
+    }
+    emitEvent('build:interrupted', { signal, phases: [...running.keys()], durationMs: Date.now() - startTime, projectPath: ctx.projectPath });
 
-    // Mark phase as started in build-state
-    if (phase.gateId && existsSync(join(targetPath, 'build-state.json'))) {
-      try { startPhase(targetPath, phase.gateId); } catch { /* ignore if gate doesn't exist yet */ }
+    if (ctx.projectPath) {
+      console.error(`\n  Resume with:`);
+      console.error(`  node scripts/build-runner.mjs --resume ${ctx.projectPath}`);
     }
+    process.exit(130);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
 
-    try {
-      await phase.fn(ctx);
+  emitEvent('build:start', { company: ctx.companyName, startPhase: startId, concurrency, hooks: hooks.map(hookStateId) });
 
-      // Mark phase as completed
-      if (phase.gateId && ctx.projectPath && existsSync(join(ctx.projectPath, 'build-state.json'))) {
-        try { completePhase(ctx.projectPath, phase.gateId); } catch { /* ignore */ }
-      }
-    } catch (err) {
-      // Mark phase as failed
-      const failPath = ctx.projectPath || ctx.tmpPath;
-      if (phase.gateId && existsSync(join(failPath, 'build-state.json'))) {
-        try { failPhase(failPath, phase.gateId, err.message); } catch { /* ignore */ }
-      }
+  // Execute phases — everything before the start point counts as satisfied
+  try {
+    await runPhaseGraph(nodes.map(node => ({
+      ...node,
+      fn: () => withPhase(accountId(node), () => node.hook ? runHookNode(node.hook, ctx) : node.fn(ctx)),
+    })), {
+      concurrency,
+      skip: nodes.slice(0, startIdx).map(n => n.id),
+      onStart(phase) {
+        running.set(phase.id, phase);
+        phaseStarted.set(phase.id, Date.now());
+        emitEvent('phase:start', phaseEvent(phase));
+
+        // Mark phase as started in build-state
+        const targetPath = ctx.projectPath || ctx.tmpPath;
+        if (phase.hook) {
+          printPhase(phase.id, `Hook: ${phase.label}`);
+          trackHook(targetPath, phase.hook, 'in_progress');
+          return;
+        }
+        if (phase.gateId && existsSync(join(targetPath, 'build-state.json'))) {
+          try { startPhase(targetPath, phase.gateId); } catch { /* ignore if gate doesn't exist yet */ }
+        }
+      },
+      onComplete(phase) {
+        running.delete(phase.id);
+        emitEvent('phase:complete', { ...phaseEvent(phase), durationMs: Date.now() - phaseStarted.get(phase.id) });
+
+        if (phase.hook) {
+          const { durationMs } = recordMetrics(phase, ctx.projectPath || ctx.tmpPath);
+          trackHook(ctx.projectPath || ctx.tmpPath, phase.hook, 'completed', { durationMs });
+          return;
+        }
+        // Mark phase as completed
+        if (phase.gateId && ctx.projectPath && existsSync(join(ctx.projectPath, 'build-state.json'))) {
+          try { completePhase(ctx.projectPath, phase.gateId); } catch { /* ignore */ }
+        }
+        recordMetrics(phase, ctx.projectPath || ctx.tmpPath);
+      },
+      onFail(phase, err) {
+        running.delete(phase.id);
+        emitEvent('phase:fail', { ...phaseEvent(phase), durationMs: Date.now() - phaseStarted.get(phase.id), error: err.message });
+
+        // Mark phase as failed
+        const failPath = ctx.projectPath || ctx.tmpPath;
+        if (phase.hook) {
+          const { durationMs } = recordMetrics(phase, failPath);
+          trackHook(failPath, phase.hook, 'failed', { error: err.message, durationMs });
+          return;
+        }
+        if (phase.gateId && existsSync(join(failPath, 'build-state.json'))) {
+          try { failPhase(failPath, phase.gateId, err.message); } catch { /* ignore */ }
+        }
+        recordMetrics(phase, failPath);
+      },
+    });
+  } catch (err) {
+    const phase = err.phase || { id: 'unknown', label: 'unknown' };
 
-      console.error(`\n${'='.repeat(60)}`);
-      console.error(`  BUILD FAILED at ${phase.id}: ${phase.label}`);
-      console.error(`  Error: ${err.message}`);
-      console.error(`${'='.repeat(60)}`);
+    console.error(`\n${'='.repeat(60)}`);
+    console.error(`  BUILD FAILED at ${phase.id}: ${phase.label}`);
+    console.error(`  Error: ${err.message}`);
+    console.error(`${'='.repeat(60)}`);
+    emitEvent('build:fail', { phase: phase.id, error: err.message, durationMs: Date.now() - startTime, projectPath: ctx.projectPath });
 
-      // macOS desktop notification
-      try {
-        execSync(`osascript -e 'display notification "Failed at ${phase.id}: ${phase.label}" with title "Build Failed" subtitle "${ctx.companyName}" sound name "Basso"'`);
-      } catch { /* non-critical */ }
+    // macOS desktop notification
+    try {
+      execSync(`osascript -e 'display notification "Failed at ${phase.id}: ${phase.label}" with title "Build Failed" subtitle "${ctx.companyName}" sound name "Basso"'`);
+    } catch { /* non-critical */ }
 
-      if (ctx.projectPath) {
-        console.error(`\n  Resume with:`);
-        console.error(`  node scripts/build-runner.mjs --resume ${ctx.projectPath}`);
-      }
-      process.exit(1);
+    if (ctx.projectPath) {
+      console.error(`\n  Resume with:`);
+      console.error(`  node scripts/build-runner.mjs --resume ${ctx.projectPath}`);
     }
+    process.exit(1);
   }
 
   // Done!
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(0);
+  emitEvent('build:complete', { durationMs: Date.now() - startTime, projectPath: ctx.projectPath, deployUrl: ctx.deployUrl });
   console.log(`\n╔════════════════════════════════════════════════════════════╗`);
   console.log(`║                    BUILD COMPLETE                         ║`);
   console.log(`╚════════════════════════════════════════════════════════════╝`);
@@ -813,6 +1218,8 @@ async function main() {
   console.log(`  Project:  ${ctx.projectPath}`);
   console.log(`  URL:      ${ctx.deployUrl || 'not deployed'}`);
   console.log(`  Duration: ${elapsed}s`);
+  const costUsd = Object.values(summarizeUsage()).reduce((sum, u) => sum + u.costUsd, 0);
+  console.log(`  Cost:     ~$${costUsd.toFixed(2)} estimated (npm run gate:status for the breakdown)`);
   console.log('');
 
   // macOS desktop notification on success
@@ -16,6 +16,7 @@ import { resolve, dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { buildLog } from './lib/build-logger.mjs';
 import { initBuildState, completePhase, updateMetadata } from './lib/phase-gate.mjs';
+import { LOCK_FILE } from './lib/project-lock.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const TEMPLATE_ROOT = resolve(__dirname, '..');
@@ -69,6 +70,7 @@ function main() {
       if (rel.includes('/dist/')) return false;
       if (rel.includes('/.astro/')) return false;
       if (rel.includes('.git/')) return false;
+      if (rel === `/${LOCK_FILE}`) return false;
       return true;
     },
   });
@@ -17,6 +17,8 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { join, basename } from 'node:path';
 import https from 'node:https';
+import { replayBuffer } from './lib/replay.mjs';
+import { emitArtifact } from './lib/build-events.mjs';
 
 // ---------------------------------------------------------------------------
 // CLI args
@@ -49,11 +51,15 @@ function extractFontNames(configPath) {
 // HTTPS GET helper (returns a promise)
 // ---------------------------------------------------------------------------
 function httpsGet(url, headers = {}) {
+  return replayBuffer(url, () => httpsGetLive(url, headers));
+}
+
+function httpsGetLive(url, headers = {}) {
   return new Promise((resolve, reject) => {
     const req = https.get(url, { headers }, (res) => {
       // Follow redirects
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return httpsGet(res.headers.location, headers).then(resolve, reject);
+        return httpsGetLive(res.headers.location, headers).then(resolve, reject);
       }
       if (res.statusCode !== 200) {
         return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
@@ -133,6 +139,7 @@ async function fetchGoogleFontCss(fontFamily, weights = [400, 600, 700]) {
 async function downloadFont(url, destPath) {
   const data = await httpsGet(url);
   writeFileSync(destPath, data);
+  emitArtifact(destPath, 'font');
   return data.length;
 }
 
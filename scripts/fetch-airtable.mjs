@@ -8,30 +8,44 @@
 // Usage:
 //   node scripts/fetch-airtable.mjs --company "SA Plumbing Solutions" --output ./client-config.json
 //   node scripts/fetch-airtable.mjs --record-id recXXXXXX --output ./client-config.json
+//   node scripts/fetch-airtable.mjs --record-id recXXXXXX --output ./client-config.json --snapshot ./.airtable-snapshot.json
+//   node scripts/fetch-airtable.mjs --check-fields
 //
-// Requires: AIRTABLE_TOKEN env var (Personal Access Token)
+// Field names come from scripts/airtable-field-map.json (lib/airtable-field-map.mjs).
+// --check-fields reports mapped fields that no longer exist in the base.
+// --snapshot also saves the raw record, the baseline sync --push compares
+// against (lib/airtable-sync.mjs).
+//
+// Requires: AIRTABLE_TOKEN env var (Personal Access Token; --check-fields
+// also needs the schema.bases:read scope)
+// AIRTABLE_API_URL overrides https://api.airtable.com (see lib/mock-servers.mjs)
 // ============================================================================
 
 import { writeFileSync } from 'node:fs';
 import { resolve } from 'node:path';
+import { installFetchReplay } from './lib/replay.mjs';
+import { emitArtifact } from './lib/build-events.mjs';
+import { parseCliArgs } from './lib/runner-utils.mjs';
+import { writeFileAtomic } from './lib/atomic-write.mjs';
+import { snapshotFromRecord } from './lib/airtable-sync.mjs';
+import { withSchemaVersion } from './lib/artifact-migrations.mjs';
+import {
+  loadFieldMap, readMappedValue, applyTransform, requiredKeys, recommendedKeys, checkFieldMap,
+} from './lib/airtable-field-map.mjs';
 
 const BASE_ID = 'app7AZ1zHElQfR4EH';
 const TABLE_ID = 'tblUrtOlK3majSIFi';
 const VIEW_ID = 'viw0NUctZkJOsXfRs';
-const API_BASE = `https://api.airtable.com/v0/${BASE_ID}/${TABLE_ID}`;
-
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const parsed = {};
-  for (let i = 0; i < args.length; i += 2) {
-    const key = args[i]?.replace(/^--/, '');
-    const value = args[i + 1];
-    if (key && value) parsed[key] = value;
-  }
-  return parsed;
+
+function apiUrl() {
+  return process.env.AIRTABLE_API_URL || 'https://api.airtable.com';
 }
 
-function getToken() {
+function tableUrl(tableId = TABLE_ID) {
+  return `${apiUrl()}/v0/${BASE_ID}/${tableId}`;
+}
+
+export function getToken() {
   const token = process.env.AIRTABLE_TOKEN;
   if (!token) {
     console.error('Error: AIRTABLE_TOKEN environment variable is not set.');
@@ -45,8 +59,8 @@ function getToken() {
 // Airtable API calls
 // ---------------------------------------------------------------------------
 
-async function fetchByRecordId(recordId, token) {
-  const url = `${API_BASE}/${recordId}`;
+export async function fetchByRecordId(recordId, token) {
+  const url = `${tableUrl()}/${recordId}`;
   const res = await fetch(url, {
     headers: { 'Authorization': `Bearer ${token}` },
   });
@@ -59,6 +73,25 @@ async function fetchByRecordId(recordId, token) {
   return res.json();
 }
 
+/**
+ * Update fields on a client record (PATCH — fields not sent are left alone).
+ * @returns {Promise<{ id: string, fields: object }>} the record after the update
+ */
+export async function updateRecord(recordId, fields, token) {
+  const res = await fetch(`${tableUrl()}/${recordId}`, {
+    method: 'PATCH',
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fields }),
+  });
+
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Airtable API error ${res.status}: ${body}`);
+  }
+
+  return res.json();
+}
+
 async function fetchByCompanyName(companyName, token) {
   // Use SEARCH to do a case-insensitive substring match on Company name
   const formula = `SEARCH(LOWER("${companyName.replace(/"/g, '\\"')}"), LOWER({Company name}))`;
@@ -68,7 +101,7 @@ async function fetchByCompanyName(companyName, token) {
     maxRecords: '5',
   });
 
-  const url = `${API_BASE}?${params}`;
+  const url = `${tableUrl()}?${params}`;
   const res = await fetch(url, {
     headers: { 'Authorization': `Bearer ${token}` },
   });
@@ -92,35 +125,93 @@ async function fetchByCompanyName(companyName, token) {
   return exact || data.records[0];
 }
 
+/**
+ * List every record in a view and/or matching a filter formula.
+ * Follows Airtable's `offset` pagination (100 records per page).
+ * @param {{ view?: string, formula?: string, maxRecords?: number, fields?: string[] }} query
+ * @param {string} token
+ * @returns {Promise<Array<{id: string, fields: object}>>}
+ */
+export async function listRecords({ view, formula, maxRecords, fields } = {}, token) {
+  const records = [];
+  let offset = null;
+
+  do {
+    const params = new URLSearchParams({ view: view || VIEW_ID, pageSize: '100' });
+    if (formula) params.set('filterByFormula', formula);
+    if (maxRecords) params.set('maxRecords', String(maxRecords));
+    for (const field of fields || []) params.append('fields[]', field);
+    if (offset) params.set('offset', offset);
+
+    const res = await fetch(`${tableUrl()}?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    });
+
+    if (!res.ok) {
+      const body = await res.text();
+      throw new Error(`Airtable API error ${res.status}: ${body}`);
+    }
+
+    const data = await res.json();
+    records.push(...(data.records || []));
+    offset = data.offset || null;
+  } while (offset);
+
+  return records;
+}
+
+/**
+ * List the base's tables and their fields via the metadata API.
+ * @param {string} token - needs the schema.bases:read scope
+ * @returns {Promise<Array<{ id: string, name: string, fields: Array<{ id: string, name: string, type: string }> }>>}
+ */
+export async function fetchBaseTables(token) {
+  const res = await fetch(`${apiUrl()}/v0/meta/bases/${BASE_ID}/tables`, {
+    headers: { 'Authorization': `Bearer ${token}` },
+  });
+
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Airtable API error ${res.status}: ${body}`);
+  }
+
+  const data = await res.json();
+  return data.tables || [];
+}
+
+/**
+ * One page of a webhook's change payloads (GET /v0/bases/{base}/webhooks/{id}/payloads).
+ * @param {{ baseId?: string, webhookId: string, cursor?: number }} options
+ * @param {string} token - needs the webhook:manage scope
+ * @returns {Promise<{ payloads: object[], cursor: number, mightHaveMore: boolean }>}
+ */
+export async function fetchWebhookPayloads({ baseId = BASE_ID, webhookId, cursor }, token) {
+  const params = new URLSearchParams(cursor ? { cursor: String(cursor) } : {});
+  const res = await fetch(`${apiUrl()}/v0/bases/${baseId}/webhooks/${webhookId}/payloads?${params}`, {
+    headers: { 'Authorization': `Bearer ${token}` },
+  });
+
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Airtable API error ${res.status}: ${body}`);
+  }
+
+  return res.json();
+}
+
 // ---------------------------------------------------------------------------
 // Linked record resolution
 // ---------------------------------------------------------------------------
 
-// Tables that linked record fields point to, and which field holds the display name
-const LINKED_TABLES = {
-  'tblwAjBgE4hJVuZ7d': { name: 'Area Selections', displayField: 'Name' },
-  'tblLaLhGdM8YT10wc': { name: 'Category / Niche', displayField: 'Name' },
-  'tblXRupREOoPrXKyV': { name: 'Service Selections', displayField: 'Service Name' },
-};
-
-// Which record fields map to which linked table
-const FIELD_TABLE_MAP = {
-  'City Based In':                        'tblwAjBgE4hJVuZ7d',
-  'What areas does your company service?': 'tblwAjBgE4hJVuZ7d',
-  'Niche your business covers':            'tblLaLhGdM8YT10wc',
-  'Service':                               'tblXRupREOoPrXKyV',
-};
-
 /**
  * Batch-fetch records by IDs from a single Airtable table.
  * Uses OR(RECORD_ID()=...) formula. Chunks into groups of 50 to stay
  * within Airtable's formula length limits.
  */
-async function fetchRecordsByIds(tableId, recordIds, token) {
+async function fetchRecordsByIds(tableId, recordIds, token, displayField = 'Name') {
   if (!recordIds.length) return {};
   const unique = [...new Set(recordIds)];
   const results = {};
-  const displayField = LINKED_TABLES[tableId]?.displayField || 'Name';
 
   // Chunk into groups of 50
   for (let i = 0; i < unique.length; i += 50) {
@@ -132,7 +223,7 @@ async function fetchRecordsByIds(tableId, recordIds, token) {
       'fields[]': displayField,
     });
 
-    const url = `https://api.airtable.com/v0/${BASE_ID}/${tableId}?${params}`;
+    const url = `${tableUrl(tableId)}?${params}`;
     const res = await fetch(url, {
       headers: { 'Authorization': `Bearer ${token}` },
     });
@@ -155,12 +246,14 @@ async function fetchRecordsByIds(tableId, recordIds, token) {
  * Resolves all linked record IDs in a record's fields to human-readable names.
  * Returns a flat map: recordId → displayName
  */
-async function resolveLinkedRecords(fields, token) {
+async function resolveLinkedRecords(fields, token, fieldMap) {
   // Collect record IDs grouped by target table
   const byTable = {};
 
-  for (const [fieldName, tableId] of Object.entries(FIELD_TABLE_MAP)) {
-    const value = fields[fieldName];
+  for (const spec of Object.values(fieldMap.fields)) {
+    if (!spec.linkedTable) continue;
+    const tableId = spec.linkedTable;
+    const value = readMappedValue(fields, spec);
     if (!value) continue;
     const ids = Array.isArray(value) ? value : [value];
     const recordIds = ids.filter(id => typeof id === 'string' && id.startsWith('rec'));
@@ -173,7 +266,7 @@ async function resolveLinkedRecords(fields, token) {
   // Batch-fetch from each table in parallel
   const lookupMap = {};
   const fetches = Object.entries(byTable).map(async ([tableId, ids]) => {
-    const resolved = await fetchRecordsByIds(tableId, ids, token);
+    const resolved = await fetchRecordsByIds(tableId, ids, token, fieldMap.linkedTables[tableId]?.displayField);
     Object.assign(lookupMap, resolved);
   });
 
@@ -200,94 +293,29 @@ function resolveIds(value, lookupMap) {
 // Field mapping — Airtable fields → client-config.json
 // ---------------------------------------------------------------------------
 
-function extractAttachmentUrl(field) {
-  if (!field) return null;
-  if (typeof field === 'string') return field;
-  if (Array.isArray(field) && field.length > 0) {
-    return field[0].url || field[0];
-  }
-  if (field.url) return field.url;
-  return null;
-}
-
-function extractAttachments(field) {
-  if (!field) return [];
-  if (Array.isArray(field)) {
-    return field.map(item => {
-      if (typeof item === 'string') return item;
-      if (item.url) return item.url;
-      return null;
-    }).filter(Boolean);
+/**
+ * Map a record's fields onto client-config keys using the field map
+ * (scripts/airtable-field-map.json), resolving linked record IDs first.
+ */
+export function transformRecord(record, lookupMap = {}, fieldMap = loadFieldMap()) {
+  const config = { recordId: record.id };
+  for (const [key, spec] of Object.entries(fieldMap.fields)) {
+    let value = readMappedValue(record.fields, spec);
+    if (spec.linkedTable) value = resolveIds(value, lookupMap);
+    config[key] = applyTransform(spec.transform, value);
   }
-  return [];
-}
-
-function extractFirstValue(field) {
-  if (!field) return '';
-  if (Array.isArray(field)) return field[0] || '';
-  return String(field);
-}
-
-function transformRecord(record, lookupMap = {}) {
-  const f = record.fields;
-
-  // Resolve linked record IDs to display names
-  const resolvedCity = resolveIds(f['City Based In'], lookupMap);
-  const resolvedNiche = resolveIds(f['Niche your business covers'], lookupMap);
-  const resolvedServices = resolveIds(
-    Array.isArray(f['Service']) ? f['Service'] : (f['Service'] ? [f['Service']] : []),
-    lookupMap
-  );
-  const resolvedAreas = resolveIds(f['What areas does your company service?'], lookupMap);
-
-  return {
-    recordId: record.id,
-    companyName: f['Company name'] || '',
-    phone: f['Phone number sent to leads'] || '',
-    whatsapp: f['WhatsApp Number'] || f['Phone number sent to leads'] || '',
-    email: f['Business owners email'] || '',
-    ownerFirstName: (f['Business owner name'] || '').trim(),
-    ownerLastName: (f['Business owner surname'] || '').trim(),
-    primaryCity: extractFirstValue(resolvedCity),
-    niche: extractFirstValue(resolvedNiche),
-    yearStarted: f['LLP - Year business started'] || f['Year Started'] || '',
-    services: resolvedServices,
-    serviceAreas: Array.isArray(resolvedAreas)
-      ? resolvedAreas.join(', ')
-      : (resolvedAreas || ''),
-    differentiators: Array.isArray(f['Choose features that match your business'])
-      ? f['Choose features that match your business']
-      : (f['Choose features that match your business'] ? [f['Choose features that match your business']] : []),
-    aboutText: f['About Prompt OUTPUT'] || f['Partner About'] || '',
-    servicesText: f['Services Rewrite OUTPUT'] || f['Partner Services'] || '',
-    website: f['Partner Website'] || '',
-    // Attachments
-    logo: f['Partner Logo'] || null,
-    headshot: f['Partner Headshot'] || null,
-    gallery: f['Gallery'] || null,
-    // URLs — try new field names first, fall back to legacy names
-    googleMapsUrl: f['Google Business Profile'] || f['Google Maps URL'] || '',
-    helloPeterUrl: f['Hello Peter'] || f['Hello Peter URL'] || '',
-    // Address
-    address: f['Physical Address'] || '',
-    // Social
-    facebook: f['Facebook'] || '',
-    instagram: f['Instagram'] || '',
-    // Rating
-    rating: f['Company Rating'] || null,
-  };
+  return config;
 }
 
 // ---------------------------------------------------------------------------
 // Validation
 // ---------------------------------------------------------------------------
 
-function validateRecord(config) {
-  const required = ['companyName', 'phone', 'primaryCity', 'niche'];
-  const missing = required.filter(k => !config[k]);
+/** Required and recommended keys come from the field map. */
+export function validateRecord(config, fieldMap = loadFieldMap()) {
+  const missing = requiredKeys(fieldMap).filter(k => !config[k]);
 
-  const recommended = ['logo', 'aboutText', 'services', 'serviceAreas', 'differentiators', 'email'];
-  const warnings = recommended.filter(k => {
+  const warnings = recommendedKeys(fieldMap).filter(k => {
     const v = config[k];
     if (v === null || v === undefined || v === '') return true;
     if (Array.isArray(v) && v.length === 0) return true;
@@ -297,49 +325,97 @@ function validateRecord(config) {
   return { valid: missing.length === 0, missing, warnings };
 }
 
+// ---------------------------------------------------------------------------
+// Fetch + transform
+// ---------------------------------------------------------------------------
+
+/**
+ * Look up a client record (by ID or company name), resolve its linked
+ * records and transform it into client-config form. Writes nothing.
+ * @param {{ recordId?: string, company?: string }} query
+ * @param {string} token
+ * @returns {Promise<{ config: object, validation: { valid: boolean, missing: string[], warnings: string[] }, record: { id: string, fields: object } }>}
+ */
+export async function fetchClientConfig({ recordId, company }, token) {
+  const fieldMap = loadFieldMap();
+  const record = recordId
+    ? await fetchByRecordId(recordId, token)
+    : await fetchByCompanyName(company, token);
+
+  const name = readMappedValue(record.fields, fieldMap.fields.companyName || { field: 'Company name' });
+  console.log(`  Found: ${name || 'Unknown'} (${record.id})`);
+
+  // Resolve linked record IDs (City, Niche, Services, Areas) to display names
+  console.log('  Resolving linked records...');
+  const lookupMap = await resolveLinkedRecords(record.fields, token, fieldMap);
+  const resolvedCount = Object.keys(lookupMap).length;
+  if (resolvedCount > 0) {
+    console.log(`  Resolved ${resolvedCount} linked record(s)`);
+  }
+
+  const config = transformRecord(record, lookupMap, fieldMap);
+  return { config, validation: validateRecord(config, fieldMap), record };
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
+async function checkFields(token) {
+  const fieldMap = loadFieldMap();
+  console.log('Checking Airtable field map against the base...');
+  const tables = await fetchBaseTables(token);
+  const report = checkFieldMap(fieldMap, tables, TABLE_ID);
+
+  for (const { key, missing, required } of report.broken) {
+    console.error(`  ✗ ${key}${required ? ' (required)' : ''}: ${missing.map(n => `"${n}"`).join(', ')} no longer in the base`);
+  }
+  for (const message of report.linked) {
+    console.error(`  ✗ ${message}`);
+  }
+  for (const { key, missing } of report.stale) {
+    console.log(`  ⚠ ${key}: ${missing.map(n => `"${n}"`).join(', ')} no longer in the base (other mapped fields remain)`);
+  }
+
+  const total = Object.keys(fieldMap.fields).length;
+  if (!report.ok) {
+    console.error(`\n${report.broken.length} of ${total} mapped field(s) broken — update scripts/airtable-field-map.json`);
+    process.exit(1);
+  }
+  console.log(`\n✓ All ${total} mapped field(s) found${report.stale.length ? ` (${report.stale.length} with stale names)` : ''}`);
+}
+
 async function main() {
-  const args = parseArgs();
+  const args = parseCliArgs();
+  installFetchReplay();
   const token = getToken();
 
-  if (!args.company && !args['record-id']) {
+  if (args['check-fields']) {
+    await checkFields(token);
+    return;
+  }
+
+  const recordId = typeof args['record-id'] === 'string' ? args['record-id'] : undefined;
+  const company = typeof args.company === 'string' ? args.company : undefined;
+  if (!recordId && !company) {
     console.error('Usage:');
     console.error('  node scripts/fetch-airtable.mjs --company "Company Name" --output ./client-config.json');
     console.error('  node scripts/fetch-airtable.mjs --record-id recXXXXXX --output ./client-config.json');
+    console.error('  node scripts/fetch-airtable.mjs --check-fields');
     process.exit(1);
   }
 
-  const outputPath = resolve(args.output || './client-config.json');
+  const outputPath = resolve(typeof args.output === 'string' ? args.output : './client-config.json');
 
   console.log('Fetching client data from Airtable...');
-
-  let record;
-  if (args['record-id']) {
-    console.log(`  Looking up record: ${args['record-id']}`);
-    record = await fetchByRecordId(args['record-id'], token);
+  if (recordId) {
+    console.log(`  Looking up record: ${recordId}`);
   } else {
-    console.log(`  Searching for: "${args.company}"`);
-    record = await fetchByCompanyName(args.company, token);
+    console.log(`  Searching for: "${company}"`);
   }
 
-  console.log(`  Found: ${record.fields['Company name'] || 'Unknown'} (${record.id})`);
+  const { config, validation, record } = await fetchClientConfig({ recordId, company }, token);
 
-  // Resolve linked record IDs (City, Niche, Services, Areas) to display names
-  console.log('  Resolving linked records...');
-  const lookupMap = await resolveLinkedRecords(record.fields, token);
-  const resolvedCount = Object.keys(lookupMap).length;
-  if (resolvedCount > 0) {
-    console.log(`  Resolved ${resolvedCount} linked record(s)`);
-  }
-
-  // Transform to our format
-  const config = transformRecord(record, lookupMap);
-
-  // Validate
-  const validation = validateRecord(config);
   if (!validation.valid) {
     console.error(`\nMissing required fields: ${validation.missing.join(', ')}`);
     console.error('These fields are required for a build to proceed.');
@@ -354,7 +430,12 @@ async function main() {
   }
 
   // Write output
-  writeFileSync(outputPath, JSON.stringify(config, null, 2), 'utf-8');
+  writeFileSync(outputPath, JSON.stringify(withSchemaVersion('client-config', config), null, 2), 'utf-8');
+  emitArtifact(outputPath, 'client-config');
+
+  if (typeof args.snapshot === 'string') {
+    writeFileAtomic(resolve(args.snapshot), JSON.stringify(snapshotFromRecord(record), null, 2));
+  }
 
   console.log(`\n✓ Client config saved to: ${outputPath}`);
   console.log(`  Company: ${config.companyName}`);
@@ -364,7 +445,11 @@ async function main() {
   console.log(`  Record ID: ${config.recordId}`);
 }
 
-main().catch(err => {
-  console.error(`\nAirtable fetch failed: ${err.message}`);
-  process.exit(1);
-});
+// --- CLI (only when executed directly, not when imported) ---
+const isDirectExecution = process.argv[1]?.endsWith('fetch-airtable.mjs');
+if (isDirectExecution) {
+  main().catch(err => {
+    console.error(`\nAirtable fetch failed: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -12,9 +12,11 @@
 // Writes: src/styles/global.css
 // ============================================================================
 
-import { readFileSync, writeFileSync, existsSync, readdirSync } from 'node:fs';
+import { readFileSync, existsSync, readdirSync } from 'node:fs';
 import { resolve, join } from 'node:path';
 import { buildLog } from './lib/build-logger.mjs';
+import { emitArtifact } from './lib/build-events.mjs';
+import { writeFileAtomic } from './lib/atomic-write.mjs';
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -402,7 +404,8 @@ function main() {
 
   const css = generateGlobalCss(theme, projectDir);
   const cssPath = join(projectDir, 'src/styles/global.css');
-  writeFileSync(cssPath, css, 'utf-8');
+  writeFileAtomic(cssPath, css, 'utf-8');
+  emitArtifact(cssPath, 'theme');
 
   const fontSummary = `display=${theme.displayFont || 'Oswald'}, body=${theme.bodyFont || 'Open Sans'}${theme.accentFont ? `, accent=${theme.accentFont}` : ''}`;
   log.info('generate-theme', `Theme CSS generated: ${fontSummary}, primary=${theme.primary || 'default'}, accent=${theme.accent || 'default'}`);
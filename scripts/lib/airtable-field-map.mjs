@@ -0,0 +1,165 @@
+// ============================================================================
+// airtable-field-map.mjs
+// ============================================================================
+// Loads scripts/airtable-field-map.json — which Airtable field (and legacy
+// fallbacks) feeds each client-config.json key, how its value is transformed
+// and whether it is required or recommended — and applies it to a record.
+//
+// When a field is renamed in the base, edit the map instead of the code, then
+// run `node scripts/fetch-airtable.mjs --check-fields` to confirm every mapped
+// field still exists. AIRTABLE_FIELD_MAP points at an alternative map file.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AirtableFieldMap } from '../schemas/airtable-field-map.schema.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_FIELD_MAP = path.join(__dirname, '..', 'airtable-field-map.json');
+
+/**
+ * Read and validate a field map.
+ * @param {string} [filePath] - defaults to AIRTABLE_FIELD_MAP or scripts/airtable-field-map.json
+ * @returns {{ version: number, fields: Record<string, object>, linkedTables: Record<string, {name: string, displayField: string}> }}
+ */
+export function loadFieldMap(filePath = process.env.AIRTABLE_FIELD_MAP || DEFAULT_FIELD_MAP) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read Airtable field map ${filePath}: ${e.message}`);
+  }
+
+  const result = AirtableFieldMap.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`);
+    throw new Error(`Invalid Airtable field map ${filePath}:\n  - ${issues.join('\n  - ')}`);
+  }
+  return result.data;
+}
+
+/** Airtable field names a mapping reads, primary first. */
+export function fieldNames(spec) {
+  return [spec.field, ...(spec.fallbacks || [])];
+}
+
+/** First non-empty value among a mapping's field and its fallbacks. */
+export function readMappedValue(fields, spec) {
+  for (const name of fieldNames(spec)) {
+    if (fields[name]) return fields[name];
+  }
+  return undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Transforms
+// ---------------------------------------------------------------------------
+
+function extractAttachmentUrl(field) {
+  if (!field) return null;
+  if (typeof field === 'string') return field;
+  if (Array.isArray(field) && field.length > 0) {
+    return field[0].url || field[0];
+  }
+  if (field.url) return field.url;
+  return null;
+}
+
+function extractAttachments(field) {
+  if (!field) return [];
+  if (Array.isArray(field)) {
+    return field.map(item => {
+      if (typeof item === 'string') return item;
+      if (item.url) return item.url;
+      return null;
+    }).filter(Boolean);
+  }
+  return [];
+}
+
+function extractFirstValue(field) {
+  if (!field) return '';
+  if (Array.isArray(field)) return field[0] || '';
+  return String(field);
+}
+
+const TRANSFORMS = {
+  'text': (v) => v || '',
+  'trim': (v) => (v || '').trim(),
+  'first-value': extractFirstValue,
+  'list': (v) => Array.isArray(v) ? v : (v ? [v] : []),
+  'comma-join': (v) => Array.isArray(v) ? v.join(', ') : (v || ''),
+  'attachment-url': extractAttachmentUrl,
+  'attachment-list': extractAttachments,
+  'raw': (v) => v || null,
+};
+
+/** Apply a named transform (default "text") to a raw Airtable value. */
+export function applyTransform(transform, value) {
+  const fn = TRANSFORMS[transform || 'text'];
+  if (!fn) throw new Error(`Unknown field transform "${transform}"`);
+  return fn(value);
+}
+
+/** Client-config keys flagged required / recommended in the map. */
+export function requiredKeys(fieldMap) {
+  return Object.entries(fieldMap.fields).filter(([, s]) => s.required).map(([k]) => k);
+}
+
+export function recommendedKeys(fieldMap) {
+  return Object.entries(fieldMap.fields).filter(([, s]) => s.recommended).map(([k]) => k);
+}
+
+// ---------------------------------------------------------------------------
+// Base check
+// ---------------------------------------------------------------------------
+
+/**
+ * Compare a field map with the base schema returned by Airtable's metadata
+ * API (GET /v0/meta/bases/{baseId}/tables).
+ *
+ * A key is "broken" when none of its fields exist any more (the config value
+ * will always be empty); a missing primary field with a surviving fallback,
+ * or a missing fallback, is reported as stale. Fields `sync --push` writes
+ * client edits into are broken when missing.
+ * @param {object} fieldMap
+ * @param {Array<{ id: string, name: string, fields: Array<{ name: string }> }>} tables
+ * @param {string} tableId - the client table the map reads from
+ * @returns {{ ok: boolean, broken: object[], stale: object[], linked: string[] }}
+ */
+export function checkFieldMap(fieldMap, tables, tableId) {
+  const byId = new Map(tables.map(t => [t.id, t]));
+  const table = byId.get(tableId);
+  if (!table) {
+    return { ok: false, broken: [], stale: [], linked: [`Table ${tableId} not found in base`] };
+  }
+
+  const present = new Set(table.fields.map(f => f.name));
+  const broken = [];
+  const stale = [];
+
+  for (const [key, spec] of Object.entries(fieldMap.fields)) {
+    const missing = fieldNames(spec).filter(name => !present.has(name));
+    if (missing.length === 0) continue;
+    const entry = { key, missing, required: !!spec.required };
+    if (missing.length === fieldNames(spec).length) broken.push(entry);
+    else stale.push(entry);
+  }
+
+  for (const [editKey, spec] of Object.entries(fieldMap.edits || {})) {
+    if (!present.has(spec.field)) broken.push({ key: `edit ${editKey}`, missing: [spec.field], required: false });
+  }
+
+  const linked = [];
+  for (const [linkedId, linkedTable] of Object.entries(fieldMap.linkedTables)) {
+    const target = byId.get(linkedId);
+    if (!target) {
+      linked.push(`Linked table ${linkedId} (${linkedTable.name}) not found in base`);
+    } else if (!target.fields.some(f => f.name === linkedTable.displayField)) {
+      linked.push(`Linked table ${linkedId} (${linkedTable.name}) has no "${linkedTable.displayField}" field`);
+    }
+  }
+
+  return { ok: broken.length === 0 && linked.length === 0, broken, stale, linked };
+}
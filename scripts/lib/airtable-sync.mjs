@@ -0,0 +1,206 @@
+// ============================================================================
+// airtable-sync.mjs
+// ============================================================================
+// Last-synced Airtable snapshot and the `sync --push` plan.
+//
+// .airtable-snapshot.json (project root) holds the client record's raw fields
+// as they were when the site last agreed with Airtable, plus `pushed` — the
+// client-edits.json values already written back. Pushing is a three-way
+// compare per Airtable field:
+//
+//   current == site value   → already in sync
+//   current == snapshot     → only the site changed: push
+//   otherwise               → both sides changed since the last sync: conflict
+//
+// Edit keys map to fields through the `edits` section of
+// scripts/airtable-field-map.json.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const SNAPSHOT_FILE = '.airtable-snapshot.json';
+export const EDITS_FILE = 'client-edits.json';
+
+/**
+ * @param {string} projectPath
+ * @returns {{ recordId: string, syncedAt: string, fields: object, pushed: object } | null}
+ */
+export function readSnapshot(projectPath) {
+  const filePath = path.join(projectPath, SNAPSHOT_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return { pushed: {}, fields: {}, ...snapshot };
+}
+
+export function writeSnapshot(projectPath, snapshot) {
+  writeFileAtomic(path.join(projectPath, SNAPSHOT_FILE), JSON.stringify(snapshot, null, 2));
+}
+
+/** Snapshot of a freshly fetched record (nothing pushed yet). */
+export function snapshotFromRecord(record) {
+  return { recordId: record.id, syncedAt: new Date().toISOString(), fields: record.fields, pushed: {} };
+}
+
+/** client-edits.json as a flat key → value object ({} when absent). */
+export function readEdits(projectPath) {
+  const filePath = path.join(projectPath, EDITS_FILE);
+  if (!fs.existsSync(filePath)) return {};
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// ---------------------------------------------------------------------------
+// Edit keys → Airtable fields
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the edit mapping for a client-edits.json key.
+ * @returns {{ field: string, kind: string, index: number | null } | null}
+ */
+export function matchEditKey(edits, key) {
+  for (const [pattern, spec] of Object.entries(edits)) {
+    if (pattern === key) return { ...spec, index: null };
+    if (!pattern.includes('*')) continue;
+    const [prefix, suffix] = pattern.split('*');
+    if (!key.startsWith(prefix) || !key.endsWith(suffix)) continue;
+    const index = key.slice(prefix.length, key.length - suffix.length);
+    if (/^\d+$/.test(index)) return { ...spec, index: parseInt(index, 10) };
+  }
+  return null;
+}
+
+function setAt(list, index, value, filler) {
+  const next = [...list];
+  while (next.length < index) next.push(filler);
+  next[index] = value;
+  return next;
+}
+
+function toAttachment(value, siteUrl) {
+  if (/^https?:\/\//.test(value)) return { url: value };
+  if (!siteUrl) throw new Error(`Cannot push uploaded image ${value} — site URL unknown`);
+  return { url: new URL(value, siteUrl).href };
+}
+
+/** Write one edit into a field value (the value the edit started from). */
+function applyEdit(kind, fieldValue, { value, index }, siteUrl) {
+  switch (kind) {
+    case 'line':
+      return setAt(String(fieldValue || '').split('\n'), index, value, '').join('\n');
+    case 'paragraph':
+      return setAt(String(fieldValue || '').split(/\n\s*\n/), index, value, '').join('\n\n');
+    case 'attachment':
+      return [toAttachment(value, siteUrl)];
+    case 'attachment-item':
+      return setAt(Array.isArray(fieldValue) ? fieldValue : [], index, toAttachment(value, siteUrl), null)
+        .filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+// Attachment URLs are re-signed on every fetch, so compare attachments by ID
+function comparable(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) {
+    return value.length === 0 ? null : value.map(v => (v && typeof v === 'object') ? (v.id || v.url) : v);
+  }
+  return value;
+}
+
+export function sameValue(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+// Airtable keeps an existing attachment when sent as { id }
+function toWritable(value) {
+  if (!Array.isArray(value)) return value;
+  return value.map(v => (v && typeof v === 'object' && v.id) ? { id: v.id } : v);
+}
+
+/**
+ * Work out what `sync --push` would write.
+ * @param {object} edits - client-edits.json
+ * @param {object} snapshot - last-synced snapshot (see readSnapshot)
+ * @param {object} currentFields - the record's fields as Airtable has them now
+ * @param {{ fieldMap: object, siteUrl?: string }} options
+ * @returns {{
+ *   updates: Array<{ field: string, keys: string[], value: any }>,
+ *   conflicts: Array<{ field: string, keys: string[], value: any, base: any, current: any }>,
+ *   unchanged: Array<{ field: string, keys: string[] }>,
+ *   unmapped: string[],
+ * }}
+ */
+export function planPush(edits, snapshot, currentFields, { fieldMap, siteUrl }) {
+  const byField = new Map();
+  const unmapped = [];
+
+  for (const [key, value] of Object.entries(edits)) {
+    if (snapshot.pushed?.[key] === value) continue;
+    const match = matchEditKey(fieldMap.edits || {}, key);
+    if (!match) {
+      unmapped.push(key);
+      continue;
+    }
+    if (!byField.has(match.field)) byField.set(match.field, { kind: match.kind, edits: [] });
+    byField.get(match.field).edits.push({ key, value, index: match.index });
+  }
+
+  const plan = { updates: [], conflicts: [], unchanged: [], unmapped };
+
+  for (const [field, { kind, edits: fieldEdits }] of byField) {
+    const base = snapshot.fields?.[field];
+    const current = currentFields[field];
+    const keys = fieldEdits.map(e => e.key);
+    const value = fieldEdits
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .reduce((acc, edit) => applyEdit(kind, acc, edit, siteUrl), base);
+
+    if (sameValue(current, value)) {
+      plan.unchanged.push({ field, keys });
+    } else if (sameValue(current, base)) {
+      plan.updates.push({ field, keys, value: toWritable(value) });
+    } else {
+      plan.conflicts.push({ field, keys, value: toWritable(value), base, current });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Record a push in the snapshot: written (or already matching) fields take
+ * Airtable's new value and their edit keys are marked pushed.
+ * @param {object} snapshot
+ * @param {object} edits - client-edits.json
+ * @param {Array<{ field: string, keys: string[] }>} settled - updates written + unchanged
+ * @param {object} fields - the record's fields after the PATCH
+ */
+export function recordPush(snapshot, edits, settled, fields) {
+  const next = { ...snapshot, fields: { ...snapshot.fields }, pushed: { ...snapshot.pushed } };
+  for (const { field, keys } of settled) {
+    next.fields[field] = fields[field];
+    for (const key of keys) next.pushed[key] = edits[key];
+  }
+  next.syncedAt = new Date().toISOString();
+  return next;
+}
+
+/**
+ * Refresh the snapshot after a pull. Fields with edits still waiting to be
+ * pushed keep their old snapshot value, so a later push still notices that
+ * Airtable changed underneath them.
+ */
+export function refreshSnapshot(previous, record, edits, fieldMap) {
+  const next = snapshotFromRecord(record);
+  if (!previous) return next;
+
+  next.pushed = { ...previous.pushed };
+  for (const [key, value] of Object.entries(edits)) {
+    if (next.pushed[key] === value) continue;
+    const match = matchEditKey(fieldMap.edits || {}, key);
+    if (match && match.field in previous.fields) next.fields[match.field] = previous.fields[match.field];
+  }
+  return next;
+}
@@ -0,0 +1,191 @@
+// ============================================================================
+// artifact-migrations.mjs
+// ============================================================================
+// Versions the JSON artifacts a project keeps between runs — client-config.json,
+// client-mapped.json and design-tokens.json — and upgrades old ones step by
+// step, so populate-config.mjs and sync.mjs never read a shape they don't
+// expect.
+//
+// Every writer stamps `schemaVersion` (withSchemaVersion). A file without one
+// is version 0. To change an artifact's shape: bump its `version` below and
+// add a migration from the previous version — migrations only ever run
+// forwards, one version at a time, and must leave data they don't understand
+// alone.
+//
+// template-upgrade.mjs and validate-manifests.mjs migrate the project's files
+// in place (migrateProject); populate-config.mjs and sync.mjs migrate what
+// they read in memory (migrateArtifact), so a hand-fed --data file works too.
+// ============================================================================
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { writeFileAtomic } from './atomic-write.mjs';
+import { loadFieldMap, readMappedValue, applyTransform } from './airtable-field-map.mjs';
+
+// ---------------------------------------------------------------------------
+// Migrations
+// ---------------------------------------------------------------------------
+
+// Labels older loaders wrote besides the field map's own field names
+const LEGACY_LABELS = {
+  email: ['Email'],
+  whatsapp: ['WhatsApp number'],
+  website: ['Website'],
+  services: ['Services'],
+};
+
+// Config keys the field map reads as lists, which older loaders kept as "a, b, c"
+const LIST_KEYS = new Set(['services', 'differentiators']);
+
+/**
+ * client-config v0 → v1: configs written before the field map keep raw
+ * Airtable labels ("Company name", "City Based In") that sync.mjs no longer
+ * reads. Copy them to their config keys; the labels stay for older tools.
+ */
+function clientConfigV1(data) {
+  const fieldMap = loadFieldMap();
+  const next = { ...data };
+  for (const [key, spec] of Object.entries(fieldMap.fields)) {
+    if (next[key] !== undefined && next[key] !== null && next[key] !== '') continue;
+    const legacy = readMappedValue(data, { field: spec.field, fallbacks: [...(spec.fallbacks || []), ...(LEGACY_LABELS[key] || [])] });
+    if (legacy === undefined) continue;
+    next[key] = LIST_KEYS.has(key) && typeof legacy === 'string'
+      ? legacy.split(',').map(s => s.trim()).filter(Boolean)
+      : applyTransform(spec.transform, legacy);
+  }
+  return next;
+}
+
+// Johannesburg CBD — the coords populate-config filled in for any address it
+// couldn't place before lib/sa-address.mjs
+const LEGACY_DEFAULT_COORDS = { lat: -26.2041, lng: 28.0473 };
+
+/**
+ * client-mapped v0 → v1: service areas are one " | "-separated string (area
+ * names contain commas), and an unplaced address has null coords instead of
+ * the Johannesburg default.
+ */
+function clientMappedV1(data) {
+  const next = { ...data };
+  if (Array.isArray(next.serviceAreas)) next.serviceAreas = next.serviceAreas.join(' | ');
+  if (next.address && typeof next.address === 'object') {
+    const { coords } = next.address;
+    const placeholder = coords && coords.lat === LEGACY_DEFAULT_COORDS.lat && coords.lng === LEGACY_DEFAULT_COORDS.lng;
+    next.address = {
+      suburb: null,
+      resolution: coords && !placeholder ? 'given' : null,
+      issues: [],
+      ...next.address,
+      coords: placeholder ? null : (coords ?? null),
+    };
+  }
+  return next;
+}
+
+/**
+ * design-tokens v0 → v1: early design directions wrote `theme.*`,
+ * `fonts.heading` and `colors.secondary`; populate-config.mjs reads
+ * `fonts.display` / `fonts.body` and `colors.primary` / `colors.accent`.
+ */
+function designTokensV1(data) {
+  const theme = data.theme || {};
+  const fonts = { ...data.fonts };
+  const colors = { ...data.colors };
+  fonts.display ??= fonts.heading ?? theme.displayFont;
+  fonts.body ??= theme.bodyFont;
+  colors.primary ??= theme.primary;
+  colors.accent ??= colors.secondary ?? theme.accent;
+  for (const obj of [fonts, colors]) {
+    for (const [k, v] of Object.entries(obj)) if (v === undefined) delete obj[k];
+  }
+  return { ...data, fonts, colors };
+}
+
+/**
+ * Current version and migrations per artifact. `migrations[n]` upgrades
+ * version n to n + 1.
+ */
+export const ARTIFACTS = {
+  'client-config': {
+    file: 'client-config.json',
+    version: 1,
+    migrations: { 0: clientConfigV1 },
+  },
+  'client-mapped': {
+    file: 'client-mapped.json',
+    version: 1,
+    migrations: { 0: clientMappedV1 },
+  },
+  'design-tokens': {
+    file: 'design-tokens.json',
+    version: 1,
+    migrations: { 0: designTokensV1 },
+  },
+};
+
+function artifact(name) {
+  const spec = ARTIFACTS[name];
+  if (!spec) throw new Error(`Unknown artifact "${name}"`);
+  return spec;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/** `data` stamped with the artifact's current schemaVersion (first key). */
+export function withSchemaVersion(name, data) {
+  const { schemaVersion, ...rest } = data;
+  return { schemaVersion: artifact(name).version, ...rest };
+}
+
+/**
+ * Upgrade an artifact's data to the current version. Throws when it was
+ * written by a newer template than this one.
+ * @param {string} name - key of ARTIFACTS
+ * @param {object} data
+ * @returns {{ data: object, from: number, to: number, migrated: boolean }}
+ */
+export function migrateArtifact(name, data) {
+  const spec = artifact(name);
+  const from = Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+  if (from > spec.version) {
+    throw new Error(`${spec.file} is schemaVersion ${from}, newer than this template supports (${spec.version}) — upgrade the template`);
+  }
+
+  let next = data;
+  for (let v = from; v < spec.version; v++) {
+    const step = spec.migrations[v];
+    if (!step) throw new Error(`No migration for ${spec.file} from schemaVersion ${v}`);
+    next = step(next);
+  }
+  return { data: withSchemaVersion(name, next), from, to: spec.version, migrated: from !== spec.version };
+}
+
+/**
+ * Migrate every versioned artifact a project has, rewriting the ones that
+ * changed. Unreadable or too-new files are reported, not thrown.
+ * @param {string} projectPath
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {{ migrated: { file: string, from: number, to: number }[], errors: string[] }}
+ */
+export function migrateProject(projectPath, { dryRun = false } = {}) {
+  const migrated = [];
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(ARTIFACTS)) {
+    const filePath = join(projectPath, spec.file);
+    if (!existsSync(filePath)) continue;
+
+    try {
+      const result = migrateArtifact(name, JSON.parse(readFileSync(filePath, 'utf-8')));
+      if (!result.migrated) continue;
+      if (!dryRun) writeFileAtomic(filePath, JSON.stringify(result.data, null, 2), 'utf-8');
+      migrated.push({ file: spec.file, from: result.from, to: result.to });
+    } catch (err) {
+      errors.push(`${spec.file}: ${err.message}`);
+    }
+  }
+
+  return { migrated, errors };
+}
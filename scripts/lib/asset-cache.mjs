@@ -0,0 +1,179 @@
+// ============================================================================
+// asset-cache.mjs
+// ============================================================================
+// Which Airtable attachments (logo, headshot, gallery) a project already has
+// on disk, so populate-images.mjs only downloads new or changed ones — and
+// never depends on a stale attachment URL for an image it already has
+// (Airtable's URLs expire after a few hours).
+//
+// .asset-cache.json (project root) records per slot and attachment ID the
+// file it was saved as and the file's sha256. An attachment is fetched when
+// its ID is new, its size/filename changed, or the file on disk is gone or
+// no longer matches the hash. Gallery images that moved position are renamed
+// to their new prefix instead of re-downloaded, and cached attachments no
+// longer on the record are pruned.
+//
+// Attachments given as plain URLs (briefs, CSV) are keyed by their URL.
+// sync.mjs plans image work against this cache rather than the previous
+// client-config.json, so an image that failed to download is retried.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const ASSET_CACHE_FILE = '.asset-cache.json';
+
+/** Image slots fed by Airtable attachments; folders are under src/assets/images/ */
+export const ASSET_SLOTS = {
+  logo: { fields: ['logo', 'Partner Logo'], dir: 'logo', fallbackExt: '.png' },
+  headshot: { fields: ['headshot', 'Partner Headshot'], dir: 'headshot', fallbackExt: '.jpg' },
+  gallery: { fields: ['gallery', 'Gallery'], dir: 'gallery', fallbackExt: '.jpg', multiple: true },
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.svg', '.gif'];
+
+export function emptyAssetCache() {
+  return { version: 1, updatedAt: null, assets: Object.fromEntries(Object.keys(ASSET_SLOTS).map(s => [s, {}])) };
+}
+
+/**
+ * @param {string} projectPath
+ * @returns {{ version: number, updatedAt: string | null, assets: Record<string, Record<string, object>> } | null}
+ *   null when the project has never cached its images
+ */
+export function readAssetCache(projectPath) {
+  const filePath = path.join(projectPath, ASSET_CACHE_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  const cache = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const empty = emptyAssetCache();
+  return { ...empty, ...cache, assets: { ...empty.assets, ...cache.assets } };
+}
+
+export function writeAssetCache(projectPath, cache) {
+  cache.updatedAt = new Date().toISOString();
+  writeFileAtomic(path.join(projectPath, ASSET_CACHE_FILE), JSON.stringify(cache, null, 2));
+}
+
+export function hashFile(filePath) {
+  return createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// ---------------------------------------------------------------------------
+// Attachments
+// ---------------------------------------------------------------------------
+
+function urlId(url) {
+  const stable = url.split('?')[0];
+  return `url:${createHash('sha256').update(stable).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Normalise an attachment field — Airtable attachment objects, an array of
+ * URLs or a single URL — to `{ id, url, filename, size }` entries.
+ */
+export function attachmentsOf(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(item => {
+    if (typeof item === 'string') {
+      return { id: urlId(item), url: item, filename: null, size: null };
+    }
+    if (!item?.url) return null;
+    return { id: item.id || urlId(item.url), url: item.url, filename: item.filename || null, size: item.size ?? null };
+  }).filter(Boolean);
+}
+
+/** Image extension from the attachment's filename, then its URL. */
+export function extensionOf(attachment, fallback = '.jpg') {
+  const candidates = [attachment.filename];
+  try {
+    candidates.push(new URL(attachment.url).pathname);
+  } catch { /* not a URL */ }
+  for (const name of candidates) {
+    const ext = name ? path.extname(name).toLowerCase() : '';
+    if (IMAGE_EXTENSIONS.includes(ext)) return ext;
+  }
+  return fallback;
+}
+
+/** Where an attachment lives, relative to src/assets/images/. */
+function targetPath(slot, attachment, index) {
+  const spec = ASSET_SLOTS[slot];
+  const ext = extensionOf(attachment, spec.fallbackExt);
+  const name = spec.multiple ? `${String(index + 1).padStart(2, '0')}-${slot}` : slot;
+  return `${spec.dir}/${name}${ext}`;
+}
+
+function slotAttachments(data, slot) {
+  const spec = ASSET_SLOTS[slot];
+  const value = spec.fields.map(f => data[f]).find(Boolean);
+  const attachments = attachmentsOf(value);
+  return spec.multiple ? attachments : attachments.slice(0, 1);
+}
+
+// ---------------------------------------------------------------------------
+// Plan
+// ---------------------------------------------------------------------------
+
+/**
+ * Work out what populate-images.mjs has to do to bring the image folders in
+ * line with a client-config. Nothing is touched. An item's `from` is the
+ * cached file's path when the image moved or is being replaced.
+ * @param {object | null} cache - readAssetCache() result
+ * @param {object} data - client-config.json
+ * @param {{ imagesDir?: string }} [options] - when given, cached files are checked on disk
+ * @returns {Record<string, {
+ *   items: { attachment: object, path: string, action: 'fetch'|'move'|'keep', reason?: string, from?: string, entry?: object }[],
+ *   remove: { id: string, path: string }[],
+ * }>}
+ */
+export function planAssets(cache, data, { imagesDir } = {}) {
+  const plan = {};
+  for (const slot of Object.keys(ASSET_SLOTS)) {
+    const cached = cache?.assets?.[slot] || {};
+    const attachments = slotAttachments(data, slot);
+
+    const items = attachments.map((attachment, i) => {
+      const target = targetPath(slot, attachment, i);
+      const entry = cached[attachment.id];
+      if (!entry) return { attachment, path: target, action: 'fetch', reason: 'new' };
+      if ((attachment.size != null && entry.size != null && attachment.size !== entry.size)
+        || (attachment.filename && entry.filename && attachment.filename !== entry.filename)) {
+        return { attachment, path: target, action: 'fetch', reason: 'changed', from: entry.path };
+      }
+      if (imagesDir) {
+        const onDisk = path.join(imagesDir, entry.path);
+        if (!fs.existsSync(onDisk)) return { attachment, path: target, action: 'fetch', reason: 'missing' };
+        if (hashFile(onDisk) !== entry.hash) return { attachment, path: target, action: 'fetch', reason: 'modified', from: entry.path };
+      }
+      return entry.path === target
+        ? { attachment, path: target, action: 'keep', entry }
+        : { attachment, path: target, action: 'move', from: entry.path, entry };
+    });
+
+    const current = new Set(attachments.map(a => a.id));
+    const remove = Object.entries(cached)
+      .filter(([id]) => !current.has(id))
+      .map(([id, entry]) => ({ id, path: entry.path }));
+
+    plan[slot] = { items, remove };
+  }
+  return plan;
+}
+
+/** Per-slot counts of a plan, e.g. for `sync --dry-run`. */
+export function summarizeAssetPlan(plan) {
+  return Object.fromEntries(Object.entries(plan).map(([slot, { items, remove }]) => {
+    const count = (action) => items.filter(i => i.action === action).length;
+    return [slot, { fetch: count('fetch'), move: count('move'), keep: count('keep'), remove: remove.length }];
+  }));
+}
+
+/** Slots with anything to download, rename or prune. */
+export function pendingAssetSlots(plan) {
+  return Object.entries(summarizeAssetPlan(plan))
+    .filter(([, c]) => c.fetch + c.move + c.remove > 0)
+    .map(([slot]) => slot);
+}
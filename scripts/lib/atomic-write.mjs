@@ -0,0 +1,102 @@
+// ============================================================================
+// atomic-write.mjs
+// ============================================================================
+// Crash-safe file writes. Content goes to a temp file next to the target and
+// is renamed into place once complete, so a build killed mid-write leaves
+// either the old file or the new one — never half of one.
+//
+// Temp files are named "<target>.<pid>.partial". Any left behind by a killed
+// process are swept by removePartialFiles() when the build is resumed.
+//
+// Usage:
+//   import { writeFileAtomic, writeViaTemp } from './atomic-write.mjs';
+//   writeFileAtomic(configPath, content);
+//   await writeViaTemp(dest, (tmp) => download(url, tmp));
+// ============================================================================
+
+import { writeFileSync, renameSync, rmSync, copyFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+const PARTIAL_SUFFIX = /\.\d+\.partial$/;
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', '.astro']);
+
+function tempPathFor(filePath) {
+  return `${filePath}.${process.pid}.partial`;
+}
+
+/**
+ * Drop-in replacement for writeFileSync that never leaves a truncated file.
+ * @param {string} filePath
+ * @param {string|Buffer} data
+ * @param {string|object} [options] - Passed to writeFileSync (e.g. 'utf-8')
+ */
+export function writeFileAtomic(filePath, data, options) {
+  const tmp = tempPathFor(filePath);
+  try {
+    writeFileSync(tmp, data, options);
+    renameSync(tmp, filePath);
+  } catch (err) {
+    rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+/** copyFileSync via a temp file */
+export function copyFileAtomic(src, dest) {
+  const tmp = tempPathFor(dest);
+  try {
+    copyFileSync(src, tmp);
+    renameSync(tmp, dest);
+  } catch (err) {
+    rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Let an async writer (e.g. a streaming download) fill a temp file, then
+ * move it into place. The temp file is removed if the writer fails.
+ * @param {string} dest
+ * @param {(tmpPath: string) => Promise<*>} write
+ * @returns {Promise<string>} dest
+ */
+export async function writeViaTemp(dest, write) {
+  const tmp = tempPathFor(dest);
+  try {
+    await write(tmp);
+    renameSync(tmp, dest);
+  } catch (err) {
+    rmSync(tmp, { force: true });
+    throw err;
+  }
+  return dest;
+}
+
+/**
+ * Delete temp files left by interrupted writes anywhere under rootDir
+ * (node_modules, .git, dist and .astro are skipped).
+ * @param {string} rootDir
+ * @returns {string[]} Paths removed
+ */
+export function removePartialFiles(rootDir) {
+  const removed = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(fullPath);
+      } else if (PARTIAL_SUFFIX.test(entry.name)) {
+        rmSync(fullPath, { force: true });
+        removed.push(fullPath);
+      }
+    }
+  };
+  walk(rootDir);
+  return removed;
+}
@@ -0,0 +1,102 @@
+// ============================================================================
+// build-events.mjs
+// ============================================================================
+// Machine-readable NDJSON event stream for the build pipeline, so dashboards
+// and wrapper scripts can follow a build without scraping BUILD-LOG.md.
+//
+// Enabled by build-runner.mjs --events <file> (or --events - for stdout).
+// The target travels in the BUILD_EVENTS env var so every child script
+// appends to the same stream:
+//   BUILD_EVENTS=/abs/path.ndjson  — append to a file
+//   BUILD_EVENTS=-                 — write to stdout (the runner itself)
+//   BUILD_EVENTS=fd:3              — write to fd 3 (children in stdout mode)
+//
+// In stdout mode child processes get their stdout redirected to stderr and
+// the event channel on fd 3, so the runner's stdout carries nothing but events.
+//
+// One JSON object per line:
+//   { "ts": "...", "type": "phase:complete", "script": "build-runner", "phase": "phase-4", "durationMs": 81234 }
+//
+// Types:
+//   build:start | build:complete | build:fail
+//   phase:start | phase:complete | phase:fail     (hooks too, with hook: true)
+//   retry        — { label, attempt, maxRetries, delayMs, error }
+//   log          — BUILD-LOG.md entry { level, source, message } (FALLBACK, FIX, ...)
+//   artifact     — file written { path, kind }
+// ============================================================================
+
+import { appendFileSync, writeFileSync, writeSync } from 'node:fs';
+import { basename, resolve } from 'node:path';
+
+const EVENTS_ENV = 'BUILD_EVENTS';
+const STDOUT = '-';
+
+/**
+ * Start an event stream for this process and its children.
+ * A file target is truncated so each build starts a fresh stream.
+ * @param {string|true} target - File path, or '-' / true for stdout
+ * @returns {'stdout'|'file'}
+ */
+export function openEventStream(target) {
+  if (target === true || target === STDOUT) {
+    process.env[EVENTS_ENV] = STDOUT;
+    return 'stdout';
+  }
+  const filePath = resolve(target);
+  writeFileSync(filePath, '', 'utf-8');
+  process.env[EVENTS_ENV] = filePath;
+  return 'file';
+}
+
+/** True when events go to this process's stdout */
+export function eventsOnStdout() {
+  return process.env[EVENTS_ENV] === STDOUT;
+}
+
+function eventFd() {
+  const target = process.env[EVENTS_ENV];
+  if (target === STDOUT) return 1;
+  const match = target?.match(/^fd:(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Append one event to the stream. No-op when no stream is open.
+ * Never throws — a broken event consumer must not fail the build.
+ * @param {string} type - e.g. 'phase:start'
+ * @param {object} [data]
+ */
+export function emitEvent(type, data = {}) {
+  const target = process.env[EVENTS_ENV];
+  if (!target) return;
+
+  const script = basename(process.argv[1] || 'node').replace(/\.m?js$/, '');
+  const line = JSON.stringify({ ts: new Date().toISOString(), type, script, ...data }) + '\n';
+  try {
+    const fd = eventFd();
+    if (fd !== null) writeSync(fd, line);
+    else appendFileSync(target, line, 'utf-8');
+  } catch { /* consumer went away */ }
+}
+
+/**
+ * Record a file written by the pipeline.
+ * @param {string} filePath
+ * @param {string} [kind] - e.g. 'config', 'image', 'font'
+ */
+export function emitArtifact(filePath, kind) {
+  emitEvent('artifact', { path: resolve(filePath), ...(kind ? { kind } : {}) });
+}
+
+/**
+ * stdio/env for a child process so it writes to the same event stream.
+ * Only stdout mode needs changes: the child's stdout moves to stderr and
+ * the event channel is passed as fd 3.
+ * @param {'inherit'|Array} stdio - What the caller would use otherwise
+ * @returns {{ stdio: 'inherit'|Array, env: object }}
+ */
+export function childEventChannel(stdio) {
+  const fd = eventFd();
+  if (fd === null || stdio !== 'inherit') return { stdio, env: {} };
+  return { stdio: ['inherit', 2, 'inherit', fd], env: { [EVENTS_ENV]: 'fd:3' } };
+}
@@ -1,5 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { emitEvent } from './build-events.mjs';
 
 // ============================================================================
 // build-logger.mjs
@@ -75,6 +76,7 @@ function appendEntry(projectPath, level, source, message) {
   const icon = LEVEL_ICONS[level] || '';
   const line = `| ${timestamp()} | ${icon} ${level} | ${source} | ${message} |\n`;
   fs.appendFileSync(logPath, line, 'utf-8');
+  emitEvent('log', { level, source, message });
 }
 
 function appendSection(projectPath, heading, content) {
@@ -0,0 +1,80 @@
+// ============================================================================
+// build-plan.mjs
+// ============================================================================
+// Helpers for build-runner.mjs --plan: work out what a build would do without
+// running any phase — which files it would create or overwrite, and which
+// client inputs are missing — before any API credits are spent.
+//
+// Phases declare the files they write in `writes`, relative to the directory
+// they run in (the temp build dir before phase-3, the project after it).
+// A trailing "/" marks a directory, "*" a set of files.
+// ============================================================================
+
+import { existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { loadFieldMap, requiredKeys } from './airtable-field-map.mjs';
+
+// Inputs the pipeline can run without, and what happens when they're absent
+const CLIENT_INPUTS = [
+  { key: 'logo', label: 'Logo', effect: 'header and footer use the logo placeholder' },
+  { key: 'gallery', label: 'Gallery', effect: 'every image slot is generated with FAL (extra spend)' },
+  { key: 'googleMapsUrl', label: 'Google Maps URL', effect: 'Google reviews cannot be fetched' },
+  { key: 'serviceAreas', label: 'Service areas', effect: 'location pages fall back to the primary city only' },
+];
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Flag missing client inputs.
+ * @param {object} clientConfig - client-config.json shape
+ * @returns {{ blockers: string[], warnings: Array<{ key: string, label: string, effect: string }> }}
+ */
+export function checkClientInputs(clientConfig) {
+  return {
+    // Fields fetch-airtable.mjs refuses to build without
+    blockers: requiredKeys(loadFieldMap()).filter(k => isEmpty(clientConfig?.[k])).map(k => `${k} is required`),
+    warnings: CLIENT_INPUTS.filter(input => isEmpty(clientConfig?.[input.key])),
+  };
+}
+
+function classify(fullPath) {
+  const star = fullPath.indexOf('*');
+  if (star === -1) return existsSync(fullPath) ? 'overwrite' : 'create';
+
+  // File set — overwrite if its directory already has content
+  const dir = fullPath.slice(0, fullPath.lastIndexOf('/', star));
+  try {
+    return readdirSync(dir).length > 0 ? 'overwrite' : 'create';
+  } catch {
+    return 'create';
+  }
+}
+
+/**
+ * List every file the given phases would write.
+ * @param {Array<{ id: string, writes?: string[] }>} phases - Phases that would run, in order
+ * @param {{ projectPath: string, tmpPath: string, clonePhase?: string }} paths
+ *   Phases before `clonePhase` (default phase-3) write to tmpPath
+ * @returns {Array<{ phase: string, path: string, action: 'create'|'overwrite' }>}
+ */
+export function planWrites(phases, { projectPath, tmpPath, clonePhase = 'phase-3' }) {
+  const cloneIdx = phases.findIndex(p => p.id === clonePhase);
+  const writes = [];
+  const seen = new Set();
+
+  phases.forEach((phase, i) => {
+    const baseDir = cloneIdx !== -1 && i < cloneIdx ? tmpPath : projectPath;
+    for (const rel of phase.writes || []) {
+      const fullPath = rel === './' ? projectPath : join(baseDir, rel);
+      // Only the first writer decides create vs overwrite
+      const action = seen.has(fullPath) ? 'overwrite' : classify(fullPath);
+      seen.add(fullPath);
+      writes.push({ phase: phase.id, path: fullPath, action });
+    }
+  });
+  return writes;
+}
@@ -0,0 +1,133 @@
+// ============================================================================
+// build-usage.mjs
+// ============================================================================
+// Per-phase accounting of external calls, estimated spend and retries.
+//
+// Calls are appended to a ledger file (one JSON line each) named by the
+// BUILD_USAGE_FILE env var, so child scripts (e.g. fetch-reviews.mjs) report
+// into the same ledger as the runner. Each line is tagged with the phase
+// that made it: the runner runs each phase inside withPhase(), and spawned
+// scripts inherit the phase id through BUILD_PHASE.
+//
+// build-runner.mjs totals the ledger into build-state.json per phase
+// (calls, costUsd, retries) — see `npm run gate:status`.
+//
+// Costs are rough per-call estimates in USD. Override any of them with
+// BUILD_COST_<SERVICE>, e.g. BUILD_COST_FAL_IMAGE=0.12.
+//
+// Usage:
+//   import { recordCall, recordRetry } from './build-usage.mjs';
+//   recordCall('fal-image');
+//   recordRetry('Gallery image 3', 'ECONNRESET');
+// ============================================================================
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { emitEvent } from './build-events.mjs';
+
+const USAGE_ENV = 'BUILD_USAGE_FILE';
+const PHASE_ENV = 'BUILD_PHASE';
+
+/** Estimated USD per call */
+export const CALL_COSTS = {
+  'fal-image': 0.15,        // nano-banana-pro, one image
+  'claude': 0.10,           // one claude CLI invocation
+  'dataforseo-task': 0.003, // Google reviews task_post
+  'firecrawl-scrape': 0.001,
+  'trustpilot-page': 0,     // public company page, rate-limited
+};
+
+const phaseContext = new AsyncLocalStorage();
+
+/**
+ * Start (or continue) a ledger for this process and its children.
+ * @param {string} filePath
+ */
+export function openUsageLedger(filePath) {
+  const ledger = resolve(filePath);
+  mkdirSync(dirname(ledger), { recursive: true });
+  if (!existsSync(ledger)) writeFileSync(ledger, '', 'utf-8');
+  process.env[USAGE_ENV] = ledger;
+}
+
+/**
+ * Run fn with calls attributed to phaseId (including from spawned scripts).
+ * @param {string} phaseId
+ * @param {Function} fn
+ */
+export function withPhase(phaseId, fn) {
+  return phaseContext.run(phaseId, fn);
+}
+
+/** Phase id that calls are currently attributed to, if any */
+export function currentPhase() {
+  return phaseContext.getStore() || process.env[PHASE_ENV] || null;
+}
+
+/** Env for a child process so its calls land on the current phase */
+export function phaseEnv() {
+  const phase = currentPhase();
+  return phase ? { [PHASE_ENV]: phase } : {};
+}
+
+function costOf(service) {
+  const override = process.env[`BUILD_COST_${service.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`];
+  if (override !== undefined && !Number.isNaN(parseFloat(override))) return parseFloat(override);
+  return CALL_COSTS[service] || 0;
+}
+
+function append(entry) {
+  const ledger = process.env[USAGE_ENV];
+  if (!ledger) return;
+  try {
+    appendFileSync(ledger, JSON.stringify({ ts: new Date().toISOString(), phase: currentPhase(), ...entry }) + '\n', 'utf-8');
+  } catch { /* accounting must never fail a build */ }
+}
+
+/**
+ * Record calls to a paid or rate-limited external service.
+ * @param {string} service - Key of CALL_COSTS (unknown services cost 0)
+ * @param {number} [count]
+ */
+export function recordCall(service, count = 1) {
+  const costUsd = costOf(service) * count;
+  append({ kind: 'call', service, count, costUsd });
+  emitEvent('usage', { phase: currentPhase(), service, count, costUsd });
+}
+
+/**
+ * Record one retry of a failed operation.
+ * @param {string} label
+ * @param {object} [details] - attempt, maxRetries, delayMs, error
+ */
+export function recordRetry(label, details = {}) {
+  append({ kind: 'retry', label });
+  emitEvent('retry', { phase: currentPhase(), label, ...details });
+}
+
+/**
+ * Total a ledger per phase.
+ * @param {string} [filePath] - Defaults to the active ledger
+ * @returns {Object<string, { calls: Object<string, number>, costUsd: number, retries: number }>}
+ */
+export function summarizeUsage(filePath = process.env[USAGE_ENV]) {
+  const totals = {};
+  if (!filePath || !existsSync(filePath)) return totals;
+
+  for (const line of readFileSync(filePath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try { entry = JSON.parse(line); } catch { continue; }
+
+    const phase = entry.phase || 'unattributed';
+    const t = totals[phase] ||= { calls: {}, costUsd: 0, retries: 0 };
+    if (entry.kind === 'call') {
+      t.calls[entry.service] = (t.calls[entry.service] || 0) + entry.count;
+      t.costUsd = Math.round((t.costUsd + entry.costUsd) * 10000) / 10000;
+    } else if (entry.kind === 'retry') {
+      t.retries++;
+    }
+  }
+  return totals;
+}
@@ -0,0 +1,192 @@
+// ============================================================================
+// business-profile.mjs
+// ============================================================================
+// Trading hours, the website and social profile links from Airtable, shaped
+// for site.config.ts (`tradingHours`, `url`, `social`). sync.mjs normalises
+// the website here too, so it compares the url a build would have written.
+//
+// Hours come as one free-text field per weekday ("07:30-17:00", "7:30am -
+// 5pm", "07h30 – 17h00", "Closed") plus "Public Holiday Hours". Social
+// profiles come as URLs, schemeless URLs or bare @handles. Anything that
+// can't be read is left out and reported as an issue — guessed opening hours
+// or a wrong profile link do more harm on the site than none.
+// ============================================================================
+
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/** client-config key holding each weekday's hours (see airtable-field-map.json) */
+const DAY_KEYS = Object.fromEntries(WEEKDAYS.map(day => [day, `hours${day}`]));
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// ---------------------------------------------------------------------------
+// Trading hours
+// ---------------------------------------------------------------------------
+
+const CLOSED = /^(closed|close|shut|none|n\/?a|-)$/;
+const ALL_DAY = /^(open\s*)?(24\s*(hours|hrs|h)|24\/7|all\s*day)$/;
+const RANGE = /^(\d{1,2})(?::?(\d{2}))?\s*(am|pm)?\s*-\s*(\d{1,2})(?::?(\d{2}))?\s*(am|pm)?$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function to24h(hour, meridiem) {
+  if (meridiem === 'am') return hour === 12 ? 0 : hour;
+  if (meridiem === 'pm') return hour === 12 ? 12 : hour + 12;
+  return hour;
+}
+
+/**
+ * Read one day's hours.
+ * @param {string} text - e.g. "07:30-17:00", "7:30am - 5pm", "07h30 – 17h00", "Closed"
+ * @returns {{ opens: string, closes: string } | 'closed' | null} 24-hour "HH:MM"
+ *   times; null when the text can't be read
+ */
+export function parseHours(text) {
+  if (isBlank(text)) return null;
+  const normalized = String(text).trim().toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/\s+(to|until|till)\s+/g, ' - ')
+    .replace(/(\d)h(\d{2})/g, '$1:$2')
+    .replace(/(\d)\s*(a|p)\.?m\.?/g, '$1$2m')
+    .replace(/\s+/g, ' ');
+
+  if (CLOSED.test(normalized)) return 'closed';
+  if (ALL_DAY.test(normalized)) return { opens: '00:00', closes: '23:59' };
+
+  const match = normalized.match(RANGE);
+  if (!match) return null;
+  const [, oh, om = '00', omer, ch, cm = '00', cmer] = match;
+  let opensHour = to24h(Number(oh), omer);
+  let closesHour = to24h(Number(ch), cmer);
+  // "1-5pm" — an opening time without am/pm shares the closing one's when
+  // that keeps the range forwards; "8-5pm" opens in the morning
+  if (!omer && cmer === 'pm' && opensHour < closesHour - 12) opensHour += 12;
+  // "7-5" — a closing hour before the opening one without am/pm is the
+  // afternoon; "17:00-08:00" (zero-padded, so 24-hour) is not
+  if (!cmer && !ch.startsWith('0') && closesHour <= opensHour && closesHour < 12) closesHour += 12;
+
+  const opensMin = Number(om);
+  const closesMin = Number(cm);
+  if (opensHour > 23 || closesHour > 24 || opensMin > 59 || closesMin > 59) return null;
+  if (closesHour * 60 + closesMin <= opensHour * 60 + opensMin) return null;
+
+  return {
+    opens: `${pad(opensHour)}:${pad(opensMin)}`,
+    closes: closesHour === 24 ? '23:59' : `${pad(closesHour)}:${pad(closesMin)}`,
+  };
+}
+
+/**
+ * Trading hours for site.config.ts from client-config data. Days without
+ * hours are closed; nothing is returned when no weekday has hours at all.
+ * @param {object} data - client-config.json
+ * @returns {{
+ *   tradingHours: { week: Record<string, { opens: string, closes: string } | null>,
+ *                   publicHolidays?: { opens: string, closes: string } | null } | null,
+ *   issues: string[],
+ * }}
+ */
+export function tradingHoursFrom(data) {
+  const issues = [];
+  if (WEEKDAYS.every(day => isBlank(data[DAY_KEYS[day]]))) {
+    if (!isBlank(data.publicHolidayHours)) issues.push('Public holiday hours given without any weekday hours — ignored');
+    return { tradingHours: null, issues };
+  }
+
+  const week = {};
+  for (const day of WEEKDAYS) {
+    const raw = data[DAY_KEYS[day]];
+    if (isBlank(raw)) {
+      week[day] = null;
+      issues.push(`${day}: no hours given — shown as closed`);
+      continue;
+    }
+    const hours = parseHours(raw);
+    if (!hours) issues.push(`${day}: can't read "${raw}" — shown as closed`);
+    week[day] = hours && hours !== 'closed' ? hours : null;
+  }
+
+  const tradingHours = { week };
+  if (!isBlank(data.publicHolidayHours)) {
+    const hours = parseHours(data.publicHolidayHours);
+    if (hours) tradingHours.publicHolidays = hours === 'closed' ? null : hours;
+    else issues.push(`Public holidays: can't read "${data.publicHolidayHours}" — left out`);
+  }
+  return { tradingHours, issues };
+}
+
+// ---------------------------------------------------------------------------
+// Website
+// ---------------------------------------------------------------------------
+
+/**
+ * The client's website as site.config.ts `url` — trimmed, https:// added when
+ * no scheme was given.
+ * @param {string} url
+ * @returns {string} '' when there is no website
+ */
+export function normalizeUrl(url) {
+  if (isBlank(url)) return '';
+  const u = String(url).trim();
+  return /^https?:\/\//.test(u) ? u : `https://${u}`;
+}
+
+// ---------------------------------------------------------------------------
+// Social profiles
+// ---------------------------------------------------------------------------
+
+/** Supported platforms, in display order */
+export const SOCIAL_PLATFORMS = {
+  facebook: { hosts: ['facebook.com', 'fb.com', 'fb.me'], profile: (handle) => `https://www.facebook.com/${handle}` },
+  instagram: { hosts: ['instagram.com', 'instagr.am'], profile: (handle) => `https://www.instagram.com/${handle}` },
+  linkedin: { hosts: ['linkedin.com'], profile: (handle) => `https://www.linkedin.com/company/${handle}` },
+  tiktok: { hosts: ['tiktok.com'], profile: (handle) => `https://www.tiktok.com/@${handle}` },
+  youtube: { hosts: ['youtube.com', 'youtu.be'], profile: (handle) => `https://www.youtube.com/@${handle}` },
+};
+
+const HANDLE = /^@?([a-z0-9][a-z0-9._-]{0,99})$/i;
+
+/**
+ * A profile link as a canonical https URL.
+ * @param {string} platform - key of SOCIAL_PLATFORMS
+ * @param {string} value - URL, schemeless URL ("facebook.com/acme") or handle ("@acme")
+ * @returns {string | null} null when the value isn't a profile on that platform
+ */
+export function socialProfileUrl(platform, value) {
+  const spec = SOCIAL_PLATFORMS[platform];
+  if (!spec || isBlank(value)) return null;
+  const text = String(value).trim();
+
+  const handle = text.match(HANDLE);
+  if (handle && (text.startsWith('@') || !text.includes('.'))) return spec.profile(handle[1]);
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase().replace(/^(www|m|web)\./, '');
+  if (!spec.hosts.some(h => host === h || host.endsWith(`.${h}`))) return null;
+  const pathname = url.pathname.replace(/\/+$/, '');
+  if (!pathname) return null;
+  return `https://${url.hostname.toLowerCase()}${pathname}`;
+}
+
+/**
+ * Social profile links for site.config.ts from client-config data.
+ * @param {object} data - client-config.json
+ * @returns {{ social: Record<string, string>, issues: string[] }}
+ */
+export function socialLinksFrom(data) {
+  const social = {};
+  const issues = [];
+  for (const platform of Object.keys(SOCIAL_PLATFORMS)) {
+    const raw = data[platform];
+    if (isBlank(raw)) continue;
+    const url = socialProfileUrl(platform, raw);
+    if (url) social[platform] = url;
+    else issues.push(`${platform}: "${raw}" is not a ${platform} profile — left out`);
+  }
+  return { social, issues };
+}
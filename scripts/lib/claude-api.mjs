@@ -10,16 +10,29 @@
 // No API key required - uses the user's existing Claude Code authentication.
 // ============================================================================
 
-import { execSync, spawn } from 'node:child_process';
+import { exec } from 'node:child_process';
+import { promisify } from 'node:util';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { join } from 'node:path';
 import { homedir, tmpdir } from 'node:os';
+import { replayable } from './replay.mjs';
+import { recordCall, recordRetry } from './build-usage.mjs';
+
+// Async exec so phases that call Claude don't block the phase scheduler
+const execAsync = promisify(exec);
 
 // ---------------------------------------------------------------------------
 // Core Claude CLI call with JSON output
 // ---------------------------------------------------------------------------
 
-async function callClaudeCLI(prompt, options = {}) {
+// `label` identifies the call in record/replay fixtures — prompts embed
+// machine-local history (recently used fonts), so they can't be the key.
+function callClaudeCLI(prompt, options = {}) {
+  const { label = 'prompt' } = options;
+  return replayable('claude', { label }, () => callClaudeCLILive(prompt, options));
+}
+
+async function callClaudeCLILive(prompt, options = {}) {
   const { maxRetries = 3, timeoutMs = 300_000 } = options;
 
   // Write prompt to temp file to avoid shell escaping issues
@@ -33,14 +46,14 @@ async function callClaudeCLI(prompt, options = {}) {
       // Use claude CLI with the prompt
       // The --print flag outputs just the response (no interactive UI)
       // We ask Claude to output JSON in the prompt itself
-      const result = execSync(
+      recordCall('claude');
+      const { stdout: result } = await execAsync(
         `claude --print --output-format text --dangerously-skip-permissions "$(cat ${JSON.stringify(promptFile)})"`,
         {
           encoding: 'utf-8',
           timeout: timeoutMs,
           maxBuffer: 50 * 1024 * 1024, // 50MB buffer for large responses
           env: { ...process.env, TERM: 'dumb' }, // Disable color codes
-          stdio: ['pipe', 'pipe', 'pipe'],
         }
       );
 
@@ -69,6 +82,7 @@ async function callClaudeCLI(prompt, options = {}) {
       }
 
       const delay = Math.pow(2, attempt) * 2000 + Math.random() * 1000;
+      recordRetry(`Claude CLI (${options.label || 'prompt'})`, { attempt: attempt + 1, maxRetries, delayMs: Math.round(delay), error: err.message });
       console.log(`  Claude CLI retry ${attempt + 1}/${maxRetries} in ${(delay / 1000).toFixed(0)}s: ${err.message}`);
       await new Promise(r => setTimeout(r, delay));
     }
@@ -149,7 +163,7 @@ RESPOND WITH ONLY A JSON OBJECT (no markdown, no explanation outside the JSON):
 }`;
 
   console.log('  Calling Claude CLI for design direction...');
-  const result = await callClaudeCLI(prompt);
+  const result = await callClaudeCLI(prompt, { label: 'design-direction' });
 
   console.log(`  Direction: ${result.direction}`);
   console.log(`  Fonts: ${result.fonts.display} / ${result.fonts.body}`);
@@ -265,7 +279,7 @@ RESPOND WITH ONLY A JSON OBJECT (no markdown, no explanation outside the JSON).
 }`;
 
   console.log('  Calling Claude CLI for content generation...');
-  const result = await callClaudeCLI(prompt, { timeoutMs: 600_000 }); // 10 min timeout for content
+  const result = await callClaudeCLI(prompt, { label: 'content', timeoutMs: 600_000 }); // 10 min timeout for content
 
   console.log(`  Services: ${result.services.length} generated`);
   for (const s of result.services) {
@@ -321,7 +335,7 @@ RESPOND WITH ONLY A JSON OBJECT (no markdown, no explanation outside the JSON):
 }`;
 
   console.log('  Calling Claude CLI for QA analysis...');
-  const result = await callClaudeCLI(prompt);
+  const result = await callClaudeCLI(prompt, { label: 'qa-analysis' });
 
   console.log(`  Verdict: ${result.verdict}`);
   console.log(`  Issues: ${result.issues.length}`);
@@ -0,0 +1,173 @@
+// ============================================================================
+// config-provenance.mjs
+// ============================================================================
+// Where each site.config.ts value came from, kept in src/config-provenance.json:
+//
+//   airtable       written from client data (populate-config.mjs, sync.mjs)
+//   design-tokens  fonts + colors from the design direction
+//   ai             generated content injected by build-runner.mjs
+//   manual         changed by hand after it was written
+//   client-edit    overridden in client-edits.json (layered at render time)
+//
+// Each entry stores a hash of the value as it was written, so a later hand
+// edit is noticed even though nobody updated the provenance file. Re-syncs
+// only overwrite values that are still Airtable's; anything else is reported
+// as a conflict (see originOf / checkOverwrite).
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { readSection, writeSectionText, readKeyValue, replaceKeyValue } from './config-writer.mjs';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const PROVENANCE_FILE = 'src/config-provenance.json';
+
+/** Sections build-runner.mjs fills from content-generated.json */
+export const CONTENT_KEYS = ['services', 'nav', 'homepage', 'about', 'contact', 'reviews', 'servicesPage', 'legal', 'whatsappMessage'];
+
+/**
+ * @param {string} projectPath
+ * @returns {{ generatedAt?: string, source?: string, fields: Record<string, { source: string, field?: string, hash?: string, updatedAt: string }> }}
+ */
+export function readProvenance(projectPath) {
+  const filePath = path.join(projectPath, PROVENANCE_FILE);
+  if (!fs.existsSync(filePath)) return { fields: {} };
+  const provenance = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return { ...provenance, fields: provenance.fields || {} };
+}
+
+export function writeProvenance(projectPath, provenance) {
+  writeFileAtomic(path.join(projectPath, PROVENANCE_FILE), JSON.stringify(provenance, null, 2), 'utf-8');
+}
+
+// ---------------------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------------------
+
+function inlineArrayPattern(key) {
+  return new RegExp(`(\\b${key}:\\s*)(\\[[^\\]\\n]*\\])`);
+}
+
+/**
+ * A config value as source text: a top-level section, an inline array
+ * (homepage.heroBadges) or the first string value for the key.
+ * @returns {string | null}
+ */
+export function valueText(config, key) {
+  return readSection(config, key)
+    ?? config.match(inlineArrayPattern(key))?.[2]
+    ?? readKeyValue(config, key);
+}
+
+/** Write source text read with valueText into another config. */
+export function writeValueText(config, key, text) {
+  if (readSection(config, key) !== null) return writeSectionText(config, key, text);
+  if (inlineArrayPattern(key).test(config)) return config.replace(inlineArrayPattern(key), (_, lead) => `${lead}${text}`);
+  return replaceKeyValue(config, key, text);
+}
+
+function hashText(text) {
+  return text === null ? null : createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+export function fingerprint(config, key) {
+  return hashText(valueText(config, key));
+}
+
+/**
+ * Record that a value was just written by `source`.
+ * Mutates and returns the provenance object.
+ */
+export function stamp(provenance, config, key, source, field) {
+  const previous = provenance.fields[key];
+  provenance.fields[key] = {
+    source,
+    field: field ?? previous?.field ?? key,
+    hash: fingerprint(config, key),
+    updatedAt: new Date().toISOString(),
+  };
+  return provenance;
+}
+
+/** Refresh the hash after a value's recorded writer rewrote it (e.g. refreshed reviews). */
+export function restamp(provenance, config, key) {
+  const entry = provenance.fields[key];
+  return entry ? stamp(provenance, config, key, entry.source) : provenance;
+}
+
+// ---------------------------------------------------------------------------
+// Origins
+// ---------------------------------------------------------------------------
+
+/** client-edits.json keys that override a config key (or something inside it). */
+export function editedKeys(edits, key) {
+  return Object.keys(edits).filter(k => k === key || k.startsWith(`${key}.`));
+}
+
+/**
+ * Work out a value's origin now.
+ * @param {object} provenance
+ * @param {string} config - site.config.ts content
+ * @param {string} key
+ * @param {{ edits?: object, previous?: string }} [options]
+ *   edits    — client-edits.json
+ *   previous — the value Airtable gave at the last sync; stands in for the
+ *              hash on entries written before hashes were recorded
+ * @returns {string | null} null when nothing is known about the key
+ */
+export function originOf(provenance, config, key, { edits = {}, previous } = {}) {
+  if (editedKeys(edits, key).length > 0) return 'client-edit';
+
+  const entry = provenance.fields[key];
+  const current = valueText(config, key);
+  if (entry?.hash) return entry.hash === hashText(current) ? entry.source : 'manual';
+  if (previous !== undefined && current !== null && current !== String(previous)) return 'manual';
+  return entry?.source ?? (previous !== undefined ? 'airtable' : null);
+}
+
+/**
+ * Whether a writer may overwrite a value: only when it still has the
+ * writer's own origin (or nothing is known about it).
+ * @returns {{ ok: boolean, origin: string | null }}
+ */
+export function checkOverwrite(provenance, config, key, source, options = {}) {
+  const origin = originOf(provenance, config, key, options);
+  return { ok: origin === null || origin === source, origin };
+}
+
+// ---------------------------------------------------------------------------
+// Template upgrade
+// ---------------------------------------------------------------------------
+
+/**
+ * Carry values that were not re-applied from client data (AI content, hand
+ * edits) from the old config into a freshly populated template config.
+ * Sections build-runner writes are carried even without a provenance entry.
+ * @param {string} oldConfig - the project's site.config.ts before the upgrade
+ * @param {string} newConfig - the new template's site.config.ts after populate-config
+ * @param {object} provenance - the project's provenance before the upgrade
+ * @returns {{ config: string, carried: Array<{ key: string, origin: string }>, conflicts: Array<{ key: string, origin: string }> }}
+ */
+export function carryOver(oldConfig, newConfig, provenance) {
+  const keys = [...new Set([...CONTENT_KEYS, ...Object.keys(provenance.fields)])];
+  const carried = [];
+  const conflicts = [];
+  let config = newConfig;
+
+  for (const key of keys) {
+    const origin = originOf(provenance, oldConfig, key) ?? 'ai';
+    if (origin === 'airtable' || origin === 'design-tokens') continue;
+
+    const text = valueText(oldConfig, key);
+    if (text === null) continue;
+    if (valueText(config, key) === null) {
+      conflicts.push({ key, origin });
+      continue;
+    }
+    config = writeValueText(config, key, text);
+    carried.push({ key, origin });
+  }
+
+  return { config, carried, conflicts };
+}
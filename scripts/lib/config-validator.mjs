@@ -49,6 +49,13 @@ const Service = z.object({
   whyChooseUs: z.array(z.object({ bold: z.string(), text: z.string() })).min(1),
 });
 
+const OpeningHours = z.object({
+  opens: z.string().regex(/^\d{2}:\d{2}$/),
+  closes: z.string().regex(/^\d{2}:\d{2}$/),
+});
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
 const SiteConfigSchema = z.object({
   name: z.string().min(2),
   tagline: z.string().min(3),
@@ -70,6 +77,11 @@ const SiteConfigSchema = z.object({
     country: z.literal('ZA'),
     coords: z.object({ lat: z.number(), lng: z.number() }),
   }),
+  social: z.record(z.enum(['facebook', 'instagram', 'linkedin', 'tiktok', 'youtube']), z.string().startsWith('https://')),
+  tradingHours: z.object({
+    week: z.object(Object.fromEntries(WEEKDAYS.map(day => [day, OpeningHours.nullable()]))),
+    publicHolidays: OpeningHours.nullable().optional(),
+  }).nullable(),
 
   theme: z.object({
     primary: z.string().regex(/^#[0-9A-Fa-f]{6}$/),
@@ -121,10 +133,6 @@ const SiteConfigSchema = z.object({
     metaDescription: z.string().min(30).max(160),
     heroTitle: z.string().min(3),
     heroSubtitle: z.string().min(5),
-    hours: z.object({
-      standard: z.object({ label: z.string(), days: z.string(), hours: z.string() }),
-      emergency: z.object({ label: z.string(), days: z.string(), hours: z.string() }),
-    }),
     faqs: z.array(FAQ).min(1),
   }),
 
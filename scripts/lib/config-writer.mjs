@@ -10,37 +10,32 @@
 // updates the config.
 // ============================================================================
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { readFileSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
+import { emitArtifact } from './build-events.mjs';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+// site.config.ts declares `interface SiteConfig` above the `site` object with
+// the same top-level keys — section lookups only search the object literal.
+function literalStart(config) {
+  const index = config.search(/^export const site\b/m);
+  return index === -1 ? 0 : index;
+}
+
+// Matches multi-line sections and one-line ones (`social: {},`, `tradingHours: null,`)
+function sectionPattern(sectionName) {
+  return new RegExp(`^  ${sectionName}:\\s*(null|\\[\\]|\\{\\}|\\[[\\s\\S]*?\\n  \\]|\\{[\\s\\S]*?\\n  \\}),`, 'm');
+}
 
 /**
- * Replace a top-level section in site.config.ts with new data.
+ * Replace a top-level section in site.config.ts with new data, or with
+ * `null` for an optional section the client has no data for.
  * Finds the section by key name and replaces the value.
  * Idempotent: same input → same output regardless of current state.
  */
 export function replaceSection(config, sectionName, newValue) {
-  // For arrays (services, nav)
-  if (Array.isArray(newValue)) {
-    const serialized = serializeToTS(newValue, 2);
-    const regex = new RegExp(
-      `(  ${sectionName}:\\s*)\\[[\\s\\S]*?\\n  \\],`,
-      'm'
-    );
-    if (regex.test(config)) {
-      return config.replace(regex, `  ${sectionName}: ${serialized},`);
-    }
-  }
-
-  // For objects
-  if (typeof newValue === 'object' && !Array.isArray(newValue)) {
-    const serialized = serializeToTS(newValue, 2);
-    const regex = new RegExp(
-      `(  ${sectionName}:\\s*)\\{[\\s\\S]*?\\n  \\},`,
-      'm'
-    );
-    if (regex.test(config)) {
-      return config.replace(regex, `  ${sectionName}: ${serialized},`);
-    }
+  if (typeof newValue === 'object' && readSection(config, sectionName) !== null) {
+    return writeSectionText(config, sectionName, serializeToTS(newValue, 2));
   }
 
   // If no match found, log but don't fail
@@ -48,6 +43,27 @@ export function replaceSection(config, sectionName, newValue) {
   return config;
 }
 
+/**
+ * Read a top-level section of site.config.ts as TypeScript source text.
+ * @returns {string | null} e.g. '[\n    { ... },\n  ]', or null when the section isn't found
+ */
+export function readSection(config, sectionName) {
+  const match = config.slice(literalStart(config)).match(sectionPattern(sectionName));
+  return match ? match[1] : null;
+}
+
+/**
+ * Replace a top-level section with source text — e.g. one read from another
+ * config with readSection, carried over verbatim, comments and all.
+ */
+export function writeSectionText(config, sectionName, text) {
+  const start = literalStart(config);
+  const body = config.slice(start);
+  const regex = sectionPattern(sectionName);
+  if (!regex.test(body)) return config;
+  return config.slice(0, start) + body.replace(regex, () => `  ${sectionName}: ${text},`);
+}
+
 /**
  * Serialize a JS value to TypeScript literal notation.
  */
@@ -84,6 +100,17 @@ export function replaceKeyValue(config, key, newValue) {
   return config;
 }
 
+/**
+ * Read the first string value for a key in site.config.ts.
+ * @param {string} config - Current config file content
+ * @param {string} key - The key name (e.g., "url", "phone")
+ * @returns {string | null} The value, or null when the key isn't found
+ */
+export function readKeyValue(config, key) {
+  const match = config.match(new RegExp(`${key}:\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
 /**
  * Replace a numeric key-value pair in site.config.ts.
  * @param {string} config - Current config file content
@@ -119,5 +146,6 @@ export function readConfig(projectPath) {
  */
 export function writeConfig(projectPath, content) {
   const configPath = join(projectPath, 'src/site.config.ts');
-  writeFileSync(configPath, content, 'utf-8');
+  writeFileAtomic(configPath, content, 'utf-8');
+  emitArtifact(configPath, 'site-config');
 }
@@ -0,0 +1,397 @@
+// ============================================================================
+// data-sources.mjs
+// ============================================================================
+// Data-source adapters that produce client-config.json without Airtable —
+// for clients who never went through the Airtable form.
+//
+// Each adapter turns a file into flat records (column/key → value). The
+// records then go through one shared field mapping, so a JSON brief, a YAML
+// brief, a CSV row and a Google Sheets export all yield the same
+// client-config shape, validated with scripts/schemas/client-config.schema.mjs.
+//
+// Built-in adapters:
+//   json    — one brief object, an array of them, or { clients: [...] }
+//   yaml    — same shapes as json; every scalar is read as text
+//   csv     — header row + one row per client (.tsv is tab-separated)
+//   sheets  — Sheets API values export: { range, values: [[header...], [row...]] }
+//
+// Keys are matched loosely: "Company Name", "company_name" and the Airtable
+// field name "Company name" all map to companyName (see FIELD_ALIASES).
+// List cells ("Geysers; Leak detection") are split on ; | or newlines.
+//
+// Usage:
+//   import { loadClientData } from './lib/data-sources.mjs';
+//   const { config, validation } = loadClientData('briefs.csv', { row: 3 });
+//
+// New adapters: registerDataSource('name', { extensions, read(text, file) }).
+// ============================================================================
+
+import { readFileSync } from 'node:fs';
+import { extname, resolve } from 'node:path';
+import yaml from 'js-yaml';
+import { validateClientConfig } from '../schemas/client-config.schema.mjs';
+import { loadFieldMap, requiredKeys, recommendedKeys } from './airtable-field-map.mjs';
+
+// ---------------------------------------------------------------------------
+// YAML
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a YAML brief (js-yaml, one document). Scalars are read as text like
+ * CSV cells, so an unquoted 0821234567 keeps its leading zero; the field
+ * mapping below normalises them.
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseYaml(text) {
+  try {
+    return yaml.load(text, { schema: yaml.FAILSAFE_SCHEMA });
+  } catch (e) {
+    throw new Error(`Invalid YAML: ${e.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, "" escapes, newlines inside quotes).
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function rowsToRecords(rows) {
+  const [header, ...data] = rows;
+  if (!header) return [];
+  return data.map(cells => Object.fromEntries(header.map((h, i) => [String(h).trim(), cells[i] ?? ''])));
+}
+
+// ---------------------------------------------------------------------------
+// Adapters
+// ---------------------------------------------------------------------------
+
+function briefRecords(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.clients)) return data.clients;
+  if (data && typeof data === 'object') return [data];
+  throw new Error('Expected a brief object, an array of briefs or { clients: [...] }');
+}
+
+const ADAPTERS = {
+  json: {
+    extensions: ['.json'],
+    read: (text) => briefRecords(JSON.parse(text)),
+  },
+  yaml: {
+    extensions: ['.yaml', '.yml'],
+    read: (text) => briefRecords(parseYaml(text)),
+  },
+  csv: {
+    extensions: ['.csv', '.tsv'],
+    read: (text, file) => rowsToRecords(parseCsv(text, extname(file).toLowerCase() === '.tsv' ? '\t' : ',')),
+  },
+  sheets: {
+    extensions: [],
+    read: (text) => {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data.values)) throw new Error('Sheets export has no "values" array');
+      return rowsToRecords(data.values);
+    },
+  },
+};
+
+/**
+ * Add or replace an adapter.
+ * @param {string} name
+ * @param {{ extensions: string[], read: (text: string, file: string) => object[] }} adapter
+ */
+export function registerDataSource(name, adapter) {
+  if (typeof adapter?.read !== 'function') throw new Error(`Data source "${name}" needs a read(text, file) function`);
+  ADAPTERS[name] = { extensions: [], ...adapter };
+}
+
+/** Names of the registered adapters */
+export function listDataSources() {
+  return Object.keys(ADAPTERS);
+}
+
+/**
+ * Pick an adapter from the file extension (a .json file holding a Sheets
+ * values export is detected as "sheets").
+ * @param {string} file
+ * @param {string} [text] - File contents, to tell json from sheets
+ */
+export function detectDataSource(file, text) {
+  const ext = extname(file).toLowerCase();
+  if (ext === '.json' && text) {
+    try {
+      const data = JSON.parse(text);
+      if (Array.isArray(data?.values) && Array.isArray(data.values[0])) return 'sheets';
+    } catch { /* the json adapter reports the parse error */ }
+  }
+  const match = Object.entries(ADAPTERS).find(([, a]) => a.extensions.includes(ext));
+  if (!match) throw new Error(`Cannot tell the data source of ${file} — pass one of: ${listDataSources().join(', ')}`);
+  return match[0];
+}
+
+// ---------------------------------------------------------------------------
+// Field mapping → client-config.json
+// ---------------------------------------------------------------------------
+
+// client-config key → accepted source keys, compared lowercase without
+// spaces or punctuation. Airtable field names are included so a CSV export
+// of the Airtable base maps too.
+const FIELD_ALIASES = {
+  recordId:        ['recordid'],
+  companyName:     ['companyname', 'company', 'businessname', 'tradingname', 'name'],
+  phone:           ['phone', 'phonenumber', 'phonenumbersenttoleads', 'telephone', 'tel', 'mobile', 'cell'],
+  whatsapp:        ['whatsapp', 'whatsappnumber'],
+  email:           ['email', 'emailaddress', 'businessownersemail'],
+  ownerFirstName:  ['ownerfirstname', 'firstname', 'ownername', 'businessownername'],
+  ownerLastName:   ['ownerlastname', 'lastname', 'surname', 'ownersurname', 'businessownersurname'],
+  primaryCity:     ['primarycity', 'city', 'citybasedin', 'town'],
+  niche:           ['niche', 'trade', 'industry', 'nicheyourbusinesscovers'],
+  yearStarted:     ['yearstarted', 'founded', 'foundingyear', 'llpyearbusinessstarted'],
+  services:        ['services', 'service'],
+  serviceAreas:    ['serviceareas', 'areas', 'whatareasdoesyourcompanyservice'],
+  differentiators: ['differentiators', 'features', 'choosefeaturesthatmatchyourbusiness'],
+  aboutText:       ['abouttext', 'about', 'aboutpromptoutput', 'partnerabout'],
+  servicesText:    ['servicestext', 'servicesrewriteoutput', 'partnerservices'],
+  website:         ['website', 'partnerwebsite', 'url'],
+  logo:            ['logo', 'partnerlogo', 'logourl'],
+  headshot:        ['headshot', 'partnerheadshot', 'headshoturl'],
+  gallery:         ['gallery', 'galleryimages', 'photos'],
+  googleMapsUrl:   ['googlemapsurl', 'googlebusinessprofile', 'googlemaps'],
+  helloPeterUrl:   ['hellopeterurl', 'hellopeter'],
+  trustpilotUrl:   ['trustpiloturl', 'trustpilot'],
+  address:         ['address', 'physicaladdress', 'streetaddress', 'street'],
+  region:          ['region', 'province'],
+  postalCode:      ['postalcode', 'postcode', 'zip'],
+  facebook:        ['facebook'],
+  instagram:       ['instagram'],
+  linkedin:        ['linkedin'],
+  tiktok:          ['tiktok'],
+  youtube:         ['youtube'],
+  hoursMonday:     ['mondayhours', 'hoursmonday', 'monday'],
+  hoursTuesday:    ['tuesdayhours', 'hourstuesday', 'tuesday'],
+  hoursWednesday:  ['wednesdayhours', 'hourswednesday', 'wednesday'],
+  hoursThursday:   ['thursdayhours', 'hoursthursday', 'thursday'],
+  hoursFriday:     ['fridayhours', 'hoursfriday', 'friday'],
+  hoursSaturday:   ['saturdayhours', 'hourssaturday', 'saturday'],
+  hoursSunday:     ['sundayhours', 'hourssunday', 'sunday'],
+  publicHolidayHours: ['publicholidayhours', 'publicholidays', 'holidayhours'],
+  rating:          ['rating', 'companyrating'],
+};
+
+const LIST_FIELDS = ['services', 'serviceAreas', 'differentiators', 'gallery'];
+
+const ALIAS_LOOKUP = new Map(
+  Object.entries(FIELD_ALIASES).flatMap(([key, aliases]) => aliases.map(a => [a, key]))
+);
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+function toList(value) {
+  if (isEmpty(value)) return [];
+  if (Array.isArray(value)) return value.map(v => String(v?.url || v).trim()).filter(Boolean);
+  const text = String(value);
+  const parts = /[;|\n]/.test(text) ? text.split(/[;|\n]/) : text.split(',');
+  return parts.map(s => s.trim()).filter(Boolean);
+}
+
+function firstUrl(value) {
+  if (Array.isArray(value)) return toList(value)[0];
+  return value?.url ?? value;
+}
+
+const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => !isEmpty(v)));
+
+function toUrl(value) {
+  const url = String(value).trim();
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+/**
+ * Map one flat record to client-config.json.
+ * @param {object} record - Source key → value
+ * @param {{ source?: string, file?: string, row?: number }} [origin] - Recorded as `source`
+ * @returns {{ config: object, unmapped: string[] }} unmapped — source keys with no client-config field
+ */
+export function toClientConfig(record, origin = {}) {
+  const fields = {};
+  const unmapped = [];
+  for (const [key, value] of Object.entries(record || {})) {
+    const target = ALIAS_LOOKUP.get(normalizeKey(key));
+    if (!target) {
+      if (!isEmpty(value)) unmapped.push(key);
+      continue;
+    }
+    if (isEmpty(fields[target])) fields[target] = value;
+  }
+
+  const text = (v) => (isEmpty(v) ? undefined : String(v).trim());
+
+  // Address: a nested { street, city, region, postalCode } or flat columns
+  const rawAddress = fields.address && typeof fields.address === 'object' ? fields.address : { street: fields.address };
+  const address = compact({
+    street: text(rawAddress.street),
+    city: text(rawAddress.city ?? fields.primaryCity),
+    region: text(rawAddress.region ?? fields.region),
+    postalCode: text(rawAddress.postalCode ?? fields.postalCode),
+  });
+  const rating = Number(fields.rating);
+
+  const config = {
+    recordId: text(fields.recordId),
+    companyName: text(fields.companyName),
+    phone: text(fields.phone),
+    whatsapp: text(fields.whatsapp ?? fields.phone),
+    email: text(fields.email),
+    ownerFirstName: text(fields.ownerFirstName),
+    ownerLastName: text(fields.ownerLastName),
+    primaryCity: text(fields.primaryCity ?? rawAddress.city),
+    niche: text(fields.niche),
+    yearStarted: isEmpty(fields.yearStarted) ? undefined : fields.yearStarted,
+    services: toList(fields.services),
+    // populate-locations splits on "|", which keeps "Helderberg (Somerset West, Strand)" whole
+    serviceAreas: toList(fields.serviceAreas).join(' | ') || undefined,
+    differentiators: toList(fields.differentiators),
+    aboutText: text(fields.aboutText),
+    servicesText: text(fields.servicesText),
+    website: isEmpty(fields.website) ? undefined : toUrl(fields.website),
+    logo: text(firstUrl(fields.logo)),
+    headshot: text(firstUrl(fields.headshot)),
+    gallery: toList(fields.gallery),
+    googleMapsUrl: text(fields.googleMapsUrl),
+    helloPeterUrl: text(fields.helloPeterUrl),
+    trustpilotUrl: text(fields.trustpilotUrl),
+    address: address.street || address.region || address.postalCode ? address : undefined,
+    facebook: text(fields.facebook),
+    instagram: text(fields.instagram),
+    linkedin: text(fields.linkedin),
+    tiktok: text(fields.tiktok),
+    youtube: text(fields.youtube),
+    hoursMonday: text(fields.hoursMonday),
+    hoursTuesday: text(fields.hoursTuesday),
+    hoursWednesday: text(fields.hoursWednesday),
+    hoursThursday: text(fields.hoursThursday),
+    hoursFriday: text(fields.hoursFriday),
+    hoursSaturday: text(fields.hoursSaturday),
+    hoursSunday: text(fields.hoursSunday),
+    publicHolidayHours: text(fields.publicHolidayHours),
+    rating: isEmpty(fields.rating) || !Number.isFinite(rating) ? undefined : rating,
+    source: compact({ type: origin.source, file: origin.file, row: origin.row }),
+  };
+
+  // Empty values are left out rather than written as "" — the schema
+  // rejects empty emails and URLs, and every consumer has a fallback
+  return {
+    config: Object.fromEntries(Object.entries(config).filter(([k, v]) => k === 'services' || !isEmpty(v))),
+    unmapped,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Load + validate
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a mapped config: required/recommended fields (as flagged in the
+ * Airtable field map, so both paths agree) plus the client-config schema.
+ * @returns {{ valid: boolean, missing: string[], warnings: string[], errors: string[] }}
+ */
+export function validateClientData(config) {
+  const fieldMap = loadFieldMap();
+  const missing = requiredKeys(fieldMap).filter(k => isEmpty(config[k]));
+  const warnings = recommendedKeys(fieldMap).filter(k => isEmpty(config[k]));
+  const schema = validateClientConfig(config);
+  return { valid: missing.length === 0 && schema.success, missing, warnings, errors: schema.errors };
+}
+
+function selectRecord(records, { row, company }, file) {
+  if (records.length === 0) throw new Error(`No client records in ${file}`);
+
+  if (row !== undefined && row !== null && row !== true) {
+    const index = parseInt(row, 10);
+    if (!(index >= 1 && index <= records.length)) {
+      throw new Error(`Row ${row} is out of range — ${file} has ${records.length} client record(s)`);
+    }
+    return { record: records[index - 1], row: index };
+  }
+
+  if (company) {
+    const wanted = company.toLowerCase();
+    const index = records.findIndex(r => (toClientConfig(r).config.companyName || '').toLowerCase() === wanted);
+    if (index === -1) throw new Error(`No client named "${company}" in ${file}`);
+    return { record: records[index], row: index + 1 };
+  }
+
+  if (records.length > 1) {
+    throw new Error(`${file} has ${records.length} client records — choose one with --row or --company`);
+  }
+  return { record: records[0], row: 1 };
+}
+
+/**
+ * Read a client brief/export and map it to client-config.json.
+ * @param {string} file
+ * @param {{ source?: string, row?: number|string, company?: string }} [options]
+ *   source — adapter name (detected from the file when omitted)
+ *   row — 1-based record to use (data rows, header excluded); or pick by company name
+ * @returns {{ config: object, validation: object, unmapped: string[], source: string }}
+ */
+export function loadClientData(file, { source, row, company } = {}) {
+  const filePath = resolve(file);
+  const text = readFileSync(filePath, 'utf-8');
+  const adapterName = source || detectDataSource(filePath, text);
+  const adapter = ADAPTERS[adapterName];
+  if (!adapter) throw new Error(`Unknown data source "${adapterName}" — use one of: ${listDataSources().join(', ')}`);
+
+  const records = adapter.read(text, filePath);
+  const selected = selectRecord(records, { row, company }, filePath);
+  const { config, unmapped } = toClientConfig(selected.record, { source: adapterName, file: filePath, row: selected.row });
+  return { config, validation: validateClientData(config), unmapped, source: adapterName };
+}
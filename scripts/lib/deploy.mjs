@@ -14,11 +14,15 @@
 //   - `gh` CLI authenticated (run `gh auth login` first)
 //   - Netlify CLI authenticated (`netlify login`)
 //   - netlify.toml in the project root (included in template)
+//
+// netlify-cli honours NETLIFY_API_URL, so lib/mock-servers.mjs can stand in
+// for the Netlify API offline.
 // ============================================================================
 
 import { execSync } from 'node:child_process';
 import { existsSync } from 'node:fs';
 import { join } from 'node:path';
+import { replayable } from './replay.mjs';
 
 // Netlify account slug — used for non-interactive site creation
 const NETLIFY_ACCOUNT_SLUG = 'localbizonline';
@@ -229,6 +233,10 @@ function createAndLinkNetlifySite(projectPath, siteName, repoUrl) {
  */
 export async function deployToNetlify(projectPath, companyName) {
   const siteName = slugify(companyName);
+  return replayable('deploy', { siteName }, () => deployLive(projectPath, siteName));
+}
+
+async function deployLive(projectPath, siteName) {
 
   // Step 1: Push to GitHub
   console.log('\n  === Step 1: Push to GitHub ===');
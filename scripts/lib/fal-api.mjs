@@ -7,15 +7,25 @@
 //
 // Model: fal-ai/nano-banana-pro (mandatory — never use flux/schnell)
 // Requires: FAL_KEY env var
+// FAL_API_URL overrides https://queue.fal.run (see lib/mock-servers.mjs)
 // ============================================================================
 
-import { writeFileSync, existsSync, mkdirSync, readFileSync, statSync, readdirSync, rmSync } from 'node:fs';
+import { existsSync, mkdirSync, readFileSync, statSync, readdirSync, rmSync } from 'node:fs';
 import { join, basename } from 'node:path';
 import { get as httpsGet } from 'node:https';
+import { get as httpGet } from 'node:http';
 import { createWriteStream } from 'node:fs';
 import { retry } from './runner-utils.mjs';
+import { replayDownload, pause } from './replay.mjs';
+import { emitArtifact } from './build-events.mjs';
+import { recordCall } from './build-usage.mjs';
+import { writeFileAtomic, writeViaTemp } from './atomic-write.mjs';
 
-const FAL_QUEUE_URL = 'https://queue.fal.run/fal-ai/nano-banana-pro';
+const FAL_MODEL = 'fal-ai/nano-banana-pro';
+
+function falQueueUrl() {
+  return `${process.env.FAL_API_URL || 'https://queue.fal.run'}/${FAL_MODEL}`;
+}
 
 const NEGATIVE_PROMPT = 'text, words, letters, logos, watermark, signature, label, signage, blurry, low quality, cartoon, illustration, painting, drawing, face, portrait, selfie, person looking at camera';
 
@@ -54,13 +64,21 @@ function getFalKey() {
 // Download image from URL to disk
 // ---------------------------------------------------------------------------
 
-function downloadImage(url, dest) {
+async function downloadImage(url, dest) {
+  // Via a temp file so an interrupted download never leaves a truncated image
+  await writeViaTemp(dest, (tmp) => replayDownload(url, tmp, downloadImageLive));
+  emitArtifact(dest, 'image');
+  return dest;
+}
+
+function downloadImageLive(url, dest) {
   return new Promise((resolve, reject) => {
     const file = createWriteStream(dest);
-    httpsGet(url, (response) => {
+    const get = url.startsWith('http:') ? httpGet : httpsGet;
+    get(url, (response) => {
       if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
         file.close();
-        downloadImage(response.headers.location, dest).then(resolve).catch(reject);
+        downloadImageLive(response.headers.location, dest).then(resolve).catch(reject);
         return;
       }
       if (response.statusCode !== 200) {
@@ -83,7 +101,8 @@ async function generateImage(prompt, outputPath, options = {}) {
   const key = getFalKey();
 
   // Submit to queue
-  const submitRes = await fetch(FAL_QUEUE_URL, {
+  const queueUrl = falQueueUrl();
+  const submitRes = await fetch(queueUrl, {
     method: 'POST',
     headers: {
       'Authorization': `Key ${key}`,
@@ -104,6 +123,7 @@ async function generateImage(prompt, outputPath, options = {}) {
     const body = await submitRes.text();
     throw new Error(`FAL API error ${submitRes.status}: ${body}`);
   }
+  recordCall('fal-image');
 
   const submitData = await submitRes.json();
 
@@ -119,11 +139,11 @@ async function generateImage(prompt, outputPath, options = {}) {
     throw new Error('FAL API returned neither images nor request_id');
   }
 
-  const statusUrl = `${FAL_QUEUE_URL}/requests/${requestId}/status`;
-  const resultUrl = `${FAL_QUEUE_URL}/requests/${requestId}`;
+  const statusUrl = `${queueUrl}/requests/${requestId}/status`;
+  const resultUrl = `${queueUrl}/requests/${requestId}`;
 
   for (let i = 0; i < 30; i++) {
-    await new Promise(r => setTimeout(r, 10_000));
+    await pause(10_000);
 
     const statusRes = await fetch(statusUrl, {
       headers: { 'Authorization': `Key ${key}` },
@@ -366,14 +386,14 @@ export async function generateMissingImages(ctx) {
   function writeManifest() {
     const total = generated + skipped + failed;
     const manifestData = {
-      model: 'fal-ai/nano-banana-pro',
-      endpoint: FAL_QUEUE_URL,
+      model: FAL_MODEL,
+      endpoint: falQueueUrl(),
       generatedAt: new Date().toISOString(),
       promptSource: 'IMAGE-PROMPTS.md',
       stats: { generated, skipped, failed, total },
       files: generatedFiles,
     };
-    writeFileSync(manifestPath, JSON.stringify(manifestData, null, 2));
+    writeFileAtomic(manifestPath, JSON.stringify(manifestData, null, 2));
   }
 
   // Write initial manifest with skipped files (partial save on re-run)
@@ -0,0 +1,588 @@
+// ============================================================================
+// mock-servers.mjs
+// ============================================================================
+// Local stand-ins for the HTTP APIs the pipeline talks to, so integration
+// tests (and whole builds) can run offline:
+//
+//   Airtable    /v0/<base>/<table>[/<record>]   list (filterByFormula, sort,
+//               fields[], pagination), get, and PATCH updates; plus
+//               /v0/meta/bases/<base>/tables (fields = union of record keys)
+//               and /v0/bases/<base>/webhooks/<id>/payloads (cursor, limit)
+//   FAL         /<model> queue submit, /requests/<id>/status poll, result,
+//               and /files/<name> for the generated image
+//   DataForSEO  /v3/business_data/google/reviews/task_post + task_get/<id>
+//   Netlify     /api/v1 — user, accounts, site create/get/update, deploys
+//
+// sendAirtableWebhook() plays the other direction: it POSTs an Airtable-style
+// change payload (optionally signed) to a listener such as sync-watch.mjs;
+// sendAirtableNotification() POSTs the bare { base, webhook } ping real
+// Airtable webhooks send.
+//
+// Scripts read their base URL from AIRTABLE_API_URL, FAL_API_URL,
+// DATAFORSEO_API_URL and NETLIFY_API_URL (netlify-cli honours the last one
+// natively). startMockServers() returns those as `env`; copy them into
+// process.env and every script spawned afterwards uses the mocks.
+//
+// Only the filterByFormula shapes the scripts build are understood:
+// SEARCH(LOWER("x"), LOWER({Field})), OR(RECORD_ID()="rec..", ...) and
+// {Field}='value'. Anything else gets Airtable's 422, so a new query shape
+// fails loudly instead of silently matching everything.
+//
+// Usage:
+//   import { startMockServers } from './lib/mock-servers.mjs';
+//   const mocks = await startMockServers({ airtable: { tblXXX: [record] } });
+//   Object.assign(process.env, mocks.env);
+//   ...
+//   await mocks.close();
+//
+//   node scripts/lib/mock-servers.mjs [--data mocks.json]   (prints env, runs until Ctrl-C)
+// ============================================================================
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import { signPayload, SIGNATURE_HEADER } from './sync-trigger.mjs';
+
+/** Env var each script reads its API base URL from */
+export const API_URL_ENV = {
+  airtable: 'AIRTABLE_API_URL',
+  fal: 'FAL_API_URL',
+  dataforseo: 'DATAFORSEO_API_URL',
+  netlify: 'NETLIFY_API_URL',
+};
+
+// 1x1 transparent PNG served for every generated image
+const PLACEHOLDER_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+// ---------------------------------------------------------------------------
+// HTTP plumbing
+// ---------------------------------------------------------------------------
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(buffer) {
+  if (buffer.length === 0) return null;
+  try { return JSON.parse(buffer.toString('utf-8')); } catch { return null; }
+}
+
+/**
+ * Start one mock on a random local port.
+ * @param {string} service - Label used in the request log
+ * @param {Function} handler - (req, res, { url, body, baseUrl }) => void
+ * @param {Array} requests - Shared request log
+ */
+function listen(service, handler, requests) {
+  return new Promise((resolve, reject) => {
+    const server = createServer(async (req, res) => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      try {
+        const raw = await readBody(req);
+        const body = (req.headers['content-type'] || '').includes('json') ? parseJson(raw) : null;
+        requests.push({ service, method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+        await handler(req, res, { url, body, raw, baseUrl: `http://${req.headers.host}` });
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+    });
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function hasAuth(req, scheme) {
+  return (req.headers.authorization || '').startsWith(`${scheme} `);
+}
+
+// ---------------------------------------------------------------------------
+// Airtable
+// ---------------------------------------------------------------------------
+
+function formulaFilter(formula) {
+  let m = formula.match(/^SEARCH\(LOWER\("((?:[^"\\]|\\.)*)"\),\s*LOWER\(\{([^}]+)\}\)\)$/);
+  if (m) {
+    const needle = m[1].replace(/\\"/g, '"').toLowerCase();
+    const field = m[2];
+    return (r) => String(r.fields[field] ?? '').toLowerCase().includes(needle);
+  }
+
+  if (/^(OR\()?RECORD_ID\(\)="[^"]+"(,\s*RECORD_ID\(\)="[^"]+")*\)?$/.test(formula)) {
+    const ids = [...formula.matchAll(/RECORD_ID\(\)="([^"]+)"/g)].map(x => x[1]);
+    return (r) => ids.includes(r.id);
+  }
+
+  m = formula.match(/^\{([^}]+)\}\s*=\s*(['"])(.*)\2$/);
+  if (m) {
+    const [, field, , value] = m;
+    return (r) => String(r.fields[field] ?? '') === value;
+  }
+
+  return null;
+}
+
+function pickFields(record, fields) {
+  if (fields.length === 0) return record;
+  return { ...record, fields: Object.fromEntries(fields.filter(f => f in record.fields).map(f => [f, record.fields[f]])) };
+}
+
+/**
+ * @param {Object<string, Array<{ id: string, fields: object }>>} data - Records keyed by table ID;
+ *   `webhooks` (webhook ID → payloads, oldest first) is served by the payloads endpoint
+ */
+function airtableHandler({ webhooks = {}, ...tables }) {
+  const notFound = (res, message) => sendJson(res, 404, { error: { type: 'NOT_FOUND', message } });
+
+  return (req, res, { url, body }) => {
+    if (!hasAuth(req, 'Bearer')) {
+      sendJson(res, 401, { error: { type: 'AUTHENTICATION_REQUIRED', message: 'Authentication required' } });
+      return;
+    }
+
+    // Metadata API — the real one lists every field, even ones no record
+    // has filled in; the mock only knows the fields its records use
+    if (/^\/v0\/meta\/bases\/[^/]+\/tables$/.test(url.pathname)) {
+      sendJson(res, 200, {
+        tables: Object.entries(tables).map(([id, rows]) => {
+          const names = [...new Set(rows.flatMap(r => Object.keys(r.fields)))];
+          return { id, name: id, fields: names.map((name, i) => ({ id: `fld${id.slice(3)}${i}`, name, type: 'singleLineText' })) };
+        }),
+      });
+      return;
+    }
+
+    // Webhook payloads — payload N (1-based) is at cursor N; at most 50 a page
+    const hook = url.pathname.match(/^\/v0\/bases\/[^/]+\/webhooks\/([^/]+)\/payloads$/);
+    if (hook) {
+      const payloads = webhooks[hook[1]];
+      if (!payloads) return notFound(res, `Could not find webhook ${hook[1]}`);
+      const cursor = Math.max(1, parseInt(url.searchParams.get('cursor') || '1', 10) || 1);
+      const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 50);
+      const page = payloads.slice(cursor - 1, cursor - 1 + limit);
+      sendJson(res, 200, { payloads: page, cursor: cursor + page.length, mightHaveMore: cursor - 1 + page.length < payloads.length });
+      return;
+    }
+
+    const m = url.pathname.match(/^\/v0\/([^/]+)\/([^/]+)(?:\/([^/]+))?$/);
+    if (!m) return notFound(res, `Unknown path ${url.pathname}`);
+    const [, , tableId, recordId] = m;
+    const records = tables[tableId];
+    if (!records) return notFound(res, `Could not find table ${tableId}`);
+
+    // Single record
+    if (recordId) {
+      const record = records.find(r => r.id === recordId);
+      if (!record) return notFound(res, `Could not find record ${recordId}`);
+      if (req.method === 'PATCH') Object.assign(record.fields, body?.fields || {});
+      sendJson(res, 200, record);
+      return;
+    }
+
+    // Batch update (max 10 records per request, like the real API)
+    if (req.method === 'PATCH') {
+      const updates = body?.records || [];
+      if (updates.length > 10) {
+        sendJson(res, 422, { error: { type: 'INVALID_RECORDS', message: 'At most 10 records per request' } });
+        return;
+      }
+      const updated = [];
+      for (const { id, fields } of updates) {
+        const record = records.find(r => r.id === id);
+        if (!record) return notFound(res, `Could not find record ${id}`);
+        Object.assign(record.fields, fields || {});
+        updated.push(record);
+      }
+      sendJson(res, 200, { records: updated });
+      return;
+    }
+
+    // List
+    let matched = records;
+    const formula = url.searchParams.get('filterByFormula');
+    if (formula) {
+      const filter = formulaFilter(formula);
+      if (!filter) {
+        sendJson(res, 422, { error: { type: 'INVALID_FILTER_BY_FORMULA', message: `Mock does not understand formula: ${formula}` } });
+        return;
+      }
+      matched = matched.filter(filter);
+    }
+
+    const sortField = url.searchParams.get('sort[0][field]');
+    if (sortField) {
+      const dir = url.searchParams.get('sort[0][direction]') === 'desc' ? -1 : 1;
+      matched = [...matched].sort((a, b) => String(a.fields[sortField] ?? '').localeCompare(String(b.fields[sortField] ?? '')) * dir);
+    }
+
+    const maxRecords = parseInt(url.searchParams.get('maxRecords') || '0', 10);
+    if (maxRecords > 0) matched = matched.slice(0, maxRecords);
+
+    const pageSize = Math.min(parseInt(url.searchParams.get('pageSize') || '100', 10), 100);
+    const start = parseInt((url.searchParams.get('offset') || 'itr0').replace(/^itr/, ''), 10) || 0;
+    const page = matched.slice(start, start + pageSize);
+    const fields = url.searchParams.getAll('fields[]');
+
+    const result = { records: page.map(r => pickFields(r, fields)) };
+    if (start + pageSize < matched.length) result.offset = `itr${start + pageSize}`;
+    sendJson(res, 200, result);
+  };
+}
+
+// ---------------------------------------------------------------------------
+// FAL queue
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{ pendingPolls?: number, sync?: boolean, fail?: boolean, image?: Buffer }} options
+ *   pendingPolls — status polls answered IN_QUEUE before COMPLETED (default 1)
+ *   sync — answer the submit with the image directly, no queue
+ *   fail — every request ends FAILED
+ */
+function falHandler({ pendingPolls = 1, sync = false, fail = false, image = PLACEHOLDER_PNG } = {}) {
+  const jobs = new Map();
+
+  const imageResult = (baseUrl, id, input) => ({
+    images: [{
+      url: `${baseUrl}/files/${id}.png`,
+      width: input?.image_size?.width || 1024,
+      height: input?.image_size?.height || 768,
+      content_type: 'image/png',
+    }],
+    seed: 42,
+  });
+
+  return (req, res, { url, body, baseUrl }) => {
+    if (req.method === 'GET' && url.pathname.startsWith('/files/')) {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': image.length });
+      res.end(image);
+      return;
+    }
+
+    if (!hasAuth(req, 'Key')) {
+      sendJson(res, 401, { detail: 'No API key provided' });
+      return;
+    }
+
+    const status = url.pathname.match(/^\/(.+)\/requests\/([^/]+)\/status$/);
+    if (status) {
+      const job = jobs.get(status[2]);
+      if (!job) return sendJson(res, 404, { detail: 'Request not found' });
+      job.polls++;
+      if (job.polls <= pendingPolls) return sendJson(res, 200, { status: 'IN_QUEUE', queue_position: 0 });
+      if (fail) return sendJson(res, 200, { status: 'FAILED', error: 'Mock generation failure' });
+      sendJson(res, 200, { status: 'COMPLETED' });
+      return;
+    }
+
+    const result = url.pathname.match(/^\/(.+)\/requests\/([^/]+)$/);
+    if (result) {
+      const job = jobs.get(result[2]);
+      if (!job) return sendJson(res, 404, { detail: 'Request not found' });
+      sendJson(res, 200, imageResult(baseUrl, result[2], job.input));
+      return;
+    }
+
+    if (req.method !== 'POST') return sendJson(res, 404, { detail: 'Not found' });
+
+    const model = url.pathname.slice(1);
+    const id = randomUUID();
+    if (sync) return sendJson(res, 200, imageResult(baseUrl, id, body));
+
+    jobs.set(id, { model, input: body, polls: 0 });
+    sendJson(res, 200, {
+      request_id: id,
+      status_url: `${baseUrl}/${model}/requests/${id}/status`,
+      response_url: `${baseUrl}/${model}/requests/${id}`,
+      cancel_url: `${baseUrl}/${model}/requests/${id}/cancel`,
+    });
+  };
+}
+
+// ---------------------------------------------------------------------------
+// DataForSEO
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{ pendingPolls?: number, result?: object }} options
+ *   result — the task's result[0]: { title, rating: { value }, reviews_count,
+ *   place_id, items: [{ type: 'google_reviews_search', review_text, ... }] }
+ */
+function dataForSeoHandler({ pendingPolls = 1, result = { title: '', rating: null, reviews_count: 0, items: [] } } = {}) {
+  const tasks = new Map();
+  const envelope = (taskList) => ({ version: '0.1.mock', status_code: 20000, status_message: 'Ok.', tasks_count: taskList.length, tasks: taskList });
+
+  return (req, res, { url, body }) => {
+    if (!hasAuth(req, 'Basic')) {
+      sendJson(res, 401, { status_code: 40100, status_message: 'You are not authorized.' });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v3/business_data/google/reviews/task_post') {
+      const created = (Array.isArray(body) ? body : []).map(data => {
+        const id = randomUUID();
+        tasks.set(id, { data, polls: 0 });
+        return { id, status_code: 20100, status_message: 'Task Created.', data, result: null };
+      });
+      sendJson(res, 200, envelope(created));
+      return;
+    }
+
+    const get = url.pathname.match(/^\/v3\/business_data\/google\/reviews\/task_get\/([^/]+)$/);
+    if (req.method === 'GET' && get) {
+      const task = tasks.get(get[1]);
+      if (!task) return sendJson(res, 200, envelope([{ id: get[1], status_code: 40400, status_message: 'Not Found.', result: null }]));
+      task.polls++;
+      if (task.polls <= pendingPolls) {
+        return sendJson(res, 200, envelope([{ id: get[1], status_code: 40602, status_message: 'Task In Queue.', data: task.data, result: null }]));
+      }
+      sendJson(res, 200, envelope([{ id: get[1], status_code: 20000, status_message: 'Ok.', data: task.data, result: [result] }]));
+      return;
+    }
+
+    sendJson(res, 404, { status_code: 40400, status_message: 'Not Found.' });
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Netlify
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{ accountSlug?: string, sites?: object[] }} options
+ */
+function netlifyHandler({ accountSlug = 'localbizonline', sites = [] } = {}) {
+  const deploys = new Map();
+  const notFound = (res) => sendJson(res, 404, { code: 404, message: 'Not Found' });
+
+  const findSite = (ref) => sites.find(s => s.id === ref || s.name === ref || `${s.name}.netlify.app` === ref);
+
+  const createSite = (body) => {
+    const name = body?.name || `site-${randomUUID().slice(0, 8)}`;
+    const id = randomUUID();
+    const site = {
+      build_settings: {},
+      ...body,
+      id,
+      site_id: id,
+      name,
+      url: `http://${name}.netlify.app`,
+      ssl_url: `https://${name}.netlify.app`,
+      admin_url: `https://app.netlify.com/sites/${name}`,
+      account_slug: accountSlug,
+    };
+    sites.push(site);
+    return site;
+  };
+
+  // A deploy reports "prepared" at least once (netlify-cli waits for it
+  // before uploading), then "ready" once every required file is uploaded
+  const deployView = (deploy) => {
+    if (deploy.state === 'prepared' && deploy.reported && deploy.uploaded.size >= deploy.required.length) {
+      deploy.state = 'ready';
+    }
+    deploy.reported = true;
+    const { uploaded, reported, ...view } = deploy;
+    return view;
+  };
+
+  return (req, res, { url, body }) => {
+    if (!hasAuth(req, 'Bearer')) {
+      sendJson(res, 401, { code: 401, message: 'Access Denied' });
+      return;
+    }
+
+    const path = url.pathname.replace(/^\/api\/v1/, '');
+    let m;
+
+    if (path === '/user') return sendJson(res, 200, { id: 'mock-user', email: 'mock@example.com', full_name: 'Mock User' });
+    if (path === '/accounts') return sendJson(res, 200, [{ id: 'mock-account', slug: accountSlug, name: accountSlug }]);
+
+    if (path === '/sites' && req.method === 'GET') return sendJson(res, 200, sites);
+    if ((m = path.match(/^(?:\/([^/]+))?\/sites$/)) && req.method === 'POST') {
+      if (m[1] && m[1] !== accountSlug) return notFound(res);
+      if (body?.name && findSite(body.name)) {
+        sendJson(res, 422, { code: 422, message: 'Validation failed: subdomain must be unique' });
+        return;
+      }
+      sendJson(res, 201, createSite(body));
+      return;
+    }
+
+    if ((m = path.match(/^\/sites\/([^/]+)$/))) {
+      const site = findSite(decodeURIComponent(m[1]));
+      if (!site) return notFound(res);
+      if (req.method === 'PATCH' || req.method === 'PUT') Object.assign(site, body || {});
+      sendJson(res, 200, site);
+      return;
+    }
+
+    if ((m = path.match(/^\/sites\/([^/]+)\/deploys$/)) && req.method === 'POST') {
+      const site = findSite(decodeURIComponent(m[1]));
+      if (!site) return notFound(res);
+      const id = randomUUID().replace(/-/g, '').slice(0, 24);
+      const deploy = {
+        id,
+        site_id: site.id,
+        state: 'prepared',
+        required: [...new Set(Object.values(body?.files || {}))],
+        required_functions: [],
+        deploy_url: `http://${id}--${site.name}.netlify.app`,
+        ssl_url: site.ssl_url,
+        url: site.url,
+        admin_url: site.admin_url,
+        draft: Boolean(body?.draft),
+        uploaded: new Set(),
+        reported: false,
+      };
+      deploys.set(id, deploy);
+      if (!deploy.draft) site.published_deploy = { id };
+      sendJson(res, 200, deployView(deploy));
+      return;
+    }
+
+    if ((m = path.match(/^\/deploys\/([^/]+)\/files\/(.+)$/)) && req.method === 'PUT') {
+      const deploy = deploys.get(m[1]);
+      if (!deploy) return notFound(res);
+      // Files are identified by SHA1 in `required`; count uploads by path
+      deploy.uploaded.add(m[2]);
+      sendJson(res, 200, { id: m[2] });
+      return;
+    }
+
+    if ((m = path.match(/^(?:\/sites\/[^/]+)?\/deploys\/([^/]+)$/)) && req.method === 'GET') {
+      const deploy = deploys.get(m[1]);
+      if (!deploy) return notFound(res);
+      sendJson(res, 200, deployView(deploy));
+      return;
+    }
+
+    notFound(res);
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+const HANDLERS = {
+  airtable: (data) => airtableHandler(data || {}),
+  fal: (data) => falHandler(data),
+  dataforseo: (data) => dataForSeoHandler(data),
+  netlify: (data) => netlifyHandler(data),
+};
+
+/**
+ * Start mock servers on random local ports.
+ * @param {{ airtable?: object, fal?: object, dataforseo?: object, netlify?: object }} [data]
+ *   Per-service seed data/options (see each handler). Airtable data and
+ *   Netlify sites are mutated in place by PATCH/POST requests.
+ * @param {{ services?: string[] }} [options] - Defaults to all four
+ * @returns {Promise<{ urls: object, env: object, requests: object[], close: () => Promise<void> }>}
+ */
+export async function startMockServers(data = {}, { services = Object.keys(HANDLERS) } = {}) {
+  const requests = [];
+  const urls = {};
+  const env = {};
+  const servers = [];
+
+  for (const service of services) {
+    if (!HANDLERS[service]) throw new Error(`Unknown mock service: ${service}`);
+    const { server, url } = await listen(service, HANDLERS[service](data[service]), requests);
+    servers.push(server);
+    urls[service] = url;
+    env[API_URL_ENV[service]] = url;
+  }
+
+  return {
+    urls,
+    env,
+    requests,
+    close: () => Promise.all(servers.map(s => new Promise(r => {
+      s.closeAllConnections();
+      s.close(() => r());
+    }))).then(() => {}),
+  };
+}
+
+/**
+ * Send an Airtable webhook payload listing changed records, shaped like the
+ * webhook payloads endpoint returns them.
+ * @param {string} url - the listener's webhook URL
+ * @param {string[]} recordIds
+ * @param {{ tableId?: string, secret?: string }} [options]
+ *   secret — macSecretBase64; signs the body with X-Airtable-Content-MAC
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+export async function sendAirtableWebhook(url, recordIds, { tableId = 'tblUrtOlK3majSIFi', secret } = {}) {
+  const raw = JSON.stringify({
+    payloads: [{
+      timestamp: new Date().toISOString(),
+      baseTransactionNumber: 1,
+      actionMetadata: { source: 'client', sourceMetadata: {} },
+      changedTablesById: {
+        [tableId]: {
+          changedRecordsById: Object.fromEntries(recordIds.map(id => [id, { current: { cellValuesByFieldId: {} } }])),
+        },
+      },
+    }],
+    cursor: 2,
+    mightHaveMore: false,
+  });
+  return postWebhook(url, raw, secret);
+}
+
+/**
+ * Send the notification a real Airtable webhook sends — no changes, just
+ * which webhook has new payloads to fetch.
+ * @param {string} url - the listener's webhook URL
+ * @param {{ baseId?: string, webhookId: string, secret?: string }} options
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+export async function sendAirtableNotification(url, { baseId = 'app7AZ1zHElQfR4EH', webhookId, secret }) {
+  const raw = JSON.stringify({ base: { id: baseId }, webhook: { id: webhookId }, timestamp: new Date().toISOString() });
+  return postWebhook(url, raw, secret);
+}
+
+async function postWebhook(url, raw, secret) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) headers[SIGNATURE_HEADER] = signPayload(raw, secret);
+
+  const res = await fetch(url, { method: 'POST', headers, body: raw });
+  return { status: res.status, body: parseJson(Buffer.from(await res.arrayBuffer())) };
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+const isDirectExecution = process.argv[1]?.endsWith('mock-servers.mjs');
+if (isDirectExecution) {
+  const { parseCliArgs } = await import('./runner-utils.mjs');
+  const args = parseCliArgs();
+  const data = typeof args.data === 'string' ? JSON.parse(readFileSync(args.data, 'utf-8')) : {};
+  const mocks = await startMockServers(data);
+
+  console.log('Mock servers running. Point the scripts at them with:\n');
+  for (const [name, url] of Object.entries(mocks.env)) console.log(`export ${name}=${url}`);
+  console.log('\nCtrl-C to stop.');
+
+  process.on('SIGINT', async () => {
+    await mocks.close();
+    process.exit(0);
+  });
+}
@@ -2,6 +2,8 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { BuildState, PHASE_IDS, createInitialState } from '../schemas/build-state.schema.mjs';
 import { validateSiteConfig } from './config-validator.mjs';
+import { emitArtifact } from './build-events.mjs';
+import { writeFileAtomic } from './atomic-write.mjs';
 
 const BUILD_STATE_FILE = 'build-state.json';
 
@@ -212,7 +214,7 @@ export function initBuildState(projectPath, buildId, builderType, metadata = {})
   }
   const state = createInitialState(buildId, builderType, projectPath, metadata);
   const filePath = path.join(projectPath, BUILD_STATE_FILE);
-  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
   return state;
 }
 
@@ -279,17 +281,86 @@ export function completePhase(projectPath, phaseId, artifacts = {}, { skipArtifa
   }
 
   const state = result.state;
+  const completedAt = new Date().toISOString();
   state.phases[phaseId] = {
+    ...keepMetrics(state.phases[phaseId], completedAt),
     status: 'completed',
-    completedAt: new Date().toISOString(),
+    completedAt,
     artifacts,
   };
 
   const filePath = path.join(projectPath, BUILD_STATE_FILE);
-  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+  for (const [kind, file] of Object.entries(artifacts)) {
+    emitArtifact(path.join(projectPath, file), kind);
+  }
   return state;
 }
 
+const METRIC_KEYS = ['startedAt', 'durationMs', 'retries', 'calls', 'costUsd'];
+
+function pickMetrics(entry = {}) {
+  return Object.fromEntries(METRIC_KEYS.filter(k => entry[k] !== undefined).map(k => [k, entry[k]]));
+}
+
+/** Metrics to carry into a finished phase entry; duration defaults to wall time since start */
+function keepMetrics(entry, finishedAt) {
+  const metrics = pickMetrics(entry);
+  if (metrics.startedAt && metrics.durationMs === undefined) {
+    metrics.durationMs = Math.max(0, Date.parse(finishedAt) - Date.parse(metrics.startedAt));
+  }
+  return metrics;
+}
+
+/**
+ * Set timing and usage on a phase without changing its status.
+ * @param {string} projectPath
+ * @param {string} phaseId
+ * @param {{ startedAt?: string, durationMs?: number, retries?: number, calls?: object, costUsd?: number }} metrics
+ */
+export function recordPhaseMetrics(projectPath, phaseId, metrics) {
+  const result = getBuildState(projectPath);
+  if (!result.exists || !result.valid) throw new Error(result.error);
+
+  const state = result.state;
+  state.phases[phaseId] = { ...state.phases[phaseId], ...pickMetrics(metrics) };
+
+  const filePath = path.join(projectPath, BUILD_STATE_FILE);
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+  return state;
+}
+
+/**
+ * Total duration, calls, spend and retries across phases and hooks.
+ * @param {object} state - Parsed build state
+ * @returns {{ durationMs: number, retries: number, calls: Object<string, number>, costUsd: number }}
+ */
+export function totalMetrics(state) {
+  const totals = { durationMs: 0, retries: 0, calls: {}, costUsd: 0 };
+  for (const entry of [...Object.values(state.phases), ...Object.values(state.hooks || {})]) {
+    totals.durationMs += entry.durationMs || 0;
+    totals.retries += entry.retries || 0;
+    totals.costUsd += entry.costUsd || 0;
+    for (const [service, n] of Object.entries(entry.calls || {})) {
+      totals.calls[service] = (totals.calls[service] || 0) + n;
+    }
+  }
+  totals.costUsd = Math.round(totals.costUsd * 10000) / 10000;
+  return totals;
+}
+
+const formatCost = (usd) => `$${usd.toFixed(usd > 0 && usd < 0.01 ? 3 : 2)}`;
+
+function formatMetrics(entry) {
+  const parts = [];
+  if (entry.durationMs !== undefined) parts.push(`${(entry.durationMs / 1000).toFixed(1)}s`);
+  const calls = Object.entries(entry.calls || {}).map(([service, n]) => `${n} ${service}`);
+  if (calls.length > 0) parts.push(calls.join(', '));
+  if (entry.costUsd) parts.push(`~${formatCost(entry.costUsd)}`);
+  if (entry.retries) parts.push(`${entry.retries} retr${entry.retries === 1 ? 'y' : 'ies'}`);
+  return parts.length > 0 ? ` — ${parts.join(' · ')}` : '';
+}
+
 /** Mark a phase as failed */
 export function failPhase(projectPath, phaseId, errorMessage) {
   const result = getBuildState(projectPath);
@@ -297,12 +368,33 @@ export function failPhase(projectPath, phaseId, errorMessage) {
 
   const state = result.state;
   state.phases[phaseId] = {
+    ...keepMetrics(state.phases[phaseId], new Date().toISOString()),
     status: 'failed',
     error: errorMessage,
   };
 
   const filePath = path.join(projectPath, BUILD_STATE_FILE);
-  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+  return state;
+}
+
+/**
+ * Mark a phase as interrupted (build stopped by a signal mid-phase).
+ * --resume resets interrupted phases to pending before continuing.
+ */
+export function interruptPhase(projectPath, phaseId, reason = 'Interrupted') {
+  const result = getBuildState(projectPath);
+  if (!result.exists || !result.valid) throw new Error(result.error);
+
+  const state = result.state;
+  state.phases[phaseId] = {
+    ...keepMetrics(state.phases[phaseId], new Date().toISOString()),
+    status: 'interrupted',
+    error: reason,
+  };
+
+  const filePath = path.join(projectPath, BUILD_STATE_FILE);
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
   return state;
 }
 
@@ -312,10 +404,35 @@ export function startPhase(projectPath, phaseId) {
   if (!result.exists || !result.valid) throw new Error(result.error);
 
   const state = result.state;
-  state.phases[phaseId] = { status: 'in_progress' };
+  state.phases[phaseId] = { status: 'in_progress', startedAt: new Date().toISOString() };
+
+  const filePath = path.join(projectPath, BUILD_STATE_FILE);
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+  return state;
+}
+
+/**
+ * Record a hook's status in build-state.json (see lib/phase-hooks.mjs).
+ * @param {string} projectPath
+ * @param {string} hookId - "hook:<when>:<phase>:<id>"
+ * @param {'in_progress'|'completed'|'failed'|'interrupted'} status
+ * @param {{ phase: string, when: 'before'|'after', error?: string }} details
+ */
+export function recordHook(projectPath, hookId, status, { phase, when, error, durationMs } = {}) {
+  const result = getBuildState(projectPath);
+  if (!result.exists || !result.valid) throw new Error(result.error);
+
+  const state = result.state;
+  state.hooks = state.hooks || {};
+  const entry = { status, phase, when };
+  if (status === 'in_progress') entry.startedAt = new Date().toISOString();
+  if (status === 'completed') entry.completedAt = new Date().toISOString();
+  if (error) entry.error = error;
+  if (durationMs !== undefined) entry.durationMs = durationMs;
+  state.hooks[hookId] = entry;
 
   const filePath = path.join(projectPath, BUILD_STATE_FILE);
-  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
   return state;
 }
 
@@ -328,7 +445,7 @@ export function updateMetadata(projectPath, updates) {
   Object.assign(state.metadata, updates);
 
   const filePath = path.join(projectPath, BUILD_STATE_FILE);
-  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
   return state;
 }
 
@@ -343,7 +460,7 @@ export function resetPhase(projectPath, phaseId) {
   state.phases[phaseId] = { status: 'pending' };
 
   const filePath = path.join(projectPath, BUILD_STATE_FILE);
-  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
   return state;
 }
 
@@ -363,10 +480,14 @@ export function resetPhasesFrom(projectPath, fromPhaseId) {
   }
 
   const filePath = path.join(projectPath, BUILD_STATE_FILE);
-  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  writeFileAtomic(filePath, JSON.stringify(state, null, 2));
   return { state, resetPhases };
 }
 
+function statusIcon(status) {
+  return { completed: '✓', failed: '✗', in_progress: '→', interrupted: '⏸' }[status] || '○';
+}
+
 /** Print a summary of the build state */
 export function printStatus(projectPath) {
   const result = getBuildState(projectPath);
@@ -404,11 +525,29 @@ export function printStatus(projectPath) {
 
   for (const id of PHASE_IDS) {
     const p = state.phases[id];
-    const icon = p.status === 'completed' ? '✓' : p.status === 'failed' ? '✗' : p.status === 'in_progress' ? '→' : '○';
+    const icon = statusIcon(p.status);
     const label = labels[id] || id;
     const extra = p.error ? ` (${p.error})` : '';
-    console.log(`  ${icon} ${id}: ${label} [${p.status}]${extra}`);
+    console.log(`  ${icon} ${id}: ${label} [${p.status}]${extra}${formatMetrics(p)}`);
+  }
+
+  const hooks = Object.entries(state.hooks || {});
+  if (hooks.length > 0) {
+    console.log(`\nHooks:`);
+    for (const [id, h] of hooks) {
+      const icon = statusIcon(h.status);
+      const extra = h.error ? ` (${h.error})` : '';
+      console.log(`  ${icon} ${id} [${h.status}]${extra}${formatMetrics(h)}`);
+    }
   }
+
+  const totals = totalMetrics(state);
+  const calls = Object.entries(totals.calls).map(([service, n]) => `${n} ${service}`).join(', ') || 'none';
+  console.log(`\nTotals:`);
+  console.log(`  Time:           ${(totals.durationMs / 1000).toFixed(1)}s (sum of phases)`);
+  console.log(`  External calls: ${calls}`);
+  console.log(`  Estimated cost: ${formatCost(totals.costUsd)}`);
+  console.log(`  Retries:        ${totals.retries}`);
   console.log('');
 }
 
@@ -0,0 +1,199 @@
+// ============================================================================
+// phase-hooks.mjs
+// ============================================================================
+// User-defined before/after hooks for build-runner phases.
+//
+// Hooks are read from two places (both optional, user-level first):
+//   ~/.config/build-runner/hooks.json     ($XDG_CONFIG_HOME respected)
+//   <project>/build-hooks.json            (template root for fresh builds)
+//
+// Format:
+//   {
+//     "hooks": [
+//       { "id": "analytics-snippet", "phase": "phase-4", "when": "after",
+//         "run": "node hooks/inject-analytics.mjs" },
+//       { "id": "desktop-notify", "phase": "phase-8", "when": "after",
+//         "module": "./hooks/notify.mjs", "optional": true, "timeout": 30 }
+//     ]
+//   }
+//
+//   run      — shell command, cwd = project (or temp build dir before phase-3)
+//   module   — ES module path (relative to the hooks file); default export
+//              receives { projectPath, phase, hook, companyName, clientConfig,
+//              deployUrl, log }
+//   optional — failure is logged as a warning instead of failing the build
+//   timeout  — seconds (default 120)
+//   inputs / outputs — extra artifacts for the phase scheduler
+//
+// Command hooks get BUILD_PROJECT_PATH, BUILD_PHASE, BUILD_HOOK,
+// BUILD_COMPANY and BUILD_DEPLOY_URL in their environment.
+//
+// Each hook becomes its own node in the phase graph and is tracked in
+// build-state.json (`hooks`) and BUILD-LOG.md like a phase.
+// ============================================================================
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join, dirname, resolve } from 'node:path';
+import { homedir } from 'node:os';
+import { pathToFileURL } from 'node:url';
+import { runCommandAsync } from './runner-utils.mjs';
+
+export const PROJECT_HOOKS_FILE = 'build-hooks.json';
+const DEFAULT_HOOK_TIMEOUT_SEC = 120;
+
+/** Path of the user-level hooks file */
+export function userHooksPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'build-runner', 'hooks.json');
+}
+
+/** Build-state key for a hook, e.g. "hook:after:phase-4:analytics-snippet" */
+export function hookStateId(hook) {
+  return `hook:${hook.when}:${hook.phase}:${hook.id}`;
+}
+
+function readHooksFile(filePath, source) {
+  if (!existsSync(filePath)) return [];
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid hooks file ${filePath}: ${err.message}`);
+  }
+
+  const hooks = Array.isArray(data) ? data : (data.hooks || []);
+  return hooks.map((hook, i) => {
+    const where = `${filePath} hooks[${i}]`;
+    if (!hook.id || typeof hook.id !== 'string') throw new Error(`${where}: "id" is required`);
+    if (!hook.phase) throw new Error(`${where}: "phase" is required`);
+    if (hook.when !== 'before' && hook.when !== 'after') throw new Error(`${where}: "when" must be "before" or "after"`);
+    if (!hook.run === !hook.module) throw new Error(`${where}: set exactly one of "run" or "module"`);
+
+    return {
+      ...hook,
+      source,
+      module: hook.module ? resolve(dirname(filePath), hook.module) : undefined,
+      optional: hook.optional === true,
+      timeout: (hook.timeout || DEFAULT_HOOK_TIMEOUT_SEC) * 1000,
+      inputs: hook.inputs || [],
+      outputs: hook.outputs || [],
+    };
+  });
+}
+
+/**
+ * Load hooks from the user config and a project directory.
+ * @param {object} options
+ * @param {string} [options.projectRoot] - Directory holding build-hooks.json
+ * @param {string} [options.userFile] - Override the user-level hooks path
+ * @param {string[]} [options.phaseIds] - Known phase ids; unknown phases are rejected
+ * @returns {object[]} Normalized hooks, user-level first
+ */
+export function loadHooks({ projectRoot, userFile = userHooksPath(), phaseIds } = {}) {
+  const hooks = [
+    ...readHooksFile(userFile, 'user'),
+    ...(projectRoot ? readHooksFile(join(projectRoot, PROJECT_HOOKS_FILE), 'project') : []),
+  ];
+
+  const seen = new Set();
+  for (const hook of hooks) {
+    if (phaseIds && !phaseIds.includes(hook.phase)) {
+      throw new Error(`Hook "${hook.id}" targets unknown phase "${hook.phase}" (known: ${phaseIds.join(', ')})`);
+    }
+    const key = hookStateId(hook);
+    if (seen.has(key)) throw new Error(`Duplicate hook "${hook.id}" ${hook.when} ${hook.phase}`);
+    seen.add(key);
+  }
+  return hooks;
+}
+
+/**
+ * Splice hooks into a phase list as scheduler nodes.
+ *
+ * A before-hook reads what its phase reads and the phase waits for it.
+ * An after-hook reads and re-writes what its phase wrote, so anything later
+ * that depends on the phase's outputs also waits for the hook.
+ *
+ * @param {object[]} phases - Phase list with id/inputs/outputs
+ * @param {object[]} hooks - From loadHooks()
+ * @returns {object[]} New list; hook nodes carry `hook` and `hookId`
+ */
+export function attachHooks(phases, hooks) {
+  const expanded = [];
+  for (const phase of phases) {
+    const before = hooks.filter(h => h.phase === phase.id && h.when === 'before');
+    const after = hooks.filter(h => h.phase === phase.id && h.when === 'after');
+    const gateArtifact = `${phase.id}:before-hooks`;
+    const doneArtifact = `${phase.id}:done`;
+
+    for (const hook of before) {
+      expanded.push({
+        id: hookStateId(hook),
+        hookId: hookStateId(hook),
+        hook,
+        label: `${hook.id} (before ${phase.id})`,
+        inputs: [...(phase.inputs || []), ...hook.inputs],
+        outputs: [gateArtifact, ...hook.outputs],
+      });
+    }
+
+    expanded.push({
+      ...phase,
+      inputs: before.length > 0 ? [...(phase.inputs || []), gateArtifact] : phase.inputs,
+      outputs: after.length > 0 ? [...(phase.outputs || []), doneArtifact] : phase.outputs,
+    });
+
+    for (const hook of after) {
+      expanded.push({
+        id: hookStateId(hook),
+        hookId: hookStateId(hook),
+        hook,
+        label: `${hook.id} (after ${phase.id})`,
+        inputs: [doneArtifact, ...(phase.outputs || []), ...hook.inputs],
+        outputs: [...(phase.outputs || []), ...hook.outputs],
+      });
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Execute one hook.
+ * @param {object} hook - From loadHooks()
+ * @param {object} context - { projectPath, companyName, clientConfig, deployUrl, log }
+ */
+export async function runHook(hook, context) {
+  const { projectPath, companyName = '', deployUrl = '' } = context;
+
+  if (hook.run) {
+    await runCommandAsync(hook.run, {
+      cwd: projectPath,
+      timeout: hook.timeout,
+      env: {
+        BUILD_PROJECT_PATH: projectPath,
+        BUILD_PHASE: hook.phase,
+        BUILD_HOOK: hook.id,
+        BUILD_COMPANY: companyName,
+        BUILD_DEPLOY_URL: deployUrl || '',
+      },
+    });
+    return;
+  }
+
+  const mod = await import(pathToFileURL(hook.module).href);
+  const fn = mod.default || mod.run;
+  if (typeof fn !== 'function') {
+    throw new Error(`Hook module ${hook.module} has no default export function`);
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Hook "${hook.id}" timed out after ${hook.timeout}ms`)), hook.timeout);
+  });
+  try {
+    await Promise.race([fn({ ...context, phase: hook.phase, hook: hook.id }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
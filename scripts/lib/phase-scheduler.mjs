@@ -0,0 +1,153 @@
+// ============================================================================
+// phase-scheduler.mjs
+// ============================================================================
+// Dependency-aware phase scheduler for the build runner.
+//
+// Each phase declares the artifacts it reads (`inputs`) and writes
+// (`outputs`). Dependencies are derived from the declared order of the list:
+// a phase waits for every earlier phase that
+//   - writes something it reads            (read-after-write)
+//   - reads something it writes            (write-after-read)
+//   - writes something it also writes      (write-after-write)
+// Phases with no such relationship run concurrently, up to `concurrency`.
+//
+// Artifact names are logical labels ('client-config', 'images', 'dist'),
+// not file paths — they only need to be consistent within one phase list.
+//
+// Usage:
+//   import { runPhaseGraph } from './lib/phase-scheduler.mjs';
+//   await runPhaseGraph(phases, {
+//     concurrency: 4,
+//     onStart: (phase) => { ... },
+//     onComplete: (phase) => { ... },
+//     onFail: (phase, err) => { ... },
+//   });
+// ============================================================================
+
+/**
+ * Resolve the dependency list of every phase from its inputs/outputs.
+ * @param {Array<{id: string, inputs?: string[], outputs?: string[]}>} phases - In declared order
+ * @returns {Map<string, string[]>} phase id → ids of earlier phases it must wait for
+ */
+export function buildPhaseGraph(phases) {
+  const ids = new Set();
+  for (const phase of phases) {
+    if (ids.has(phase.id)) throw new Error(`Duplicate phase id: ${phase.id}`);
+    ids.add(phase.id);
+  }
+
+  const graph = new Map();
+  for (let i = 0; i < phases.length; i++) {
+    const reads = new Set(phases[i].inputs || []);
+    const writes = new Set(phases[i].outputs || []);
+    const deps = [];
+
+    for (let j = 0; j < i; j++) {
+      const earlier = phases[j];
+      const earlierWrites = earlier.outputs || [];
+      const earlierReads = earlier.inputs || [];
+      const conflict =
+        earlierWrites.some(a => reads.has(a) || writes.has(a)) ||
+        earlierReads.some(a => writes.has(a));
+      if (conflict) deps.push(earlier.id);
+    }
+
+    graph.set(phases[i].id, deps);
+  }
+  return graph;
+}
+
+/**
+ * Group phases into waves that could run side by side.
+ * For display only — runPhaseGraph starts each phase as soon as its own
+ * dependencies finish rather than waiting for a whole wave.
+ * @param {Array<{id: string, inputs?: string[], outputs?: string[]}>} phases
+ * @returns {string[][]} Phase ids per wave, in order
+ */
+export function planPhaseWaves(phases) {
+  const graph = buildPhaseGraph(phases);
+  const level = new Map();
+  for (const phase of phases) {
+    const deps = graph.get(phase.id);
+    level.set(phase.id, deps.length === 0 ? 0 : Math.max(...deps.map(d => level.get(d))) + 1);
+  }
+
+  const waves = [];
+  for (const phase of phases) {
+    const l = level.get(phase.id);
+    (waves[l] ||= []).push(phase.id);
+  }
+  return waves;
+}
+
+/**
+ * Run phases concurrently where their inputs/outputs allow it.
+ *
+ * Phases listed in `skip` are treated as already satisfied (used on resume).
+ * On the first failure no new phases are started; phases already running are
+ * allowed to settle, then the original error is rethrown with `err.phase` set.
+ *
+ * @param {Array<{id: string, inputs?: string[], outputs?: string[], fn: Function}>} phases
+ * @param {object} options
+ * @param {number} [options.concurrency=4] - Max phases in flight (1 = strictly sequential)
+ * @param {Iterable<string>} [options.skip] - Phase ids to treat as already completed
+ * @param {Function} [options.onStart] - (phase) => void, before fn runs
+ * @param {Function} [options.onComplete] - (phase) => void, after fn resolves
+ * @param {Function} [options.onFail] - (phase, err) => void, after fn rejects
+ * @returns {Promise<{completed: string[]}>} Ids in completion order
+ */
+export async function runPhaseGraph(phases, options = {}) {
+  const { concurrency = 4, skip = [], onStart, onComplete, onFail } = options;
+  const graph = buildPhaseGraph(phases);
+
+  const done = new Set(skip);
+  const running = new Map();
+  const pending = phases.filter(p => !done.has(p.id));
+  const completed = [];
+  let failure = null;
+
+  const isReady = (phase) => graph.get(phase.id).every(dep => done.has(dep));
+
+  function launch(phase) {
+    onStart?.(phase);
+    const promise = Promise.resolve()
+      .then(() => phase.fn())
+      .then(() => {
+        done.add(phase.id);
+        completed.push(phase.id);
+        onComplete?.(phase);
+      })
+      .catch((err) => {
+        if (!failure) {
+          if (err && typeof err === 'object') err.phase = phase;
+          failure = err;
+        }
+        onFail?.(phase, err);
+      })
+      .finally(() => running.delete(phase.id));
+    running.set(phase.id, promise);
+  }
+
+  while (pending.length > 0 || running.size > 0) {
+    if (!failure) {
+      // Start ready phases in declared order so output stays predictable
+      for (let i = 0; i < pending.length && running.size < Math.max(1, concurrency); ) {
+        if (isReady(pending[i])) {
+          launch(pending.splice(i, 1)[0]);
+        } else {
+          i++;
+        }
+      }
+    }
+
+    if (running.size === 0) {
+      if (failure || pending.length === 0) break;
+      throw new Error(`Phase graph is stuck — unresolved dependencies for: ${pending.map(p => p.id).join(', ')}`);
+    }
+
+    await Promise.race(running.values());
+  }
+
+  if (failure) throw failure;
+  return { completed };
+}
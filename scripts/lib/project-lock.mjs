@@ -0,0 +1,185 @@
+// ============================================================================
+// project-lock.mjs
+// ============================================================================
+// Project-level lock so build-runner, sync, refresh-reviews and
+// template-upgrade never run against the same project at once — they all
+// rewrite site.config.ts and finish with git commit && git push.
+//
+// The lock is a JSON file (.build.lock) in the project root holding the
+// owner's PID, host, command and start time. It is removed when the owner
+// exits. A lock whose process is gone (same host), or that is older than
+// STALE_AFTER_MS (another host), is stale and silently replaced.
+//
+// Scripts spawned by the lock owner inherit BUILD_LOCK_PID and may
+// re-acquire the same lock.
+//
+// Usage:
+//   import { acquireLock } from './lib/project-lock.mjs';
+//   acquireLock(projectPath, 'sync');   // throws if another process holds it
+//
+//   node scripts/lib/project-lock.mjs --status --project /path/to/project
+//   node scripts/lib/project-lock.mjs --clear --project /path/to/project
+// ============================================================================
+
+import { readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { hostname } from 'node:os';
+import { join, resolve } from 'node:path';
+
+export const LOCK_FILE = '.build.lock';
+
+/** Locks from another host can't be PID-checked; treat them as stale after this */
+export const STALE_AFTER_MS = 6 * 60 * 60 * 1000;
+
+const OWNER_ENV = 'BUILD_LOCK_PID';
+
+// Projects this process holds, released on exit
+const held = new Set();
+
+function lockPath(projectPath) {
+  return join(projectPath, LOCK_FILE);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM'; // exists, owned by another user
+  }
+}
+
+/**
+ * Read a project's lock file.
+ * @param {string} projectPath
+ * @returns {{ pid: number, host: string, command: string, startedAt: string } | null}
+ */
+export function readLock(projectPath) {
+  try {
+    return JSON.parse(readFileSync(lockPath(projectPath), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a lock's owner has gone away without removing it.
+ * @param {object} lock - As returned by readLock
+ * @param {number} [now]
+ */
+export function isLockStale(lock, now = Date.now()) {
+  if (!lock || !Number.isInteger(lock.pid)) return true;
+  if (lock.host === hostname()) return !isProcessAlive(lock.pid);
+  return now - Date.parse(lock.startedAt) > STALE_AFTER_MS;
+}
+
+function isOwnLock(lock) {
+  return lock.host === hostname()
+    && (lock.pid === process.pid || String(lock.pid) === process.env[OWNER_ENV]);
+}
+
+function describeLock(lock) {
+  return `${lock.command} (PID ${lock.pid} on ${lock.host}, since ${lock.startedAt})`;
+}
+
+function releaseAllOnExit() {
+  for (const projectPath of held) releaseLock(projectPath);
+}
+
+/**
+ * Take the project lock, replacing a stale one.
+ * @param {string} projectPath
+ * @param {string} command - Shown to whoever is blocked, e.g. "sync"
+ * @returns {object} The lock now in place
+ * @throws {Error} code ELOCKED, with `lock`, when another live process holds it
+ */
+export function acquireLock(projectPath, command) {
+  projectPath = resolve(projectPath);
+  const lock = { pid: process.pid, host: hostname(), command, startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      writeFileSync(lockPath(projectPath), JSON.stringify(lock, null, 2) + '\n', { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+
+      const existing = readLock(projectPath);
+      if (existing && isOwnLock(existing)) return existing;
+      if (existing && !isLockStale(existing)) {
+        const error = new Error(
+          `Project is locked by ${describeLock(existing)}.\n` +
+          `If that process is gone, clear it with: node scripts/lib/project-lock.mjs --clear --project ${projectPath}`
+        );
+        error.code = 'ELOCKED';
+        error.lock = existing;
+        throw error;
+      }
+      if (attempt === 1) throw new Error(`Could not replace stale lock at ${lockPath(projectPath)}`);
+      if (existing) console.log(`  Replacing stale lock held by ${describeLock(existing)}`);
+      rmSync(lockPath(projectPath), { force: true });
+    }
+  }
+
+  if (held.size === 0) process.once('exit', releaseAllOnExit);
+  held.add(projectPath);
+  process.env[OWNER_ENV] = String(process.pid);
+  return lock;
+}
+
+/**
+ * Remove the project lock if this process owns it.
+ * @param {string} projectPath
+ */
+export function releaseLock(projectPath) {
+  projectPath = resolve(projectPath);
+  held.delete(projectPath);
+  const lock = readLock(projectPath);
+  if (lock && lock.pid === process.pid && lock.host === hostname()) {
+    rmSync(lockPath(projectPath), { force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+const isDirectExecution = process.argv[1]?.endsWith('project-lock.mjs');
+if (isDirectExecution && process.argv.slice(2).length > 0) {
+  const args = process.argv.slice(2);
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const key = args[i].slice(2);
+      const val = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : 'true';
+      flags[key] = val;
+      if (val !== 'true') i++;
+    }
+  }
+
+  const projectPath = resolve(flags.project || process.cwd());
+  const lock = readLock(projectPath);
+
+  if (flags.status) {
+    if (!lock) console.log('Unlocked');
+    else console.log(`Locked by ${describeLock(lock)}${isLockStale(lock) ? ' — stale' : ''}`);
+    process.exit(0);
+  }
+
+  if (flags.clear) {
+    if (!lock) {
+      console.log('No lock to clear');
+      process.exit(0);
+    }
+    if (!isLockStale(lock) && flags.force !== 'true') {
+      console.error(`Lock is held by a running process: ${describeLock(lock)}`);
+      console.error('Use --clear --force to remove it anyway.');
+      process.exit(1);
+    }
+    rmSync(lockPath(projectPath), { force: true });
+    console.log(`Cleared lock held by ${describeLock(lock)}`);
+    process.exit(0);
+  }
+
+  console.error('Unknown command. Use --status or --clear [--force]');
+  process.exit(1);
+}
@@ -1,5 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { reviewSchemaProblems } from './review-schema.mjs';
 
 /** Scan HTML files in dist/ and run QA checks */
 export function runStaticQA(projectPath) {
@@ -89,6 +90,12 @@ export function runStaticQA(projectPath) {
         errors.push(`${relPath}: aggregateRating in schema without reviews.json — remove or add real reviews`);
       }
     }
+
+    // Review / AggregateRating markup the page doesn't show — fails the
+    // build, so it never reaches a deploy
+    for (const detail of reviewSchemaProblems(content)) {
+      errors.push(`${relPath}: ${detail}`);
+    }
   }
 
   // Check for OG tags on homepage
@@ -0,0 +1,271 @@
+// ============================================================================
+// replay.mjs
+// ============================================================================
+// Record/replay layer for every external call the pipeline makes, so a build
+// can be captured once and re-run end to end without credentials or network.
+//
+// Modes are selected by env var so spawned child scripts inherit them:
+//   BUILD_RECORD_DIR=<dir>  — call live services and save each response
+//   BUILD_REPLAY_DIR=<dir>  — serve saved responses, never touch the network
+//
+// Fixture layout (one JSON file per call, in call order):
+//   <dir>/http/<script>-<hash>-<n>.json       fetch() — Airtable, DataForSEO, Firecrawl, Trustpilot, FAL
+//   <dir>/download/<script>-<hash>-<n>.json   https.get downloads (images, fonts)
+//   <dir>/claude/<script>-<hash>-<n>.json     claude CLI calls
+//   <dir>/deploy/<script>-<hash>-<n>.json     GitHub + Netlify deploys
+//
+// Identical requests from the same script are numbered in call order, so
+// polling loops (FAL status, DataForSEO task_get) replay their exact sequence.
+// When a replay asks for more calls than were recorded, the last one repeats.
+//
+// Usage:
+//   import { installFetchReplay, replayable } from './lib/replay.mjs';
+//   installFetchReplay();   // patches globalThis.fetch when a mode is active
+//   const data = await replayable('claude', 'design-direction', () => callLive());
+// ============================================================================
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import { join, basename, resolve } from 'node:path';
+import { createHash } from 'node:crypto';
+
+const RECORD_ENV = 'BUILD_RECORD_DIR';
+const REPLAY_ENV = 'BUILD_REPLAY_DIR';
+
+// Credentials that health checks and scripts insist on. In replay mode they are
+// filled with a placeholder so the same code paths run without real secrets.
+const REPLAY_CREDENTIALS = [
+  'AIRTABLE_TOKEN',
+  'FAL_KEY',
+  'DATAFORSEO_LOGIN',
+  'DATAFORSEO_PASSWORD',
+  'FIRECRAWL_API_KEY',
+];
+
+const callCounters = new Map();
+
+/**
+ * Current record/replay mode.
+ * @returns {{ mode: 'record'|'replay'|null, dir: string|null }}
+ */
+export function getReplayMode() {
+  if (process.env[REPLAY_ENV]) return { mode: 'replay', dir: resolve(process.env[REPLAY_ENV]) };
+  if (process.env[RECORD_ENV]) return { mode: 'record', dir: resolve(process.env[RECORD_ENV]) };
+  return { mode: null, dir: null };
+}
+
+/**
+ * Switch this process (and any child it spawns) into record or replay mode.
+ * In replay mode, missing credential env vars are set to a placeholder.
+ * @param {'record'|'replay'} mode
+ * @param {string} dir - Fixture directory
+ */
+export function enableReplayMode(mode, dir) {
+  const fixtureDir = resolve(dir);
+  if (mode === 'replay') {
+    if (!existsSync(fixtureDir)) {
+      throw new Error(`Replay fixture directory not found: ${fixtureDir}`);
+    }
+    process.env[REPLAY_ENV] = fixtureDir;
+    delete process.env[RECORD_ENV];
+    for (const name of REPLAY_CREDENTIALS) {
+      if (!process.env[name]) process.env[name] = 'replay';
+    }
+  } else if (mode === 'record') {
+    mkdirSync(fixtureDir, { recursive: true });
+    process.env[RECORD_ENV] = fixtureDir;
+    delete process.env[REPLAY_ENV];
+  } else {
+    throw new Error(`Unknown replay mode: ${mode}`);
+  }
+}
+
+/** True when external calls are being served from fixtures */
+export function isReplaying() {
+  return getReplayMode().mode === 'replay';
+}
+
+/**
+ * setTimeout-based wait that returns immediately during replay,
+ * so recorded polling loops don't sit idle.
+ */
+export function pause(ms) {
+  if (isReplaying()) return Promise.resolve();
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// ---------------------------------------------------------------------------
+// Fixture files
+// ---------------------------------------------------------------------------
+
+function scriptName() {
+  return basename(process.argv[1] || 'node').replace(/\.m?js$/, '');
+}
+
+function fixtureKey(channel, request) {
+  const hash = createHash('sha1').update(JSON.stringify(request)).digest('hex').slice(0, 12);
+  const stem = `${scriptName()}-${hash}`;
+  const counterKey = `${channel}/${stem}`;
+  const n = (callCounters.get(counterKey) || 0) + 1;
+  callCounters.set(counterKey, n);
+  return { stem, n };
+}
+
+function readFixture(dir, channel, request) {
+  const { stem, n } = fixtureKey(channel, request);
+  const channelDir = join(dir, channel);
+  const exact = join(channelDir, `${stem}-${n}.json`);
+  if (existsSync(exact)) return JSON.parse(readFileSync(exact, 'utf-8'));
+
+  // More calls than were recorded (e.g. an extra poll) — repeat the last one
+  if (existsSync(channelDir)) {
+    const recorded = readdirSync(channelDir)
+      .map(f => f.match(new RegExp(`^${stem}-(\\d+)\\.json$`)))
+      .filter(Boolean)
+      .map(m => parseInt(m[1], 10))
+      .sort((a, b) => b - a);
+    if (recorded.length > 0) {
+      return JSON.parse(readFileSync(join(channelDir, `${stem}-${recorded[0]}.json`), 'utf-8'));
+    }
+  }
+
+  throw new Error(`No recorded ${channel} response for ${JSON.stringify(request).slice(0, 200)} (expected ${channel}/${stem}-1.json in ${dir})`);
+}
+
+function writeFixture(dir, channel, request, response) {
+  const { stem, n } = fixtureKey(channel, request);
+  const channelDir = join(dir, channel);
+  mkdirSync(channelDir, { recursive: true });
+  writeFileSync(
+    join(channelDir, `${stem}-${n}.json`),
+    JSON.stringify({ channel, script: scriptName(), request, response }, null, 2),
+    'utf-8'
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Generic wrapper
+// ---------------------------------------------------------------------------
+
+/**
+ * Run `live` normally, record its JSON-serialisable result, or replay it.
+ * @param {string} channel - Fixture sub-directory ('claude', 'deploy', ...)
+ * @param {*} request - Serialisable identity of the call (never include secrets)
+ * @param {Function} live - Async function performing the real call
+ * @returns {Promise<*>}
+ */
+export async function replayable(channel, request, live) {
+  const { mode, dir } = getReplayMode();
+  if (mode === 'replay') return readFixture(dir, channel, request).response;
+
+  const result = await live();
+  if (mode === 'record') writeFixture(dir, channel, request, result);
+  return result;
+}
+
+/**
+ * Download wrapper for https.get-style helpers that write straight to disk.
+ * @param {string} url
+ * @param {string} dest - File path the live helper writes to
+ * @param {Function} liveDownload - (url, dest) => Promise
+ * @returns {Promise<string>} dest
+ */
+export async function replayDownload(url, dest, liveDownload) {
+  const { mode, dir } = getReplayMode();
+  if (mode === 'replay') {
+    const { response } = readFixture(dir, 'download', { url });
+    writeFileSync(dest, Buffer.from(response.base64, 'base64'));
+    return dest;
+  }
+
+  await liveDownload(url, dest);
+  if (mode === 'record') {
+    writeFixture(dir, 'download', { url }, { base64: readFileSync(dest).toString('base64') });
+  }
+  return dest;
+}
+
+/**
+ * Buffer-returning variant of replayDownload (e.g. font CSS and woff2 fetches).
+ * @param {string} url
+ * @param {Function} liveGet - () => Promise<Buffer>
+ * @returns {Promise<Buffer>}
+ */
+export async function replayBuffer(url, liveGet) {
+  const { mode, dir } = getReplayMode();
+  if (mode === 'replay') {
+    const { response } = readFixture(dir, 'download', { url });
+    return Buffer.from(response.base64, 'base64');
+  }
+
+  const buffer = await liveGet();
+  if (mode === 'record') writeFixture(dir, 'download', { url }, { base64: buffer.toString('base64') });
+  return buffer;
+}
+
+// ---------------------------------------------------------------------------
+// fetch() interception
+// ---------------------------------------------------------------------------
+
+const BINARY_TYPES = /^(image|audio|video|font)\/|application\/(octet-stream|pdf|zip)/;
+
+function describeRequest(input, init = {}) {
+  const url = typeof input === 'string' ? input : (input.url || String(input));
+  const method = (init.method || input.method || 'GET').toUpperCase();
+  const body = typeof init.body === 'string' ? init.body : null;
+  return { method, url, body };
+}
+
+async function serializeResponse(res) {
+  const contentType = res.headers.get('content-type') || '';
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const binary = BINARY_TYPES.test(contentType);
+  return {
+    status: res.status,
+    statusText: res.statusText,
+    url: res.url,
+    headers: Object.fromEntries(res.headers.entries()),
+    encoding: binary ? 'base64' : 'utf-8',
+    body: binary ? buffer.toString('base64') : buffer.toString('utf-8'),
+  };
+}
+
+function deserializeResponse(saved) {
+  const nullBody = [101, 204, 205, 304].includes(saved.status);
+  const body = nullBody ? null : Buffer.from(saved.body || '', saved.encoding === 'base64' ? 'base64' : 'utf-8');
+  const res = new Response(body, {
+    status: saved.status,
+    statusText: saved.statusText || '',
+    headers: saved.headers || {},
+  });
+  // Response.url is read-only and empty on constructed responses
+  Object.defineProperty(res, 'url', { value: saved.url || '' });
+  return res;
+}
+
+/**
+ * Patch globalThis.fetch to record or replay responses.
+ * No-op when neither mode is active, and safe to call more than once.
+ */
+export function installFetchReplay() {
+  const { mode } = getReplayMode();
+  if (!mode || globalThis.fetch.__replay) return;
+
+  const liveFetch = globalThis.fetch;
+  const replayFetch = async (input, init) => {
+    const request = describeRequest(input, init);
+    const { mode: current, dir } = getReplayMode();
+
+    if (current === 'replay') {
+      return deserializeResponse(readFixture(dir, 'http', request).response);
+    }
+
+    const res = await liveFetch(input, init);
+    if (current !== 'record') return res;
+
+    const saved = await serializeResponse(res);
+    writeFixture(dir, 'http', request, saved);
+    return deserializeResponse(saved);
+  };
+  replayFetch.__replay = true;
+  globalThis.fetch = replayFetch;
+}
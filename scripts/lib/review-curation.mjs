@@ -0,0 +1,329 @@
+// ============================================================================
+// review-curation.mjs
+// ============================================================================
+// Picks the testimonials a site shows, and which reviews belong on which
+// service and location page.
+//
+// Every review rated 4+ with real text is tagged with:
+//   service   the site service it talks about — words from the service's
+//             title and "what we cover" items (content-generated.json),
+//             weighted down when several services share a word
+//   location  the area it mentions — city, suburbs and city group of each
+//             src/content/locations/*.json page; the longest match wins
+// and scored 0–1 on length, recency and specificity (a named service, a
+// named place, enough detail), times its rating. The site's featured six
+// come from the top of that list with at most two per service; service and
+// location pages read the tagged list from src/content/reviews.json.
+//
+// Without content-generated.json or location pages (fetch-reviews.mjs runs
+// before the project is cloned) reviews go untagged; curateProjectReviews()
+// re-tags reviews.json once they exist.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { writeFileAtomic } from './atomic-write.mjs';
+import { reviewDay } from './review-ledger.mjs';
+
+/** Site content file the service and location pages read */
+export const CURATED_REVIEWS_FILE = 'src/content/reviews.json';
+
+/** Featured testimonials (site.config.ts reviews.items) */
+export const FEATURED_COUNT = 6;
+/** Curated reviews kept in reviews.json / src/content/reviews.json */
+const CURATED_LIMIT = 60;
+const MAX_PER_SERVICE = 2;
+
+// ---------------------------------------------------------------------------
+// Context
+// ---------------------------------------------------------------------------
+
+/**
+ * The project's services and location pages, for tagging.
+ * @param {string} projectPath
+ * @returns {{ services: { slug: string, title: string, whatWeCover?: { title: string }[] }[],
+ *             locations: { slug: string, city: string, suburbs?: string, cityGroup?: string }[] }}
+ */
+export function loadCurationContext(projectPath) {
+  let services = [];
+  const contentPath = path.join(projectPath, 'content-generated.json');
+  if (fs.existsSync(contentPath)) {
+    try {
+      services = JSON.parse(fs.readFileSync(contentPath, 'utf-8')).services || [];
+    } catch { /* malformed — reviews stay untagged */ }
+  }
+
+  const locations = [];
+  const locationsDir = path.join(projectPath, 'src/content/locations');
+  if (fs.existsSync(locationsDir)) {
+    for (const file of fs.readdirSync(locationsDir).filter(f => f.endsWith('.json')).sort()) {
+      try {
+        locations.push(JSON.parse(fs.readFileSync(path.join(locationsDir, file), 'utf-8')));
+      } catch { /* skip malformed page */ }
+    }
+  }
+  return { services, locations };
+}
+
+// ---------------------------------------------------------------------------
+// Tagging
+// ---------------------------------------------------------------------------
+
+/** Lower-case words, accents stripped, plurals folded ("Houses" → "house"). */
+const normalize = (text) => String(text || '').toLowerCase().normalize('NFKD')
+  .replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean)
+  .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w))
+  .join(' ');
+
+/** "Wendy & Wood Houses" → ["wendy", "wood house"] */
+const phrasesOf = (label) => String(label || '')
+  .split(/\s*(?:[&,/()–—]|\band\b|\s-\s)\s*/)
+  .map(normalize)
+  .filter(p => p.length >= 3);
+
+const mentions = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+function servicePhrases(services) {
+  const perService = services.map(service => {
+    const core = String(service.title || '').split(/\s+in\s+/i)[0];
+    const phrases = new Map(phrasesOf(core).map(p => [p, 2]));
+    for (const item of service.whatWeCover || []) {
+      for (const p of phrasesOf(item.title)) if (!phrases.has(p)) phrases.set(p, 1);
+    }
+    return { service, core, phrases };
+  });
+  // A word every service uses ("installation") says little about which one
+  const shared = new Map();
+  for (const { phrases } of perService) for (const p of phrases.keys()) shared.set(p, (shared.get(p) || 0) + 1);
+  return perService.map(entry => ({
+    ...entry,
+    phrases: [...entry.phrases].map(([phrase, weight]) => ({
+      phrase, weight: (weight * phrase.split(' ').length) / shared.get(phrase),
+    })),
+  }));
+}
+
+function locationPhrases(locations) {
+  return locations.map(location => {
+    const phrases = new Set([location.city, location.cityGroup, ...String(location.suburbs || '').split(',')]
+      .flatMap(label => [normalize(label), ...phrasesOf(label)])
+      .filter(p => p.length >= 3));
+    return { location, phrases: [...phrases] };
+  });
+}
+
+/**
+ * Tag reviews with the service and location they mention.
+ * @param {{ text: string }[]} reviews
+ * @param {ReturnType<typeof loadCurationContext>} context
+ * @returns {{ service: string | null, serviceTitle: string | null, location: string | null, place: string | null }[]}
+ *   per review — slugs, plus the service's short title and the place as written on the location page
+ */
+export function tagReviews(reviews, { services = [], locations = [] } = {}) {
+  const servicesIndex = servicePhrases(services);
+  const locationsIndex = locationPhrases(locations);
+
+  return reviews.map(review => {
+    const text = normalize(review.text);
+
+    let service = null;
+    let best = 0;
+    let tie = false;
+    for (const entry of servicesIndex) {
+      const score = entry.phrases.reduce((sum, { phrase, weight }) => sum + (mentions(text, phrase) ? weight : 0), 0);
+      if (score > best) { best = score; service = entry; tie = false; } else if (score > 0 && score === best) tie = true;
+    }
+    if (tie) service = null;
+
+    let location = null;
+    let place = '';
+    for (const entry of locationsIndex) {
+      for (const phrase of entry.phrases) {
+        if (phrase.length > place.length && mentions(text, phrase)) { location = entry.location; place = phrase; }
+      }
+    }
+
+    return {
+      service: service?.service.slug || null,
+      serviceTitle: service?.core || null,
+      location: location?.slug || null,
+      place: location ? location.city : null,
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+function lengthScore(text) {
+  const length = String(text || '').trim().length;
+  if (length < 40) return 0.2;
+  if (length < 80) return 0.5;
+  if (length <= 400) return 1;
+  return 0.8; // trimmed on the site
+}
+
+function recencyScore(date, now) {
+  const day = reviewDay(date);
+  if (!day) return 0.3;
+  const years = (now.getTime() - Date.parse(day)) / (365.25 * 86_400_000);
+  return Math.max(0, Math.min(1, 1 - years / 4));
+}
+
+function specificityScore(review, tags) {
+  const words = new Set(normalize(review.text).split(' ')).size;
+  return (tags.service ? 0.5 : 0) + (tags.location ? 0.3 : 0) + 0.2 * Math.min(1, words / 25);
+}
+
+/**
+ * @returns {{ score: number, length: number, recency: number, specificity: number }}
+ */
+export function scoreReview(review, tags, { now = new Date() } = {}) {
+  const parts = {
+    length: lengthScore(review.text),
+    recency: Math.round(recencyScore(review.date, now) * 100) / 100,
+    specificity: Math.round(specificityScore(review, tags) * 100) / 100,
+  };
+  const rating = review.rating >= 5 ? 1 : 0.8;
+  const score = rating * (0.25 * parts.length + 0.3 * parts.recency + 0.45 * parts.specificity);
+  return { score: Math.round(score * 100) / 100, ...parts };
+}
+
+// ---------------------------------------------------------------------------
+// Curation
+// ---------------------------------------------------------------------------
+
+/**
+ * Tag, score and rank reviews, and pick the featured testimonials.
+ * @param {object[]} reviews - merged review-sources reviews (text, rating, reviewerName, date, platform)
+ * @param {ReturnType<typeof loadCurationContext>} [context]
+ * @param {{ now?: Date }} [options]
+ * @returns {{ curated: object[], featured: object[] }} curated — every usable review, best first,
+ *   with service / serviceTitle / location / place / score; featured — the top FEATURED_COUNT,
+ *   at most MAX_PER_SERVICE per service
+ */
+export function curateReviews(reviews, context = {}, { now = new Date() } = {}) {
+  const usable = reviews.filter(r => r.rating >= 4 && r.text && r.text.length > 20);
+  const tags = tagReviews(usable, context);
+
+  const curated = usable
+    .map((review, i) => ({ ...review, ...tags[i], score: scoreReview(review, tags[i], { now }).score }))
+    .sort((a, b) => b.score - a.score || b.rating - a.rating)
+    .slice(0, CURATED_LIMIT);
+
+  const featured = [];
+  const perService = new Map();
+  for (const review of curated) {
+    if (featured.length >= FEATURED_COUNT) break;
+    const used = perService.get(review.service) || 0;
+    if (review.service && used >= MAX_PER_SERVICE) continue;
+    perService.set(review.service, used + 1);
+    featured.push(review);
+  }
+  // Not enough variety — fill up by score
+  for (const review of curated) {
+    if (featured.length >= FEATURED_COUNT) break;
+    if (!featured.includes(review)) featured.push(review);
+  }
+
+  return { curated, featured: featured.sort((a, b) => b.score - a.score) };
+}
+
+/** reviews.json testimonial from a curated review */
+export function toTestimonial(review) {
+  return {
+    quote: review.text,
+    author: review.reviewerName,
+    rating: review.rating,
+    platform: review.platform,
+    date: review.date,
+    ...(review.foundOn ? { foundOn: review.foundOn.map(f => ({ platform: f.platform, url: f.url })) } : {}),
+    service: review.serviceTitle || null,
+    serviceSlug: review.service || null,
+    location: review.location || null,
+    score: review.score,
+  };
+}
+
+/**
+ * site.config.ts reviews.items from reviews.json testimonials.
+ * @param {object[]} testimonials
+ */
+export function configItems(testimonials) {
+  return testimonials.slice(0, FEATURED_COUNT).map(t => ({
+    name: t.author || 'Customer',
+    text: (t.quote || '').slice(0, 300),
+    rating: t.rating || 5,
+    source: t.platform || 'google',
+    date: reviewDay(t.date) || t.date || undefined,
+    ...(t.service ? { service: t.service } : {}),
+  }));
+}
+
+/**
+ * src/content/reviews.json — every curated review, best first, in the shape
+ * the site's schema.org and page components read. Reviews without an
+ * absolute date ("2 years ago") get no `date` rather than a made-up one.
+ * @param {object[]} curated - reviews.json `curated`
+ */
+export function contentReviews(curated) {
+  return curated.map(r => ({
+    name: r.reviewerName || 'Customer',
+    text: (r.text || '').slice(0, 300),
+    rating: r.rating || 5,
+    ...(reviewDay(r.date) ? { date: reviewDay(r.date) } : {}),
+    source: r.platform || 'google',
+    ...(r.serviceTitle ? { service: r.serviceTitle, serviceSlug: r.service } : {}),
+    ...(r.location ? { locationSlug: r.location, place: r.place } : {}),
+    score: r.score,
+  }));
+}
+
+/**
+ * The reviews to curate from a reviews.json. Files written before curation
+ * have no `curated` list — fall back to their `allReviews`, then to their
+ * testimonials, so a resumed build doesn't drop them.
+ * @param {object} reviewsJson
+ */
+function reviewsToCurate(reviewsJson) {
+  if (Array.isArray(reviewsJson.curated)) return reviewsJson.curated;
+  if (Array.isArray(reviewsJson.allReviews) && reviewsJson.allReviews.length > 0) return reviewsJson.allReviews;
+  return (reviewsJson.testimonials || []).map(t => ({
+    reviewerName: t.author,
+    text: t.quote,
+    rating: t.rating,
+    platform: t.platform,
+    date: t.date,
+    ...(t.foundOn ? { foundOn: t.foundOn } : {}),
+  }));
+}
+
+/**
+ * Re-tag a project's reviews.json against its current services and location
+ * pages, and rewrite src/content/reviews.json. For build steps that run after
+ * fetch-reviews.mjs — content generation, location pages.
+ *
+ * With keepFeatured the testimonials stay as they are: site.config.ts
+ * reviews.items was written from them, and a re-pick would leave the site's
+ * featured cards and reviews.json disagreeing.
+ * @param {string} projectPath
+ * @param {{ keepFeatured?: boolean }} [options]
+ * @returns {{ testimonials: object[], curated: object[] } | null} null without reviews.json
+ */
+export function curateProjectReviews(projectPath, { keepFeatured = false } = {}) {
+  const reviewsPath = path.join(projectPath, 'reviews.json');
+  if (!fs.existsSync(reviewsPath)) return null;
+  const reviews = JSON.parse(fs.readFileSync(reviewsPath, 'utf-8'));
+
+  const { curated, featured } = curateReviews(reviewsToCurate(reviews), loadCurationContext(projectPath));
+  reviews.curated = curated;
+  if (!keepFeatured || !Array.isArray(reviews.testimonials)) reviews.testimonials = featured.map(toTestimonial);
+  writeFileAtomic(reviewsPath, JSON.stringify(reviews, null, 2));
+
+  const contentDir = path.join(projectPath, 'src/content');
+  if (fs.existsSync(contentDir)) {
+    writeFileAtomic(path.join(projectPath, CURATED_REVIEWS_FILE), JSON.stringify(contentReviews(curated), null, 2));
+  }
+  return { testimonials: reviews.testimonials, curated };
+}
@@ -0,0 +1,276 @@
+// ============================================================================
+// review-ledger.mjs
+// ============================================================================
+// Every review a project has ever been shown, kept across fetch-reviews.mjs
+// runs. The platforms only hand back a window of recent reviews (DataForSEO
+// depth 15, one Hello Peter page, ~20 Trustpilot reviews), so reviews.json on
+// its own forgets anything that scrolls out of it.
+//
+// reviews-ledger.json (project root) keys reviews by source and review:
+//   - the platform's own review ID when it gives one (Google, Airtable,
+//     Trustpilot), otherwise a hash of reviewer name + review date
+//   - firstSeen / lastSeen — ISO dates of the runs that saw it
+//   - history — earlier versions of an edited review, owner responses that
+//     changed, deletion and restore events
+//   - crossPostOf — the key of the same review on a higher-priority source,
+//     when lib/review-match.mjs finds it was posted on more than one platform
+//
+// A review is only marked deleted when this run's window covered it: the
+// source returned all its reviews, or the review is newer than the oldest
+// review fetched. Reviews older than the window are left alone — they've
+// scrolled out, not gone. A deleted review that shows up again is restored.
+// A source that failed this run changes nothing.
+//
+// The site reads the ledger at build time (src/utils/review-history.ts) to
+// show the full review history.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const REVIEW_LEDGER_FILE = 'reviews-ledger.json';
+
+/** Fields whose change counts as an edit of the review */
+const EDITABLE = ['text', 'rating', 'title'];
+
+export function emptyReviewLedger() {
+  return { version: 1, updatedAt: null, sources: {}, reviews: {} };
+}
+
+/**
+ * @param {string} projectPath
+ * @returns {{ version: number, updatedAt: string | null, sources: Record<string, object>, reviews: Record<string, object> }}
+ *   an empty ledger when the project has none yet
+ */
+export function readReviewLedger(projectPath) {
+  const filePath = path.join(projectPath, REVIEW_LEDGER_FILE);
+  if (!fs.existsSync(filePath)) return emptyReviewLedger();
+  return { ...emptyReviewLedger(), ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+}
+
+export function writeReviewLedger(projectPath, ledger) {
+  ledger.updatedAt = new Date().toISOString();
+  writeFileAtomic(path.join(projectPath, REVIEW_LEDGER_FILE), JSON.stringify(ledger, null, 2));
+}
+
+// ---------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------
+
+/**
+ * A review date as YYYY-MM-DD, or '' when it isn't an absolute date
+ * (Facebook's "2y", a missing date).
+ */
+export function reviewDay(date) {
+  const text = String(date || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  if (!/\d{4}/.test(text)) return '';
+  // "12 March 2024" — parsed as local midnight, so read it back locally
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+/**
+ * Ledger key of a review from a source.
+ * @param {string} sourceId
+ * @param {{ id?: string, reviewerName?: string, date?: string, text?: string }} review
+ */
+export function reviewKey(sourceId, review) {
+  if (review.id) return `${sourceId}:${review.id}`;
+  const name = String(review.reviewerName || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  // Without a name or a date, the text is all that tells two reviews apart
+  const day = reviewDay(review.date);
+  const basis = name && day ? `${name}|${day}` : `${name}|${day}|${String(review.text || '').slice(0, 200)}`;
+  return `${sourceId}:${createHash('sha256').update(basis).digest('hex').slice(0, 16)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Merge
+// ---------------------------------------------------------------------------
+
+const snapshot = (entry) => Object.fromEntries(EDITABLE.map(f => [f, entry[f]]));
+
+function entryFrom(sourceId, review, key, today) {
+  return {
+    key,
+    source: sourceId,
+    platform: review.platform || sourceId,
+    reviewerName: review.reviewerName || 'Customer',
+    rating: review.rating || 0,
+    title: review.title || '',
+    text: review.text || '',
+    date: review.date || '',
+    url: review.url || null,
+    ownerResponse: review.ownerResponse || null,
+    firstSeen: today,
+    lastSeen: today,
+    deletedAt: null,
+    history: [],
+  };
+}
+
+/** Whether this run's fetch of a source would have returned the entry. */
+function windowCovers(entry, { complete, oldestDay }) {
+  if (complete) return true;
+  const day = reviewDay(entry.date);
+  return Boolean(day && oldestDay && day >= oldestDay);
+}
+
+/**
+ * Merge one fetch-reviews run into the ledger (in place).
+ * @param {object} ledger - readReviewLedger() result
+ * @param {{ id: string, data: object | null }[]} results - review-sources results
+ * @param {{ now?: Date }} [options]
+ * @returns {{ added: string[], edited: string[], responded: string[], deleted: string[], restored: string[] }}
+ *   ledger keys per change
+ */
+export function mergeIntoLedger(ledger, results, { now = new Date() } = {}) {
+  const today = now.toISOString().slice(0, 10);
+  const changes = { added: [], edited: [], responded: [], deleted: [], restored: [] };
+
+  for (const { id: sourceId, data } of results) {
+    if (!data) continue;
+    const reviews = data.reviews || [];
+
+    ledger.sources[sourceId] = {
+      business: data.business,
+      url: data.url || null,
+      lastFetched: today,
+    };
+
+    const seen = new Set();
+    for (const review of reviews) {
+      const key = reviewKey(sourceId, review);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const entry = ledger.reviews[key];
+      if (!entry) {
+        ledger.reviews[key] = entryFrom(sourceId, review, key, today);
+        changes.added.push(key);
+        continue;
+      }
+
+      entry.lastSeen = today;
+      if (entry.deletedAt) {
+        entry.history.push({ at: today, event: 'restored', deletedAt: entry.deletedAt });
+        entry.deletedAt = null;
+        changes.restored.push(key);
+      }
+
+      const fresh = entryFrom(sourceId, review, key, today);
+      if (EDITABLE.some(f => fresh[f] !== entry[f])) {
+        entry.history.push({ at: today, event: 'edited', previous: snapshot(entry) });
+        Object.assign(entry, snapshot(fresh));
+        changes.edited.push(key);
+      }
+      if (fresh.ownerResponse !== entry.ownerResponse) {
+        entry.history.push({ at: today, event: 'response', previous: entry.ownerResponse });
+        entry.ownerResponse = fresh.ownerResponse;
+        changes.responded.push(key);
+      }
+      // A relative date ("2y") sharpens once the platform gives a real one
+      if (!reviewDay(entry.date) && reviewDay(fresh.date)) entry.date = fresh.date;
+      if (fresh.url) entry.url = fresh.url;
+    }
+
+    const days = reviews.map(r => reviewDay(r.date)).filter(Boolean).sort();
+    const window = {
+      complete: reviews.length > 0 && reviews.length >= (data.business?.totalReviews || 0),
+      oldestDay: days[0] || '',
+    };
+    for (const entry of Object.values(ledger.reviews)) {
+      if (entry.source !== sourceId || entry.deletedAt || seen.has(entry.key)) continue;
+      if (!windowCovers(entry, window)) continue;
+      entry.deletedAt = today;
+      entry.history.push({ at: today, event: 'deleted' });
+      changes.deleted.push(entry.key);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record which ledger reviews are copies of another one, from
+ * deduplicateReviews() (lib/review-match.mjs) run over the ledger's own
+ * reviews. Earlier marks are cleared — a copy that's edited apart is its own
+ * review again.
+ * @param {object} ledger
+ * @param {{ key: string, foundOn: { key?: string }[] }[]} kept
+ * @returns {number} reviews marked as cross-posts
+ */
+export function markCrossPosts(ledger, kept) {
+  for (const entry of Object.values(ledger.reviews)) delete entry.crossPostOf;
+  let marked = 0;
+  for (const review of kept) {
+    for (const { key } of review.foundOn.slice(1)) {
+      if (!ledger.reviews[key]) continue;
+      ledger.reviews[key].crossPostOf = review.key;
+      marked++;
+    }
+  }
+  return marked;
+}
+
+/** "3 new, 1 edited, 1 deleted" — or "no changes". */
+export function summarizeLedgerChanges(changes) {
+  const parts = Object.entries(changes)
+    .filter(([, keys]) => keys.length > 0)
+    .map(([change, keys]) => `${keys.length} ${change === 'added' ? 'new' : change}`);
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+// ---------------------------------------------------------------------------
+// Read back
+// ---------------------------------------------------------------------------
+
+/**
+ * Reviews still on their platform, newest first (undated ones last).
+ * @param {object} ledger
+ * @param {string} [sourceId] - only this source's reviews
+ */
+export function activeReviews(ledger, sourceId) {
+  return Object.values(ledger.reviews)
+    .filter(e => !e.deletedAt && (!sourceId || e.source === sourceId))
+    .sort((a, b) => (reviewDay(b.date) || '').localeCompare(reviewDay(a.date) || '')
+      || b.lastSeen.localeCompare(a.lastSeen));
+}
+
+/**
+ * review-sources results built from the ledger, so reviews.json and
+ * REVIEWS.md cover every review still up — not only this run's window. A
+ * source that failed this run keeps its last known rating and count.
+ * @param {object} ledger
+ * @param {string[]} sourceIds - in merge priority
+ * @returns {{ id: string, data: object | null }[]}
+ */
+export function ledgerResults(ledger, sourceIds) {
+  return sourceIds.map(id => {
+    const source = ledger.sources[id];
+    const reviews = activeReviews(ledger, id).map(e => ({
+      text: e.text,
+      rating: e.rating,
+      reviewerName: e.reviewerName,
+      title: e.title,
+      date: e.date,
+      platform: e.platform,
+      ...(e.url ? { url: e.url } : {}),
+      ...(e.ownerResponse ? { ownerResponse: e.ownerResponse } : {}),
+      firstSeen: e.firstSeen,
+    }));
+    if (!source && reviews.length === 0) return { id, data: null };
+    return {
+      id,
+      data: {
+        business: source?.business || { name: '', rating: null, totalReviews: reviews.length },
+        reviews,
+        ...(source?.url ? { url: source.url } : {}),
+      },
+    };
+  });
+}
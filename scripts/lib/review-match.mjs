@@ -0,0 +1,167 @@
+// ============================================================================
+// review-match.mjs
+// ============================================================================
+// Finds the same review posted on more than one platform — a client who
+// leaves the same words on Google and Facebook, once as "John S." and once
+// as "John Smith" — so reviews.json lists it once, with a link to every
+// platform it's on.
+//
+// Two reviews are compared on:
+//   text    word overlap (Dice), or containment when one platform truncates
+//   name    first name, then surname or its initial; generic names
+//           ("Customer", "Anonymous") count as unknown
+//   rating  equal, or one star apart
+//   date    days apart, when both dates are absolute
+// and scored 0–1 (weights below; unknown signals drop out). They're the same
+// review when the score reaches DUPLICATE_THRESHOLD and the texts agree —
+// reviews too short to tell apart ("Great service!") and reviews from the
+// same source are never merged.
+// ============================================================================
+
+import { reviewDay } from './review-ledger.mjs';
+
+export const DUPLICATE_THRESHOLD = 0.75;
+
+/** Minimum words in the shorter text for text to count as evidence */
+const MIN_WORDS = 5;
+/** Text similarity two reviews need, whatever the rest says */
+const MIN_TEXT = 0.6;
+
+const WEIGHTS = { text: 0.6, name: 0.2, rating: 0.1, date: 0.1 };
+
+const GENERIC_NAMES = new Set(['customer', 'anonymous', 'a google user', 'google user', 'client', 'guest', 'facebook user']);
+
+// ---------------------------------------------------------------------------
+// Signals
+// ---------------------------------------------------------------------------
+
+const words = (text) => String(text || '').toLowerCase().normalize('NFKD')
+  .replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(w => w.length > 1);
+
+/**
+ * @returns {number | null} 0–1; null when either text is too short to compare
+ */
+export function textSimilarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (Math.min(wa.length, wb.length) < MIN_WORDS) return null;
+  const sa = new Set(wa);
+  const sb = new Set(wb);
+  const shared = [...sa].filter(w => sb.has(w)).length;
+  const dice = (2 * shared) / (sa.size + sb.size);
+  // One platform cut the review short — the shorter one is all in the longer
+  const containment = shared / Math.min(sa.size, sb.size);
+  return Math.max(dice, containment >= 0.9 ? containment * 0.95 : 0);
+}
+
+const nameTokens = (name) => {
+  const normalized = String(name || '').toLowerCase().normalize('NFKD').replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  return GENERIC_NAMES.has(normalized) ? [] : normalized.split(' ').filter(Boolean);
+};
+
+/** 1 for the same word, 0.7 when one is the other's initial, else 0. */
+function tokenMatch(a, b) {
+  if (a === b) return 1;
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) return 0.7;
+  return 0;
+}
+
+/**
+ * "John S." vs "John Smith" → 0.85, "John" vs "John Smith" → 0.7,
+ * "John Smith" vs "John Dube" → 0.
+ * @returns {number | null} null when either name is missing or generic
+ */
+export function nameSimilarity(a, b) {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (ta.length === 0 || tb.length === 0) return null;
+  const first = tokenMatch(ta[0], tb[0]);
+  if (first === 0) return 0;
+  if (ta.length === 1 || tb.length === 1) return first * 0.7;
+  const last = tokenMatch(ta[ta.length - 1], tb[tb.length - 1]);
+  if (last === 0) return 0;
+  return first * (last === 1 ? 1 : 0.85);
+}
+
+function ratingSimilarity(a, b) {
+  if (!a || !b) return null;
+  const diff = Math.abs(Math.round(a) - Math.round(b));
+  return diff === 0 ? 1 : diff === 1 ? 0.5 : 0;
+}
+
+function dateSimilarity(a, b) {
+  const da = reviewDay(a);
+  const db = reviewDay(b);
+  if (!da || !db) return null;
+  const days = Math.abs(Date.parse(da) - Date.parse(db)) / 86_400_000;
+  if (days <= 3) return 1;
+  if (days <= 14) return 0.6;
+  if (days <= 60) return 0.2;
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+/**
+ * How likely two reviews are the same review.
+ * @param {{ text?: string, reviewerName?: string, rating?: number, date?: string }} a
+ * @param {{ text?: string, reviewerName?: string, rating?: number, date?: string }} b
+ * @returns {{ confidence: number, duplicate: boolean, signals: Record<string, number | null> }}
+ */
+export function matchReviews(a, b) {
+  const signals = {
+    text: textSimilarity(a.text, b.text),
+    name: nameSimilarity(a.reviewerName, b.reviewerName),
+    rating: ratingSimilarity(a.rating, b.rating),
+    date: dateSimilarity(a.date, b.date),
+  };
+  if (signals.text === null) return { confidence: 0, duplicate: false, signals };
+
+  let weight = 0;
+  let score = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null) continue;
+    weight += WEIGHTS[signal];
+    score += WEIGHTS[signal] * value;
+  }
+  const confidence = Math.round((score / weight) * 100) / 100;
+  return { confidence, duplicate: signals.text >= MIN_TEXT && confidence >= DUPLICATE_THRESHOLD, signals };
+}
+
+/**
+ * Merge cross-posted reviews. Reviews are taken in order (merge priority), so
+ * the earliest source's copy is kept; each kept review gains `foundOn` — one
+ * entry per platform it was found on, itself first.
+ * @param {{ source: string, platform: string, url?: string | null }[]} reviews - review-sources
+ *   reviews tagged with their source ID
+ * @returns {object[]} kept reviews with foundOn: [{ source, platform, url, reviewerName, date, confidence }]
+ *   (plus the review's ledger `key`, when it has one)
+ */
+export function deduplicateReviews(reviews) {
+  const kept = [];
+  for (const review of reviews) {
+    let best = null;
+    for (const candidate of kept) {
+      if (candidate.foundOn.some(f => f.source === review.source)) continue;
+      const match = matchReviews(candidate, review);
+      if (match.duplicate && (!best || match.confidence > best.confidence)) best = { candidate, confidence: match.confidence };
+    }
+
+    const foundOn = {
+      ...(review.key ? { key: review.key } : {}),
+      source: review.source,
+      platform: review.platform,
+      url: review.url || null,
+      reviewerName: review.reviewerName,
+      date: review.date,
+    };
+    if (best) {
+      best.candidate.foundOn.push({ ...foundOn, confidence: best.confidence });
+    } else {
+      kept.push({ ...review, foundOn: [{ ...foundOn, confidence: 1 }] });
+    }
+  }
+  return kept;
+}
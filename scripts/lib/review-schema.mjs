@@ -0,0 +1,111 @@
+// ============================================================================
+// review-schema.mjs
+// ============================================================================
+// Checks a rendered page's review structured data against what the page
+// actually shows. Google treats Review / AggregateRating markup that visitors
+// can't see as spam, so post-build QA (qa.mjs, on dist/ before any deploy)
+// and seo-qa.mjs (on the live site) fail a page when:
+//
+//   - a Review's reviewBody isn't in the page's visible text
+//   - a Service or Product has an aggregateRating but no Review objects
+//   - that aggregateRating's count or average doesn't match its Reviews
+//
+// The site-wide business rating in BaseLayout (site.reviews) summarises the
+// Google profile rather than the page, and stays under seo-qa's fake-schema
+// check. Pages build their markup with src/utils/review-schema.ts from the
+// reviews they render; this is the check that it matches.
+// ============================================================================
+
+/** Types whose aggregateRating must come from reviews on the page */
+const PAGE_RATED_TYPES = new Set(['Service', 'Product']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&([a-z]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+
+/** Lower-case, punctuation-free text for "is this quote on the page" */
+const normalize = (text) => decodeEntities(String(text || '')).toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Visible text of a page — tags, scripts and styles stripped.
+ * @param {string} html
+ */
+export function visibleText(html) {
+  return normalize(html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '));
+}
+
+/**
+ * Every node in the page's JSON-LD blocks, @graph and nested nodes included.
+ * Blocks that don't parse are returned as errors.
+ * @param {string} html
+ * @returns {{ nodes: object[], invalid: number }}
+ */
+export function jsonLdNodes(html) {
+  const nodes = [];
+  let invalid = 0;
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.forEach(walk);
+    if (!value || typeof value !== 'object') return;
+    if (value['@type']) nodes.push(value);
+    for (const child of Object.values(value)) walk(child);
+  };
+  for (const [, body] of html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      walk(JSON.parse(body));
+    } catch {
+      invalid++;
+    }
+  }
+  return { nodes, invalid };
+}
+
+const typesOf = (node) => [].concat(node['@type']);
+const asList = (value) => (value == null ? [] : [].concat(value));
+
+/**
+ * Review markup on a page that the page doesn't back up.
+ * @param {string} html - rendered page
+ * @returns {string[]} one line per problem; empty when the markup is honest
+ */
+export function reviewSchemaProblems(html) {
+  const { nodes, invalid } = jsonLdNodes(html);
+  const problems = [];
+  if (invalid) problems.push(`${invalid} JSON-LD block(s) failed to parse`);
+
+  const text = visibleText(html);
+  for (const node of nodes) {
+    const types = typesOf(node);
+
+    if (types.includes('Review')) {
+      // Site cards trim long reviews, so compare the opening words
+      const body = normalize(node.reviewBody).split(' ').slice(0, 12).join(' ');
+      const author = node.author?.name || 'unknown';
+      if (!body) problems.push(`Review by ${author} has no reviewBody`);
+      else if (!text.includes(body)) problems.push(`Review by ${author} is not visible on the page`);
+    }
+
+    if (!types.some(t => PAGE_RATED_TYPES.has(t)) || !node.aggregateRating) continue;
+    const name = node.name || types.join('/');
+    const reviews = asList(node.review);
+    if (reviews.length === 0) {
+      problems.push(`${name}: aggregateRating without Review objects`);
+      continue;
+    }
+    const { ratingValue, reviewCount, ratingCount } = node.aggregateRating;
+    const count = Number(reviewCount ?? ratingCount);
+    const average = reviews.reduce((sum, r) => sum + Number(r.reviewRating?.ratingValue || 0), 0) / reviews.length;
+    if (count !== reviews.length) {
+      problems.push(`${name}: aggregateRating counts ${count} reviews, page marks up ${reviews.length}`);
+    }
+    if (Math.abs(Number(ratingValue) - average) > 0.05) {
+      problems.push(`${name}: aggregateRating ${ratingValue} doesn't match its reviews' average ${Math.round(average * 10) / 10}`);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,917 @@
+// ============================================================================
+// review-sources.mjs
+// ============================================================================
+// Review-source plugins for fetch-reviews.mjs, and the merge that turns their
+// results into reviews.json and REVIEWS.md.
+//
+// A source is { label, check(clientConfig, ctx), fetch(ctx) }:
+//   check  — pre-flight: { ready, detail } from client-config alone (no I/O
+//            beyond the project folder); detail names what's used or missing
+//   fetch  — async; resolves { business: { name, rating, totalReviews },
+//            reviews: [{ id?, text, rating, reviewerName, title?, date, platform,
+//            ownerResponse? }], url? } or null when there's nothing to
+//            show. id is the platform's own review ID, when it has one
+//            (lib/review-ledger.mjs keys on it). Must not throw for a
+//            missing credential or an unreachable platform — log and
+//            return null, reviews are optional.
+//   ctx    — { clientConfig, companyName, projectPath }
+//
+// Built-in sources, in merge priority (earlier wins when de-duplicating
+// cross-posted reviews — lib/review-match.mjs):
+//   localpros   Airtable LPP Reviews table (AIRTABLE_TOKEN)
+//   import      reviews a client sent us — reviews-import.json / .csv in the
+//               project root, or the file client-config `reviewsImport` names
+//   google      Google via DataForSEO (googleMapsUrl)
+//   hellopeter  Hello Peter via Firecrawl (helloPeterUrl)
+//   facebook    Facebook recommendations via Firecrawl (facebook)
+//   trustpilot  Trustpilot company page JSON-LD (trustpilotUrl)
+//
+// reviews.json keys aggregateRating, reviewCounts and links by source ID, so
+// a new platform is one registerReviewSource('id', { ... }) call.
+// ============================================================================
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join, resolve, extname } from 'node:path';
+import { pause } from './replay.mjs';
+import { recordCall } from './build-usage.mjs';
+import { parseCsv } from './data-sources.mjs';
+import { deduplicateReviews } from './review-match.mjs';
+import { curateReviews, toTestimonial } from './review-curation.mjs';
+import { socialProfileUrl } from './business-profile.mjs';
+
+// ---------------------------------------------------------------------------
+// Source 1: Airtable LPP Reviews
+// ---------------------------------------------------------------------------
+
+const AIRTABLE_BASE_ID = 'app7AZ1zHElQfR4EH';
+const REVIEWS_TABLE_ID = 'tblNjKSr1hlGrTeBR';
+
+function airtableReviewsUrl() {
+  return `${process.env.AIRTABLE_API_URL || 'https://api.airtable.com'}/v0/${AIRTABLE_BASE_ID}/${REVIEWS_TABLE_ID}`;
+}
+
+function dataForSeoUrl(path) {
+  return `${process.env.DATAFORSEO_API_URL || 'https://api.dataforseo.com'}/v3/business_data/google/reviews/${path}`;
+}
+
+function getAirtableToken() {
+  return process.env.AIRTABLE_TOKEN || null;
+}
+
+async function fetchAirtableReviews(recordId, companyName, token) {
+  if (!token) {
+    console.log('  AIRTABLE_TOKEN not set — skipping Airtable reviews');
+    return null;
+  }
+  if (!recordId) {
+    console.log('  No partner recordId — skipping Airtable reviews');
+    return null;
+  }
+
+  console.log(`  Fetching Airtable reviews for partner ${recordId}...`);
+
+  try {
+    // Fetch all published reviews, then filter client-side by linked record ID.
+    // We can't use ARRAYJOIN({Lead Gen Partners}) in a formula because Airtable
+    // returns display values (names) not record IDs. Client-side filtering on
+    // the Lead Gen Partners array (which contains record IDs in API responses)
+    // is the reliable approach.
+    const formula = `{Review Status}='publish'`;
+    const fields = ['name', 'rating', 'Review', 'Title', 'created', 'Lead Gen Partners'];
+
+    let allRecords = [];
+    let offset = null;
+
+    do {
+      const params = new URLSearchParams({
+        filterByFormula: formula,
+        'sort[0][field]': 'created',
+        'sort[0][direction]': 'desc',
+        maxRecords: '100',
+      });
+      // Request only the fields we need
+      for (const f of fields) {
+        params.append('fields[]', f);
+      }
+      if (offset) params.set('offset', offset);
+
+      const res = await fetch(`${airtableReviewsUrl()}?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      if (!res.ok) {
+        const body = await res.text();
+        console.log(`  Airtable API error ${res.status}: ${body}`);
+        return null;
+      }
+
+      const data = await res.json();
+      allRecords = allRecords.concat(data.records || []);
+      offset = data.offset || null;
+    } while (offset);
+
+    // Filter client-side: only reviews whose Lead Gen Partners array includes our recordId
+    const matched = allRecords.filter(r => {
+      const partners = r.fields['Lead Gen Partners'];
+      return Array.isArray(partners) && partners.includes(recordId);
+    });
+
+    console.log(`  Airtable: ${allRecords.length} total published reviews, ${matched.length} match partner ${recordId}`);
+
+    if (matched.length === 0) {
+      console.log('  No published reviews found in Airtable for this partner');
+      return null;
+    }
+
+    const reviews = matched.map(r => {
+      const f = r.fields;
+      return {
+        id: r.id,
+        text: f['Review'] || '',
+        rating: f['rating'] || 5,
+        reviewerName: f['name'] || 'Customer',
+        title: f['Title'] || '',
+        date: f['created'] || '',
+        platform: 'localpros',
+      };
+    });
+
+    // Calculate aggregate
+    const totalRating = reviews.reduce((sum, r) => sum + r.rating, 0);
+    const avgRating = Math.round((totalRating / reviews.length) * 10) / 10;
+
+    return {
+      business: {
+        name: companyName,
+        rating: avgRating,
+        totalReviews: reviews.length,
+      },
+      reviews,
+    };
+  } catch (err) {
+    console.log(`  Airtable reviews error: ${err.message}`);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Source 2: Google Reviews via URL only (DataForSEO)
+// ---------------------------------------------------------------------------
+
+function getDataForSEOAuth() {
+  const login = process.env.DATAFORSEO_LOGIN;
+  const password = process.env.DATAFORSEO_PASSWORD;
+  if (!login || !password) return null;
+  return Buffer.from(`${login}:${password}`).toString('base64');
+}
+
+/**
+ * Resolve any Google Maps URL to its canonical full form.
+ * Handles short URLs (maps.app.goo.gl), regional domains (maps.google.co.za),
+ * search URLs, and any other format — all redirect to the canonical
+ * google.com/maps/place/... URL which contains the business name.
+ */
+async function resolveGoogleMapsUrl(url) {
+  if (!url) return url;
+
+  // Already a canonical /maps/place/ URL with business name — skip resolution
+  if (url.includes('google.com/maps/place/') && url.includes('/@')) return url;
+
+  console.log('  Resolving Google Maps URL...');
+  try {
+    const res = await fetch(url, { method: 'HEAD', redirect: 'follow' });
+    const resolved = res.url;
+    if (resolved && resolved !== url) {
+      console.log(`  Resolved to: ${resolved.slice(0, 120)}...`);
+      return resolved;
+    }
+  } catch (err) {
+    console.log(`  URL resolution failed: ${err.message}`);
+  }
+  return url;
+}
+
+/**
+ * Extract a Google Maps place_id from a URL.
+ * Supports formats:
+ *   https://www.google.com/maps/place/?q=place_id:ChIJ...
+ *   https://maps.google.com/?cid=12345
+ *   https://www.google.com/maps/place/Business+Name/@lat,lng,zoom/data=!...!1s0x...:0x...
+ */
+function extractPlaceId(googleMapsUrl) {
+  if (!googleMapsUrl) return null;
+
+  // Direct place_id in URL
+  const placeIdMatch = googleMapsUrl.match(/place_id[=:]([A-Za-z0-9_-]+)/);
+  if (placeIdMatch) return placeIdMatch[1];
+
+  // CID format — not a place_id but we can use it
+  const cidMatch = googleMapsUrl.match(/[?&]cid=(\d+)/);
+  if (cidMatch) return null; // CID isn't supported by DataForSEO place_id endpoint
+
+  return null;
+}
+
+/**
+ * Extract the business name from a resolved Google Maps URL.
+ * e.g. /maps/place/Robotic+Steelworks/@ → "Robotic Steelworks"
+ */
+function extractBusinessNameFromUrl(googleMapsUrl) {
+  if (!googleMapsUrl) return null;
+  const match = googleMapsUrl.match(/\/maps\/place\/([^/@]+)/);
+  if (match) return decodeURIComponent(match[1].replace(/\+/g, ' '));
+  return null;
+}
+
+async function fetchGoogleReviews(googleMapsUrl, city, companyName, auth) {
+  if (!googleMapsUrl) {
+    console.log('  No Google Maps URL in Airtable — skipping Google reviews');
+    return null;
+  }
+  if (!auth) {
+    console.log('  DataForSEO credentials not set — skipping Google reviews');
+    return null;
+  }
+
+  console.log(`  Fetching Google reviews from: ${googleMapsUrl}`);
+
+  // Resolve short URLs (maps.app.goo.gl) to full URLs
+  const resolvedUrl = await resolveGoogleMapsUrl(googleMapsUrl);
+  const placeId = extractPlaceId(resolvedUrl);
+
+  // Try to extract business name from URL for keyword fallback
+  const urlBusinessName = extractBusinessNameFromUrl(resolvedUrl);
+
+  try {
+    let postBody;
+
+    if (placeId) {
+      // Use place_id endpoint (most accurate)
+      console.log(`  Using place_id: ${placeId}`);
+      postBody = [{
+        place_id: placeId,
+        location_name: 'South Africa',
+        language_name: 'English',
+        depth: 15,
+        sort_by: 'newest',
+      }];
+    } else {
+      // Use business name from URL or company name as keyword
+      const keyword = urlBusinessName || companyName;
+      console.log(`  No place_id — using keyword: "${keyword}"`);
+      postBody = [{
+        keyword,
+        location_name: 'South Africa',
+        language_name: 'English',
+        depth: 15,
+        sort_by: 'newest',
+      }];
+    }
+
+    const postRes = await fetch(dataForSeoUrl('task_post'), {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${auth}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(postBody),
+    });
+
+    if (!postRes.ok) {
+      console.log(`  DataForSEO task post HTTP error: ${postRes.status}`);
+      return null;
+    }
+    recordCall('dataforseo-task');
+
+    const postData = await postRes.json();
+    if (postData.status_code !== 20000 || !postData.tasks?.[0]?.id) {
+      console.log(`  DataForSEO task post failed: ${postData.status_message || 'unknown error'}`);
+      return null;
+    }
+
+    const taskId = postData.tasks[0].id;
+    console.log(`  Task created: ${taskId} — polling for results...`);
+
+    // Poll (max 8 attempts, 10s apart = ~80s max wait)
+    // Status codes: 20100=in progress, 40602=in queue — keep polling
+    const STILL_PROCESSING = new Set([20100, 40602]);
+
+    for (let attempt = 0; attempt < 8; attempt++) {
+      await pause(10_000);
+
+      const getRes = await fetch(
+        dataForSeoUrl(`task_get/${taskId}`),
+        { headers: { Authorization: `Basic ${auth}` } }
+      );
+
+      if (!getRes.ok) {
+        console.log(`  DataForSEO poll error: HTTP ${getRes.status}`);
+        continue;
+      }
+
+      const getData = await getRes.json();
+      const task = getData.tasks?.[0];
+      if (!task) continue;
+
+      if (task.status_code === 20000 && task.result?.[0]) {
+        const result = task.result[0];
+        const reviews = (result.items || []).filter(i => i.type === 'google_reviews_search');
+
+        return {
+          business: {
+            name: result.title || '',
+            rating: result.rating?.value || null,
+            totalReviews: result.reviews_count || 0,
+            placeId: result.place_id || placeId,
+          },
+          reviews: reviews.map(r => ({
+            ...(r.review_id ? { id: r.review_id } : {}),
+            ...(r.review_url ? { url: r.review_url } : {}),
+            text: r.review_text || '',
+            rating: r.rating?.value || 0,
+            reviewerName: r.profile_name || 'Anonymous',
+            date: r.timestamp || '',
+            timeAgo: r.time_ago || '',
+            ownerResponse: r.owner_answer || null,
+            platform: 'google',
+          })),
+        };
+      }
+
+      if (!STILL_PROCESSING.has(task.status_code)) {
+        console.log(`  Task failed: ${task.status_code} — ${task.status_message}`);
+        break;
+      }
+      console.log(`  Poll ${attempt + 1}/8: ${task.status_message}`);
+    }
+
+    console.log('  Google reviews task timed out');
+    return null;
+  } catch (err) {
+    console.log(`  Google reviews error: ${err.message}`);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Firecrawl (JS-rendered review pages)
+// ---------------------------------------------------------------------------
+
+function firecrawlUrl() {
+  return `${process.env.FIRECRAWL_API_URL || 'https://api.firecrawl.dev'}/v1/scrape`;
+}
+
+/**
+ * Scrape a page to markdown. Errors are printed, not thrown.
+ * @returns {Promise<string | null>} null when Firecrawl failed or the page is (nearly) empty
+ */
+async function firecrawlMarkdown(url, key) {
+  const res = await fetch(firecrawlUrl(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${key}`,
+    },
+    body: JSON.stringify({
+      url,
+      formats: ['markdown'],
+      waitFor: 5000,
+    }),
+  });
+  recordCall('firecrawl-scrape');
+
+  const data = await res.json();
+  if (!data.success) {
+    console.log(`  Firecrawl error: ${data.error || 'unknown'}`);
+    return null;
+  }
+
+  const md = data.data?.markdown || '';
+  if (!md || md.length < 50) {
+    console.log('  Empty or minimal content from Firecrawl');
+    return null;
+  }
+  return md;
+}
+
+// ---------------------------------------------------------------------------
+// Source 3: Hello Peter via URL only (Firecrawl)
+// ---------------------------------------------------------------------------
+
+async function fetchHelloPeterReviews(helloPeterUrl, companyName) {
+  if (!helloPeterUrl) {
+    console.log('  No Hello Peter URL in Airtable — skipping Hello Peter');
+    return null;
+  }
+
+  const firecrawlKey = process.env.FIRECRAWL_API_KEY;
+  if (!firecrawlKey) {
+    console.log('  FIRECRAWL_API_KEY not set — skipping Hello Peter (JS-rendered site needs Firecrawl)');
+    return null;
+  }
+
+  console.log(`  Scraping Hello Peter via Firecrawl: ${helloPeterUrl}`);
+
+  try {
+    const md = await firecrawlMarkdown(helloPeterUrl, firecrawlKey);
+    if (!md) return null;
+
+    // Parse rating: "1.18 \| 8,641\nReviews (Last 12 months)" or "4.5 | 32 Reviews"
+    // Firecrawl escapes pipes as \| and may split across lines
+    const ratingMatch = md.match(/([\d.]+)\s*\\?\|\s*([\d,]+)\s*\n?\s*Reviews/i);
+    // Also try: "No reviews in last 12 months"
+    const noReviews = md.includes('No reviews in last 12 months');
+
+    if (noReviews) {
+      console.log('  Hello Peter: No reviews in last 12 months');
+      return null;
+    }
+
+    const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+    const totalReviews = ratingMatch ? parseInt(ratingMatch[2].replace(/,/g, '')) : 0;
+
+    if (!rating && totalReviews === 0) {
+      console.log('  No Hello Peter rating/reviews found in scraped content');
+      return null;
+    }
+
+    // Parse individual reviews from markdown
+    const reviews = [];
+    const reviewPattern = /\[([^\]]+)\]\(https:\/\/www\.hellopeter\.com\/profile\/[^)]+\)\n\n.*?\n\n(\d{1,2}\s+\w+\s+\d{4})[^\n]*\n\n#\s+([^\n]+)\n\n([\s\S]*?)(?:\n\nReply|$)/g;
+    let match;
+    while ((match = reviewPattern.exec(md)) !== null) {
+      const [, author, date, title, text] = match;
+      reviews.push({
+        text: text.trim().slice(0, 500),
+        rating: rating ? Math.round(rating) : 3,
+        reviewerName: author.trim(),
+        title: title.trim(),
+        date,
+        platform: 'hellopeter',
+      });
+      if (reviews.length >= 10) break;
+    }
+
+    console.log(`  Hello Peter: ${rating}/5 (${totalReviews} reviews, ${reviews.length} extracted)`);
+
+    return {
+      platform: 'hellopeter',
+      url: helloPeterUrl,
+      business: {
+        name: companyName,
+        rating,
+        totalReviews,
+      },
+      reviews,
+    };
+  } catch (err) {
+    console.log(`  Hello Peter error: ${err.message}`);
+    return null;
+  }
+}
+
+
+// ---------------------------------------------------------------------------
+// Source 4: Facebook recommendations (Firecrawl)
+// ---------------------------------------------------------------------------
+
+const RECOMMENDS = /^(.+?)\s+(recommends|doesn['’]t recommend)\b/i;
+const FACEBOOK_DATE = /^(\d{1,2}\s+[a-z]+(\s+\d{4})?|[a-z]+\s+\d{1,2}(,\s*\d{4})?|\d+\s*[ywdhm])\s*(·.*)?$/i;
+
+const stripMarkdown = (text) => text.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_]/g, '').trim();
+
+/**
+ * Recommendations from a scraped Facebook reviews tab: "<name> recommends
+ * <page>." then an optional date line and the text. Facebook has no stars —
+ * a recommendation counts as 5, "doesn't recommend" as 1.
+ */
+function parseFacebookRecommendations(md) {
+  const lines = md.split('\n').map(l => l.trim());
+  const reviews = [];
+  for (let i = 0; i < lines.length && reviews.length < 10; i++) {
+    const match = lines[i].match(RECOMMENDS);
+    if (!match) continue;
+    let date = '';
+    const text = [];
+    for (let j = i + 1; j < lines.length && !RECOMMENDS.test(lines[j]); j++) {
+      if (!lines[j]) {
+        if (text.length > 0) break;
+        continue;
+      }
+      if (!date && text.length === 0 && FACEBOOK_DATE.test(lines[j])) {
+        date = lines[j].split('·')[0].trim();
+        continue;
+      }
+      text.push(stripMarkdown(lines[j]));
+    }
+    reviews.push({
+      text: text.join(' ').slice(0, 500),
+      rating: /^recommends$/i.test(match[2]) ? 5 : 1,
+      reviewerName: stripMarkdown(match[1]),
+      date,
+      platform: 'facebook',
+    });
+  }
+  return reviews;
+}
+
+async function fetchFacebookReviews(facebookUrl, companyName) {
+  const pageUrl = facebookUrl && socialProfileUrl('facebook', facebookUrl);
+  if (!pageUrl) {
+    console.log('  No Facebook page in Airtable — skipping Facebook');
+    return null;
+  }
+
+  const firecrawlKey = process.env.FIRECRAWL_API_KEY;
+  if (!firecrawlKey) {
+    console.log('  FIRECRAWL_API_KEY not set — skipping Facebook (needs Firecrawl)');
+    return null;
+  }
+
+  const reviewsUrl = `${pageUrl}/reviews`;
+  console.log(`  Scraping Facebook recommendations via Firecrawl: ${reviewsUrl}`);
+
+  try {
+    const md = await firecrawlMarkdown(reviewsUrl, firecrawlKey);
+    if (!md) return null;
+
+    // "Rating · 4.8 (23 Reviews)" — or "96% recommend (120 Reviews)", which
+    // gives a count but no rating
+    const ratingMatch = md.match(/([1-5](?:\.\d)?)\s*\(\s*([\d,]+)\s*Reviews?\s*\)/i);
+    const percentMatch = md.match(/(\d{1,3})%\s*recommend\s*\(\s*([\d,]+)\s*Reviews?\s*\)/i);
+    const reviews = parseFacebookRecommendations(md);
+
+    const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+    const countText = ratingMatch?.[2] || percentMatch?.[2];
+    const totalReviews = countText ? parseInt(countText.replace(/,/g, '')) : reviews.length;
+
+    if (totalReviews === 0) {
+      console.log('  No Facebook recommendations found in scraped content');
+      return null;
+    }
+
+    console.log(`  Facebook: ${rating ?? 'no rating'} (${totalReviews} reviews, ${reviews.length} extracted)`);
+
+    return {
+      url: reviewsUrl,
+      business: { name: companyName, rating, totalReviews },
+      reviews,
+    };
+  } catch (err) {
+    console.log(`  Facebook error: ${err.message}`);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Source 5: Trustpilot (JSON-LD on the company page)
+// ---------------------------------------------------------------------------
+
+function jsonLdNodes(html) {
+  const nodes = [];
+  const pattern = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch {
+      continue;
+    }
+    const queue = Array.isArray(data) ? [...data] : [data];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') continue;
+      nodes.push(node);
+      if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+      if (Array.isArray(node.review)) queue.push(...node.review);
+    }
+  }
+  return nodes;
+}
+
+const hasType = (node, type) => [].concat(node['@type'] || []).includes(type);
+
+/** The company page, on TRUSTPILOT_API_URL when set (mock servers) */
+function trustpilotPageUrl(url) {
+  const base = process.env.TRUSTPILOT_API_URL;
+  if (!base) return url;
+  const { pathname, search } = new URL(url);
+  return `${base}${pathname}${search}`;
+}
+
+async function fetchTrustpilotReviews(trustpilotUrl, companyName) {
+  if (!trustpilotUrl) {
+    console.log('  No Trustpilot URL in Airtable — skipping Trustpilot');
+    return null;
+  }
+
+  console.log(`  Fetching Trustpilot reviews from: ${trustpilotUrl}`);
+
+  try {
+    const res = await fetch(trustpilotPageUrl(trustpilotUrl), { headers: { Accept: 'text/html' } });
+    recordCall('trustpilot-page');
+    if (!res.ok) {
+      console.log(`  Trustpilot HTTP error: ${res.status}`);
+      return null;
+    }
+
+    const nodes = jsonLdNodes(await res.text());
+    const business = nodes.find(n => n.aggregateRating && !hasType(n, 'Review'));
+    const rating = business ? parseFloat(business.aggregateRating.ratingValue) : null;
+    const totalReviews = business ? parseInt(business.aggregateRating.reviewCount ?? business.aggregateRating.ratingCount ?? 0) : 0;
+
+    const reviews = nodes
+      .filter(n => hasType(n, 'Review') && n.reviewBody)
+      .slice(0, 20)
+      .map(n => ({
+        ...(n['@id'] ? { id: n['@id'] } : {}),
+        text: String(n.reviewBody).trim().slice(0, 500),
+        rating: Number(n.reviewRating?.ratingValue) || 0,
+        reviewerName: (typeof n.author === 'string' ? n.author : n.author?.name) || 'Anonymous',
+        title: n.headline || n.name || '',
+        date: n.datePublished || '',
+        platform: 'trustpilot',
+      }));
+
+    if (!rating && reviews.length === 0) {
+      console.log('  No Trustpilot rating/reviews found on the page');
+      return null;
+    }
+
+    console.log(`  Trustpilot: ${rating}/5 (${totalReviews} reviews, ${reviews.length} extracted)`);
+
+    return {
+      url: trustpilotUrl,
+      business: { name: business?.name || companyName, rating, totalReviews: totalReviews || reviews.length },
+      reviews,
+    };
+  } catch (err) {
+    console.log(`  Trustpilot error: ${err.message}`);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Source 6: Manual import (reviews a client sends us)
+// ---------------------------------------------------------------------------
+
+/** Looked for in the project root when client-config has no `reviewsImport` */
+export const REVIEW_IMPORT_FILES = ['reviews-import.json', 'reviews-import.csv'];
+
+// Accepted column/key names, compared lowercase without punctuation
+const IMPORT_COLUMNS = {
+  reviewerName: ['name', 'author', 'reviewer', 'reviewername', 'customer', 'customername'],
+  rating: ['rating', 'stars', 'score'],
+  text: ['text', 'review', 'quote', 'comment', 'reviewbody', 'testimonial'],
+  title: ['title', 'headline'],
+  date: ['date', 'created', 'datepublished'],
+  platform: ['platform', 'source'],
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function importFilePath(clientConfig, projectPath) {
+  if (clientConfig.reviewsImport) return resolve(projectPath, clientConfig.reviewsImport);
+  return REVIEW_IMPORT_FILES.map(f => join(projectPath, f)).find(existsSync) || null;
+}
+
+/** Rows of a reviews import file: a JSON array / { reviews: [...] }, or CSV with a header row. */
+function readImportRows(filePath) {
+  const text = readFileSync(filePath, 'utf-8');
+  if (extname(filePath).toLowerCase() === '.csv') {
+    const [header, ...rows] = parseCsv(text);
+    return (header ? rows : []).map(cells => Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ''])));
+  }
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data?.reviews;
+  if (!Array.isArray(rows)) throw new Error('expected an array of reviews or { reviews: [...] }');
+  return rows;
+}
+
+function fetchImportedReviews(clientConfig, projectPath, companyName) {
+  const filePath = importFilePath(clientConfig, projectPath);
+  if (!filePath || !existsSync(filePath)) {
+    if (clientConfig.reviewsImport) console.log(`  Reviews import not found: ${filePath}`);
+    return null;
+  }
+
+  console.log(`  Reading imported reviews: ${filePath}`);
+
+  let rows;
+  try {
+    rows = readImportRows(filePath);
+  } catch (err) {
+    console.log(`  Reviews import error: ${err.message}`);
+    return null;
+  }
+
+  const reviews = [];
+  rows.forEach((row, i) => {
+    const fields = {};
+    for (const [key, value] of Object.entries(row || {})) {
+      const target = Object.keys(IMPORT_COLUMNS).find(f => IMPORT_COLUMNS[f].includes(normalizeKey(key)));
+      if (target && fields[target] === undefined) fields[target] = value;
+    }
+    const text = String(fields.text ?? '').trim();
+    const rating = Number(fields.rating);
+    if (!text || !(rating >= 1 && rating <= 5)) {
+      console.log(`  Import row ${i + 1} skipped — ${text ? `rating "${fields.rating ?? ''}" is not 1-5` : 'no review text'}`);
+      return;
+    }
+    reviews.push({
+      text,
+      rating,
+      reviewerName: String(fields.reviewerName ?? '').trim() || 'Customer',
+      title: String(fields.title ?? '').trim(),
+      date: String(fields.date ?? '').trim(),
+      platform: String(fields.platform ?? '').trim().toLowerCase() || 'import',
+    });
+  });
+
+  if (reviews.length === 0) {
+    console.log('  No usable reviews in the import');
+    return null;
+  }
+
+  const avgRating = Math.round((reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length) * 10) / 10;
+  console.log(`  Import: ${avgRating}/5 (${reviews.length} reviews)`);
+
+  return {
+    business: { name: companyName, rating: avgRating, totalReviews: reviews.length },
+    reviews,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+const ready = (detail) => ({ ready: true, detail });
+const missing = (detail) => ({ ready: false, detail });
+
+const SOURCES = {
+  localpros: {
+    label: 'Local Pros',
+    check: (c) => (c.recordId ? ready(`partner ${c.recordId}`) : missing('recordId — cannot match Airtable reviews to partner')),
+    fetch: ({ clientConfig, companyName }) => fetchAirtableReviews(clientConfig.recordId, companyName, getAirtableToken()),
+  },
+  import: {
+    label: 'Imported',
+    check: (c, { projectPath }) => {
+      const file = importFilePath(c, projectPath);
+      return file && existsSync(file) ? ready(file) : missing('reviews-import.json / .csv — no client-supplied reviews');
+    },
+    fetch: ({ clientConfig, projectPath, companyName }) => fetchImportedReviews(clientConfig, projectPath, companyName),
+  },
+  google: {
+    label: 'Google',
+    check: (c) => (c.googleMapsUrl ? ready(c.googleMapsUrl) : missing('Google Business Profile URL — will skip Google reviews')),
+    fetch: async ({ clientConfig, companyName }) => {
+      const city = clientConfig.primaryCity || clientConfig.city || '';
+      const data = await fetchGoogleReviews(clientConfig.googleMapsUrl, city, companyName, getDataForSEOAuth());
+      if (!data) return null;
+      const { placeId } = data.business;
+      return { ...data, url: placeId ? `https://www.google.com/maps/place/?q=place_id:${placeId}` : null };
+    },
+  },
+  hellopeter: {
+    label: 'Hello Peter',
+    check: (c) => (c.helloPeterUrl ? ready(c.helloPeterUrl) : missing('Hello Peter URL — will skip Hello Peter')),
+    fetch: ({ clientConfig, companyName }) => fetchHelloPeterReviews(clientConfig.helloPeterUrl, companyName),
+  },
+  facebook: {
+    label: 'Facebook',
+    check: (c) => {
+      const url = c.facebook && socialProfileUrl('facebook', c.facebook);
+      return url ? ready(url) : missing('Facebook page — will skip Facebook recommendations');
+    },
+    fetch: ({ clientConfig, companyName }) => fetchFacebookReviews(clientConfig.facebook, companyName),
+  },
+  trustpilot: {
+    label: 'Trustpilot',
+    check: (c) => (c.trustpilotUrl ? ready(c.trustpilotUrl) : missing('Trustpilot URL — will skip Trustpilot')),
+    fetch: ({ clientConfig, companyName }) => fetchTrustpilotReviews(clientConfig.trustpilotUrl, companyName),
+  },
+};
+
+/**
+ * Add or replace a review source. New sources merge after the built-ins.
+ * @param {string} id - key in reviews.json aggregateRating / reviewCounts / links
+ * @param {{ label: string, check: (clientConfig: object, ctx: object) => { ready: boolean, detail: string },
+ *           fetch: (ctx: object) => Promise<object | null> }} source
+ */
+export function registerReviewSource(id, source) {
+  if (typeof source?.fetch !== 'function' || typeof source?.check !== 'function') {
+    throw new Error(`Review source "${id}" needs check(clientConfig, ctx) and fetch(ctx) functions`);
+  }
+  SOURCES[id] = { label: id, ...source };
+}
+
+/** IDs of the registered sources, in merge priority */
+export function listReviewSources() {
+  return Object.keys(SOURCES);
+}
+
+export function getReviewSource(id) {
+  const source = SOURCES[id];
+  if (!source) throw new Error(`Unknown review source "${id}" — registered: ${listReviewSources().join(', ')}`);
+  return source;
+}
+
+// ---------------------------------------------------------------------------
+// Merge & output
+// ---------------------------------------------------------------------------
+
+function calculateCombinedRating(sources) {
+  const entries = sources
+    .filter(s => s?.business?.rating && s?.business?.totalReviews)
+    .map(s => ({ rating: s.business.rating, count: s.business.totalReviews }));
+
+  if (entries.length === 0) return null;
+  const totalWeight = entries.reduce((sum, e) => sum + e.count, 0);
+  const weightedSum = entries.reduce((sum, e) => sum + e.rating * e.count, 0);
+  return Math.round((weightedSum / totalWeight) * 10) / 10;
+}
+
+/**
+ * reviews.json from the sources' results.
+ * @param {{ id: string, data: object | null }[]} results - in merge priority
+ * @param {string} companyName
+ * @param {object} [curationContext] - loadCurationContext() (lib/review-curation.mjs);
+ *   without it reviews aren't tagged by service or location
+ */
+export function buildReviewsJson(results, companyName, curationContext = {}) {
+  const bySource = (value) => Object.fromEntries(results.map(({ id, data }) => [id, value(data)]));
+
+  // Merge all reviews — earlier sources first, cross-posts folded together
+  const allReviews = deduplicateReviews(results.flatMap(({ id, data }) =>
+    (data?.reviews || []).map(r => ({ ...r, platform: r.platform || id, source: id, url: r.url || data.url || null }))
+  ));
+
+  const { curated, featured } = curateReviews(allReviews, curationContext);
+
+  const counts = bySource(data => data?.business?.totalReviews || 0);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    companyName,
+    aggregateRating: {
+      ...bySource(data => data?.business?.rating || null),
+      combined: calculateCombinedRating(results.map(r => r.data).filter(Boolean)),
+    },
+    reviewCounts: {
+      ...counts,
+      total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+    },
+    links: bySource(data => data?.url || null),
+    testimonials: featured.map(toTestimonial),
+    curated,
+    crossPosted: allReviews.filter(r => r.foundOn.length > 1).length,
+    allReviews: allReviews.slice(0, 30),
+  };
+}
+
+/**
+ * REVIEWS.md — one section per source, then a summary table.
+ * @param {{ id: string, data: object | null }[]} results
+ * @param {string} companyName
+ */
+export function buildReviewsMd(results, companyName) {
+  const date = new Date().toISOString().split('T')[0];
+  let md = `# Reviews for ${companyName}\n\nGenerated: ${date}\n\n---\n\n`;
+
+  for (const { id, data } of results) {
+    const { label } = getReviewSource(id);
+    md += `## ${label} Reviews\n\n`;
+    if (!data?.reviews?.length && !data?.business?.rating) {
+      md += `*No ${label} reviews found.*\n\n---\n\n`;
+      continue;
+    }
+    if (data.business.rating) {
+      md += `**Rating:** ${data.business.rating}/5 (${data.business.totalReviews} reviews)\n`;
+    } else {
+      md += `**Reviews:** ${data.business.totalReviews}\n`;
+    }
+    if (data.url) md += `**URL:** ${data.url}\n`;
+    md += `\n`;
+    for (const r of data.reviews.slice(0, 10)) {
+      const stars = '\u2605'.repeat(Math.round(r.rating)) + '\u2606'.repeat(5 - Math.round(r.rating));
+      md += `**${r.reviewerName}** — ${stars}`;
+      if (r.title) md += ` — *${r.title}*`;
+      if (r.timeAgo || r.date) md += ` — ${r.timeAgo || r.date}`;
+      md += `\n`;
+      if (r.text) md += `> "${r.text}"\n\n`;
+    }
+    md += `---\n\n`;
+  }
+
+  // Summary table
+  md += `## Summary\n\n| Platform | Rating | Reviews |\n|----------|--------|---------|\n`;
+  for (const { id, data } of results) {
+    if (!data?.business?.totalReviews) continue;
+    md += `| ${getReviewSource(id).label} | ${data.business.rating ? `${data.business.rating}/5` : '—'} | ${data.business.totalReviews} |\n`;
+  }
+
+  return md;
+}
@@ -5,8 +5,10 @@
 // Shared utilities for the build runner: CLI parsing, script execution, retries.
 // ============================================================================
 
-import { execSync } from 'node:child_process';
-import { existsSync } from 'node:fs';
+import { execSync, spawn } from 'node:child_process';
+import { existsSync, openSync, closeSync } from 'node:fs';
+import { childEventChannel } from './build-events.mjs';
+import { recordRetry, phaseEnv } from './build-usage.mjs';
 
 /**
  * Parse CLI arguments into a flags object.
@@ -44,13 +46,14 @@ export function runScript(scriptPath, args = [], options = {}) {
   }
 
   const cmd = ['node', JSON.stringify(scriptPath), ...args.map(a => JSON.stringify(a))].join(' ');
+  const events = childEventChannel('inherit');
 
   return execSync(cmd, {
     cwd,
     encoding: 'utf-8',
     timeout,
-    stdio: 'inherit',
-    env: { ...process.env, ...env },
+    stdio: events.stdio,
+    env: { ...process.env, ...events.env, ...phaseEnv(), ...env },
   });
 }
 
@@ -59,13 +62,91 @@ export function runScript(scriptPath, args = [], options = {}) {
  */
 export function runCommand(cmd, options = {}) {
   const { cwd, timeout = 120_000, env, captureOutput = false } = options;
+  const events = childEventChannel(captureOutput ? 'pipe' : 'inherit');
 
   return execSync(cmd, {
     cwd,
     encoding: 'utf-8',
     timeout,
-    stdio: captureOutput ? 'pipe' : 'inherit',
-    env: { ...process.env, ...env },
+    stdio: events.stdio,
+    env: { ...process.env, ...events.env, ...phaseEnv(), ...env },
+  });
+}
+
+/**
+ * Async variant of runScript — does not block the event loop, so the phase
+ * scheduler can run several scripts side by side.
+ * @param {string} scriptPath - Absolute path to the script
+ * @param {string[]} args - CLI arguments as flat array
+ * @param {object} options - { cwd, timeout, env, logFile } — logFile redirects stdout/stderr to a file
+ * @returns {Promise<void>} Resolves when the script exits with code 0
+ */
+export function runScriptAsync(scriptPath, args = [], options = {}) {
+  if (!existsSync(scriptPath)) {
+    return Promise.reject(new Error(`Script not found: ${scriptPath}`));
+  }
+  const label = `node ${scriptPath} ${args.join(' ')}`.trim();
+  return spawnWithTimeout('node', [scriptPath, ...args], label, { ...options, shell: false });
+}
+
+/**
+ * Async variant of runCommand (inherited stdio, no output capture).
+ * @returns {Promise<void>} Resolves when the command exits with code 0
+ */
+export function runCommandAsync(cmd, options = {}) {
+  return spawnWithTimeout(cmd, [], cmd, { ...options, shell: true });
+}
+
+// Children started by spawnWithTimeout that haven't exited yet
+const activeChildren = new Set();
+
+/**
+ * Send a signal to every running child started by the async helpers.
+ * Used when the runner itself is interrupted.
+ */
+export function terminateChildren(signal = 'SIGTERM') {
+  for (const child of activeChildren) {
+    try { child.kill(signal); } catch { /* already gone */ }
+  }
+}
+
+function spawnWithTimeout(command, args, label, options) {
+  const { cwd, timeout = 120_000, env, shell, logFile } = options;
+
+  return new Promise((resolve, reject) => {
+    const logFd = logFile ? openSync(logFile, 'a') : null;
+    const events = childEventChannel(logFd === null ? 'inherit' : ['ignore', logFd, logFd]);
+    const child = spawn(command, args, {
+      cwd,
+      shell,
+      stdio: events.stdio,
+      env: { ...process.env, ...events.env, ...phaseEnv(), ...env },
+    });
+    if (logFd !== null) closeSync(logFd);
+    activeChildren.add(child);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, timeout);
+
+    child.on('error', (err) => {
+      activeChildren.delete(child);
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code, signal) => {
+      activeChildren.delete(child);
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`Command timed out after ${timeout}ms: ${label}`));
+      } else if (code !== 0) {
+        reject(new Error(`Command failed (${signal || `exit ${code}`}): ${label}`));
+      } else {
+        resolve();
+      }
+    });
   });
 }
 
@@ -83,12 +164,36 @@ export async function retry(fn, maxRetries = 3, label = 'operation') {
     } catch (err) {
       if (attempt === maxRetries - 1) throw err;
       const delay = Math.pow(2, attempt) * 1000 + Math.random() * 500;
+      recordRetry(label, { attempt: attempt + 1, maxRetries, delayMs: Math.round(delay), error: err.message });
       console.log(`  ${label} failed (attempt ${attempt + 1}/${maxRetries}), retrying in ${(delay / 1000).toFixed(1)}s: ${err.message}`);
       await new Promise(r => setTimeout(r, delay));
     }
   }
 }
 
+/**
+ * Map items through an async fn, at most `limit` at a time. Results keep the
+ * order of items.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: *, index: number) => Promise<*>} fn
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 /**
  * Slugify a string for use as a directory/site name.
  */
@@ -0,0 +1,223 @@
+// ============================================================================
+// sa-address.mjs
+// ============================================================================
+// Turns a free-text South African address ("Unit 4, 58 Inanda Rd, Waterfall,
+// Durban, KZN, 3610") into the site.config.ts address block — street, city,
+// region, postal code and coords — using the offline gazetteer in
+// scripts/sa-gazetteer.json (no geocoding API).
+//
+// Parts are split on commas/new lines; the country, a 4-digit postal code
+// and a province (name or abbreviation, also as a trailing word) are picked
+// off, and the first remaining part found in the gazetteer is the place
+// (suburbs come before their city). Whatever comes before it is the street;
+// duplicate names (Morningside) are told apart by province, postal code and
+// city. Coords are the matched
+// suburb/town's centroid — street-level accuracy is not the goal, a correct
+// `geo` in the JSON-LD is.
+//
+// An address that can't be placed falls back to the postal code, then to the
+// client's primary city, and says so in `issues`; with none of those, coords
+// stay null instead of a default.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SaGazetteer } from '../schemas/sa-gazetteer.schema.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_GAZETTEER = path.join(__dirname, '..', 'sa-gazetteer.json');
+
+const COUNTRY = /^(south africa|republic of south africa|rsa|za|sa)$/i;
+const PO_BOX = /^(p\.?\s*o\.?\s*box|postnet suite|private bag)\b/i;
+// "Unit 1234", "Erf 2201" end in four digits but aren't postal codes
+const NUMBERED_PREFIX = /^(unit|shop|suite|flat|erf|stand|plot|portion|farm|no\.?|number|box|bag)\b/i;
+
+export function normalizePlace(text) {
+  return String(text)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+let cached = null;
+
+/**
+ * Read, validate and index a gazetteer (the default one is cached).
+ * @param {string} [filePath]
+ * @returns {{ provinces: object, places: object[], byName: Map<string, object[]>, byPostal: Map<string, object[]> }}
+ */
+export function loadGazetteer(filePath = DEFAULT_GAZETTEER) {
+  if (filePath === DEFAULT_GAZETTEER && cached) return cached;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read gazetteer ${filePath}: ${e.message}`);
+  }
+  const result = SaGazetteer.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`);
+    throw new Error(`Invalid gazetteer ${filePath}:\n  - ${issues.join('\n  - ')}`);
+  }
+
+  const { provinces, places } = result.data;
+  const byName = new Map();
+  const byPostal = new Map();
+  const add = (map, key, place) => map.set(key, [...(map.get(key) || []), place]);
+  for (const place of places) {
+    for (const name of [place.name, ...(place.aliases || [])]) add(byName, normalizePlace(name), place);
+    add(byPostal, place.postalCode, place);
+  }
+
+  const gazetteer = { provinces, places, byName, byPostal };
+  if (filePath === DEFAULT_GAZETTEER) cached = gazetteer;
+  return gazetteer;
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Province code for a part that is a province, or ends with one ("Durban KZN"). */
+function splitProvince(part, provinces) {
+  const names = Object.entries(provinces)
+    .flatMap(([code, p]) => [p.name, ...p.aliases].map(name => ({ code, name })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  for (const { code, name } of names) {
+    const pattern = escapeRegex(name).replace(/[\s-]+/g, '[\\s-]+');
+    const match = part.match(new RegExp(`(^|\\s)${pattern}$`, 'i'));
+    if (match) return { code, rest: part.slice(0, match.index).trim() };
+  }
+  return null;
+}
+
+/**
+ * Split a free-text address into its pieces (no place lookup yet).
+ * @returns {{ parts: string[], postalCode: string | null, province: string | null, poBox: boolean }}
+ */
+export function parseAddress(text, gazetteer = loadGazetteer()) {
+  const parts = [];
+  let postalCode = null;
+  let province = null;
+  let poBox = false;
+
+  for (let part of String(text || '').split(/[,;\n]+/).map(p => p.trim()).filter(Boolean)) {
+    if (COUNTRY.test(part)) continue;
+    if (PO_BOX.test(part)) {
+      poBox = true;
+      continue;
+    }
+
+    const postal = part.match(/(?:^|\s)(\d{4})$/);
+    if (postal && !NUMBERED_PREFIX.test(part)) {
+      postalCode = postal[1];
+      part = part.slice(0, postal.index).trim();
+    }
+
+    const found = part && splitProvince(part, gazetteer.provinces);
+    if (found) {
+      province = found.code;
+      part = found.rest;
+    }
+    if (part) parts.push(part);
+  }
+
+  return { parts, postalCode, province, poBox };
+}
+
+// ---------------------------------------------------------------------------
+// Resolving
+// ---------------------------------------------------------------------------
+
+function score(place, { province, postalCode, names }) {
+  let s = 0;
+  if (province && place.province === province) s += 4;
+  if (postalCode && place.postalCode === postalCode) s += 3;
+  if (place.city && names.has(normalizePlace(place.city))) s += 2;
+  return s;
+}
+
+function best(candidates, context) {
+  return [...candidates].sort((a, b) => score(b, context) - score(a, context))[0];
+}
+
+/**
+ * Resolve an address to the site.config.ts address fields.
+ * @param {string | { street?: string, city?: string, region?: string, postalCode?: string, coords?: object }} input
+ *   free text (Airtable "Physical Address") or a structured address (briefs, CSV)
+ * @param {{ city?: string, gazetteer?: object }} [options] - city: the client's primary city, a fallback and tie-breaker
+ * @returns {{
+ *   street: string, suburb: string | null, city: string | null, region: string | null, postalCode: string | null,
+ *   coords: { lat: number, lng: number } | null,
+ *   resolution: 'given' | 'address' | 'postal' | 'city' | null,
+ *   issues: string[],
+ * }}
+ */
+export function resolveAddress(input, { city: cityHint, gazetteer = loadGazetteer() } = {}) {
+  const structured = input && typeof input === 'object' ? input : null;
+  const text = structured
+    ? [structured.street, structured.city, structured.region, structured.postalCode].filter(Boolean).join(', ')
+    : String(input || '').trim();
+
+  const parsed = parseAddress(text, gazetteer);
+  const names = new Set([...parsed.parts, cityHint].filter(Boolean).map(normalizePlace));
+  const context = { province: parsed.province, postalCode: parsed.postalCode, names };
+  const issues = [];
+
+  // First recognised part (most specific — suburbs come before their city)
+  const firstMatch = parsed.parts.findIndex(p => (gazetteer.byName.get(normalizePlace(p)) || []).length > 0);
+  let place = null;
+  let resolution = null;
+  if (firstMatch !== -1) {
+    place = best(gazetteer.byName.get(normalizePlace(parsed.parts[firstMatch])), context);
+    resolution = 'address';
+  } else if (parsed.postalCode && gazetteer.byPostal.has(parsed.postalCode)) {
+    place = best(gazetteer.byPostal.get(parsed.postalCode), context);
+    resolution = 'postal';
+  } else if (cityHint && gazetteer.byName.has(normalizePlace(cityHint))) {
+    place = best(gazetteer.byName.get(normalizePlace(cityHint)), context);
+    resolution = 'city';
+  }
+
+  const street = (firstMatch === -1 ? parsed.parts : parsed.parts.slice(0, firstMatch)).join(', ');
+
+  if (!text) {
+    issues.push('no address given');
+  } else if (!place) {
+    issues.push(`could not place "${text}" — not in the gazetteer`);
+  } else if (resolution === 'postal') {
+    issues.push(`place not recognised in "${text}" — located by postal code ${parsed.postalCode} (${place.name})`);
+  } else if (resolution === 'city') {
+    issues.push(`place not recognised in "${text}" — located at the centre of ${place.name}`);
+  }
+  if (parsed.poBox) issues.push('PO Box address — no street address for the map');
+  if (place && parsed.province && place.province !== parsed.province) {
+    issues.push(`${place.name} is in ${gazetteer.provinces[place.province].name}, not ${gazetteer.provinces[parsed.province].name}`);
+  }
+
+  const provinceCode = place?.province ?? parsed.province;
+  const resolved = {
+    street,
+    suburb: place?.city ? place.name : null,
+    city: place ? (place.city ?? place.name) : null,
+    region: provinceCode ? gazetteer.provinces[provinceCode].name : null,
+    postalCode: parsed.postalCode ?? place?.postalCode ?? null,
+    coords: place ? { lat: place.lat, lng: place.lng } : null,
+    resolution,
+    issues,
+  };
+
+  if (structured?.coords) {
+    return { ...resolved, coords: structured.coords, resolution: 'given', issues: issues.filter(i => !i.startsWith('could not place')) };
+  }
+  return resolved;
+}
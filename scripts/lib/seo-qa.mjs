@@ -2,6 +2,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { buildLog } from './build-logger.mjs';
+import { reviewSchemaProblems } from './review-schema.mjs';
 
 // ============================================================================
 // seo-qa.mjs
@@ -219,6 +220,12 @@ async function checkPage(deployUrl, route, projectPath) {
     }
   }
 
+  // Review / AggregateRating markup not backed by reviews shown on the page
+  checks++;
+  for (const detail of reviewSchemaProblems(html)) {
+    errors.push({ page: route, check: 'unbacked-review-schema', detail });
+  }
+
   // OG tags
   checks++;
   if (!/<meta\s+property=["']og:title["']/i.test(html)) {
@@ -0,0 +1,159 @@
+// ============================================================================
+// sync-plan.mjs
+// ============================================================================
+// What sync.mjs regenerates when Airtable content fields change, worked out
+// before anything is touched so the plan can be shown (and --dry-run stop):
+//
+//   services          add/remove service pages + their image folders + nav
+//   serviceAreas      regenerate location pages (populate-locations.mjs)
+//   differentiators   refresh trust badges (badges + homepage.heroBadges)
+//   logo/headshot/gallery   fetch new/changed client images, prune removed ones
+//                           (populate-images.mjs, lib/asset-cache.mjs)
+//
+// Service pages are AI-written and often group several Airtable services, so
+// a page is only removed when every Airtable service it covers is gone, and a
+// new service gets placeholder copy until content is regenerated.
+// ============================================================================
+
+import { slugify } from './runner-utils.mjs';
+
+/** Max service pages a site carries (same rule the content prompt follows) */
+export const MAX_SERVICES = 6;
+
+export const IMAGE_FIELDS = ['logo', 'headshot', 'gallery'];
+
+/**
+ * Main nav: fixed pages plus the first four services.
+ * Note: No /areas/ page exists — location pages live at /{slug} (root level).
+ * Location pages are linked from within page content, not the main nav.
+ */
+export function navEntries(services) {
+  return [
+    { label: 'Home', href: '/' },
+    { label: 'Services', href: '/services/' },
+    ...services.slice(0, 4).map(s => ({
+      label: s.title, href: `/services/${s.slug}/`,
+    })),
+    { label: 'About Us', href: '/about-us/' },
+    { label: 'Reviews', href: '/reviews/' },
+    { label: 'Contact', href: '/contact/' },
+  ];
+}
+
+function normalize(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+/** Whether a site service entry covers an Airtable service name. */
+export function entryCovers(entry, name) {
+  const n = normalize(name);
+  return entry.slug === slugify(name)
+    || normalize(entry.title).startsWith(n)
+    || (entry.features || []).some(f => normalize(f) === n);
+}
+
+/**
+ * Compare Airtable service lists and decide which service entries change.
+ * @param {object[]} entries - current site service entries (content-generated.json)
+ * @param {string[]} oldNames - Airtable services at the last sync
+ * @param {string[]} newNames - Airtable services now
+ * @returns {{ added: string[], removed: string[], remove: object[], add: string[], overflow: string[] }}
+ */
+export function diffServices(entries, oldNames, newNames) {
+  const oldSet = new Set(oldNames.map(normalize));
+  const newSet = new Set(newNames.map(normalize));
+  const added = newNames.filter(n => !oldSet.has(normalize(n)));
+  const removed = oldNames.filter(n => !newSet.has(normalize(n)));
+
+  const remove = entries.filter(e =>
+    removed.some(n => entryCovers(e, n)) && !newNames.some(n => entryCovers(e, n))
+  );
+  const kept = entries.filter(e => !remove.includes(e));
+  const uncovered = added.filter(n => !kept.some(e => entryCovers(e, n)));
+  const room = Math.max(0, MAX_SERVICES - kept.length);
+
+  return { added, removed, remove, add: uncovered.slice(0, room), overflow: uncovered.slice(room) };
+}
+
+/** Placeholder service entry for a service added in Airtable. */
+export function serviceStub(name, { niche = 'Service', city = '' } = {}) {
+  const where = city ? ` in ${city}` : '';
+  return {
+    title: name,
+    slug: slugify(name),
+    description: `Professional ${name.toLowerCase()}${where} and surrounding areas.`,
+    shortDescription: `${name} by experienced ${niche.toLowerCase()} professionals.`,
+    features: [name],
+    faqs: [],
+    heroSubtitle: `${name}${where} — call us for a free quote.`,
+    longDescription: `<p>We offer ${name.toLowerCase()}${where} and surrounding areas. Contact us to discuss your requirements and get a free quote.</p>`,
+    whatWeCover: [],
+    whyChooseUs: [],
+  };
+}
+
+function attachmentCount(value) {
+  if (!value) return 0;
+  return Array.isArray(value) ? value.length : 1;
+}
+
+function describeAssets({ fetch, move, keep, remove }) {
+  const parts = [[fetch, 'to download'], [move, 'to reorder'], [remove, 'to remove'], [keep, 'unchanged']]
+    .filter(([n]) => n > 0)
+    .map(([n, what]) => `${n} ${what}`);
+  return parts.join(', ') || 'nothing to do';
+}
+
+/**
+ * Turn content-field changes into actions.
+ * @param {Array<{ field: string, old: any, new: any }>} changes
+ * @param {{ services?: object[] | null, newConfig: object, assets?: object | null }} context
+ *   services — the site's service entries, null when content-generated.json is missing
+ *   assets — summarizeAssetPlan() of the project's image cache, when it has one
+ * @returns {Array<{ kind: 'services'|'locations'|'badges'|'images', fields: string[], steps: string[], services?: object }>}
+ */
+export function planContentChanges(changes, { services = null, newConfig, assets = null }) {
+  const actions = [];
+  const byField = Object.fromEntries(changes.map(c => [c.field, c]));
+
+  if (byField.services) {
+    const { old: oldNames, new: newNames } = byField.services;
+    const steps = [];
+    let diff = null;
+    if (!services) {
+      steps.push('no content-generated.json — service pages left as they are');
+    } else {
+      diff = diffServices(services, toList(oldNames), toList(newNames));
+      for (const name of diff.add) steps.push(`add service page "${name}" (/services/${slugify(name)}/) with placeholder copy + image folders`);
+      for (const entry of diff.remove) steps.push(`remove service page "${entry.title}" (/services/${entry.slug}/) and its image folders`);
+      for (const name of diff.overflow) steps.push(`skip "${name}" — site already has ${MAX_SERVICES} service pages`);
+      if (diff.add.length > 0 || diff.remove.length > 0) steps.push('update nav');
+      if (steps.length === 0) steps.push('existing service pages already cover the change');
+    }
+    actions.push({ kind: 'services', fields: ['services'], steps, services: diff });
+  }
+
+  if (byField.serviceAreas) {
+    actions.push({ kind: 'locations', fields: ['serviceAreas'], steps: ['regenerate location pages (populate-locations.mjs)'] });
+  }
+
+  if (byField.differentiators) {
+    actions.push({ kind: 'badges', fields: ['differentiators'], steps: ['refresh trust badges (badges, homepage.heroBadges)'] });
+  }
+
+  const imageChanges = IMAGE_FIELDS.filter(f => byField[f]);
+  if (imageChanges.length > 0) {
+    const steps = imageChanges.map(f => (assets?.[f]
+      ? `${f}: ${describeAssets(assets[f])}`
+      : `${f}: ${attachmentCount(byField[f].old)} → ${attachmentCount(newConfig[f])} file(s)`));
+    steps.push('re-download client images (populate-images.mjs)');
+    actions.push({ kind: 'images', fields: imageChanges, steps });
+  }
+
+  return actions;
+}
@@ -0,0 +1,327 @@
+// ============================================================================
+// sync-trigger.mjs
+// ============================================================================
+// Pieces of sync-watch.mjs, the long-running service that re-syncs a site
+// when its client's Airtable record changes:
+//
+//   findProjects          record ID → project folder, from each project's
+//                         client-config.json
+//   startWebhookListener  POST /airtable receives change payloads
+//   drainWebhookPayloads  a webhook's new payloads, from its stored cursor
+//   changedRecords        polling: which records' "Last Modified" moved on
+//   createDebouncer       one sync per project per burst of changes
+//
+// The listener accepts what Airtable webhooks actually send — a bare
+// { base, webhook } notification, after which the changes are fetched from
+// the webhook payloads endpoint from the last cursor (kept per webhook in
+// .sync-webhook-cursors.json) — as well as payloads relayed as they are
+// (changedTablesById) and the simpler { recordId } / { recordIds } an
+// Airtable automation can send. With
+// a secret set, the body must carry Airtable's X-Airtable-Content-MAC
+// signature (HMAC-SHA256 keyed with the webhook's base64 macSecret); without
+// one the listener only binds to loopback, so nobody else can trigger syncs.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createServer } from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const WEBHOOK_PATH = '/airtable';
+export const SIGNATURE_HEADER = 'x-airtable-content-mac';
+/** Per-webhook payload cursors, in the watched projects folder */
+export const WEBHOOK_CURSORS_FILE = '.sync-webhook-cursors.json';
+
+/** Airtable field polled for changes — a "Last modified time" field on the client table */
+export const LAST_MODIFIED_FIELD = process.env.AIRTABLE_LAST_MODIFIED_FIELD || 'Last Modified';
+
+// ---------------------------------------------------------------------------
+// Projects
+// ---------------------------------------------------------------------------
+
+function recordIdOf(projectPath) {
+  const configPath = path.join(projectPath, 'client-config.json');
+  if (!fs.existsSync(configPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8')).recordId || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Map Airtable record IDs to project folders: `rootDir` itself and each
+ * folder directly inside it that has a client-config.json with a recordId.
+ * @returns {Map<string, string>}
+ */
+export function findProjects(rootDir) {
+  const projects = new Map();
+  const candidates = [rootDir, ...fs.readdirSync(rootDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => path.join(rootDir, entry.name))];
+
+  for (const projectPath of candidates) {
+    const recordId = recordIdOf(projectPath);
+    if (recordId && !projects.has(recordId)) projects.set(recordId, projectPath);
+  }
+  return projects;
+}
+
+// ---------------------------------------------------------------------------
+// Webhook
+// ---------------------------------------------------------------------------
+
+/**
+ * Record IDs a webhook body says changed (created or updated; deletions are
+ * ignored — there is nothing left to sync).
+ * @returns {string[]}
+ */
+export function recordIdsFromPayload(body) {
+  if (!body || typeof body !== 'object') return [];
+  const ids = [];
+  if (typeof body.recordId === 'string') ids.push(body.recordId);
+  if (Array.isArray(body.recordIds)) ids.push(...body.recordIds.filter(id => typeof id === 'string'));
+
+  const payloads = Array.isArray(body.payloads) ? body.payloads : [body];
+  for (const payload of payloads) {
+    for (const table of Object.values(payload?.changedTablesById || {})) {
+      if (!table || typeof table !== 'object') continue;
+      ids.push(...Object.keys(table.changedRecordsById || {}), ...Object.keys(table.createdRecordsById || {}));
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * The webhook a bare Airtable notification is about — it lists no changes;
+ * those have to be fetched from the payloads endpoint.
+ * @returns {{ baseId: string, webhookId: string } | null}
+ */
+export function webhookNotification(body) {
+  if (!body || typeof body !== 'object' || body.payloads || body.changedTablesById) return null;
+  const baseId = body.base?.id;
+  const webhookId = body.webhook?.id;
+  return typeof baseId === 'string' && typeof webhookId === 'string' ? { baseId, webhookId } : null;
+}
+
+/**
+ * Fetch a webhook's payloads from `cursor` until Airtable has no more.
+ * @param {(cursor: number | undefined) => Promise<{ payloads: object[], cursor: number, mightHaveMore: boolean }>} fetchPage
+ * @param {number} [cursor] - where the last drain stopped; from the first retained payload without one
+ * @returns {Promise<{ recordIds: string[], cursor: number | undefined }>} cursor — where the next drain starts
+ */
+export async function drainWebhookPayloads(fetchPage, cursor) {
+  const recordIds = new Set();
+  let next = cursor;
+  for (;;) {
+    const page = await fetchPage(next);
+    for (const id of recordIdsFromPayload({ payloads: page.payloads || [] })) recordIds.add(id);
+    const moved = page.cursor !== undefined && page.cursor !== next;
+    if (page.cursor !== undefined) next = page.cursor;
+    if (!page.mightHaveMore || !moved) break;
+  }
+  return { recordIds: [...recordIds], cursor: next };
+}
+
+/** @returns {Record<string, number>} webhook ID → next payload cursor */
+export function readWebhookCursors(rootDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(rootDir, WEBHOOK_CURSORS_FILE), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+export function writeWebhookCursor(rootDir, webhookId, cursor) {
+  const cursors = { ...readWebhookCursors(rootDir), [webhookId]: cursor };
+  writeFileAtomic(path.join(rootDir, WEBHOOK_CURSORS_FILE), JSON.stringify(cursors, null, 2));
+}
+
+/** Sign a body the way Airtable does (header value for X-Airtable-Content-MAC). */
+export function signPayload(raw, secretBase64) {
+  return `hmac-sha256=${createHmac('sha256', Buffer.from(secretBase64, 'base64')).update(raw).digest('hex')}`;
+}
+
+export function verifySignature(raw, header, secretBase64) {
+  if (typeof header !== 'string') return false;
+  const expected = Buffer.from(signPayload(raw, secretBase64));
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+export function isLoopback(host) {
+  return LOOPBACK_HOSTS.has(host) || /^127\./.test(host);
+}
+
+/**
+ * Start the webhook listener.
+ * @param {{ port?: number, host?: string, secret?: string, onRecords: (ids: string[]) => void,
+ *           onNotification?: (notification: { baseId: string, webhookId: string }) => void }} options
+ *   secret — the webhook's macSecretBase64; unsigned bodies are rejected when set.
+ *   Required unless `host` is loopback.
+ *   onNotification — called for bare Airtable notifications (see webhookNotification)
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export function startWebhookListener({ port = 0, host = '127.0.0.1', secret, onRecords, onNotification = () => {} }) {
+  if (!secret && !isLoopback(host)) {
+    return Promise.reject(new Error(`Refusing to listen on ${host} without a webhook secret — set AIRTABLE_WEBHOOK_SECRET, or listen on 127.0.0.1`));
+  }
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (req.method === 'GET' && url.pathname === '/health') return sendJson(res, 200, { ok: true });
+    if (req.method !== 'POST' || url.pathname !== WEBHOOK_PATH) return sendJson(res, 404, { error: 'Not found' });
+
+    const raw = await readBody(req);
+    if (secret && !verifySignature(raw, req.headers[SIGNATURE_HEADER], secret)) {
+      return sendJson(res, 401, { error: 'Bad signature' });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw.toString('utf-8'));
+    } catch {
+      return sendJson(res, 400, { error: 'Body is not JSON' });
+    }
+
+    const notification = webhookNotification(body);
+    if (notification) {
+      sendJson(res, 200, { received: 0, notification: true });
+      onNotification(notification);
+      return;
+    }
+
+    const ids = recordIdsFromPayload(body);
+    sendJson(res, 200, { received: ids.length });
+    onRecords(ids);
+  };
+
+  // A malformed request must never take the service down
+  const server = createServer((req, res) => {
+    handle(req, res).catch(err => {
+      if (!res.headersSent) sendJson(res, 400, { error: err.message });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        url: `http://${host}:${server.address().port}`,
+        close: () => new Promise(r => {
+          server.closeAllConnections();
+          server.close(() => r());
+        }),
+      });
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Polling
+// ---------------------------------------------------------------------------
+
+/**
+ * Records whose last-modified time is newer than the one last seen. A record
+ * seen for the first time is only compared when a baseline is supplied (e.g.
+ * the snapshot's syncedAt); otherwise it just sets the baseline.
+ * @param {Array<{ id: string, fields: object }>} records
+ * @param {Map<string, string>} seen - record ID → last-modified time; updated in place
+ * @param {(recordId: string) => string | null} [baseline]
+ * @returns {string[]}
+ */
+export function changedRecords(records, seen, baseline = () => null) {
+  const changed = [];
+  for (const record of records) {
+    const modified = record.fields?.[LAST_MODIFIED_FIELD];
+    if (!modified) continue;
+    const previous = seen.get(record.id) ?? baseline(record.id);
+    if (previous && Date.parse(modified) > Date.parse(previous)) changed.push(record.id);
+    seen.set(record.id, modified);
+  }
+  return changed;
+}
+
+// ---------------------------------------------------------------------------
+// Debouncing
+// ---------------------------------------------------------------------------
+
+/**
+ * Coalesce triggers per key: `run(key, reasons)` is called once `delayMs`
+ * after the last trigger. A trigger that arrives while that key is running
+ * queues exactly one more run afterwards.
+ * @param {(key: string, reasons: string[]) => Promise<void>} run
+ * @param {{ delayMs: number, onError?: (key: string, err: Error) => void }} options
+ */
+export function createDebouncer(run, { delayMs, onError = () => {} }) {
+  const timers = new Map();
+  const reasons = new Map();
+  const running = new Set();
+  const rerun = new Set();
+  let waiters = [];
+
+  const settleIfIdle = () => {
+    if (timers.size > 0 || running.size > 0) return;
+    for (const resolve of waiters) resolve();
+    waiters = [];
+  };
+
+  const schedule = (key) => {
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => fire(key), delayMs));
+  };
+
+  const fire = async (key) => {
+    timers.delete(key);
+    const why = reasons.get(key) || [];
+    reasons.delete(key);
+    running.add(key);
+    try {
+      await run(key, why);
+    } catch (err) {
+      onError(key, err);
+    }
+    running.delete(key);
+    if (rerun.delete(key)) schedule(key);
+    settleIfIdle();
+  };
+
+  return {
+    trigger(key, reason) {
+      reasons.set(key, [...(reasons.get(key) || []), reason]);
+      if (running.has(key)) rerun.add(key);
+      else schedule(key);
+    },
+    /** Keys waiting for their delay to pass or running now */
+    pending: () => [...new Set([...timers.keys(), ...running])],
+    /** Resolves once nothing is scheduled or running */
+    idle: () => new Promise(resolve => {
+      waiters.push(resolve);
+      settleIfIdle();
+    }),
+    /** Drop everything scheduled; runs in progress finish */
+    cancel() {
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      rerun.clear();
+      settleIfIdle();
+    },
+  };
+}
@@ -0,0 +1,127 @@
+// ============================================================================
+// trust-badges.mjs
+// ============================================================================
+// Maps Airtable "Choose features that match your business" multiSelect values
+// to badge objects with SVG icon paths and display labels, and writes them to
+// site.config.ts (badges + homepage.heroBadges). Used by populate-config.mjs
+// on a build and by sync.mjs when the differentiators change.
+// ============================================================================
+
+import { replaceSection } from './config-writer.mjs';
+
+const FEATURE_BADGE_MAP = {
+  'Free Quotes': {
+    icon: '<path d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"/>',
+    label: 'Free Quotes',
+    heroBadge: 'Free Quotes',
+  },
+  'Qualified and Licensed': {
+    icon: '<path d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"/>',
+    label: 'Qualified & Licensed',
+    heroBadge: 'Licensed',
+  },
+  'Emergency After Hour Service': {
+    icon: '<path d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>',
+    label: '24/7 Emergency Service',
+    heroBadge: '24/7 Emergency',
+  },
+  'Low Cost Affordable': {
+    icon: '<path d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>',
+    label: 'Affordable Pricing',
+    heroBadge: 'Affordable',
+  },
+  'Owner Managed': {
+    icon: '<path d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"/>',
+    label: 'Owner Managed',
+    heroBadge: 'Owner Managed',
+  },
+  'Fast Response': {
+    icon: '<path d="M13 10V3L4 14h7v7l9-11h-7z"/>',
+    label: 'Fast Response',
+    heroBadge: 'Fast Response',
+  },
+  'Warranty and Guarantees': {
+    icon: '<path d="M9 12l2 2 4-4M7.835 4.697a3.42 3.42 0 001.946-.806 3.42 3.42 0 014.438 0 3.42 3.42 0 001.946.806 3.42 3.42 0 013.138 3.138 3.42 3.42 0 00.806 1.946 3.42 3.42 0 010 4.438 3.42 3.42 0 00-.806 1.946 3.42 3.42 0 01-3.138 3.138 3.42 3.42 0 00-1.946.806 3.42 3.42 0 01-4.438 0 3.42 3.42 0 00-1.946-.806 3.42 3.42 0 01-3.138-3.138 3.42 3.42 0 00-.806-1.946 3.42 3.42 0 010-4.438 3.42 3.42 0 00.806-1.946 3.42 3.42 0 013.138-3.138z"/>',
+    label: 'Warranty & Guarantees',
+    heroBadge: 'Guaranteed Work',
+  },
+  'Over 5 Years Experience': {
+    icon: '<path d="M19.428 15.428a2 2 0 00-1.022-.547l-2.387-.477a6 6 0 00-3.86.517l-.318.158a6 6 0 01-3.86.517L6.05 15.21a2 2 0 00-1.806.547M8 4h8l-1 1v5.172a2 2 0 00.586 1.414l5 5c1.26 1.26.367 3.414-1.415 3.414H4.828c-1.782 0-2.674-2.154-1.414-3.414l5-5A2 2 0 009 10.172V5L8 4z"/>',
+    label: '5+ Years Experience',
+    heroBadge: 'Experienced',
+  },
+  'Top Quality': {
+    icon: '<path d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"/>',
+    label: 'Top Quality',
+    heroBadge: 'Top Quality',
+  },
+};
+
+/**
+ * Convert Airtable features array to badge objects and heroBadge strings.
+ * Falls back to template defaults if no features provided.
+ *
+ * @param {string[]} features - Airtable feature strings
+ * @returns {{ badges: Array<{icon: string, label: string}>, heroBadges: string[] }}
+ */
+export function featuresToBadges(features) {
+  if (!features || features.length === 0) {
+    return { badges: null, heroBadges: null };
+  }
+
+  const badges = [];
+  const heroBadges = [];
+
+  for (const feature of features) {
+    const mapped = FEATURE_BADGE_MAP[feature];
+    if (mapped) {
+      badges.push({ icon: mapped.icon, label: mapped.label });
+      heroBadges.push(mapped.heroBadge);
+    }
+  }
+
+  if (badges.length === 0) {
+    return { badges: null, heroBadges: null };
+  }
+
+  return { badges, heroBadges };
+}
+
+/**
+ * Apply features/badges from Airtable to site.config.ts.
+ * Replaces the badges array and heroBadges array.
+ *
+ * @param {string} configContent - Current file content
+ * @param {object} mapped - Mapped client data (with .features)
+ * @returns {{ content: string, count: number }}
+ */
+export function applyFeatures(configContent, mapped) {
+  let content = configContent;
+  let count = 0;
+
+  const { badges, heroBadges } = featuresToBadges(mapped.features);
+
+  if (badges) {
+    // badges is a top-level array (2-space indent) — replaceSection handles this
+    const updated = replaceSection(content, 'badges', badges);
+    if (updated !== content) {
+      content = updated;
+      count++;
+    }
+  }
+
+  if (heroBadges) {
+    // heroBadges is nested inside homepage (4-space indent) — use direct regex
+    const serialized = JSON.stringify(heroBadges);
+    const regex = /heroBadges:\s*\[.*?\]/;
+    if (regex.test(content)) {
+      const updated = content.replace(regex, `heroBadges: ${serialized}`);
+      if (updated !== content) {
+        content = updated;
+        count++;
+      }
+    }
+  }
+
+  return { content, count };
+}
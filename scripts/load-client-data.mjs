@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// ============================================================================
+// load-client-data.mjs
+// ============================================================================
+// Writes client-config.json from a local brief or export instead of Airtable
+// (see lib/data-sources.mjs for the supported formats and field names).
+//
+// Usage:
+//   node scripts/load-client-data.mjs --file brief.yaml --output ./client-config.json
+//   node scripts/load-client-data.mjs --file clients.csv --row 3 --output ./client-config.json
+//   node scripts/load-client-data.mjs --file sheet.json --source sheets --company "SA Plumbing"
+// ============================================================================
+
+import { resolve } from 'node:path';
+import { parseCliArgs } from './lib/runner-utils.mjs';
+import { loadClientData, listDataSources } from './lib/data-sources.mjs';
+import { writeFileAtomic } from './lib/atomic-write.mjs';
+import { emitArtifact } from './lib/build-events.mjs';
+import { withSchemaVersion } from './lib/artifact-migrations.mjs';
+
+function main() {
+  const args = parseCliArgs();
+
+  if (typeof args.file !== 'string') {
+    console.error('Usage:');
+    console.error('  node scripts/load-client-data.mjs --file brief.yaml --output ./client-config.json');
+    console.error('  node scripts/load-client-data.mjs --file clients.csv --row 3 --output ./client-config.json');
+    console.error(`  Sources (--source, detected from the file when omitted): ${listDataSources().join(', ')}`);
+    process.exit(1);
+  }
+
+  const outputPath = resolve(typeof args.output === 'string' ? args.output : './client-config.json');
+
+  console.log(`Loading client data from ${args.file}...`);
+  let result;
+  try {
+    result = loadClientData(args.file, {
+      source: typeof args.source === 'string' ? args.source : undefined,
+      row: args.row,
+      company: typeof args.company === 'string' ? args.company : undefined,
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const { config, validation, unmapped, source } = result;
+  console.log(`  Source: ${source}${config.source?.row ? ` (record ${config.source.row})` : ''}`);
+
+  if (unmapped.length > 0) {
+    console.log(`  Ignored (no client-config field): ${unmapped.join(', ')}`);
+  }
+
+  if (!validation.valid) {
+    if (validation.missing.length > 0) {
+      console.error(`\nMissing required fields: ${validation.missing.join(', ')}`);
+      console.error('These fields are required for a build to proceed.');
+    }
+    if (validation.errors.length > 0) {
+      console.error('\nclient-config schema errors:');
+      for (const e of validation.errors) console.error(`  - ${e}`);
+    }
+    process.exit(1);
+  }
+
+  if (validation.warnings.length > 0) {
+    console.log(`\nWarnings — these fields are empty (build will use fallbacks):`);
+    for (const w of validation.warnings) {
+      console.log(`  - ${w}`);
+    }
+  }
+
+  writeFileAtomic(outputPath, JSON.stringify(withSchemaVersion('client-config', config), null, 2), 'utf-8');
+  emitArtifact(outputPath, 'client-config');
+
+  console.log(`\n✓ Client config saved to: ${outputPath}`);
+  console.log(`  Company: ${config.companyName}`);
+  console.log(`  Niche: ${config.niche}`);
+  console.log(`  City: ${config.primaryCity}`);
+  console.log(`  Services: ${config.services.length} found`);
+}
+
+main();
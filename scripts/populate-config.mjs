@@ -19,6 +19,11 @@ import { resolve, join } from 'node:path';
 import { buildLog } from './lib/build-logger.mjs';
 import { validateClientConfig } from './schemas/client-config.schema.mjs';
 import { replaceKeyValue, replaceNumericValue, replaceSection } from './lib/config-writer.mjs';
+import { applyFeatures } from './lib/trust-badges.mjs';
+import { resolveAddress } from './lib/sa-address.mjs';
+import { tradingHoursFrom, socialLinksFrom, normalizeUrl } from './lib/business-profile.mjs';
+import { readProvenance, writeProvenance, stamp } from './lib/config-provenance.mjs';
+import { migrateArtifact, withSchemaVersion } from './lib/artifact-migrations.mjs';
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -62,15 +67,6 @@ function phoneToWhatsApp(phone) {
  * Maps Airtable client data to the site.config.ts structure.
  * This handles the field mapping from Airtable's format to our template format.
  */
-function normalizeUrl(url) {
-  if (!url) return '';
-  let u = url.trim();
-  if (u && !u.startsWith('http://') && !u.startsWith('https://')) {
-    u = 'https://' + u;
-  }
-  return u;
-}
-
 function mapClientData(data) {
   const name = (data.companyName || data['Company name'] || 'Business Name').trim();
   const phone = data.phone || data['Phone number sent to leads'] || '';
@@ -83,10 +79,12 @@ function mapClientData(data) {
   const yearStarted = data.yearStarted || data['Year Started'] || '2020';
   const website = normalizeUrl(data.website || data['Website'] || '');
 
-  // Address fields
-  const address = data.address || {};
-  const city = data.primaryCity || data['City Based In'] || address.city || 'Johannesburg';
-  const region = address.region || 'Gauteng';
+  // Address — free text from Airtable or structured from a brief; placed
+  // with the offline SA gazetteer (lib/sa-address.mjs)
+  const primaryCity = data.primaryCity || data['City Based In'];
+  const address = resolveAddress(data.address, { city: primaryCity });
+  const city = primaryCity || address.city || 'Johannesburg';
+  const region = address.region || '';
 
   // Services (from Airtable, comes as array of strings or comma-separated)
   let services = data.services || data['Services'] || [];
@@ -114,6 +112,10 @@ function mapClientData(data) {
   // Google Maps
   const mapsUrl = data['Google Maps URL'] || data.mapsEmbed || '';
 
+  // Trading hours and social profiles (lib/business-profile.mjs)
+  const hours = tradingHoursFrom(data);
+  const social = socialLinksFrom(data);
+
   return {
     name,
     phone: formatPhone(phone),
@@ -131,14 +133,21 @@ function mapClientData(data) {
     serviceAreas,
     mapsUrl,
     website,
+    social: social.social,
+    tradingHours: hours.tradingHours,
+    profileIssues: [...hours.issues, ...social.issues],
     address: {
       street: address.street || '',
+      suburb: address.suburb,
       city,
       region,
       postalCode: address.postalCode || '',
       country: 'ZA',
-      coords: address.coords || { lat: -26.2041, lng: 28.0473 },
+      // null when the address couldn't be placed — the config keeps its coords
+      coords: address.coords,
       mapsEmbed: mapsUrl,
+      resolution: address.resolution,
+      issues: address.issues,
     },
   };
 }
@@ -205,6 +214,27 @@ function applyIdentityAndContact(configContent, mapped) {
   return { content, count };
 }
 
+/**
+ * Write the `social` and `tradingHours` sections. Without hours in the
+ * client data tradingHours is null, and the site publishes no hours.
+ *
+ * @param {string} configContent - Current file content
+ * @param {object} mapped - Mapped client data
+ * @returns {{ content: string, count: number }}
+ */
+function applySocialAndHours(configContent, mapped) {
+  let content = configContent;
+  let count = 0;
+
+  const sections = [['social', mapped.social], ['tradingHours', mapped.tradingHours]];
+  for (const [name, value] of sections) {
+    const updated = replaceSection(content, name, value);
+    if (updated !== content) { content = updated; count++; }
+  }
+
+  return { content, count };
+}
+
 /**
  * Applies design tokens (fonts + colors) from design-direction output.
  * Expects a JSON file with structure: { fonts: { display, body }, colors: { primary, accent, ... } }
@@ -300,130 +330,6 @@ function applyCtaBanner(configContent, designData) {
   return { content, count };
 }
 
-// ============================================================================
-// Feature-to-Badge Mapping
-// ============================================================================
-// Maps Airtable "Choose features that match your business" multiSelect values
-// to badge objects with SVG icon paths and display labels.
-// ============================================================================
-
-const FEATURE_BADGE_MAP = {
-  'Free Quotes': {
-    icon: '<path d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"/>',
-    label: 'Free Quotes',
-    heroBadge: 'Free Quotes',
-  },
-  'Qualified and Licensed': {
-    icon: '<path d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"/>',
-    label: 'Qualified & Licensed',
-    heroBadge: 'Licensed',
-  },
-  'Emergency After Hour Service': {
-    icon: '<path d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>',
-    label: '24/7 Emergency Service',
-    heroBadge: '24/7 Emergency',
-  },
-  'Low Cost Affordable': {
-    icon: '<path d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>',
-    label: 'Affordable Pricing',
-    heroBadge: 'Affordable',
-  },
-  'Owner Managed': {
-    icon: '<path d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"/>',
-    label: 'Owner Managed',
-    heroBadge: 'Owner Managed',
-  },
-  'Fast Response': {
-    icon: '<path d="M13 10V3L4 14h7v7l9-11h-7z"/>',
-    label: 'Fast Response',
-    heroBadge: 'Fast Response',
-  },
-  'Warranty and Guarantees': {
-    icon: '<path d="M9 12l2 2 4-4M7.835 4.697a3.42 3.42 0 001.946-.806 3.42 3.42 0 014.438 0 3.42 3.42 0 001.946.806 3.42 3.42 0 013.138 3.138 3.42 3.42 0 00.806 1.946 3.42 3.42 0 010 4.438 3.42 3.42 0 00-.806 1.946 3.42 3.42 0 01-3.138 3.138 3.42 3.42 0 00-1.946.806 3.42 3.42 0 01-4.438 0 3.42 3.42 0 00-1.946-.806 3.42 3.42 0 01-3.138-3.138 3.42 3.42 0 00-.806-1.946 3.42 3.42 0 010-4.438 3.42 3.42 0 00.806-1.946 3.42 3.42 0 013.138-3.138z"/>',
-    label: 'Warranty & Guarantees',
-    heroBadge: 'Guaranteed Work',
-  },
-  'Over 5 Years Experience': {
-    icon: '<path d="M19.428 15.428a2 2 0 00-1.022-.547l-2.387-.477a6 6 0 00-3.86.517l-.318.158a6 6 0 01-3.86.517L6.05 15.21a2 2 0 00-1.806.547M8 4h8l-1 1v5.172a2 2 0 00.586 1.414l5 5c1.26 1.26.367 3.414-1.415 3.414H4.828c-1.782 0-2.674-2.154-1.414-3.414l5-5A2 2 0 009 10.172V5L8 4z"/>',
-    label: '5+ Years Experience',
-    heroBadge: 'Experienced',
-  },
-  'Top Quality': {
-    icon: '<path d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"/>',
-    label: 'Top Quality',
-    heroBadge: 'Top Quality',
-  },
-};
-
-/**
- * Convert Airtable features array to badge objects and heroBadge strings.
- * Falls back to template defaults if no features provided.
- *
- * @param {string[]} features - Airtable feature strings
- * @returns {{ badges: Array<{icon: string, label: string}>, heroBadges: string[] }}
- */
-function featuresToBadges(features) {
-  if (!features || features.length === 0) {
-    return { badges: null, heroBadges: null };
-  }
-
-  const badges = [];
-  const heroBadges = [];
-
-  for (const feature of features) {
-    const mapped = FEATURE_BADGE_MAP[feature];
-    if (mapped) {
-      badges.push({ icon: mapped.icon, label: mapped.label });
-      heroBadges.push(mapped.heroBadge);
-    }
-  }
-
-  if (badges.length === 0) {
-    return { badges: null, heroBadges: null };
-  }
-
-  return { badges, heroBadges };
-}
-
-/**
- * Apply features/badges from Airtable to site.config.ts.
- * Replaces the badges array and heroBadges array.
- *
- * @param {string} configContent - Current file content
- * @param {object} mapped - Mapped client data (with .features)
- * @returns {{ content: string, count: number }}
- */
-function applyFeatures(configContent, mapped) {
-  let content = configContent;
-  let count = 0;
-
-  const { badges, heroBadges } = featuresToBadges(mapped.features);
-
-  if (badges) {
-    // badges is a top-level array (2-space indent) — replaceSection handles this
-    const updated = replaceSection(content, 'badges', badges);
-    if (updated !== content) {
-      content = updated;
-      count++;
-    }
-  }
-
-  if (heroBadges) {
-    // heroBadges is nested inside homepage (4-space indent) — use direct regex
-    const serialized = JSON.stringify(heroBadges);
-    const regex = /heroBadges:\s*\[.*?\]/;
-    if (regex.test(content)) {
-      const updated = content.replace(regex, `heroBadges: ${serialized}`);
-      if (updated !== content) {
-        content = updated;
-        count++;
-      }
-    }
-  }
-
-  return { content, count };
-}
-
 function main() {
   const args = parseArgs();
   const projectDir = args.project || process.cwd();
@@ -450,9 +356,10 @@ function main() {
   // Read inputs
   let clientData;
   try {
-    clientData = JSON.parse(readFileSync(dataPath, 'utf-8'));
+    // Older projects' files predate the current shape — upgrade in memory
+    clientData = migrateArtifact('client-config', JSON.parse(readFileSync(dataPath, 'utf-8'))).data;
   } catch (err) {
-    console.error(`Error: Failed to parse ${dataPath}: ${err.message}`);
+    console.error(`Error: Failed to read ${dataPath}: ${err.message}`);
     process.exit(1);
   }
   let configContent = readFileSync(configFilePath, 'utf-8');
@@ -480,13 +387,17 @@ function main() {
   configContent = featuresResult.content;
   featuresCount = featuresResult.count;
 
+  // Social profiles + trading hours
+  const profileResult = applySocialAndHours(configContent, mapped);
+  configContent = profileResult.content;
+
   // Apply design tokens (fonts + colors) if provided
   const designFile = args.design;
   let designCount = 0;
   if (designFile) {
     const designPath = resolve(designFile);
     if (existsSync(designPath)) {
-      const designData = JSON.parse(readFileSync(designPath, 'utf-8'));
+      const designData = migrateArtifact('design-tokens', JSON.parse(readFileSync(designPath, 'utf-8'))).data;
       const result = applyDesignTokens(configContent, designData);
       configContent = result.content;
       designCount = result.count;
@@ -513,7 +424,11 @@ function main() {
   if (mapped.services.length === 0) log.missing('populate-config', 'No services listed in client data');
   if (!mapped.aboutText) log.missing('populate-config', 'No about text in client data — needs AI generation');
   if (!mapped.serviceAreas) log.missing('populate-config', 'No service areas in client data');
+  for (const issue of mapped.address.issues) log.missing('populate-config', `Address: ${issue}`);
+  if (!mapped.address.coords) log.missing('populate-config', 'Address not resolved — coords (JSON-LD geo) left as they were, set them by hand');
   if (!mapped.mapsUrl) log.missing('populate-config', 'No Google Maps URL in client data');
+  if (!mapped.tradingHours) log.missing('populate-config', 'No trading hours in client data — no hours published');
+  for (const issue of mapped.profileIssues) log.missing('populate-config', issue);
   if (mapped.features.length === 0) {
     log.missing('populate-config', 'No features/differentiators in client data — badges remain as template defaults');
   } else {
@@ -526,7 +441,14 @@ function main() {
   console.log(`  Phone: ${mapped.phone}`);
   console.log(`  Email: ${mapped.email}`);
   console.log(`  City: ${mapped.city}`);
+  console.log(`  Address: ${mapped.address.coords
+    ? `${[mapped.address.suburb, mapped.address.city, mapped.address.postalCode].filter(Boolean).join(', ')} (${mapped.address.coords.lat}, ${mapped.address.coords.lng}) — from ${mapped.address.resolution}`
+    : 'NOT RESOLVED — check the address'}`);
   console.log(`  Services: ${mapped.services.length} found`);
+  console.log(`  Social: ${Object.keys(mapped.social).join(', ') || 'none'}`);
+  console.log(`  Trading hours: ${mapped.tradingHours
+    ? `${Object.values(mapped.tradingHours.week).filter(Boolean).length} days open${mapped.tradingHours.publicHolidays !== undefined ? ', public holidays set' : ''}`
+    : 'not in client data (none published)'}`);
   console.log(`  Features: ${mapped.features.length} found${featuresCount > 0 ? ` (${featuresCount} sections updated)` : ' (no badges updated)'}`);
   if (designCount > 0) {
     console.log(`  Design tokens: ${designCount} values applied (fonts + colors)`);
@@ -540,21 +462,22 @@ function main() {
 
   // Output mapped data for downstream scripts
   const mappedPath = join(projectDir, 'client-mapped.json');
-  writeFileSync(mappedPath, JSON.stringify(mapped, null, 2), 'utf-8');
+  writeFileSync(mappedPath, JSON.stringify(withSchemaVersion('client-mapped', mapped), null, 2), 'utf-8');
   console.log(`\n✓ Mapped data saved to: ${mappedPath}`);
 
-  // Write provenance tracking — records source of each field for debugging and sync
-  const provenance = {
-    generatedAt: new Date().toISOString(),
-    source: 'populate-config.mjs',
-    fields: {},
-  };
+  // Write provenance tracking — records source of each field for sync and
+  // template-upgrade. Entries other writers made (AI content, hand edits) stay.
+  const provenance = readProvenance(projectDir);
+  provenance.generatedAt = new Date().toISOString();
+  provenance.source = 'populate-config.mjs';
   const airtableFields = {
     name: 'companyName',
     phone: 'phone',
+    phoneRaw: 'phone',
     email: 'email',
     founder: 'ownerFirstName + ownerLastName',
     foundingYear: 'yearStarted',
+    url: 'website',
     city: 'primaryCity',
     region: 'address.region',
     street: 'address.street',
@@ -565,25 +488,18 @@ function main() {
     description: 'derived:niche+city',
     badges: 'derived:differentiators',
     heroBadges: 'derived:differentiators',
+    social: 'facebook + instagram + linkedin + tiktok + youtube',
   };
+  if (mapped.tradingHours) airtableFields.tradingHours = 'hoursMonday … hoursSunday + publicHolidayHours';
   for (const [field, airtableKey] of Object.entries(airtableFields)) {
-    provenance.fields[field] = {
-      source: 'airtable',
-      field: airtableKey,
-      updatedAt: new Date().toISOString(),
-    };
+    stamp(provenance, configContent, field, 'airtable', airtableKey);
   }
   if (designCount > 0) {
     for (const key of ['displayFont', 'bodyFont', 'accentFont', 'primary', 'accent', 'primaryLight', 'accentLight', 'background', 'surface', 'text', 'muted']) {
-      provenance.fields[key] = {
-        source: 'design-tokens',
-        field: key,
-        updatedAt: new Date().toISOString(),
-      };
+      stamp(provenance, configContent, key, 'design-tokens', key);
     }
   }
-  const provenancePath = join(projectDir, 'src/config-provenance.json');
-  writeFileSync(provenancePath, JSON.stringify(provenance, null, 2), 'utf-8');
+  writeProvenance(projectDir, provenance);
   console.log(`✓ Provenance tracking saved to: src/config-provenance.json`);
 }
 
@@ -10,7 +10,11 @@
 //   node scripts/populate-images.mjs --project /path --data client-config.json
 //
 // Input: client-config.json with logo, headshot, gallery attachment URLs
-// Output: Images in src/assets/images/{folder}/
+// Output: Images in src/assets/images/{folder}/, .asset-cache.json
+//
+// Only new or changed attachments are downloaded; images already on disk are
+// kept (or renamed when the gallery order changed) and gallery images removed
+// in Airtable are pruned — see lib/asset-cache.mjs.
 //
 // Folder conventions:
 //   logo/          ← Business logo
@@ -19,12 +23,18 @@
 //   home-hero/     ← Homepage hero (first gallery image copied here)
 // ============================================================================
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync, createWriteStream, copyFileSync } from 'node:fs';
-import { resolve, join, extname, basename } from 'node:path';
+import { readFileSync, existsSync, mkdirSync, createWriteStream, readdirSync, rmSync } from 'node:fs';
+import { resolve, join, extname } from 'node:path';
 import { get as httpsGet } from 'node:https';
 import { get as httpGet } from 'node:http';
 import { buildLog } from './lib/build-logger.mjs';
 import { retry } from './lib/runner-utils.mjs';
+import { replayDownload } from './lib/replay.mjs';
+import { emitArtifact } from './lib/build-events.mjs';
+import { copyFileAtomic, writeFileAtomic, writeViaTemp } from './lib/atomic-write.mjs';
+import {
+  readAssetCache, writeAssetCache, emptyAssetCache, planAssets, hashFile, ASSET_SLOTS,
+} from './lib/asset-cache.mjs';
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -37,7 +47,14 @@ function parseArgs() {
   return parsed;
 }
 
-function download(url, dest) {
+async function download(url, dest) {
+  // Via a temp file so an interrupted download never leaves a truncated image
+  await writeViaTemp(dest, (tmp) => replayDownload(url, tmp, downloadLive));
+  emitArtifact(dest, 'image');
+  return dest;
+}
+
+function downloadLive(url, dest) {
   return new Promise((resolve, reject) => {
     const getter = url.startsWith('https') ? httpsGet : httpGet;
     const file = createWriteStream(dest);
@@ -45,7 +62,7 @@ function download(url, dest) {
       // Follow redirects
       if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
         file.close();
-        download(response.headers.location, dest).then(resolve).catch(reject);
+        downloadLive(response.headers.location, dest).then(resolve).catch(reject);
         return;
       }
       if (response.statusCode !== 200) {
@@ -59,15 +76,19 @@ function download(url, dest) {
   });
 }
 
-function getExtension(url, fallback = '.jpg') {
-  try {
-    const pathname = new URL(url).pathname;
-    const ext = extname(pathname);
-    if (['.jpg', '.jpeg', '.png', '.webp', '.svg', '.gif'].includes(ext.toLowerCase())) {
-      return ext.toLowerCase();
-    }
-  } catch {}
-  return fallback;
+const SLOT_LABELS = { logo: 'Logo', headshot: 'Headshot', gallery: 'Gallery image' };
+
+const MISSING_NOTES = {
+  logo: 'No logo URL in Airtable data — needs AI generation',
+  headshot: 'No headshot URL in Airtable data — needs AI generation or skip',
+  gallery: 'No gallery images in Airtable data — needs AI generation',
+};
+
+function describeFailure(err) {
+  // Airtable attachment URLs expire after a few hours
+  return /HTTP (403|410)\b/.test(err.message)
+    ? `${err.message} — the attachment URL has probably expired, re-fetch the record (sync.mjs) for fresh URLs`
+    : err.message;
 }
 
 async function downloadImages(data, projectDir) {
@@ -80,106 +101,107 @@ async function downloadImages(data, projectDir) {
   }
 
   const log = buildLog(projectDir);
+  const cache = readAssetCache(projectDir) || emptyAssetCache();
+  const plan = planAssets(cache, data, { imagesDir });
+  const counts = { fetched: 0, kept: 0, pruned: 0 };
+  let heroChanged = false;
+
+  for (const [slot, { items, remove }] of Object.entries(plan)) {
+    const entries = {};
+    const claimed = new Set();
+    if (items.length === 0) log.missing('populate-images', MISSING_NOTES[slot]);
+
+    // Gallery images that changed position: read them all before any rename
+    // so a move never overwrites a file another move still needs
+    const moves = items.filter(i => i.action === 'move')
+      .map(item => ({ item, content: readFileSync(join(imagesDir, item.from)) }));
+    for (const { item, content } of moves) {
+      writeFileAtomic(join(imagesDir, item.path), content);
+      console.log(`  ✓ ${item.from} → ${item.path} (unchanged, moved)`);
+    }
 
-  // Download logo → logo/
-  const logoUrl = extractUrl(data.logo || data['Partner Logo']);
-  if (logoUrl) {
-    const ext = getExtension(logoUrl, '.png');
-    const dest = join(imagesDir, 'logo', `logo${ext}`);
-    try {
-      await retry(() => download(logoUrl, dest), 3, 'Logo download');
-      results.logo = `logo/logo${ext}`;
-      log.info('populate-images', 'Logo downloaded from Airtable');
-      console.log(`  ✓ Logo downloaded → logo/`);
-    } catch (e) {
-      log.error('populate-images', `Logo download failed: ${e.message}`);
-      console.error(`  ✗ Logo download failed: ${e.message}`);
+    for (const [i, item] of items.entries()) {
+      const label = `${SLOT_LABELS[slot]}${ASSET_SLOTS[slot].multiple ? ` ${i + 1}` : ''}`;
+      if (item.action !== 'fetch') {
+        entries[item.attachment.id] = { ...item.entry, path: item.path };
+        claimed.add(item.path);
+        counts.kept++;
+        if (item.action === 'keep') console.log(`  · ${label} unchanged → ${item.path}`);
+        if (i === 0 && item.action === 'move') heroChanged = true;
+        continue;
+      }
+
+      const dest = join(imagesDir, item.path);
+      try {
+        await retry(() => download(item.attachment.url, dest), 3, `${label} download`);
+        entries[item.attachment.id] = {
+          path: item.path,
+          hash: hashFile(dest),
+          size: item.attachment.size,
+          filename: item.attachment.filename,
+          fetchedAt: new Date().toISOString(),
+        };
+        claimed.add(item.path);
+        counts.fetched++;
+        if (i === 0) heroChanged = true;
+        log.info('populate-images', `${label} downloaded from Airtable (${item.reason})`);
+        console.log(`  ✓ ${label} downloaded → ${item.path} (${item.reason})`);
+      } catch (e) {
+        log.error('populate-images', `${label} download failed: ${describeFailure(e)}`);
+        console.error(`  ✗ ${label} download failed: ${describeFailure(e)}`);
+      }
     }
-  } else {
-    log.missing('populate-images', 'No logo URL in Airtable data — needs AI generation');
-  }
 
-  // Download headshot → headshot/
-  const headshotUrl = extractUrl(data.headshot || data['Partner Headshot']);
-  if (headshotUrl) {
-    const ext = getExtension(headshotUrl);
-    const dest = join(imagesDir, 'headshot', `headshot${ext}`);
-    try {
-      await retry(() => download(headshotUrl, dest), 3, 'Headshot download');
-      results.headshot = `headshot/headshot${ext}`;
-      log.info('populate-images', 'Headshot downloaded from Airtable');
-      console.log(`  ✓ Headshot downloaded → headshot/`);
-    } catch (e) {
-      log.error('populate-images', `Headshot download failed: ${e.message}`);
-      console.error(`  ✗ Headshot download failed: ${e.message}`);
+    // Attachments no longer on the record. A logo/headshot whose replacement
+    // failed to download stays (and stays cached) until the next run.
+    const replacementFailed = !ASSET_SLOTS[slot].multiple && items.some(i => !entries[i.attachment.id]);
+    for (const { id, path } of remove) {
+      if (replacementFailed) {
+        entries[id] = cache.assets[slot][id];
+        continue;
+      }
+      // Its file name may already hold another image
+      if (!claimed.has(path)) rmSync(join(imagesDir, path), { force: true });
+      const name = cache.assets[slot][id].filename || path;
+      counts.pruned++;
+      log.info('populate-images', `Removed ${name} (${path}) — no longer in Airtable`);
+      console.log(`  - ${name} removed (no longer in Airtable)`);
+    }
+    // Old names of moved or re-downloaded images
+    for (const item of items) {
+      if (item.from && claimed.has(item.path) && !claimed.has(item.from)) rmSync(join(imagesDir, item.from), { force: true });
     }
-  } else {
-    log.missing('populate-images', 'No headshot URL in Airtable data — needs AI generation or skip');
-  }
 
-  // Download gallery images → gallery/ (prefix-sorted)
-  const gallery = extractGallery(data.gallery || data['Gallery']);
-  if (gallery.length === 0) {
-    log.missing('populate-images', 'No gallery images in Airtable data — needs AI generation');
-  }
-  for (let i = 0; i < gallery.length; i++) {
-    const url = gallery[i];
-    const ext = getExtension(url);
-    const prefix = String(i + 1).padStart(2, '0');
-    const dest = join(imagesDir, 'gallery', `${prefix}-gallery${ext}`);
-    try {
-      await retry(() => download(url, dest), 3, `Gallery image ${i + 1}`);
-      results.gallery.push({ path: `gallery/${prefix}-gallery${ext}`, fullPath: dest });
-      console.log(`  ✓ Gallery image ${i + 1} downloaded → gallery/${prefix}-gallery${ext}`);
-    } catch (e) {
-      log.error('populate-images', `Gallery image ${i + 1} download failed: ${e.message}`);
-      console.error(`  ✗ Gallery image ${i + 1} failed: ${e.message}`);
+    cache.assets[slot] = entries;
+    const paths = items.filter(item => entries[item.attachment.id]).map(item => item.path);
+    if (slot === 'gallery') {
+      results.gallery = paths.map(path => ({ path, fullPath: join(imagesDir, path) }));
+    } else {
+      results[slot] = paths[0] || Object.values(entries)[0]?.path || null;
     }
   }
 
+  writeAssetCache(projectDir, cache);
+
   // Copy first gallery image to home-hero/ (homepage hero uses gallery-1 by convention)
-  if (results.gallery.length > 0) {
+  const heroDir = join(imagesDir, 'home-hero');
+  const heroMissing = !readdirSync(heroDir).some(f => /\.(jpg|jpeg|png|webp)$/.test(f));
+  if (results.gallery.length > 0 && (heroChanged || heroMissing)) {
     const firstGallery = results.gallery[0].fullPath;
     const ext = extname(firstGallery);
-    const heroDest = join(imagesDir, 'home-hero', `home-hero${ext}`);
+    const heroDest = join(heroDir, `home-hero${ext}`);
     try {
-      copyFileSync(firstGallery, heroDest);
+      copyFileAtomic(firstGallery, heroDest);
       console.log(`  ✓ Home hero set from first gallery image → home-hero/`);
     } catch (e) {
       log.error('populate-images', `Failed to copy gallery-1 to home-hero: ${e.message}`);
     }
   }
 
-  log.info('populate-images', `Download complete: logo=${!!results.logo}, headshot=${!!results.headshot}, gallery=${results.gallery.length}`);
+  log.info('populate-images', `Images up to date: logo=${!!results.logo}, headshot=${!!results.headshot}, gallery=${results.gallery.length} (${counts.fetched} downloaded, ${counts.kept} cached, ${counts.pruned} removed)`);
   return results;
 }
 
-/**
- * Extract URL from Airtable attachment field.
- * Can be a string URL, an object with {url}, or an array of objects.
- */
-function extractUrl(field) {
-  if (!field) return null;
-  if (typeof field === 'string') return field;
-  if (Array.isArray(field) && field.length > 0) {
-    return field[0].url || field[0];
-  }
-  if (field.url) return field.url;
-  return null;
-}
-
-function extractGallery(field) {
-  if (!field) return [];
-  if (Array.isArray(field)) {
-    return field.map(item => {
-      if (typeof item === 'string') return item;
-      if (item.url) return item.url;
-      return null;
-    }).filter(Boolean);
-  }
-  return [];
-}
-
 async function main() {
   const args = parseArgs();
   const projectDir = args.project || process.cwd();
@@ -197,7 +219,7 @@ async function main() {
 
   const data = JSON.parse(readFileSync(resolve(dataFile), 'utf-8'));
 
-  console.log('Downloading client images...');
+  console.log('Updating client images...');
   const results = await downloadImages(data, projectDir);
 
   // No codegen needed — src/images.ts uses import.meta.glob() for auto-discovery
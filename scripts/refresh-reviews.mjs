@@ -2,10 +2,15 @@
 // ============================================================================
 // refresh-reviews.mjs
 // ============================================================================
-// Fetches the latest Google/Hello Peter reviews and updates the site's
+// Fetches the latest reviews from every review source and updates the site's
 // reviews section in site.config.ts via the idempotent config writer.
 // Then rebuilds and pushes to GitHub (Netlify auto-redeploys).
 //
+// Fetched reviews are merged into reviews-ledger.json, never replace it, so
+// reviews that have scrolled out of a platform's fetch window stay on the
+// site's reviews page. The ledger is committed with the site. --dry-run
+// fetches and reports what would change without writing anything.
+//
 // Usage:
 //   node scripts/refresh-reviews.mjs --project /path/to/project
 //   node scripts/refresh-reviews.mjs --project /path/to/project --dry-run
@@ -13,12 +18,16 @@
 // Can be run manually or as a monthly cron job.
 // ============================================================================
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { readFileSync, existsSync } from 'node:fs';
 import { resolve, join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { replaceSection, replaceNumericValue, readConfig, writeConfig, serializeToTS } from './lib/config-writer.mjs';
 import { buildLog } from './lib/build-logger.mjs';
+import { readProvenance, writeProvenance, restamp } from './lib/config-provenance.mjs';
 import { runScript, runCommand, parseCliArgs } from './lib/runner-utils.mjs';
+import { acquireLock } from './lib/project-lock.mjs';
+import { readReviewLedger } from './lib/review-ledger.mjs';
+import { configItems } from './lib/review-curation.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -37,6 +46,9 @@ async function main() {
     process.exit(1);
   }
 
+  // Held until exit — no other build/sync may touch the project meanwhile
+  acquireLock(projectPath, 'refresh-reviews');
+
   const log = buildLog(projectPath);
 
   // Step 1: Fetch fresh reviews
@@ -45,6 +57,7 @@ async function main() {
     runScript(join(__dirname, 'fetch-reviews.mjs'), [
       '--project', projectPath,
       '--data', join(projectPath, 'client-config.json'),
+      ...(dryRun ? ['--dry-run'] : []),
     ], { timeout: 180_000 });
   } catch (err) {
     console.error(`Review fetch failed: ${err.message}`);
@@ -52,6 +65,11 @@ async function main() {
     process.exit(1);
   }
 
+  if (dryRun) {
+    console.log('\n--dry-run: No changes applied.');
+    process.exit(0);
+  }
+
   // Step 2: Read fetched reviews
   const reviewsPath = join(projectPath, 'reviews.json');
   if (!existsSync(reviewsPath)) {
@@ -66,10 +84,9 @@ async function main() {
 
   console.log(`  Found ${testimonials.length} testimonials, rating ${rating}, total ${totalCount}`);
 
-  if (dryRun) {
-    console.log('\n--dry-run: No changes applied.');
-    process.exit(0);
-  }
+  const onRecord = Object.values(readReviewLedger(projectPath).reviews);
+  const deleted = onRecord.filter(e => e.deletedAt).length;
+  console.log(`  Review ledger: ${onRecord.length - deleted} live, ${deleted} deleted since first seen`);
 
   // Step 3: Update site.config.ts
   console.log('\nUpdating site.config.ts reviews section...');
@@ -81,38 +98,18 @@ async function main() {
 
   // Update review items
   if (testimonials.length > 0) {
-    const items = testimonials.slice(0, 6).map(t => ({
-      name: t.author || 'Customer',
-      text: (t.quote || '').slice(0, 300),
-      rating: t.rating || 5,
-      source: t.platform || 'google',
-      date: t.date || undefined,
-    }));
+    const items = configItems(testimonials);
     const serialized = serializeToTS(items, 4);
     // Replace existing items array (even if populated)
     config = config.replace(/items:\s*\[[\s\S]*?\n    \]/, `items: ${serialized}`);
   }
 
   writeConfig(projectPath, config);
+  writeProvenance(projectPath, restamp(readProvenance(projectPath), config, 'reviews'));
   console.log('  Reviews updated in site.config.ts');
 
-  // Also update src/content/reviews.json for schema.org
-  const contentDir = join(projectPath, 'src/content');
-  if (existsSync(contentDir)) {
-    const contentReviews = testimonials.map(t => ({
-      name: t.author || 'Customer',
-      text: (t.quote || '').slice(0, 300),
-      rating: t.rating || 5,
-      date: t.date || new Date().toISOString().split('T')[0],
-      source: t.platform || 'google',
-    }));
-    writeFileSync(
-      join(contentDir, 'reviews.json'),
-      JSON.stringify(contentReviews, null, 2),
-      'utf-8'
-    );
-    console.log(`  src/content/reviews.json updated (${contentReviews.length} reviews)`);
-  }
+  // src/content/reviews.json (curated, tagged by service and location) was
+  // written by fetch-reviews.mjs
 
   log.info('refresh-reviews', `Reviews refreshed: ${testimonials.length} testimonials, rating=${rating}, total=${totalCount}`);
 
@@ -123,7 +120,7 @@ async function main() {
   // Step 5: Push to GitHub
   console.log('\nPushing to GitHub...');
   try {
-    runCommand('git add -A && git commit -m "reviews: refresh from Google/Hello Peter" && git push', {
+    runCommand('git add -A && git commit -m "reviews: refresh from review sources" && git push', {
       cwd: projectPath,
       timeout: 60_000,
     });
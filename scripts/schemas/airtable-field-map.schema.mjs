@@ -0,0 +1,53 @@
+import { z } from 'zod';
+
+export const FIELD_MAP_VERSION = 1;
+
+/** How a raw Airtable value becomes a client-config value (see lib/airtable-field-map.mjs). */
+export const FIELD_TRANSFORMS = [
+  'text', 'trim', 'first-value', 'list', 'comma-join', 'attachment-url', 'attachment-list', 'raw',
+];
+
+const FieldSpec = z.object({
+  field: z.string().min(1),
+  fallbacks: z.array(z.string().min(1)).optional(),
+  transform: z.enum(FIELD_TRANSFORMS).optional(),
+  linkedTable: z.string().startsWith('tbl').optional(),
+  required: z.boolean().optional(),
+  recommended: z.boolean().optional(),
+});
+
+/** How a client-edits.json value is written into its Airtable field (see lib/airtable-sync.mjs). */
+export const EDIT_KINDS = ['text', 'line', 'paragraph', 'attachment', 'attachment-item'];
+
+// Keys are client-edits.json keys; "*" stands for a list index (services.*.title)
+const EditSpec = z.object({
+  field: z.string().min(1),
+  kind: z.enum(EDIT_KINDS).default('text'),
+});
+
+const LinkedTable = z.object({
+  name: z.string().min(1),
+  displayField: z.string().min(1),
+});
+
+/** Schema for scripts/airtable-field-map.json — Airtable fields → client-config.json keys. */
+export const AirtableFieldMap = z.object({
+  version: z.literal(FIELD_MAP_VERSION),
+  description: z.string().optional(),
+  fields: z.record(z.string(), FieldSpec).refine(
+    (f) => Object.keys(f).length > 0,
+    { message: 'At least one field mapping required' }
+  ),
+  edits: z.record(z.string(), EditSpec).default({}),
+  linkedTables: z.record(z.string(), LinkedTable).default({}),
+}).superRefine((map, ctx) => {
+  for (const [key, spec] of Object.entries(map.fields)) {
+    if (spec.linkedTable && !map.linkedTables[spec.linkedTable]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['fields', key, 'linkedTable'],
+        message: `${spec.linkedTable} is not listed in linkedTables`,
+      });
+    }
+  }
+});
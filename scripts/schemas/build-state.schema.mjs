@@ -16,13 +16,27 @@ export const PHASE_IDS = [
   'phase-10',  // Learn
 ];
 
-export const PhaseStatus = z.enum(['pending', 'in_progress', 'completed', 'failed']);
+// interrupted — stopped by SIGINT/SIGTERM; --resume resets it to pending
+export const PhaseStatus = z.enum(['pending', 'in_progress', 'completed', 'failed', 'interrupted']);
 
 export const PhaseEntry = z.object({
   status: PhaseStatus,
+  startedAt: z.string().datetime().optional(),
   completedAt: z.string().datetime().optional(),
   artifacts: z.record(z.string(), z.string()).optional(),
   error: z.string().optional(),
+  // Accounting (see lib/build-usage.mjs)
+  durationMs: z.number().nonnegative().optional(),
+  retries: z.number().int().nonnegative().optional(),
+  calls: z.record(z.string(), z.number().int().nonnegative()).optional(),  // e.g. { 'fal-image': 12, claude: 1 }
+  costUsd: z.number().nonnegative().optional(),  // estimated
+});
+
+// User-defined before/after hooks (see lib/phase-hooks.mjs), keyed by
+// "hook:<when>:<phase>:<id>"
+export const HookEntry = PhaseEntry.extend({
+  phase: z.string(),
+  when: z.enum(['before', 'after']),
 });
 
 export const BuildState = z.object({
@@ -36,6 +50,7 @@ export const BuildState = z.object({
     deployUrl: z.string().url().optional(),
     repoUrl: z.string().url().optional(),
     templateVersion: z.string().optional(),
+    qaVerdict: z.string().optional(),  // phase-9 verdict: pass | fix-and-rebuild | manual-review-needed
   }),
   phases: z.object({
     'phase-0': PhaseEntry,
@@ -52,6 +67,7 @@ export const BuildState = z.object({
     'phase-9': PhaseEntry,
     'phase-10': PhaseEntry,
   }),
+  hooks: z.record(z.string(), HookEntry).optional(),
 });
 
 /** Create a fresh build state with all phases pending */
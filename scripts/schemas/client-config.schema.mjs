@@ -2,6 +2,9 @@ import { z } from 'zod';
 
 /** Schema for client-config.json — validates Airtable data before use. */
 export const ClientConfig = z.object({
+  // Shape version (lib/artifact-migrations.mjs) — absent in older projects
+  schemaVersion: z.number().int().nonnegative().optional(),
+
   // Identity (at least one name field required)
   companyName: z.string().min(1).optional(),
   'Company name': z.string().min(1).optional(),
@@ -31,16 +34,20 @@ export const ClientConfig = z.object({
   // Location
   primaryCity: z.string().optional(),
   'City Based In': z.string().optional(),
-  address: z.object({
-    street: z.string().optional(),
-    city: z.string().optional(),
-    region: z.string().optional(),
-    postalCode: z.string().optional(),
-    coords: z.object({
-      lat: z.number(),
-      lng: z.number(),
-    }).optional(),
-  }).optional(),
+  // Free text from Airtable "Physical Address", or structured (briefs, CSV)
+  address: z.union([
+    z.string(),
+    z.object({
+      street: z.string().optional(),
+      city: z.string().optional(),
+      region: z.string().optional(),
+      postalCode: z.string().optional(),
+      coords: z.object({
+        lat: z.number(),
+        lng: z.number(),
+      }).optional(),
+    }),
+  ]).optional(),
 
   // Services
   services: z.union([
@@ -69,6 +76,8 @@ export const ClientConfig = z.object({
   googleMapsUrl: z.string().optional(),
   helloPeterUrl: z.string().optional(),
   'Hello Peter URL': z.string().optional(),
+  trustpilotUrl: z.string().optional(),
+  reviewsImport: z.string().optional(),
 
   // Content
   aboutText: z.string().optional(),
@@ -0,0 +1,33 @@
+import { z } from 'zod';
+
+export const GAZETTEER_VERSION = 1;
+
+const Province = z.object({
+  name: z.string().min(1),
+  aliases: z.array(z.string().min(1)).default([]),
+});
+
+const Place = z.object({
+  name: z.string().min(1),
+  province: z.string().min(1),
+  postalCode: z.string().regex(/^\d{4}$/, 'postal code must be 4 digits'),
+  lat: z.number().min(-35).max(-22),
+  lng: z.number().min(16).max(33),
+  // The city/metro a suburb belongs to; absent for cities and towns
+  city: z.string().min(1).optional(),
+  aliases: z.array(z.string().min(1)).optional(),
+});
+
+/** scripts/sa-gazetteer.json — offline SA place lookup for lib/sa-address.mjs */
+export const SaGazetteer = z.object({
+  version: z.literal(GAZETTEER_VERSION),
+  description: z.string().optional(),
+  provinces: z.record(z.string(), Province),
+  places: z.array(Place).min(1),
+}).superRefine((gazetteer, ctx) => {
+  gazetteer.places.forEach((place, i) => {
+    if (!gazetteer.provinces[place.province]) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['places', i, 'province'], message: `Unknown province "${place.province}"` });
+    }
+  });
+});
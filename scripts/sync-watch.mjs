@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// ============================================================================
+// sync-watch.mjs
+// ============================================================================
+// Long-running service that re-syncs sites when their Airtable record changes,
+// so nobody has to remember `npm run sync` after a client edits their record.
+//
+// Changes arrive two ways (see lib/sync-trigger.mjs):
+//   webhook   POST /airtable — an Airtable webhook notification (its new
+//             payloads are then fetched from the last cursor), relayed
+//             payloads, or { recordId } from an Airtable automation
+//   polling   --poll <seconds> lists the watched records' "Last Modified"
+//             field (AIRTABLE_LAST_MODIFIED_FIELD) and compares it with the
+//             last sync
+//
+// Record IDs map to projects through each project's client-config.json, in
+// the --projects folder (rescanned on every change, so new builds are picked
+// up). Changes to one record within --debounce seconds become one sync.mjs
+// run; a change during a run queues one more run afterwards.
+//
+// Usage:
+//   node scripts/sync-watch.mjs --projects /path/to/sites
+//   node scripts/sync-watch.mjs --projects /path/to/sites --port 8787 --poll 300 --debounce 60
+//   node scripts/sync-watch.mjs --projects /path/to/sites --host 127.0.0.1   (local relay, no secret)
+//   node scripts/sync-watch.mjs --projects /path/to/sites --dry-run   (sync --dry-run only)
+//
+// Output:
+//   <projects>/.sync-logs/<project>.log   sync.mjs output per project
+//   <projects>/.sync-webhook-cursors.json where each webhook's payloads were read up to
+//
+// Requires: AIRTABLE_TOKEN env var, and AIRTABLE_WEBHOOK_SECRET (the webhook's
+// macSecretBase64) — the listener rejects unsigned payloads, and won't start
+// on a non-loopback --host (default 0.0.0.0) without it.
+// ============================================================================
+
+import { mkdirSync } from 'node:fs';
+import { resolve, join, dirname, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCliArgs, runScriptAsync, terminateChildren } from './lib/runner-utils.mjs';
+import { getToken, listRecords, fetchWebhookPayloads } from './fetch-airtable.mjs';
+import { readSnapshot } from './lib/airtable-sync.mjs';
+import {
+  findProjects, startWebhookListener, changedRecords, createDebouncer, drainWebhookPayloads,
+  readWebhookCursors, writeWebhookCursor, LAST_MODIFIED_FIELD, WEBHOOK_PATH,
+} from './lib/sync-trigger.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_ROOT = resolve(__dirname, '..');
+// Must match where build-runner.mjs clones projects
+const DEFAULT_DEST = resolve(TEMPLATE_ROOT, '..');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '0.0.0.0';
+const DEFAULT_DEBOUNCE_SECONDS = 60;
+const SYNC_TIMEOUT_MS = 20 * 60_000;
+// Record IDs per filterByFormula — keeps the query URL well under Airtable's limit
+const POLL_CHUNK = 50;
+
+function timestamp() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function numberArg(value, fallback) {
+  const n = typeof value === 'string' ? Number(value) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/** Last-modified time of every watched record. */
+async function fetchModified(recordIds, token) {
+  const records = [];
+  for (let i = 0; i < recordIds.length; i += POLL_CHUNK) {
+    const ids = recordIds.slice(i, i + POLL_CHUNK);
+    const formula = `OR(${ids.map(id => `RECORD_ID()="${id}"`).join(', ')})`;
+    records.push(...await listRecords({ formula, fields: [LAST_MODIFIED_FIELD] }, token));
+  }
+  return records;
+}
+
+async function main() {
+  const args = parseCliArgs();
+  const rootDir = resolve(typeof args.projects === 'string' ? args.projects : DEFAULT_DEST);
+  const port = numberArg(args.port, DEFAULT_PORT);
+  const host = typeof args.host === 'string' ? args.host : DEFAULT_HOST;
+  const pollSeconds = numberArg(args.poll, 0);
+  const debounceSeconds = numberArg(args.debounce, DEFAULT_DEBOUNCE_SECONDS);
+  const dryRun = args['dry-run'] === true;
+  const token = getToken();
+
+  let projects = findProjects(rootDir);
+  const logsDir = join(rootDir, '.sync-logs');
+  mkdirSync(logsDir, { recursive: true });
+
+  const debouncer = createDebouncer(async (recordId, reasons) => {
+    const projectPath = projects.get(recordId);
+    const logFile = join(logsDir, `${basename(projectPath)}.log`);
+    console.log(`[${timestamp()}] →  sync ${basename(projectPath)} (${[...new Set(reasons)].join(', ')})`);
+    const started = Date.now();
+    await runScriptAsync(join(__dirname, 'sync.mjs'), ['--project', projectPath, ...(dryRun ? ['--dry-run'] : [])], {
+      timeout: SYNC_TIMEOUT_MS,
+      logFile,
+    });
+    console.log(`[${timestamp()}] ✓  ${basename(projectPath)} synced in ${Math.round((Date.now() - started) / 1000)}s`);
+  }, {
+    delayMs: debounceSeconds * 1000,
+    onError: (recordId, err) => {
+      console.log(`[${timestamp()}] ✗  ${basename(projects.get(recordId) || recordId)} — ${err.message} (see ${logsDir})`);
+    },
+  });
+
+  const onChanged = (recordIds, reason) => {
+    if (recordIds.some(id => !projects.has(id))) projects = findProjects(rootDir);
+    for (const recordId of recordIds) {
+      if (projects.has(recordId)) debouncer.trigger(recordId, reason);
+      else console.log(`[${timestamp()}] ·  ${recordId} changed — no project in ${rootDir}, ignored`);
+    }
+  };
+
+  // Notifications are drained one at a time, so cursors only move forwards
+  let draining = Promise.resolve();
+  const onNotification = ({ baseId, webhookId }) => {
+    draining = draining.then(async () => {
+      const { recordIds, cursor } = await drainWebhookPayloads(
+        (next) => fetchWebhookPayloads({ baseId, webhookId, cursor: next }, token),
+        readWebhookCursors(rootDir)[webhookId],
+      );
+      if (cursor !== undefined) writeWebhookCursor(rootDir, webhookId, cursor);
+      onChanged(recordIds, 'webhook');
+    }).catch(err => {
+      console.log(`[${timestamp()}] ✗  webhook ${webhookId} payloads failed — ${err.message}`);
+    });
+  };
+
+  const listener = await startWebhookListener({
+    port,
+    host,
+    secret: process.env.AIRTABLE_WEBHOOK_SECRET,
+    onRecords: (ids) => {
+      if (ids.length === 0) console.log(`[${timestamp()}] ·  webhook without record IDs — ignored`);
+      onChanged(ids, 'webhook');
+    },
+    onNotification,
+  });
+
+  console.log(`Watching ${projects.size} project(s) in ${rootDir}`);
+  console.log(`  Webhook: ${listener.url.replace(DEFAULT_HOST, 'localhost')}${WEBHOOK_PATH}${process.env.AIRTABLE_WEBHOOK_SECRET ? ' (signed payloads only)' : ''}`);
+  console.log(`  Debounce: ${debounceSeconds}s${dryRun ? ' — sync --dry-run only' : ''}`);
+
+  let pollTimer = null;
+  if (pollSeconds > 0) {
+    console.log(`  Polling "${LAST_MODIFIED_FIELD}" every ${pollSeconds}s`);
+    const seen = new Map();
+    const poll = async () => {
+      try {
+        projects = findProjects(rootDir);
+        const records = await fetchModified([...projects.keys()], token);
+        const changed = changedRecords(records, seen, (id) => readSnapshot(projects.get(id))?.syncedAt ?? null);
+        onChanged(changed, 'poll');
+      } catch (err) {
+        console.log(`[${timestamp()}] ✗  poll failed — ${err.message}`);
+      }
+      pollTimer = setTimeout(poll, pollSeconds * 1000);
+    };
+    await poll();
+  }
+
+  console.log('\nCtrl-C to stop.');
+
+  const shutdown = async () => {
+    console.log('\nStopping...');
+    clearTimeout(pollTimer);
+    debouncer.cancel();
+    await listener.close();
+    terminateChildren('SIGTERM');
+    await debouncer.idle();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+  console.error(`Sync watch failed: ${err.message}`);
+  process.exit(1);
+});
@@ -6,23 +6,55 @@
 // and applies changed business-data fields via the idempotent config writer.
 // Then rebuilds and pushes to GitHub (Netlify auto-redeploys).
 //
-// Scope: identity, contact, address fields only — NOT AI-generated content
-// (services, FAQs, about paragraphs, etc. are untouched).
+// Scope: identity, contact, address fields, plus the content fields that
+// drive parts of the site — services, serviceAreas, differentiators, logo,
+// headshot, gallery. Each of those changes is turned into a plan (see
+// lib/sync-plan.mjs) that is printed before anything is applied. AI-written
+// copy (service descriptions, FAQs, about paragraphs) is never rewritten.
+// Images are compared with the attachments on disk (.asset-cache.json), so
+// only new or changed ones are downloaded.
+//
+// Values are only overwritten while they still have the origin recorded in
+// src/config-provenance.json (lib/config-provenance.mjs) — Airtable's for
+// identity/contact fields and badges, the AI's for service pages. A value
+// edited by hand or overridden in client-edits.json since is a conflict: it
+// is reported and left alone unless --force.
+//
+// --push goes the other way: client edits made on the site (InlineEditor →
+// client-edits.json) are written back to Airtable. Each field is compared with
+// .airtable-snapshot.json, the record as last synced; a field that changed in
+// Airtable since then is a conflict and is left alone unless --force.
 //
 // Usage:
 //   node scripts/sync.mjs --project /path/to/project
 //   node scripts/sync.mjs --project /path/to/project --dry-run
+//   node scripts/sync.mjs --project /path/to/project --force
+//   node scripts/sync.mjs --project /path/to/project --push [--dry-run] [--force]
 //
 // Requires: AIRTABLE_TOKEN env var
 // ============================================================================
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { readFileSync, writeFileSync, existsSync, rmSync } from 'node:fs';
 import { resolve, join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { execSync } from 'node:child_process';
-import { replaceKeyValue, replaceNumericValue, readConfig, writeConfig } from './lib/config-writer.mjs';
+import { replaceKeyValue, replaceSection, readKeyValue, readConfig, writeConfig } from './lib/config-writer.mjs';
 import { buildLog } from './lib/build-logger.mjs';
 import { runScript, runCommand, parseCliArgs } from './lib/runner-utils.mjs';
+import { acquireLock } from './lib/project-lock.mjs';
+import { getToken, fetchByRecordId, updateRecord } from './fetch-airtable.mjs';
+import { loadFieldMap } from './lib/airtable-field-map.mjs';
+import {
+  SNAPSHOT_FILE, EDITS_FILE, readSnapshot, writeSnapshot, readEdits, planPush, recordPush, refreshSnapshot, sameValue,
+} from './lib/airtable-sync.mjs';
+import { planContentChanges, serviceStub, navEntries, IMAGE_FIELDS } from './lib/sync-plan.mjs';
+import { applyFeatures } from './lib/trust-badges.mjs';
+import { ensureServiceImageFolders } from './lib/fal-api.mjs';
+import { writeFileAtomic } from './lib/atomic-write.mjs';
+import { normalizeUrl } from './lib/business-profile.mjs';
+import { readProvenance, writeProvenance, valueText, checkOverwrite, stamp } from './lib/config-provenance.mjs';
+import { migrateArtifact } from './lib/artifact-migrations.mjs';
+import { readAssetCache, planAssets, summarizeAssetPlan, pendingAssetSlots } from './lib/asset-cache.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -34,6 +66,29 @@ const SYNC_FIELDS = [
   'Google Maps URL',
 ];
 
+// Content fields — a change regenerates part of the site (lib/sync-plan.mjs)
+const CONTENT_FIELDS = ['services', 'serviceAreas', 'differentiators', ...IMAGE_FIELDS];
+
+// site.config.ts key → the Airtable field it is derived from
+const SITE_KEYS = {
+  name: 'companyName',
+  phone: 'phone',
+  phoneRaw: 'phone',
+  whatsapp: 'whatsapp',
+  email: 'email',
+  founder: 'ownerFirstName + ownerLastName',
+  foundingYear: 'yearStarted',
+  city: 'primaryCity',
+  url: 'website',
+  mapsEmbed: 'Google Maps URL',
+};
+
+// Config values a content action rewrites, and the origin they must still have
+const ACTION_KEYS = {
+  badges: { source: 'airtable', keys: ['badges', 'heroBadges'] },
+  services: { source: 'ai', keys: ['services', 'nav'] },
+};
+
 function formatPhone(phone) {
   if (!phone) return null;
   const digits = phone.replace(/\D/g, '');
@@ -56,28 +111,205 @@ function phoneToWhatsApp(phone) {
   return raw;
 }
 
+const trimmed = (value) => (value ? String(value).trim() : '');
+
+/**
+ * site.config.ts values (see SITE_KEYS) derived from a client-config.json,
+ * trimmed and normalised the way populate-config.mjs writes them.
+ */
+function siteValues(clientConfig) {
+  const founder = [clientConfig.ownerFirstName, clientConfig.ownerLastName].map(trimmed).filter(Boolean).join(' ');
+  return {
+    name: trimmed(clientConfig.companyName) || null,
+    phone: formatPhone(clientConfig.phone),
+    phoneRaw: phoneToRaw(clientConfig.phone),
+    whatsapp: phoneToWhatsApp(clientConfig.whatsapp),
+    email: trimmed(clientConfig.email) || null,
+    founder: founder || null,
+    foundingYear: clientConfig.yearStarted ? String(clientConfig.yearStarted) : null,
+    city: trimmed(clientConfig.primaryCity) || null,
+    url: normalizeUrl(clientConfig.website) || null,
+    mapsEmbed: clientConfig['Google Maps URL'] || null,
+  };
+}
+
+/**
+ * Decide which changed values may be written. A value whose origin is no
+ * longer the writer's (hand-edited, client-edited) becomes a conflict.
+ * @returns {{ writes: Array<{ key: string, value: string }>, actions: object[], conflicts: object[] }}
+ */
+function planMerge(config, provenance, edits, { oldConfig, newConfig, actions, force }) {
+  const oldValues = siteValues(oldConfig);
+  const writes = [];
+  const conflicts = [];
+
+  for (const [key, value] of Object.entries(siteValues(newConfig))) {
+    if (!value || value === oldValues[key] || valueText(config, key) === value) continue;
+    const check = checkOverwrite(provenance, config, key, 'airtable', { edits, previous: oldValues[key] ?? undefined });
+    if (check.ok || force) writes.push({ key, value });
+    else conflicts.push({ key, origin: check.origin, site: valueText(config, key), airtable: value });
+  }
+
+  const runnable = actions.filter(action => {
+    const owner = ACTION_KEYS[action.kind];
+    if (!owner) return true;
+    if (action.kind === 'services' && !action.services?.add.length && !action.services?.remove.length) return true;
+    const blocked = owner.keys
+      .map(key => ({ key, ...checkOverwrite(provenance, config, key, owner.source, { edits }) }))
+      .filter(check => !check.ok);
+    if (blocked.length === 0 || force) return true;
+    for (const { key, origin } of blocked) conflicts.push({ key, origin, action: action.kind });
+    return false;
+  });
+
+  return { writes, actions: runnable, conflicts };
+}
+
+function printConflicts(conflicts) {
+  console.log('\nConflicts (left as they are — re-run with --force to overwrite):');
+  for (const conflict of conflicts) {
+    if (conflict.action) {
+      console.log(`  ✗ ${conflict.key} is ${conflict.origin} — ${conflict.action} changes skipped`);
+    } else {
+      console.log(`  ✗ ${conflict.key} is ${conflict.origin}`);
+      console.log(`      Site:     ${preview(conflict.site)}`);
+      console.log(`      Airtable: ${preview(conflict.airtable)}`);
+    }
+  }
+}
+
 /**
  * Diff two client-config objects and return changed sync-scoped fields.
+ * Attachments compare by ID — Airtable re-signs their URLs on every fetch.
  */
 function diffConfigs(oldConfig, newConfig) {
   const changes = [];
-  for (const field of SYNC_FIELDS) {
-    const oldVal = JSON.stringify(oldConfig[field] ?? null);
-    const newVal = JSON.stringify(newConfig[field] ?? null);
-    if (oldVal !== newVal) {
+  for (const field of [...SYNC_FIELDS, ...CONTENT_FIELDS]) {
+    if (!sameValue(oldConfig[field], newConfig[field])) {
       changes.push({ field, old: oldConfig[field], new: newConfig[field] });
     }
   }
   return changes;
 }
 
+function describeValue(field, value) {
+  if (IMAGE_FIELDS.includes(field)) {
+    const count = Array.isArray(value) ? value.length : (value ? 1 : 0);
+    return `${count} file(s)`;
+  }
+  return preview(value);
+}
+
+function toFeatures(value) {
+  if (Array.isArray(value)) return value;
+  return value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Point client-mapped.json (populate-locations.mjs input) at the new service
+ * areas. Returns false when the project has no client-mapped.json.
+ */
+function updateMappedAreas(projectPath, newConfig) {
+  const mappedPath = join(projectPath, 'client-mapped.json');
+  if (!existsSync(mappedPath)) return false;
+  const { data: mapped } = migrateArtifact('client-mapped', JSON.parse(readFileSync(mappedPath, 'utf-8')));
+  const areas = newConfig.serviceAreas || '';
+  mapped.serviceAreas = Array.isArray(areas) ? areas.join(' | ') : areas;
+  writeFileAtomic(mappedPath, JSON.stringify(mapped, null, 2), 'utf-8');
+  return true;
+}
+
+/**
+ * Replace the project's snapshot with a freshly fetched record, keeping the
+ * old baseline for fields with edits not yet pushed.
+ */
+function saveSnapshot(projectPath, fetchedPath) {
+  const fetched = JSON.parse(readFileSync(fetchedPath, 'utf-8'));
+  const record = { id: fetched.recordId, fields: fetched.fields };
+  writeSnapshot(projectPath, refreshSnapshot(readSnapshot(projectPath), record, readEdits(projectPath), loadFieldMap()));
+  rmSync(fetchedPath, { force: true });
+}
+
+function preview(value) {
+  const text = JSON.stringify(value ?? null);
+  return text.length > 70 ? `${text.slice(0, 67)}...` : text;
+}
+
+/**
+ * Push client-edits.json back to Airtable.
+ * @returns {Promise<number>} exit code — 1 when conflicts were left unpushed
+ */
+async function pushEdits(projectPath, { dryRun, force }) {
+  const log = buildLog(projectPath);
+  const edits = readEdits(projectPath);
+  if (Object.keys(edits).length === 0) {
+    console.log(`No ${EDITS_FILE} edits — nothing to push.`);
+    return 0;
+  }
+
+  const snapshot = readSnapshot(projectPath);
+  if (!snapshot) {
+    console.error(`No ${SNAPSHOT_FILE} — run sync without --push once so there is a baseline to detect conflicts against.`);
+    return 1;
+  }
+
+  const token = getToken();
+  console.log('Fetching current Airtable record...');
+  const current = await fetchByRecordId(snapshot.recordId, token);
+  const siteUrl = readKeyValue(readConfig(projectPath), 'url');
+  const plan = planPush(edits, snapshot, current.fields, { fieldMap: loadFieldMap(), siteUrl });
+
+  if (force) {
+    plan.updates.push(...plan.conflicts);
+    plan.conflicts = [];
+  }
+
+  for (const { field, keys, value } of plan.updates) {
+    console.log(`  ↑ ${field} ← ${keys.join(', ')}: ${preview(value)}`);
+  }
+  for (const { field, keys } of plan.unchanged) {
+    console.log(`  = ${field} (${keys.join(', ')}) already matches Airtable`);
+  }
+  for (const { field, keys, current: theirs, value } of plan.conflicts) {
+    console.log(`  ✗ ${field} (${keys.join(', ')}) changed in Airtable since the last sync`);
+    console.log(`      Airtable: ${preview(theirs)}`);
+    console.log(`      Site:     ${preview(value)}`);
+  }
+  if (plan.unmapped.length > 0) {
+    console.log(`  Not pushed (no Airtable field mapped): ${plan.unmapped.join(', ')}`);
+  }
+
+  if (plan.updates.length === 0 && plan.unchanged.length === 0) {
+    console.log('\nNothing to push.');
+  } else if (dryRun) {
+    console.log('\n--dry-run: Airtable not updated.');
+    return plan.conflicts.length > 0 ? 1 : 0;
+  } else {
+    let fields = current.fields;
+    if (plan.updates.length > 0) {
+      const updated = await updateRecord(snapshot.recordId, Object.fromEntries(plan.updates.map(u => [u.field, u.value])), token);
+      fields = updated.fields;
+    }
+    writeSnapshot(projectPath, recordPush(snapshot, edits, [...plan.updates, ...plan.unchanged], fields));
+    console.log(`\n${plan.updates.length} Airtable field(s) updated`);
+    log.info('sync', `Pushed ${plan.updates.length} field(s) of client edits to Airtable`);
+  }
+
+  if (plan.conflicts.length > 0) {
+    console.error(`\n${plan.conflicts.length} conflict(s) left as they are — resolve in Airtable, or re-run with --force to overwrite with the site's value.`);
+    log.warning('sync', `Push conflicts: ${plan.conflicts.map(c => c.field).join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
 async function main() {
   const args = parseCliArgs();
   const projectPath = args.project ? resolve(args.project) : null;
   const dryRun = args['dry-run'] === true;
 
   if (!projectPath) {
-    console.error('Usage: node scripts/sync.mjs --project /path/to/project [--dry-run]');
+    console.error('Usage: node scripts/sync.mjs --project /path/to/project [--dry-run] [--force] [--push]');
     process.exit(1);
   }
 
@@ -92,13 +324,22 @@ async function main() {
     process.exit(1);
   }
 
+  // Held until exit — no other build/sync may touch the project meanwhile
+  acquireLock(projectPath, 'sync');
+
+  if (args.push) {
+    process.exit(await pushEdits(projectPath, { dryRun, force: args.force === true }));
+  }
+
   const log = buildLog(projectPath);
-  const oldConfig = JSON.parse(readFileSync(existingConfigPath, 'utf-8'));
+  // Older projects keep raw Airtable labels — compare in the current shape
+  const { data: oldConfig } = migrateArtifact('client-config', JSON.parse(readFileSync(existingConfigPath, 'utf-8')));
 
   // Fetch fresh data from Airtable
   console.log('Fetching latest data from Airtable...');
   const tmpOutput = join(projectPath, 'client-config-new.json');
-  const fetchArgs = ['--output', tmpOutput];
+  const tmpSnapshot = join(projectPath, `${SNAPSHOT_FILE}.new`);
+  const fetchArgs = ['--output', tmpOutput, '--snapshot', tmpSnapshot];
 
   // Determine how to fetch — use record ID if available in old config
   if (oldConfig.recordId) {
@@ -113,11 +354,21 @@ async function main() {
   runScript(join(__dirname, 'fetch-airtable.mjs'), fetchArgs);
   const newConfig = JSON.parse(readFileSync(tmpOutput, 'utf-8'));
 
-  // Diff
-  const changes = diffConfigs(oldConfig, newConfig);
+  // Diff — images against what is on disk (.asset-cache.json) when the
+  // project has a cache, so a download that failed last time is retried
+  const assetCache = readAssetCache(projectPath);
+  const assetPlan = assetCache && planAssets(assetCache, newConfig, { imagesDir: join(projectPath, 'src/assets/images') });
+  const changes = assetPlan
+    ? [
+      ...diffConfigs(oldConfig, newConfig).filter(c => !IMAGE_FIELDS.includes(c.field)),
+      ...pendingAssetSlots(assetPlan).map(field => ({ field, old: oldConfig[field], new: newConfig[field] })),
+    ]
+    : diffConfigs(oldConfig, newConfig);
 
   if (changes.length === 0) {
     console.log('\nNo changes detected — site is up to date.');
+    if (dryRun) rmSync(tmpSnapshot, { force: true });
+    else saveSnapshot(projectPath, tmpSnapshot);
     // Clean up temp file
     try { writeFileSync(tmpOutput, ''); } catch {}
     process.exit(0);
@@ -125,93 +376,106 @@ async function main() {
 
   console.log(`\n${changes.length} field(s) changed:`);
   for (const change of changes) {
-    console.log(`  ${change.field}: ${JSON.stringify(change.old)} → ${JSON.stringify(change.new)}`);
+    console.log(`  ${change.field}: ${describeValue(change.field, change.old)} → ${describeValue(change.field, change.new)}`);
   }
 
+  // Plan content regeneration before touching anything
+  const contentPath = join(projectPath, 'content-generated.json');
+  const content = existsSync(contentPath) ? JSON.parse(readFileSync(contentPath, 'utf-8')) : null;
+  const actions = planContentChanges(
+    changes.filter(c => CONTENT_FIELDS.includes(c.field)),
+    { services: content?.services || null, newConfig, assets: assetPlan && summarizeAssetPlan(assetPlan) }
+  );
+  if (actions.length > 0) {
+    console.log('\nPlan:');
+    for (const action of actions) {
+      console.log(`  ${action.fields.join(', ')}`);
+      for (const step of action.steps) console.log(`    → ${step}`);
+    }
+  }
+
+  let config = readConfig(projectPath);
+  const provenance = readProvenance(projectPath);
+  const edits = readEdits(projectPath);
+  const merge = planMerge(config, provenance, edits, { oldConfig, newConfig, actions, force: args.force === true });
+  if (merge.conflicts.length > 0) printConflicts(merge.conflicts);
+
   if (dryRun) {
     console.log('\n--dry-run: No changes applied.');
+    rmSync(tmpSnapshot, { force: true });
     process.exit(0);
   }
 
   // Apply changes to site.config.ts
   console.log('\nApplying changes to site.config.ts...');
-  let config = readConfig(projectPath);
   let applied = 0;
 
-  for (const change of changes) {
-    const newVal = change.new;
-    if (newVal == null) continue;
+  for (const { key, value } of merge.writes) {
+    const updated = replaceKeyValue(config, key, value);
+    if (updated !== config) { config = updated; applied++; }
+    stamp(provenance, config, key, 'airtable', SITE_KEYS[key]);
+  }
 
-    switch (change.field) {
-      case 'companyName': {
-        const updated = replaceKeyValue(config, 'name', newVal);
-        if (updated !== config) { config = updated; applied++; }
-        break;
-      }
-      case 'phone': {
-        const formatted = formatPhone(newVal);
-        const raw = phoneToRaw(newVal);
-        if (formatted) {
-          const u1 = replaceKeyValue(config, 'phone', formatted);
-          if (u1 !== config) { config = u1; applied++; }
-        }
-        if (raw) {
-          const u2 = replaceKeyValue(config, 'phoneRaw', raw);
-          if (u2 !== config) { config = u2; applied++; }
-        }
-        break;
-      }
-      case 'whatsapp': {
-        const wa = phoneToWhatsApp(newVal);
-        if (wa) {
-          const updated = replaceKeyValue(config, 'whatsapp', wa);
-          if (updated !== config) { config = updated; applied++; }
-        }
-        break;
-      }
-      case 'email': {
-        const updated = replaceKeyValue(config, 'email', newVal);
-        if (updated !== config) { config = updated; applied++; }
-        break;
-      }
-      case 'ownerFirstName':
-      case 'ownerLastName': {
-        const first = change.field === 'ownerFirstName' ? newVal : (newConfig.ownerFirstName || oldConfig.ownerFirstName || '');
-        const last = change.field === 'ownerLastName' ? newVal : (newConfig.ownerLastName || oldConfig.ownerLastName || '');
-        const founder = last ? `${first} ${last}` : first;
-        const updated = replaceKeyValue(config, 'founder', founder);
-        if (updated !== config) { config = updated; applied++; }
+  for (const action of merge.actions) {
+    switch (action.kind) {
+      case 'badges': {
+        const result = applyFeatures(config, { features: toFeatures(newConfig.differentiators) });
+        config = result.content;
+        applied += result.count;
+        for (const key of ACTION_KEYS.badges.keys) stamp(provenance, config, key, 'airtable', 'derived:differentiators');
         break;
       }
-      case 'yearStarted': {
-        const updated = replaceKeyValue(config, 'foundingYear', newVal);
-        if (updated !== config) { config = updated; applied++; }
-        break;
-      }
-      case 'primaryCity': {
-        const updated = replaceKeyValue(config, 'city', newVal);
-        if (updated !== config) { config = updated; applied++; }
-        break;
-      }
-      case 'website': {
-        const updated = replaceKeyValue(config, 'url', newVal);
-        if (updated !== config) { config = updated; applied++; }
-        break;
-      }
-      case 'Google Maps URL': {
-        const updated = replaceKeyValue(config, 'mapsEmbed', newVal);
-        if (updated !== config) { config = updated; applied++; }
+      case 'services': {
+        const { add = [], remove = [] } = action.services || {};
+        if (add.length === 0 && remove.length === 0) break;
+        const stubContext = { niche: newConfig.niche, city: newConfig.primaryCity };
+        content.services = [
+          ...content.services.filter(entry => !remove.includes(entry)),
+          ...add.map(name => serviceStub(name, stubContext)),
+        ];
+        writeFileAtomic(contentPath, JSON.stringify(content, null, 2), 'utf-8');
+        config = replaceSection(config, 'services', content.services);
+        config = replaceSection(config, 'nav', navEntries(content.services));
+        ensureServiceImageFolders(projectPath, content.services);
+        for (const key of ACTION_KEYS.services.keys) stamp(provenance, config, key, 'ai', 'content-generated.json');
+        applied += add.length + remove.length;
+        if (add.length > 0) log.missing('sync', `Placeholder copy for new service page(s): ${add.join(', ')} — regenerate content`);
         break;
       }
     }
   }
 
+  // Remember hand edits found along the way, so they stay protected
+  for (const { key, origin } of merge.conflicts) {
+    if (origin === 'manual') stamp(provenance, config, key, 'manual');
+  }
+
   writeConfig(projectPath, config);
+  writeProvenance(projectPath, provenance);
   console.log(`  ${applied} config values updated`);
+  if (merge.conflicts.length > 0) {
+    log.warning('sync', `Not overwritten (conflicts): ${merge.conflicts.map(c => `${c.key} (${c.origin})`).join(', ')}`);
+  }
 
   // Update client-config.json with fresh data
   writeFileSync(existingConfigPath, JSON.stringify(newConfig, null, 2), 'utf-8');
   console.log('  client-config.json updated');
+  saveSnapshot(projectPath, tmpSnapshot);
+
+  if (merge.actions.some(a => a.kind === 'locations')) {
+    console.log('\nRegenerating location pages...');
+    if (updateMappedAreas(projectPath, newConfig)) {
+      runScript(join(__dirname, 'populate-locations.mjs'), ['--project', projectPath, '--data', join(projectPath, 'client-mapped.json')]);
+    } else {
+      log.skip('sync', 'No client-mapped.json — location pages not regenerated');
+      console.log('  No client-mapped.json — skipped');
+    }
+  }
+
+  if (merge.actions.some(a => a.kind === 'images')) {
+    console.log('\nUpdating client images...');
+    runScript(join(__dirname, 'populate-images.mjs'), ['--project', projectPath, '--data', existingConfigPath]);
+  }
 
   // Clean up temp
   try { writeFileSync(tmpOutput, ''); } catch {}
@@ -7,10 +7,13 @@
 //
 // Strategy:
 //   1. Read current project's client-config.json + design-tokens.json
-//   2. Re-clone latest template to a temp directory
+//   2. Re-clone latest template to a temp directory, copy the client data in
+//      and migrate it to the template's schemaVersions (lib/artifact-migrations.mjs)
 //   3. Re-apply config + design tokens via populate-config.mjs
-//   4. Copy client images back
-//   5. Replace original project with upgraded version
+//   4. Carry over values populate-config doesn't write — AI content and hand
+//      edits, by their origin in src/config-provenance.json
+//   5. Copy client images back
+//   6. Replace original project with upgraded version
 //
 // Usage:
 //   node scripts/template-upgrade.mjs --project /path/to/project
@@ -22,8 +25,15 @@ import { existsSync, readFileSync, writeFileSync, cpSync, mkdirSync, rmSync, rea
 import { resolve, join, dirname, basename } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { parseCliArgs, runScript, runCommand } from './lib/runner-utils.mjs';
+import { acquireLock, LOCK_FILE } from './lib/project-lock.mjs';
 import { buildLog } from './lib/build-logger.mjs';
 import { getBuildState, updateMetadata } from './lib/phase-gate.mjs';
+import { readConfig, writeConfig } from './lib/config-writer.mjs';
+import { readProvenance, writeProvenance, carryOver, stamp, PROVENANCE_FILE } from './lib/config-provenance.mjs';
+import { migrateProject } from './lib/artifact-migrations.mjs';
+import { ASSET_CACHE_FILE } from './lib/asset-cache.mjs';
+import { REVIEW_IMPORT_FILES } from './lib/review-sources.mjs';
+import { REVIEW_LEDGER_FILE } from './lib/review-ledger.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const TEMPLATE_ROOT = resolve(__dirname, '..');
@@ -78,13 +88,21 @@ async function main() {
     console.log('\n--dry-run: No changes applied.');
     console.log('The following would happen:');
     console.log('  1. Re-clone latest template');
-    console.log('  2. Re-apply client-config.json + design-tokens.json');
-    console.log('  3. Copy client images back');
-    console.log('  4. Copy content files (reviews.json, locations, REVIEWS.md)');
-    console.log('  5. npm install + npm run build');
+    console.log('  2. Migrate + re-apply client-config.json + design-tokens.json');
+    console.log('  3. Carry over AI content + hand edits (by origin in src/config-provenance.json)');
+    console.log('  4. Copy client images back');
+    console.log('  5. Copy content files (reviews.json, locations, REVIEWS.md)');
+    console.log('  6. npm install + npm run build');
+    const pending = migrateProject(projectPath, { dryRun: true });
+    if (pending.migrated.length + pending.errors.length > 0) console.log('\nSchema migrations:');
+    for (const { file, from, to } of pending.migrated) console.log(`  ${file}: schemaVersion ${from} → ${to}`);
+    for (const error of pending.errors) console.log(`  ✗ ${error}`);
     process.exit(0);
   }
 
+  // Held until exit — no other build/sync may touch the project meanwhile
+  acquireLock(projectPath, 'template-upgrade');
+
   // Step 1: Create backup
   const backupDir = `${projectPath}-backup-${Date.now()}`;
   console.log(`\n  Creating backup: ${backupDir}`);
@@ -104,6 +122,7 @@ async function main() {
         if (rel.includes('/dist/')) return false;
         if (rel.includes('/.astro/')) return false;
         if (rel.includes('.git/')) return false;
+        if (rel === `/${LOCK_FILE}`) return false;
         return true;
       },
     });
@@ -112,8 +131,14 @@ async function main() {
     console.log('  Copying client data files...');
     const dataFiles = [
       'client-config.json',
+      '.airtable-snapshot.json',
+      ASSET_CACHE_FILE,
+      'client-edits.json',
+      PROVENANCE_FILE,
       'design-tokens.json',
       'reviews.json',
+      REVIEW_LEDGER_FILE,
+      ...REVIEW_IMPORT_FILES,
       'REVIEWS.md',
       'BUSINESS-CONTEXT.md',
       'IMAGE-PROMPTS.md',
@@ -130,6 +155,11 @@ async function main() {
       }
     }
 
+    // Bring the copies up to this template's schemaVersions before anything reads them
+    const migration = migrateProject(tmpDir);
+    if (migration.errors.length > 0) throw new Error(migration.errors.join('; '));
+    for (const { file, from, to } of migration.migrated) console.log(`    Migrated: ${file} (schemaVersion ${from} → ${to})`);
+
     // Step 4: Copy client images
     console.log('  Copying client images...');
     const imagesDir = join(projectPath, 'src/assets/images');
@@ -139,6 +169,13 @@ async function main() {
       console.log('    Copied: src/assets/images/');
     }
 
+    // Images uploaded through the inline editor (client-edits.json points at them)
+    const uploadsDir = join(projectPath, 'public/images/client-uploads');
+    if (existsSync(uploadsDir)) {
+      cpSync(uploadsDir, join(tmpDir, 'public/images/client-uploads'), { recursive: true });
+      console.log('    Copied: public/images/client-uploads/');
+    }
+
     // Copy public images (og-image, favicon, etc.)
     const publicDir = join(projectPath, 'public');
     const tmpPublicDir = join(tmpDir, 'public');
@@ -173,21 +210,39 @@ async function main() {
       '--design', join(tmpDir, 'design-tokens.json'),
     ]);
 
-    // Step 8: npm install
+    // Step 8: Carry over AI content + hand edits — never re-derived from client data
+    console.log('  Carrying over generated content and hand edits...');
+    const merged = carryOver(readConfig(projectPath), readConfig(tmpDir), readProvenance(projectPath));
+    const provenance = readProvenance(tmpDir);
+    writeConfig(tmpDir, merged.config);
+    for (const { key, origin } of merged.carried) stamp(provenance, merged.config, key, origin);
+    writeProvenance(tmpDir, provenance);
+    console.log(`    Carried over: ${merged.carried.map(c => c.key).join(', ') || 'nothing'}`);
+    if (merged.conflicts.length > 0) {
+      console.log(`    ⚠ Not in the new template — re-apply by hand: ${merged.conflicts.map(c => `${c.key} (${c.origin})`).join(', ')}`);
+    }
+
+    // Step 9: npm install
     console.log('  Running npm install...');
     runCommand('npm install', { cwd: tmpDir, timeout: 180_000 });
 
-    // Step 9: Replace original with upgraded version
+    // Step 10: Replace original with upgraded version — everything but our
+    // lock file, so the project is never unlocked mid-upgrade
     console.log('  Replacing original project...');
-    rmSync(projectPath, { recursive: true, force: true });
+    for (const entry of readdirSync(projectPath)) {
+      if (entry !== LOCK_FILE) rmSync(join(projectPath, entry), { recursive: true, force: true });
+    }
     cpSync(tmpDir, projectPath, { recursive: true });
     rmSync(tmpDir, { recursive: true, force: true });
 
-    // Step 10: Update metadata
+    // Step 11: Update metadata
     updateMetadata(projectPath, { templateVersion: latestVersion });
 
     const log = buildLog(projectPath);
     log.info('template-upgrade', `Upgraded from v${currentVersion} to v${latestVersion}`);
+    if (merged.conflicts.length > 0) {
+      log.warning('template-upgrade', `Values not carried over (missing from new template): ${merged.conflicts.map(c => c.key).join(', ')}`);
+    }
 
     console.log(`\nUpgrade complete: v${currentVersion} → v${latestVersion}`);
     console.log(`Backup at: ${backupDir}`);
@@ -7,6 +7,7 @@
 import { checkAllGates, getBuildState } from './lib/phase-gate.mjs';
 import { validateImageManifest, validatePageRegistry, validateImagesTs, validateSiteConfig, validateFonts } from './lib/manifest-validator.mjs';
 import { buildLog } from './lib/build-logger.mjs';
+import { migrateProject } from './lib/artifact-migrations.mjs';
 
 const args = process.argv.slice(2);
 let projectPath = process.cwd();
@@ -61,6 +62,16 @@ console.log('✓ All phases 0-6 completed');
   }
 }
 
+// 1c. Upgrade client data artifacts to the current schemaVersion
+{
+  const migration = migrateProject(projectPath);
+  errors.push(...migration.errors.map(e => `schema: ${e}`));
+  for (const { file, from, to } of migration.migrated) {
+    buildLog(projectPath).info('validate-manifests', `Migrated ${file} from schemaVersion ${from} to ${to}`);
+    console.log(`✓ ${file} migrated (schemaVersion ${from} → ${to})`);
+  }
+}
+
 // 2. Run manifest validation based on builder type
 const builderType = stateResult.state.builderType;
 
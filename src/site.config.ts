@@ -5,6 +5,10 @@
 // All components read from this config — no hardcoded client data anywhere.
 // ============================================================================
 
+export type Weekday = 'Monday' | 'Tuesday' | 'Wednesday' | 'Thursday' | 'Friday' | 'Saturday' | 'Sunday';
+export type SocialPlatform = 'facebook' | 'instagram' | 'linkedin' | 'tiktok' | 'youtube';
+export interface OpeningHours { opens: string; closes: string } // 24-hour "HH:MM"
+
 export interface SiteConfig {
   // Identity
   name: string;
@@ -33,6 +37,15 @@ export interface SiteConfig {
     coords: { lat: number; lng: number };
     mapsEmbed: string;
   };
+  // Social profiles, full URLs (from Airtable; empty platforms are hidden)
+  social: Partial<Record<SocialPlatform, string>>;
+  // Trading hours (from Airtable). null = closed that day / on public holidays;
+  // without publicHolidays the site says nothing about holidays. The whole
+  // section is null until the client gives their hours — nothing is shown.
+  tradingHours: {
+    week: Record<Weekday, OpeningHours | null>;
+    publicHolidays?: OpeningHours | null;
+  } | null;
 
   // Design
   theme: {
@@ -117,10 +130,6 @@ export interface SiteConfig {
     metaDescription: string;
     heroTitle: string;
     heroSubtitle: string;
-    hours: {
-      standard: { label: string; days: string; hours: string };
-      emergency: { label: string; days: string; hours: string };
-    };
     faqs: Array<{ question: string; answer: string }>;
   };
 
@@ -198,6 +207,8 @@ export const site: SiteConfig = {
     coords: { lat: -29.8117, lng: 30.8467 },
     mapsEmbed: "https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d3461.2!2d30.8467!3d-29.8117",
   },
+  social: {},
+  tradingHours: null,
 
   // Design
   theme: {
@@ -472,10 +483,6 @@ export const site: SiteConfig = {
     metaDescription: "Contact Plan Elite KZN for a free building or renovation quote in Durban. Call 081 000 9096, WhatsApp us, or visit our office at 58 Inanda Rd, Waterfall. NHBRC registered.",
     heroTitle: "Get In Touch",
     heroSubtitle: "Ready to start your project? Contact Plan Elite for a free, no-obligation consultation and quote.",
-    hours: {
-      standard: { label: "Business Hours", days: "Monday \u2013 Saturday", hours: "07:30 \u2013 17:00" },
-      emergency: { label: "Sunday", days: "Sunday", hours: "Closed" },
-    },
     faqs: [
       { question: "What is the fastest way to reach Plan Elite?", answer: "The quickest way is to call us directly on 081 000 9096 or send a WhatsApp message. We respond to all enquiries within the same business day." },
       { question: "Do you offer free quotes?", answer: "Yes. We provide free, no-obligation quotes for all projects. We'll arrange a site visit to assess your requirements and provide a detailed written quotation." },
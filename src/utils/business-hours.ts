@@ -0,0 +1,191 @@
+/**
+ * Business hours + social profiles — formats site.tradingHours and
+ * site.social for the footer, contact page and JSON-LD.
+ *
+ * Usage in .astro components:
+ *   import { groupTradingHours, openingHoursSpecification } from '../utils/business-hours';
+ *   {site.tradingHours && groupTradingHours(site.tradingHours.week).map((row) => <p>{row.days}: {row.hours}</p>)}
+ *
+ * Public holidays are South African (Public Holidays Act 36 of 1994): a
+ * holiday on a Sunday is observed on the Monday. Dates are computed at build
+ * time, so JSON-LD lists the holidays in the year after the build.
+ */
+
+import type { SiteConfig, Weekday, OpeningHours, SocialPlatform } from '../site.config';
+
+export const WEEKDAYS: Weekday[] = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+type Week = NonNullable<SiteConfig['tradingHours']>['week'];
+
+export interface HoursRow {
+  days: string;        // "Monday – Friday", "Saturday"
+  hours: string;       // "07:30 – 17:00", "Closed"
+  dayOfWeek: Weekday[];
+  open: OpeningHours | null;
+}
+
+export function formatHours(open: OpeningHours | null | undefined): string {
+  return open ? `${open.opens} – ${open.closes}` : 'Closed';
+}
+
+const sameHours = (a: OpeningHours | null, b: OpeningHours | null) =>
+  a === b || (a != null && b != null && a.opens === b.opens && a.closes === b.closes);
+
+/**
+ * Group consecutive days with the same hours, Monday first.
+ *
+ * @param week  site.tradingHours.week
+ * @returns One row per run of days, e.g. Monday – Friday 07:30 – 17:00
+ */
+export function groupTradingHours(week: Week): HoursRow[] {
+  const rows: HoursRow[] = [];
+  for (const day of WEEKDAYS) {
+    const open = week[day] ?? null;
+    const last = rows[rows.length - 1];
+    if (last && sameHours(last.open, open)) {
+      last.dayOfWeek.push(day);
+    } else {
+      rows.push({ days: day, hours: formatHours(open), dayOfWeek: [day], open });
+    }
+  }
+  for (const row of rows) {
+    const first = row.dayOfWeek[0];
+    const last = row.dayOfWeek[row.dayOfWeek.length - 1];
+    row.days = first === last ? first : `${first} – ${last}`;
+  }
+  return rows;
+}
+
+// ---------------------------------------------------------------------------
+// South African public holidays
+// ---------------------------------------------------------------------------
+
+export interface PublicHoliday {
+  name: string;
+  date: string; // YYYY-MM-DD
+}
+
+const FIXED_HOLIDAYS: Array<[month: number, day: number, name: string]> = [
+  [1, 1, "New Year's Day"],
+  [3, 21, 'Human Rights Day'],
+  [4, 27, 'Freedom Day'],
+  [5, 1, "Workers' Day"],
+  [6, 16, 'Youth Day'],
+  [8, 9, "National Women's Day"],
+  [9, 24, 'Heritage Day'],
+  [12, 16, 'Day of Reconciliation'],
+  [12, 25, 'Christmas Day'],
+  [12, 26, 'Day of Goodwill'],
+];
+
+const isoDate = (d: Date) => d.toISOString().slice(0, 10);
+const addDays = (d: Date, days: number) => new Date(d.getTime() + days * 86_400_000);
+
+/** Easter Sunday (Gregorian, anonymous algorithm), UTC midnight. */
+function easterSunday(year: number): Date {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * South African public holidays for a year, with Sunday holidays moved to
+ * the next free weekday.
+ */
+export function saPublicHolidays(year: number): PublicHoliday[] {
+  const easter = easterSunday(year);
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(([month, day, name]) => ({ name, at: new Date(Date.UTC(year, month - 1, day)) })),
+    { name: 'Good Friday', at: addDays(easter, -2) },
+    { name: 'Family Day', at: addDays(easter, 1) },
+  ].sort((a, b) => a.at.getTime() - b.at.getTime());
+
+  const taken = new Set(holidays.map((h) => isoDate(h.at)));
+  const observed: PublicHoliday[] = [];
+  for (const { name, at } of holidays) {
+    observed.push({ name, date: isoDate(at) });
+    if (at.getUTCDay() !== 0) continue;
+    let monday = addDays(at, 1);
+    while (taken.has(isoDate(monday))) monday = addDays(monday, 1);
+    taken.add(isoDate(monday));
+    observed.push({ name: `${name} (observed)`, date: isoDate(monday) });
+  }
+  return observed.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Public holidays from `from` (default: today) up to a year ahead. */
+export function upcomingPublicHolidays(from: Date = new Date(), days = 365): PublicHoliday[] {
+  const start = isoDate(from);
+  const end = isoDate(addDays(from, days));
+  const year = from.getUTCFullYear();
+  return [...saPublicHolidays(year), ...saPublicHolidays(year + 1)]
+    .filter((h) => h.date >= start && h.date < end);
+}
+
+// ---------------------------------------------------------------------------
+// JSON-LD
+// ---------------------------------------------------------------------------
+
+/**
+ * schema.org OpeningHoursSpecification for the LocalBusiness JSON-LD: one
+ * entry per run of days with the same hours, plus one per upcoming public
+ * holiday when site.tradingHours.publicHolidays is set. Closed days are left
+ * out; closed holidays use opens = closes = "00:00" as Google recommends.
+ * Empty without client-given hours.
+ */
+export function openingHoursSpecification(site: SiteConfig) {
+  if (!site.tradingHours) return [];
+  const { week, publicHolidays } = site.tradingHours;
+  const specs: object[] = groupTradingHours(week)
+    .filter((row) => row.open)
+    .map((row) => ({
+      "@type": "OpeningHoursSpecification",
+      "dayOfWeek": row.dayOfWeek,
+      "opens": row.open!.opens,
+      "closes": row.open!.closes,
+    }));
+
+  if (publicHolidays !== undefined) {
+    for (const holiday of upcomingPublicHolidays()) {
+      specs.push({
+        "@type": "OpeningHoursSpecification",
+        "validFrom": holiday.date,
+        "validThrough": holiday.date,
+        "opens": publicHolidays?.opens ?? "00:00",
+        "closes": publicHolidays?.closes ?? "00:00",
+      });
+    }
+  }
+  return specs;
+}
+
+// ---------------------------------------------------------------------------
+// Social profiles
+// ---------------------------------------------------------------------------
+
+const SOCIAL_LABELS: Record<SocialPlatform, string> = {
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  linkedin: 'LinkedIn',
+  tiktok: 'TikTok',
+  youtube: 'YouTube',
+};
+
+/** Social profiles that have a URL, in display order. */
+export function socialLinks(site: SiteConfig): Array<{ platform: SocialPlatform; label: string; url: string }> {
+  return (Object.keys(SOCIAL_LABELS) as SocialPlatform[])
+    .filter((platform) => site.social?.[platform])
+    .map((platform) => ({ platform, label: SOCIAL_LABELS[platform], url: site.social[platform]! }));
+}
@@ -0,0 +1,55 @@
+/**
+ * Curated reviews — reads src/content/reviews.json at build time: reviews
+ * rated 4+, best first, tagged with the service and location they mention
+ * (scripts/lib/review-curation.mjs).
+ *
+ * Usage in .astro components:
+ *   import { reviewsForService } from '../utils/curated-reviews';
+ *   {reviewsForService(service.slug).map((review) => <ReviewCard {...review} />)}
+ *
+ * If the file doesn't exist or has no tagged reviews, pages get none.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+export interface CuratedReview {
+  name: string;
+  text: string;
+  rating: number;
+  date?: string;         // YYYY-MM-DD; absent for relative dates ("2 years ago")
+  source: string;
+  service?: string;      // short service title, e.g. "Paving & Landscaping"
+  serviceSlug?: string;
+  locationSlug?: string;
+  place?: string;        // location page's city, e.g. "South Coast – KZN"
+  score?: number;
+}
+
+let reviews: CuratedReview[] | null = null;
+
+function loadReviews(): CuratedReview[] {
+  if (reviews) return reviews;
+  reviews = [];
+
+  const filePath = join(process.cwd(), 'src/content/reviews.json');
+  if (!existsSync(filePath)) return reviews;
+
+  try {
+    const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+    if (Array.isArray(parsed)) reviews = parsed as CuratedReview[];
+  } catch {
+    // Malformed JSON — treat as no reviews
+  }
+  return reviews;
+}
+
+/** Best reviews that mention a service, for its service page. */
+export function reviewsForService(slug: string, limit = 3): CuratedReview[] {
+  return loadReviews().filter((review) => review.serviceSlug === slug).slice(0, limit);
+}
+
+/** Best reviews that mention an area, for its location page. */
+export function reviewsForLocation(slug: string, limit = 3): CuratedReview[] {
+  return loadReviews().filter((review) => review.locationSlug === slug).slice(0, limit);
+}
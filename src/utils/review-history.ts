@@ -0,0 +1,91 @@
+/**
+ * Review history — reads reviews-ledger.json at build time: every review the
+ * site has ever collected that is still up on its platform, including ones
+ * that have scrolled out of the latest fetch (scripts/lib/review-ledger.mjs).
+ * A review cross-posted on several platforms is shown once, crediting each.
+ *
+ * Usage in .astro components:
+ *   import { getReviewHistory } from '../utils/review-history';
+ *   {getReviewHistory().map((review) => <ReviewCard {...review} />)}
+ *
+ * If reviews-ledger.json doesn't exist, the history is empty.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+interface LedgerEntry {
+  key: string;
+  platform: string;
+  reviewerName: string;
+  rating: number;
+  title: string;
+  text: string;
+  date: string;
+  ownerResponse: string | null;
+  firstSeen: string;
+  deletedAt: string | null;
+  crossPostOf?: string;
+}
+
+export interface HistoryReview {
+  key: string;
+  name: string;
+  text: string;
+  rating: number;
+  date: string;   // YYYY-MM-DD, or the platform's own wording ("2 years ago")
+  source: string;  // "google", or "google · facebook" for a cross-post
+  ownerResponse?: string;
+}
+
+let history: HistoryReview[] | null = null;
+
+/** "2024-05-02 10:11:12 +00:00" → "2024-05-02"; relative dates pass through. */
+function reviewDay(date: string): string {
+  const match = date.match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : date;
+}
+
+function sortDay(entry: LedgerEntry): string {
+  const day = reviewDay(entry.date);
+  return /^\d{4}-/.test(day) ? day : entry.firstSeen;
+}
+
+/** Live reviews from the ledger, newest first. */
+export function getReviewHistory(): HistoryReview[] {
+  if (history) return history;
+  history = [];
+
+  const filePath = join(process.cwd(), 'reviews-ledger.json');
+  if (!existsSync(filePath)) return history;
+
+  try {
+    const ledger = JSON.parse(readFileSync(filePath, 'utf-8')) as { reviews?: Record<string, LedgerEntry> };
+    const entries = Object.values(ledger.reviews || {}).filter((entry) => !entry.deletedAt);
+
+    const platforms = new Map<string, string[]>();
+    for (const entry of entries) {
+      const key = entry.crossPostOf || entry.key;
+      const list = platforms.get(key) || [];
+      if (entry.crossPostOf) list.push(entry.platform);
+      else list.unshift(entry.platform);
+      platforms.set(key, list);
+    }
+
+    history = entries
+      .filter((entry) => !entry.crossPostOf && entry.text)
+      .sort((a, b) => sortDay(b).localeCompare(sortDay(a)))
+      .map((entry) => ({
+        key: entry.key,
+        name: entry.reviewerName,
+        text: entry.text,
+        rating: entry.rating,
+        date: reviewDay(entry.date),
+        source: [...new Set(platforms.get(entry.key))].join(' · '),
+        ...(entry.ownerResponse ? { ownerResponse: entry.ownerResponse } : {}),
+      }));
+  } catch {
+    // Malformed JSON — treat as no history
+  }
+  return history;
+}
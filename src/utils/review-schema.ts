@@ -0,0 +1,88 @@
+/**
+ * Review structured data — schema.org Review and Service JSON-LD for the
+ * reviews a page actually renders, for BaseLayout's `schema` prop.
+ *
+ * Usage in .astro components:
+ *   import { serviceSchema } from '../utils/review-schema';
+ *   const serviceReviews = reviewsForService(service.slug);
+ *   const schema = [serviceSchema(site, service, serviceReviews, `${site.url}/services/${service.slug}/`)];
+ *   <BaseLayout title={...} description={...} schema={schema}>
+ *   {serviceReviews.map((review) => <ReviewCard {...review} />)}
+ *
+ * Pass the same reviews the page renders: a Service's Review objects and
+ * aggregateRating are built from exactly those, never from the site-wide
+ * rating. The post-build QA checks that on dist/ and fails the build before
+ * any deploy (scripts/lib/review-schema.mjs, run by scripts/lib/qa.mjs):
+ * every Review must be visible on the page, and a Service's rating must match
+ * its Reviews. seo-qa.mjs repeats the check on the live site.
+ */
+
+import type { SiteConfig } from '../site.config';
+
+/** A review as rendered on the page (ReviewCard props) */
+export interface VisibleReview {
+  name: string;
+  text: string;
+  rating: number;
+  date?: string;
+}
+
+type Service = SiteConfig['services'][number];
+type JsonLd = Record<string, unknown>;
+
+export function reviewSchema(review: VisibleReview): JsonLd {
+  return {
+    "@type": "Review",
+    "author": { "@type": "Person", "name": review.name },
+    "reviewRating": { "@type": "Rating", "ratingValue": String(review.rating), "bestRating": "5" },
+    "reviewBody": review.text,
+    ...(review.date && /^\d{4}-\d{2}-\d{2}$/.test(review.date) ? { "datePublished": review.date } : {}),
+  };
+}
+
+/** AggregateRating over exactly these reviews, or null for none. */
+export function aggregateRatingOf(reviews: VisibleReview[]): JsonLd | null {
+  if (reviews.length === 0) return null;
+  const average = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
+  return {
+    "@type": "AggregateRating",
+    "ratingValue": String(Math.round(average * 10) / 10),
+    "reviewCount": String(reviews.length),
+    "bestRating": "5",
+  };
+}
+
+/**
+ * Service JSON-LD for a service page, with Review objects and an
+ * aggregateRating from the reviews tagged to that service and shown on it.
+ */
+export function serviceSchema(site: SiteConfig, service: Service, reviews: VisibleReview[], pageUrl: string): JsonLd {
+  const rating = aggregateRatingOf(reviews);
+  return {
+    "@context": "https://schema.org",
+    "@type": "Service",
+    "name": service.title,
+    "description": service.description,
+    "url": pageUrl,
+    "areaServed": site.address.city,
+    "provider": {
+      "@type": site.schemaType,
+      "name": site.name,
+      "url": site.url,
+    },
+    ...(reviews.length > 0 ? { "review": reviews.map(reviewSchema) } : {}),
+    ...(rating ? { "aggregateRating": rating } : {}),
+  };
+}
+
+/**
+ * Review JSON-LD for reviews shown on a page that isn't about one service
+ * (location pages): the reviews, of the business, without a rating.
+ */
+export function businessReviewsSchema(site: SiteConfig, reviews: VisibleReview[]): JsonLd[] {
+  return reviews.map((review) => ({
+    "@context": "https://schema.org",
+    ...reviewSchema(review),
+    "itemReviewed": { "@type": site.schemaType, "name": site.name, "url": site.url },
+  }));
+}